@@ -3,21 +3,25 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 /**
  * @title GovernanceToken
  * @author Creative Grants DAO Team
  * @notice ERC20 token used for governance and voting in the GrantsDAO
- * @dev Standard ERC20 with burnable capability and initial distribution
+ * @dev Standard ERC20 with burnable capability, initial distribution and vote checkpoints
  *
  * Key Features:
  * - Standard ERC20 functionality
  * - Burnable tokens to reduce supply
  * - Initial distribution to founder and community
  * - Can be used for voting power in proposals
+ * - Checkpointed votes (ERC20Votes), so proposals can weigh votes at a past block
+ * - Revocable delegation of voting power, directly or by EIP-712 signature
  */
-contract GovernanceToken is ERC20, ERC20Burnable, Ownable {
+contract GovernanceToken is ERC20, ERC20Burnable, ERC20Votes, Ownable {
     /// @notice Maximum total supply of tokens
     uint256 public constant MAX_SUPPLY = 1_000_000 * 10**18; // 1 million tokens
 
@@ -34,7 +38,7 @@ contract GovernanceToken is ERC20, ERC20Burnable, Ownable {
         string memory _name,
         string memory _symbol,
         uint256 _initialSupply
-    ) ERC20(_name, _symbol) Ownable(msg.sender) {
+    ) ERC20(_name, _symbol) EIP712(_name, "1") Ownable(msg.sender) {
         require(_initialSupply <= MAX_SUPPLY, "Initial supply exceeds max supply");
 
         if (_initialSupply > 0) {
@@ -92,21 +96,57 @@ contract GovernanceToken is ERC20, ERC20Burnable, Ownable {
         return MAX_SUPPLY - totalSupply();
     }
 
+    /**
+     * @notice Take back voting power delegated to someone else
+     * @dev Same as delegating to yourself
+     */
+    function revokeDelegation() external {
+        require(delegates(msg.sender) != msg.sender, "No delegation to revoke");
+        _delegate(msg.sender, msg.sender);
+    }
+
     /**
      * @notice Check if an address has voting power
      * @param _account Address to check
-     * @return bool True if the address has at least 1 token
+     * @return bool True if the address holds or has been delegated any votes
      */
     function hasVotingPower(address _account) external view returns (bool) {
-        return balanceOf(_account) > 0;
+        return getVotes(_account) > 0;
     }
 
     /**
      * @notice Get voting power for an address
      * @param _account Address to check
-     * @return uint256 The balance of tokens (voting power)
+     * @return uint256 The votes of the tokens it holds and has not delegated, plus those delegated to it
      */
     function getVotingPower(address _account) external view returns (uint256) {
-        return balanceOf(_account);
+        return getVotes(_account);
+    }
+
+    /**
+     * @notice Get the address whose votes an account's tokens count towards
+     * @param _account Address to check
+     * @return address The chosen delegate, or the account itself if it never delegated
+     * @dev Overrides the ERC20Votes default, where tokens carry no votes until their holder
+     * delegates, so checkpointed votes follow balances without any action from holders
+     */
+    function delegates(address _account) public view override returns (address) {
+        address delegatee = super.delegates(_account);
+        return delegatee == address(0) ? _account : delegatee;
+    }
+
+    /**
+     * @dev Delegating to the zero address gives the votes back to the account, like revokeDelegation,
+     * instead of leaving them with nobody
+     */
+    function _delegate(address _account, address _delegatee) internal override {
+        super._delegate(_account, _delegatee == address(0) ? _account : _delegatee);
+    }
+
+    /**
+     * @dev Record vote checkpoints on every transfer, mint and burn
+     */
+    function _update(address _from, address _to, uint256 _value) internal override(ERC20, ERC20Votes) {
+        super._update(_from, _to, _value);
     }
 }
@@ -14,10 +14,14 @@ import "./ProposalNFT.sol";
  *
  * Key Features:
  * - Democratic proposal creation and voting
+ * - For, against and abstain votes with optional reasons, changeable while voting is open
  * - NFT minting for successful proposals as proof of achievement
  * - Transparent treasury management
  * - Configurable voting periods and quorum requirements
- * - Milestone-based fund distribution
+ * - Timelock between a proposal's success and its execution, with an execution window
+ * - Vote weights and quorum measured at a snapshot block, so tokens cannot vote twice
+ * - Milestone-based fund distribution: the first tranche is paid at execution, later ones
+ *   after token holders approve the grantee's proof in a shorter milestone vote
  */
 contract GrantsDAO is Ownable, ReentrancyGuard {
     /// @notice The governance token used for voting
@@ -38,6 +42,30 @@ contract GrantsDAO is Ownable, ReentrancyGuard {
     /// @notice Counter for proposal IDs
     uint256 public proposalCount;
 
+    /// @notice Delay in seconds between queueing a proposal and executing it (default 2 days)
+    uint256 public executionDelay;
+
+    /// @notice Longest execution delay the owner can set
+    uint256 public constant MAX_EXECUTION_DELAY = 30 days;
+
+    /// @notice Time a queued proposal can be executed for once its delay has passed
+    uint256 public constant EXECUTION_WINDOW = 14 days;
+
+    /// @notice Maximum number of milestones per proposal
+    uint256 public constant MAX_MILESTONES = 10;
+
+    /// @notice Duration of a milestone vote in seconds (default 3 days)
+    uint256 public milestoneReviewPeriod;
+
+    /// @notice Minimum percentage of total supply that must vote on a milestone (in basis points)
+    uint256 public milestoneQuorumPercentage;
+
+    /// @notice Time the grantee has to submit proof for the next milestone, in seconds (default 90 days)
+    uint256 public milestoneDeadline;
+
+    /// @notice Treasury funds promised to milestones of executed proposals and not yet paid out
+    uint256 public reservedFunds;
+
     /// @notice Enum representing the state of a proposal
     enum ProposalState {
         Pending,      // Proposal created, voting not started
@@ -45,7 +73,38 @@ contract GrantsDAO is Ownable, ReentrancyGuard {
         Defeated,     // Proposal failed to reach quorum or majority
         Succeeded,    // Proposal passed
         Executed,     // Funds distributed
-        Cancelled     // Proposal cancelled by creator
+        Cancelled,    // Proposal cancelled by creator
+        Queued,       // Passed and waiting for the execution delay
+        Expired       // Queued but not executed within the execution window
+    }
+
+    /// @notice Enum representing a voter's choice on a proposal
+    enum VoteType {
+        Against,      // Counts toward quorum and against the proposal
+        For,          // Counts toward quorum and in favor of the proposal
+        Abstain       // Counts toward quorum only
+    }
+
+    /// @notice Enum representing the state of a milestone
+    enum MilestoneState {
+        Pending,      // Waiting for the grantee's proof
+        Submitted,    // Proof submitted, token holders are voting
+        Released,     // Tranche paid to the grantee
+        Rejected,     // Vote failed, unreleased funds returned to the treasury
+        Expired       // No proof before the deadline, unreleased funds returned to the treasury
+    }
+
+    /// @notice Struct representing one tranche of a grant
+    struct Milestone {
+        string description;
+        uint256 amount;
+        MilestoneState state;
+        string proofURI;         // IPFS URI of the grantee's proof of completion
+        uint256 deadline;        // Proof must be submitted by then, 0 until the previous tranche is paid
+        uint256 reviewEndTime;
+        uint256 snapshotBlock;
+        uint256 approveVotes;
+        uint256 rejectVotes;
     }
 
     /// @notice Struct representing a grant proposal
@@ -58,17 +117,33 @@ contract GrantsDAO is Ownable, ReentrancyGuard {
         uint256 requestedAmount;
         uint256 votingStartTime;
         uint256 votingEndTime;
+        uint256 snapshotBlock;   // Votes and quorum use token checkpoints at this block
         uint256 forVotes;
         uint256 againstVotes;
         ProposalState state;
-        bool fundsReleased;
+        bool fundsReleased;      // First tranche paid
+        uint256 currentMilestone; // Index of the milestone awaiting payment
         mapping(address => bool) hasVoted;
         mapping(address => uint256) voteWeight;
+        mapping(address => VoteType) voteType;
     }
 
     /// @notice Mapping from proposal ID to Proposal struct
     mapping(uint256 => Proposal) public proposals;
 
+    /// @notice Earliest execution time of each queued proposal
+    /// @dev Kept outside Proposal: the public `proposals` getter cannot return more fields without running out of stack
+    mapping(uint256 => uint256) private executionTimes;
+
+    /// @notice Abstain votes of each proposal, kept outside Proposal for the same reason
+    mapping(uint256 => uint256) private abstainVotes;
+
+    /// @notice Milestones of each proposal, in payment order
+    mapping(uint256 => Milestone[]) private milestones;
+
+    /// @notice Whether an address voted on a milestone: proposal ID => milestone index => voter
+    mapping(uint256 => mapping(uint256 => mapping(address => bool))) private milestoneVoted;
+
     // Events
     event ProposalCreated(
         uint256 indexed proposalId,
@@ -82,14 +157,42 @@ contract GrantsDAO is Ownable, ReentrancyGuard {
     event VoteCast(
         address indexed voter,
         uint256 indexed proposalId,
-        bool support,
-        uint256 weight
+        VoteType support,
+        uint256 weight,
+        string reason
     );
 
+    event ProposalQueued(uint256 indexed proposalId, uint256 executionTime);
     event ProposalExecuted(uint256 indexed proposalId, uint256 amount);
+    event ProposalExpired(uint256 indexed proposalId);
     event ProposalCancelled(uint256 indexed proposalId);
     event FundsDeposited(address indexed depositor, uint256 amount);
-    event ParametersUpdated(uint256 proposalThreshold, uint256 votingPeriod, uint256 quorumPercentage);
+    event ParametersUpdated(
+        uint256 proposalThreshold,
+        uint256 votingPeriod,
+        uint256 quorumPercentage,
+        uint256 executionDelay
+    );
+
+    event MilestoneSubmitted(
+        uint256 indexed proposalId,
+        uint256 indexed milestoneIndex,
+        string proofURI,
+        uint256 reviewEndTime
+    );
+
+    event MilestoneVoteCast(
+        address indexed voter,
+        uint256 indexed proposalId,
+        uint256 indexed milestoneIndex,
+        bool approve,
+        uint256 weight
+    );
+
+    event MilestoneReleased(uint256 indexed proposalId, uint256 indexed milestoneIndex, uint256 amount);
+    event MilestoneRejected(uint256 indexed proposalId, uint256 indexed milestoneIndex, uint256 returned);
+    event MilestoneExpired(uint256 indexed proposalId, uint256 indexed milestoneIndex, uint256 returned);
+    event MilestoneParametersUpdated(uint256 reviewPeriod, uint256 quorumPercentage, uint256 deadline);
 
     /**
      * @notice Contract constructor
@@ -98,6 +201,9 @@ contract GrantsDAO is Ownable, ReentrancyGuard {
      * @param _proposalThreshold Minimum tokens needed to create a proposal
      * @param _votingPeriod Duration of voting period in seconds
      * @param _quorumPercentage Minimum percentage of votes needed (in basis points)
+     * @dev Proposals wait 2 days between queueing and execution. Milestone votes start with a
+     * 3 day review period and half the proposal quorum, and grantees get 90 days per milestone;
+     * the owner can change these with updateParameters and updateMilestoneParameters
      */
     constructor(
         address _governanceToken,
@@ -115,6 +221,10 @@ contract GrantsDAO is Ownable, ReentrancyGuard {
         proposalThreshold = _proposalThreshold;
         votingPeriod = _votingPeriod;
         quorumPercentage = _quorumPercentage;
+        executionDelay = 2 days;
+        milestoneReviewPeriod = 3 days;
+        milestoneQuorumPercentage = _quorumPercentage / 2;
+        milestoneDeadline = 90 days;
     }
 
     /**
@@ -124,6 +234,7 @@ contract GrantsDAO is Ownable, ReentrancyGuard {
      * @param _metadataURI IPFS URI containing detailed proposal information
      * @param _requestedAmount Amount of ETH requested for the grant
      * @return proposalId The ID of the newly created proposal
+     * @dev The whole amount is a single milestone, paid at execution
      */
     function createProposal(
         string memory _title,
@@ -131,72 +242,160 @@ contract GrantsDAO is Ownable, ReentrancyGuard {
         string memory _metadataURI,
         uint256 _requestedAmount
     ) external returns (uint256) {
-        require(
-            governanceToken.balanceOf(msg.sender) >= proposalThreshold,
-            "Insufficient tokens to create proposal"
-        );
-        require(_requestedAmount > 0, "Requested amount must be greater than 0");
-        require(_requestedAmount <= address(this).balance, "Insufficient treasury funds");
-        require(bytes(_title).length > 0, "Title cannot be empty");
-
-        proposalCount++;
-        uint256 proposalId = proposalCount;
+        uint256[] memory amounts = new uint256[](1);
+        amounts[0] = _requestedAmount;
+        return _createProposal(_title, _description, _metadataURI, amounts, new string[](1));
+    }
 
-        Proposal storage newProposal = proposals[proposalId];
-        newProposal.id = proposalId;
-        newProposal.proposer = msg.sender;
-        newProposal.title = _title;
-        newProposal.description = _description;
-        newProposal.metadataURI = _metadataURI;
-        newProposal.requestedAmount = _requestedAmount;
-        newProposal.votingStartTime = block.timestamp;
-        newProposal.votingEndTime = block.timestamp + votingPeriod;
-        newProposal.state = ProposalState.Active;
+    /**
+     * @notice Create a grant proposal paid out in milestones
+     * @param _title Title of the proposal
+     * @param _description Brief description of the proposal
+     * @param _metadataURI IPFS URI containing detailed proposal information
+     * @param _amounts Amount of ETH for each milestone, in payment order
+     * @param _milestoneDescriptions What each milestone delivers
+     * @return proposalId The ID of the newly created proposal
+     * @dev The first tranche is paid at execution. Each later tranche is paid once token holders
+     * approve the proof submitted with submitMilestone.
+     */
+    function createMilestoneProposal(
+        string memory _title,
+        string memory _description,
+        string memory _metadataURI,
+        uint256[] memory _amounts,
+        string[] memory _milestoneDescriptions
+    ) external returns (uint256) {
+        require(_amounts.length > 0, "No milestones provided");
+        require(_amounts.length <= MAX_MILESTONES, "Too many milestones");
+        require(_amounts.length == _milestoneDescriptions.length, "Arrays length mismatch");
 
-        emit ProposalCreated(
-            proposalId,
-            msg.sender,
-            _title,
-            _requestedAmount,
-            newProposal.votingStartTime,
-            newProposal.votingEndTime
-        );
+        return _createProposal(_title, _description, _metadataURI, _amounts, _milestoneDescriptions);
+    }
 
-        return proposalId;
+    /**
+     * @notice Cast or change a vote on an active proposal
+     * @param _proposalId The ID of the proposal to vote on
+     * @param _support Against, For or Abstain
+     * @dev The weight is the voter's token balance at the proposal's snapshot block, so tokens
+     * received after the proposal was created carry no votes on it. Voting again while the
+     * proposal is active replaces the previous vote.
+     */
+    function castVote(uint256 _proposalId, VoteType _support) external {
+        _castVote(_proposalId, _support, "");
     }
 
     /**
-     * @notice Cast a vote on an active proposal
+     * @notice Cast or change a vote on an active proposal and explain it
      * @param _proposalId The ID of the proposal to vote on
-     * @param _support True for voting in favor, false for voting against
+     * @param _support Against, For or Abstain
+     * @param _reason Reason for the vote, only emitted in VoteCast
      */
-    function castVote(uint256 _proposalId, bool _support) external {
-        require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal ID");
-        Proposal storage proposal = proposals[_proposalId];
+    function castVoteWithReason(
+        uint256 _proposalId,
+        VoteType _support,
+        string calldata _reason
+    ) external {
+        _castVote(_proposalId, _support, _reason);
+    }
 
-        require(proposal.state == ProposalState.Active, "Proposal is not active");
-        require(block.timestamp <= proposal.votingEndTime, "Voting period has ended");
-        require(!proposal.hasVoted[msg.sender], "Already voted");
+    /**
+     * @notice Submit proof that the next milestone of an executed grant is done
+     * @param _proposalId The ID of the proposal
+     * @param _proofURI IPFS URI of the proof
+     * @dev Starts a milestone vote that lasts milestoneReviewPeriod
+     */
+    function submitMilestone(uint256 _proposalId, string memory _proofURI) external {
+        Milestone storage milestone = _currentMilestone(_proposalId);
+
+        require(msg.sender == proposals[_proposalId].proposer, "Only proposer can submit milestones");
+        require(milestone.state == MilestoneState.Pending, "Milestone already submitted");
+        require(block.timestamp <= milestone.deadline, "Milestone deadline passed");
+        require(bytes(_proofURI).length > 0, "Proof URI cannot be empty");
 
-        uint256 weight = governanceToken.balanceOf(msg.sender);
+        milestone.state = MilestoneState.Submitted;
+        milestone.proofURI = _proofURI;
+        milestone.reviewEndTime = block.timestamp + milestoneReviewPeriod;
+        milestone.snapshotBlock = block.number - 1;
+
+        uint256 index = proposals[_proposalId].currentMilestone;
+        emit MilestoneSubmitted(_proposalId, index, _proofURI, milestone.reviewEndTime);
+    }
+
+    /**
+     * @notice Vote on the proof submitted for a grant's current milestone
+     * @param _proposalId The ID of the proposal
+     * @param _approve True to release the tranche, false to reject it
+     * @dev Weighted like castVote, at the block before the proof was submitted
+     */
+    function voteOnMilestone(uint256 _proposalId, bool _approve) external {
+        Milestone storage milestone = _currentMilestone(_proposalId);
+        uint256 index = proposals[_proposalId].currentMilestone;
+
+        require(milestone.state == MilestoneState.Submitted, "Milestone not submitted");
+        require(block.timestamp <= milestone.reviewEndTime, "Milestone review has ended");
+        require(!milestoneVoted[_proposalId][index][msg.sender], "Already voted");
+
+        uint256 weight = governanceToken.getPastVotes(msg.sender, milestone.snapshotBlock);
         require(weight > 0, "No voting power");
 
-        proposal.hasVoted[msg.sender] = true;
-        proposal.voteWeight[msg.sender] = weight;
+        milestoneVoted[_proposalId][index][msg.sender] = true;
 
-        if (_support) {
-            proposal.forVotes += weight;
+        if (_approve) {
+            milestone.approveVotes += weight;
         } else {
-            proposal.againstVotes += weight;
+            milestone.rejectVotes += weight;
         }
 
-        emit VoteCast(msg.sender, _proposalId, _support, weight);
+        emit MilestoneVoteCast(msg.sender, _proposalId, index, _approve, weight);
+    }
+
+    /**
+     * @notice Settle a milestone vote after its review period ends
+     * @param _proposalId The ID of the proposal
+     * @dev Pays the tranche if the vote met milestoneQuorumPercentage and more holders approved
+     * than rejected. Otherwise the grant ends and its unpaid tranches return to the treasury.
+     */
+    function finalizeMilestone(uint256 _proposalId) external nonReentrant {
+        Milestone storage milestone = _currentMilestone(_proposalId);
+        Proposal storage proposal = proposals[_proposalId];
+        uint256 index = proposal.currentMilestone;
+
+        require(milestone.state == MilestoneState.Submitted, "Milestone not submitted");
+        require(block.timestamp > milestone.reviewEndTime, "Milestone review not ended");
+
+        uint256 totalVotes = milestone.approveVotes + milestone.rejectVotes;
+        uint256 totalSupply = governanceToken.getPastTotalSupply(milestone.snapshotBlock);
+        uint256 quorumVotes = (totalSupply * milestoneQuorumPercentage) / 10000;
+
+        if (totalVotes >= quorumVotes && milestone.approveVotes > milestone.rejectVotes) {
+            _releaseMilestone(_proposalId);
+        } else {
+            milestone.state = MilestoneState.Rejected;
+            emit MilestoneRejected(_proposalId, index, _returnUnreleasedFunds(_proposalId));
+        }
+    }
+
+    /**
+     * @notice End a grant whose grantee missed the deadline for the next milestone
+     * @param _proposalId The ID of the proposal
+     * @dev Anyone can call this; the unpaid tranches return to the treasury
+     */
+    function expireMilestone(uint256 _proposalId) external {
+        Milestone storage milestone = _currentMilestone(_proposalId);
+
+        require(milestone.state == MilestoneState.Pending, "Milestone already submitted");
+        require(block.timestamp > milestone.deadline, "Milestone deadline not passed");
+
+        milestone.state = MilestoneState.Expired;
+        uint256 index = proposals[_proposalId].currentMilestone;
+        emit MilestoneExpired(_proposalId, index, _returnUnreleasedFunds(_proposalId));
     }
 
     /**
      * @notice Finalize a proposal after voting period ends
      * @param _proposalId The ID of the proposal to finalize
-     * @dev Updates proposal state based on voting results and quorum
+     * @dev Updates proposal state based on voting results and quorum. The quorum is a share of
+     * the total supply at the snapshot block, so minting or burning during the vote does not move it.
      */
     function finalizeProposal(uint256 _proposalId) external {
         require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal ID");
@@ -205,8 +404,9 @@ contract GrantsDAO is Ownable, ReentrancyGuard {
         require(proposal.state == ProposalState.Active, "Proposal is not active");
         require(block.timestamp > proposal.votingEndTime, "Voting period not ended");
 
-        uint256 totalVotes = proposal.forVotes + proposal.againstVotes;
-        uint256 totalSupply = governanceToken.totalSupply();
+        // Abstentions count toward the quorum but not toward the majority
+        uint256 totalVotes = proposal.forVotes + proposal.againstVotes + abstainVotes[_proposalId];
+        uint256 totalSupply = governanceToken.getPastTotalSupply(proposal.snapshotBlock);
         uint256 quorumVotes = (totalSupply * quorumPercentage) / 10000;
 
         // Check if quorum is met and proposal has majority support
@@ -218,20 +418,43 @@ contract GrantsDAO is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @notice Execute a successful proposal and distribute funds
+     * @notice Queue a successful proposal for execution after the execution delay
+     * @param _proposalId The ID of the proposal to queue
+     * @dev Anyone can queue. The delay gives the community time to react before funds move.
+     */
+    function queueProposal(uint256 _proposalId) external {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal ID");
+        Proposal storage proposal = proposals[_proposalId];
+
+        require(proposal.state == ProposalState.Succeeded, "Proposal not succeeded");
+
+        proposal.state = ProposalState.Queued;
+        executionTimes[_proposalId] = block.timestamp + executionDelay;
+
+        emit ProposalQueued(_proposalId, executionTimes[_proposalId]);
+    }
+
+    /**
+     * @notice Execute a queued proposal and distribute funds
      * @param _proposalId The ID of the proposal to execute
-     * @dev Transfers funds to proposer and mints achievement NFT
+     * @dev Possible from the proposal's execution time until EXECUTION_WINDOW after it. Transfers
+     * the first milestone's tranche to the proposer, reserves the rest of the requested amount
+     * for later milestones and mints the achievement NFT.
      */
     function executeProposal(uint256 _proposalId) external nonReentrant {
         require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal ID");
         Proposal storage proposal = proposals[_proposalId];
 
-        require(proposal.state == ProposalState.Succeeded, "Proposal not succeeded");
+        require(proposal.state == ProposalState.Queued, "Proposal not queued");
+        require(block.timestamp >= executionTimes[_proposalId], "Execution delay not passed");
+        require(block.timestamp <= executionTimes[_proposalId] + EXECUTION_WINDOW, "Execution window has passed");
         require(!proposal.fundsReleased, "Funds already released");
-        require(address(this).balance >= proposal.requestedAmount, "Insufficient contract balance");
+        require(getAvailableFunds() >= proposal.requestedAmount, "Insufficient contract balance");
 
         proposal.fundsReleased = true;
         proposal.state = ProposalState.Executed;
+        // Hold back the later tranches until their milestones are approved
+        reservedFunds += proposal.requestedAmount;
 
         // Mint NFT to proposer as proof of funded project
         proposalNFT.mintProposalNFT(
@@ -240,11 +463,24 @@ contract GrantsDAO is Ownable, ReentrancyGuard {
             proposal.metadataURI
         );
 
-        // Transfer funds to proposer
-        (bool success, ) = payable(proposal.proposer).call{value: proposal.requestedAmount}("");
-        require(success, "Transfer failed");
+        uint256 amount = _releaseMilestone(_proposalId);
+        emit ProposalExecuted(_proposalId, amount);
+    }
+
+    /**
+     * @notice Mark a queued proposal that was not executed within its window as expired
+     * @param _proposalId The ID of the proposal
+     * @dev Anyone can call this once the execution window has passed
+     */
+    function expireProposal(uint256 _proposalId) external {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal ID");
+        Proposal storage proposal = proposals[_proposalId];
+
+        require(proposal.state == ProposalState.Queued, "Proposal not queued");
+        require(block.timestamp > executionTimes[_proposalId] + EXECUTION_WINDOW, "Execution window not passed");
 
-        emit ProposalExecuted(_proposalId, proposal.requestedAmount);
+        proposal.state = ProposalState.Expired;
+        emit ProposalExpired(_proposalId);
     }
 
     /**
@@ -318,6 +554,56 @@ contract GrantsDAO is Ownable, ReentrancyGuard {
         );
     }
 
+    /**
+     * @notice Get the block at which a proposal measures voting power
+     * @param _proposalId The proposal ID
+     * @return uint256 The snapshot block number
+     */
+    function getProposalSnapshot(uint256 _proposalId) external view returns (uint256) {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal ID");
+        return proposals[_proposalId].snapshotBlock;
+    }
+
+    /**
+     * @notice Get the earliest time a queued proposal can be executed
+     * @param _proposalId The proposal ID
+     * @return uint256 The execution time, 0 if the proposal was never queued
+     * @dev Execution is possible until EXECUTION_WINDOW after this time
+     */
+    function getProposalExecutionTime(uint256 _proposalId) external view returns (uint256) {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal ID");
+        return executionTimes[_proposalId];
+    }
+
+    /**
+     * @notice Get the vote tallies of a proposal
+     * @param _proposalId The proposal ID
+     * @return forVotes Votes in favor
+     * @return againstVotes Votes against
+     * @return abstain Abstain votes
+     */
+    function getProposalVotes(uint256 _proposalId)
+        external
+        view
+        returns (uint256 forVotes, uint256 againstVotes, uint256 abstain)
+    {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal ID");
+        Proposal storage proposal = proposals[_proposalId];
+        return (proposal.forVotes, proposal.againstVotes, abstainVotes[_proposalId]);
+    }
+
+    /**
+     * @notice Get an address's current vote on a proposal
+     * @param _proposalId The proposal ID
+     * @param _voter The voter address
+     * @return support The voter's choice, only meaningful if weight is not 0
+     * @return weight The voter's weight, 0 if the address has not voted
+     */
+    function getVote(uint256 _proposalId, address _voter) external view returns (VoteType support, uint256 weight) {
+        Proposal storage proposal = proposals[_proposalId];
+        return (proposal.voteType[_voter], proposal.voteWeight[_voter]);
+    }
+
     /**
      * @notice Check if an address has voted on a proposal
      * @param _proposalId The proposal ID
@@ -328,24 +614,88 @@ contract GrantsDAO is Ownable, ReentrancyGuard {
         return proposals[_proposalId].hasVoted[_voter];
     }
 
+    /**
+     * @notice Get the number of milestones of a proposal
+     * @param _proposalId The proposal ID
+     * @return uint256 The number of milestones
+     */
+    function getMilestoneCount(uint256 _proposalId) external view returns (uint256) {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal ID");
+        return milestones[_proposalId].length;
+    }
+
+    /**
+     * @notice Get a milestone of a proposal
+     * @param _proposalId The proposal ID
+     * @param _index The milestone index, starting at 0
+     * @return Milestone The milestone's amount, state, proof and votes
+     */
+    function getMilestone(uint256 _proposalId, uint256 _index) external view returns (Milestone memory) {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal ID");
+        require(_index < milestones[_proposalId].length, "Invalid milestone index");
+        return milestones[_proposalId][_index];
+    }
+
+    /**
+     * @notice Check if an address has voted on a milestone
+     * @param _proposalId The proposal ID
+     * @param _index The milestone index
+     * @param _voter The voter address
+     * @return bool True if the address has voted
+     */
+    function hasVotedOnMilestone(
+        uint256 _proposalId,
+        uint256 _index,
+        address _voter
+    ) external view returns (bool) {
+        return milestoneVoted[_proposalId][_index][_voter];
+    }
+
     /**
      * @notice Update DAO parameters (only owner)
      * @param _proposalThreshold New proposal threshold
      * @param _votingPeriod New voting period
      * @param _quorumPercentage New quorum percentage
+     * @param _executionDelay New delay between queueing and execution
+     * @dev Proposals already queued keep their execution time
      */
     function updateParameters(
         uint256 _proposalThreshold,
         uint256 _votingPeriod,
-        uint256 _quorumPercentage
+        uint256 _quorumPercentage,
+        uint256 _executionDelay
     ) external onlyOwner {
         require(_quorumPercentage <= 10000, "Quorum cannot exceed 100%");
+        require(_executionDelay <= MAX_EXECUTION_DELAY, "Execution delay too long");
 
         proposalThreshold = _proposalThreshold;
         votingPeriod = _votingPeriod;
         quorumPercentage = _quorumPercentage;
+        executionDelay = _executionDelay;
+
+        emit ParametersUpdated(_proposalThreshold, _votingPeriod, _quorumPercentage, _executionDelay);
+    }
+
+    /**
+     * @notice Update milestone vote parameters (only owner)
+     * @param _reviewPeriod New milestone review period
+     * @param _quorumPercentage New milestone quorum percentage
+     * @param _deadline New time allowed per milestone
+     * @dev Deadlines already set for pending milestones are not changed
+     */
+    function updateMilestoneParameters(
+        uint256 _reviewPeriod,
+        uint256 _quorumPercentage,
+        uint256 _deadline
+    ) external onlyOwner {
+        require(_quorumPercentage <= 10000, "Quorum cannot exceed 100%");
+        require(_deadline > 0, "Deadline must be greater than 0");
 
-        emit ParametersUpdated(_proposalThreshold, _votingPeriod, _quorumPercentage);
+        milestoneReviewPeriod = _reviewPeriod;
+        milestoneQuorumPercentage = _quorumPercentage;
+        milestoneDeadline = _deadline;
+
+        emit MilestoneParametersUpdated(_reviewPeriod, _quorumPercentage, _deadline);
     }
 
     /**
@@ -365,6 +715,14 @@ contract GrantsDAO is Ownable, ReentrancyGuard {
         return address(this).balance;
     }
 
+    /**
+     * @notice Get the treasury funds not promised to any milestone
+     * @return uint256 The amount new proposals and executions can use, in wei
+     */
+    function getAvailableFunds() public view returns (uint256) {
+        return address(this).balance - reservedFunds;
+    }
+
     /**
      * @notice Receive function to accept ETH deposits
      */
@@ -378,4 +736,165 @@ contract GrantsDAO is Ownable, ReentrancyGuard {
     fallback() external payable {
         emit FundsDeposited(msg.sender, msg.value);
     }
+
+    /**
+     * @dev Records a vote, first taking a previous vote by the same voter off its tally.
+     * The weight of a changed vote is the one stored with the first vote, which is the
+     * voter's snapshot balance either way.
+     */
+    function _castVote(uint256 _proposalId, VoteType _support, string memory _reason) private {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal ID");
+        Proposal storage proposal = proposals[_proposalId];
+
+        require(proposal.state == ProposalState.Active, "Proposal is not active");
+        require(block.timestamp <= proposal.votingEndTime, "Voting period has ended");
+
+        uint256 weight;
+        if (proposal.hasVoted[msg.sender]) {
+            weight = proposal.voteWeight[msg.sender];
+            _removeVote(_proposalId, proposal.voteType[msg.sender], weight);
+        } else {
+            weight = governanceToken.getPastVotes(msg.sender, proposal.snapshotBlock);
+            require(weight > 0, "No voting power");
+
+            proposal.hasVoted[msg.sender] = true;
+            proposal.voteWeight[msg.sender] = weight;
+        }
+
+        proposal.voteType[msg.sender] = _support;
+
+        if (_support == VoteType.For) {
+            proposal.forVotes += weight;
+        } else if (_support == VoteType.Against) {
+            proposal.againstVotes += weight;
+        } else {
+            abstainVotes[_proposalId] += weight;
+        }
+
+        emit VoteCast(msg.sender, _proposalId, _support, weight, _reason);
+    }
+
+    /**
+     * @dev Takes a vote off the tally it was counted in
+     */
+    function _removeVote(uint256 _proposalId, VoteType _support, uint256 _weight) private {
+        Proposal storage proposal = proposals[_proposalId];
+
+        if (_support == VoteType.For) {
+            proposal.forVotes -= _weight;
+        } else if (_support == VoteType.Against) {
+            proposal.againstVotes -= _weight;
+        } else {
+            abstainVotes[_proposalId] -= _weight;
+        }
+    }
+
+    /**
+     * @dev Store a new proposal and its milestones
+     */
+    function _createProposal(
+        string memory _title,
+        string memory _description,
+        string memory _metadataURI,
+        uint256[] memory _amounts,
+        string[] memory _milestoneDescriptions
+    ) private returns (uint256) {
+        require(
+            governanceToken.balanceOf(msg.sender) >= proposalThreshold,
+            "Insufficient tokens to create proposal"
+        );
+
+        uint256 requestedAmount = 0;
+        for (uint256 i = 0; i < _amounts.length; i++) {
+            require(_amounts[i] > 0, "Requested amount must be greater than 0");
+            requestedAmount += _amounts[i];
+        }
+        require(requestedAmount <= getAvailableFunds(), "Insufficient treasury funds");
+        require(bytes(_title).length > 0, "Title cannot be empty");
+
+        proposalCount++;
+        uint256 proposalId = proposalCount;
+
+        Proposal storage newProposal = proposals[proposalId];
+        newProposal.id = proposalId;
+        newProposal.proposer = msg.sender;
+        newProposal.title = _title;
+        newProposal.description = _description;
+        newProposal.metadataURI = _metadataURI;
+        newProposal.requestedAmount = requestedAmount;
+        newProposal.votingStartTime = block.timestamp;
+        newProposal.votingEndTime = block.timestamp + votingPeriod;
+        // The previous block is final, so nobody can move tokens into it after seeing the proposal
+        newProposal.snapshotBlock = block.number - 1;
+        newProposal.state = ProposalState.Active;
+
+        for (uint256 i = 0; i < _amounts.length; i++) {
+            Milestone storage milestone = milestones[proposalId].push();
+            milestone.description = _milestoneDescriptions[i];
+            milestone.amount = _amounts[i];
+        }
+
+        emit ProposalCreated(
+            proposalId,
+            msg.sender,
+            _title,
+            requestedAmount,
+            newProposal.votingStartTime,
+            newProposal.votingEndTime
+        );
+
+        return proposalId;
+    }
+
+    /**
+     * @dev Get the milestone awaiting payment of an executed grant that is still running
+     */
+    function _currentMilestone(uint256 _proposalId) private view returns (Milestone storage) {
+        require(_proposalId > 0 && _proposalId <= proposalCount, "Invalid proposal ID");
+        Proposal storage proposal = proposals[_proposalId];
+        require(proposal.state == ProposalState.Executed, "Proposal not executed");
+        require(proposal.currentMilestone < milestones[_proposalId].length, "All milestones released");
+
+        Milestone storage milestone = milestones[_proposalId][proposal.currentMilestone];
+        require(
+            milestone.state != MilestoneState.Rejected && milestone.state != MilestoneState.Expired,
+            "Grant has ended"
+        );
+        return milestone;
+    }
+
+    /**
+     * @dev Pay the current milestone's tranche out of the reserved funds and start the next deadline
+     * @return amount The amount paid
+     */
+    function _releaseMilestone(uint256 _proposalId) private returns (uint256 amount) {
+        Proposal storage proposal = proposals[_proposalId];
+        uint256 index = proposal.currentMilestone;
+        Milestone storage milestone = milestones[_proposalId][index];
+
+        amount = milestone.amount;
+        milestone.state = MilestoneState.Released;
+        proposal.currentMilestone = index + 1;
+        reservedFunds -= amount;
+        if (index + 1 < milestones[_proposalId].length) {
+            milestones[_proposalId][index + 1].deadline = block.timestamp + milestoneDeadline;
+        }
+
+        emit MilestoneReleased(_proposalId, index, amount);
+
+        (bool success, ) = payable(proposal.proposer).call{value: amount}("");
+        require(success, "Transfer failed");
+    }
+
+    /**
+     * @dev Release the reservation for every unpaid milestone of a grant that has ended
+     * @return returned The amount returned to the treasury
+     */
+    function _returnUnreleasedFunds(uint256 _proposalId) private returns (uint256 returned) {
+        Milestone[] storage grantMilestones = milestones[_proposalId];
+        for (uint256 i = proposals[_proposalId].currentMilestone; i < grantMilestones.length; i++) {
+            returned += grantMilestones[i].amount;
+        }
+        reservedFunds -= returned;
+    }
 }
@@ -1,117 +1,152 @@
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
+const { DeploymentManifest } = require("../../shared/deployments");
+
+// ==================== DEPLOYMENT PARAMETERS ====================
+
+// Governance Token Parameters
+const TOKEN_NAME = "Creative DAO Token";
+const TOKEN_SYMBOL = "CREATE";
+const INITIAL_SUPPLY = ethers.parseEther("100000"); // 100,000 tokens
+
+// Proposal NFT Parameters
+const NFT_NAME = "Creative Grants Achievement";
+const NFT_SYMBOL = "CGA";
+
+// DAO Parameters
+const PROPOSAL_THRESHOLD = ethers.parseEther("100"); // Need 100 tokens to create proposal
+const VOTING_PERIOD = 7 * 24 * 60 * 60; // 7 days in seconds
+const QUORUM_PERCENTAGE = 1000; // 10% (in basis points)
+const INITIAL_TREASURY_FUNDING = ethers.parseEther("5"); // 5 ETH
 
 /**
- * Main deployment script for Creative Grants DAO
- *
- * Deploys:
+ * Deploys the Creative Grants DAO contracts and records them in the manifest:
  * 1. GovernanceToken - ERC20 token for voting
  * 2. ProposalNFT - NFT for funded projects
  * 3. GrantsDAO - Main DAO contract
  *
- * After deployment, it:
- * - Links contracts together
- * - Funds the DAO treasury
- * - Distributes initial governance tokens
+ * Contracts the manifest already has are reused. After deployment, it:
+ * - Links ProposalNFT to GrantsDAO (once)
+ * - Funds the treasury of a freshly deployed DAO
+ *
+ * @param {DeploymentManifest} manifest
+ * @param {{ log?: (...args: any[]) => void }} [options]
+ * @returns {Promise<{ governanceToken: string, proposalNFT: string, grantsDAO: string }>}
  */
-async function main() {
-  console.log("🚀 Starting Creative Grants DAO deployment...\n");
-
-  // Get deployer account
+async function deploy(manifest, options = {}) {
+  const log = options.log || console.log;
   const [deployer] = await ethers.getSigners();
-  console.log("📝 Deploying contracts with account:", deployer.address);
-
-  // Check deployer balance
-  const balance = await ethers.provider.getBalance(deployer.address);
-  console.log("💰 Account balance:", ethers.formatEther(balance), "ETH\n");
-
-  // ==================== DEPLOYMENT PARAMETERS ====================
-
-  // Governance Token Parameters
-  const TOKEN_NAME = "Creative DAO Token";
-  const TOKEN_SYMBOL = "CREATE";
-  const INITIAL_SUPPLY = ethers.parseEther("100000"); // 100,000 tokens
 
-  // Proposal NFT Parameters
-  const NFT_NAME = "Creative Grants Achievement";
-  const NFT_SYMBOL = "CGA";
-
-  // DAO Parameters
-  const PROPOSAL_THRESHOLD = ethers.parseEther("100"); // Need 100 tokens to create proposal
-  const VOTING_PERIOD = 7 * 24 * 60 * 60; // 7 days in seconds
-  const QUORUM_PERCENTAGE = 1000; // 10% (in basis points)
-  const INITIAL_TREASURY_FUNDING = ethers.parseEther("5"); // 5 ETH
-
-  console.log("📋 Deployment Parameters:");
-  console.log("   Token Name:", TOKEN_NAME);
-  console.log("   Token Symbol:", TOKEN_SYMBOL);
-  console.log("   Initial Supply:", ethers.formatEther(INITIAL_SUPPLY), TOKEN_SYMBOL);
-  console.log("   Proposal Threshold:", ethers.formatEther(PROPOSAL_THRESHOLD), TOKEN_SYMBOL);
-  console.log("   Voting Period:", VOTING_PERIOD / (24 * 60 * 60), "days");
-  console.log("   Quorum:", QUORUM_PERCENTAGE / 100, "%");
-  console.log("   Initial Treasury:", ethers.formatEther(INITIAL_TREASURY_FUNDING), "ETH\n");
+  // Prints whether a contract was deployed or taken from the manifest
+  const report = (name, address, reused) => {
+    if (reused) {
+      log(`♻️  ${name} already deployed at:`, address);
+    } else {
+      log(`✅ ${name} deployed to:`, address);
+      log("   Transaction hash:", manifest.get(name).transactionHash);
+    }
+  };
 
   // ==================== DEPLOY GOVERNANCE TOKEN ====================
 
-  console.log("🪙 Deploying GovernanceToken...");
-  const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
-  const governanceToken = await GovernanceToken.deploy(
+  log("🪙 Deploying GovernanceToken...");
+  const { contract: governanceToken, reused: tokenReused } = await manifest.deploy("GovernanceToken", [
     TOKEN_NAME,
     TOKEN_SYMBOL,
-    INITIAL_SUPPLY
-  );
-  await governanceToken.waitForDeployment();
+    INITIAL_SUPPLY,
+  ]);
   const tokenAddress = await governanceToken.getAddress();
-  console.log("✅ GovernanceToken deployed to:", tokenAddress);
-  console.log("   Total Supply:", ethers.formatEther(await governanceToken.totalSupply()), TOKEN_SYMBOL, "\n");
+  report("GovernanceToken", tokenAddress, tokenReused);
+  log("   Total Supply:", ethers.formatEther(await governanceToken.totalSupply()), TOKEN_SYMBOL, "\n");
 
   // ==================== DEPLOY PROPOSAL NFT ====================
 
-  console.log("🎨 Deploying ProposalNFT...");
-  const ProposalNFT = await ethers.getContractFactory("ProposalNFT");
-  const proposalNFT = await ProposalNFT.deploy(NFT_NAME, NFT_SYMBOL);
-  await proposalNFT.waitForDeployment();
+  log("🎨 Deploying ProposalNFT...");
+  const { contract: proposalNFT, reused: nftReused } = await manifest.deploy("ProposalNFT", [NFT_NAME, NFT_SYMBOL]);
   const nftAddress = await proposalNFT.getAddress();
-  console.log("✅ ProposalNFT deployed to:", nftAddress, "\n");
+  report("ProposalNFT", nftAddress, nftReused);
+  log();
 
   // ==================== DEPLOY GRANTS DAO ====================
 
-  console.log("🏛️  Deploying GrantsDAO...");
-  const GrantsDAO = await ethers.getContractFactory("GrantsDAO");
-  const grantsDAO = await GrantsDAO.deploy(
+  log("🏛️  Deploying GrantsDAO...");
+  const { contract: grantsDAO, reused: daoReused } = await manifest.deploy("GrantsDAO", [
     tokenAddress,
     nftAddress,
     PROPOSAL_THRESHOLD,
     VOTING_PERIOD,
-    QUORUM_PERCENTAGE
-  );
-  await grantsDAO.waitForDeployment();
+    QUORUM_PERCENTAGE,
+  ]);
   const daoAddress = await grantsDAO.getAddress();
-  console.log("✅ GrantsDAO deployed to:", daoAddress, "\n");
+  report("GrantsDAO", daoAddress, daoReused);
+  log();
 
   // ==================== SETUP & CONFIGURATION ====================
 
-  console.log("⚙️  Configuring contracts...");
-
-  // Set GrantsDAO address in ProposalNFT
-  console.log("   🔗 Linking ProposalNFT to GrantsDAO...");
-  const setDaoTx = await proposalNFT.setGrantsDAO(daoAddress);
-  await setDaoTx.wait();
-  console.log("   ✅ ProposalNFT linked to GrantsDAO");
+  log("⚙️  Configuring contracts...");
+
+  // ProposalNFT accepts its GrantsDAO only once
+  const linkedDAO = await proposalNFT.grantsDAO();
+  if (linkedDAO === daoAddress) {
+    log("   ✅ ProposalNFT already linked to GrantsDAO");
+  } else if (linkedDAO === ethers.ZeroAddress) {
+    log("   🔗 Linking ProposalNFT to GrantsDAO...");
+    const setDaoTx = await proposalNFT.setGrantsDAO(daoAddress);
+    await setDaoTx.wait();
+    log("   ✅ ProposalNFT linked to GrantsDAO");
+  } else {
+    throw new Error(
+      `ProposalNFT ${nftAddress} is linked to another GrantsDAO (${linkedDAO}): ` +
+        `remove ProposalNFT from ${manifest.filePath} to deploy a fresh one`
+    );
+  }
 
-  // Fund the DAO treasury
-  if (INITIAL_TREASURY_FUNDING > 0) {
-    console.log("   💸 Funding DAO treasury...");
+  // Fund the treasury of a new DAO only, so re-running does not send funds again
+  if (!daoReused && INITIAL_TREASURY_FUNDING > 0) {
+    log("   💸 Funding DAO treasury...");
     const fundTx = await deployer.sendTransaction({
       to: daoAddress,
       value: INITIAL_TREASURY_FUNDING,
     });
     await fundTx.wait();
-    const treasuryBalance = await grantsDAO.getTreasuryBalance();
-    console.log("   ✅ Treasury funded with:", ethers.formatEther(treasuryBalance), "ETH");
   }
+  const treasuryBalance = await grantsDAO.getTreasuryBalance();
+  log("   💰 Treasury balance:", ethers.formatEther(treasuryBalance), "ETH");
+
+  log("\n");
+
+  return {
+    governanceToken: tokenAddress,
+    proposalNFT: nftAddress,
+    grantsDAO: daoAddress,
+  };
+}
+
+/**
+ * Main deployment script for Creative Grants DAO
+ */
+async function main() {
+  console.log("🚀 Starting Creative Grants DAO deployment...\n");
 
-  console.log("\n");
+  // Get deployer account
+  const [deployer] = await ethers.getSigners();
+  console.log("📝 Deploying contracts with account:", deployer.address);
+
+  // Check deployer balance
+  const balance = await ethers.provider.getBalance(deployer.address);
+  console.log("💰 Account balance:", ethers.formatEther(balance), "ETH\n");
+
+  console.log("📋 Deployment Parameters:");
+  console.log("   Token Name:", TOKEN_NAME);
+  console.log("   Token Symbol:", TOKEN_SYMBOL);
+  console.log("   Initial Supply:", ethers.formatEther(INITIAL_SUPPLY), TOKEN_SYMBOL);
+  console.log("   Proposal Threshold:", ethers.formatEther(PROPOSAL_THRESHOLD), TOKEN_SYMBOL);
+  console.log("   Voting Period:", VOTING_PERIOD / (24 * 60 * 60), "days");
+  console.log("   Quorum:", QUORUM_PERCENTAGE / 100, "%");
+  console.log("   Initial Treasury:", ethers.formatEther(INITIAL_TREASURY_FUNDING), "ETH\n");
+
+  const manifest = await DeploymentManifest.load(hre);
+  const { governanceToken: tokenAddress, proposalNFT: nftAddress, grantsDAO: daoAddress } = await deploy(manifest);
 
   // ==================== SUMMARY ====================
 
@@ -122,7 +157,9 @@ async function main() {
   console.log("   GovernanceToken:", tokenAddress);
   console.log("   ProposalNFT:    ", nftAddress);
   console.log("   GrantsDAO:      ", daoAddress);
-  console.log("\n💾 Save these addresses for interaction!");
+  if (manifest.filePath) {
+    console.log("\n💾 Addresses saved to", manifest.filePath);
+  }
   console.log("\n📊 Next Steps:");
   console.log("   1. Distribute governance tokens to community members");
   console.log("   2. Create your first proposal");
@@ -133,19 +170,16 @@ async function main() {
   console.log(`   npx hardhat verify --network <network> ${nftAddress} "${NFT_NAME}" "${NFT_SYMBOL}"`);
   console.log(`   npx hardhat verify --network <network> ${daoAddress} ${tokenAddress} ${nftAddress} ${PROPOSAL_THRESHOLD} ${VOTING_PERIOD} ${QUORUM_PERCENTAGE}`);
   console.log("\n═══════════════════════════════════════════════════════════\n");
+}
 
-  // Return addresses for testing/scripting purposes
-  return {
-    governanceToken: tokenAddress,
-    proposalNFT: nftAddress,
-    grantsDAO: daoAddress,
-  };
+// Execute deployment when run directly
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Deployment failed:", error);
+      process.exit(1);
+    });
 }
 
-// Execute deployment
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error("❌ Deployment failed:", error);
-    process.exit(1);
-  });
+module.exports = { deploy };
@@ -1,5 +1,9 @@
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
+const { deploymentAddress } = require("../../shared/deployments");
+
+// GrantsDAO.VoteType: Against = 0, For = 1, Abstain = 2
+const VOTE_FOR = 1;
 
 /**
  * Interactive script to demonstrate DAO functionality
@@ -17,10 +21,16 @@ async function main() {
   // Get signers
   const [owner, proposer, voter1, voter2] = await ethers.getSigners();
 
-  // Replace these with your deployed contract addresses
-  const GOVERNANCE_TOKEN_ADDRESS = "YOUR_TOKEN_ADDRESS";
-  const PROPOSAL_NFT_ADDRESS = "YOUR_NFT_ADDRESS";
-  const GRANTS_DAO_ADDRESS = "YOUR_DAO_ADDRESS";
+  // Addresses come from the network's manifest written by deploy.js; environment variables override them
+  const GOVERNANCE_TOKEN_ADDRESS = await deploymentAddress(hre, "GovernanceToken", "GOVERNANCE_TOKEN_ADDRESS");
+  const PROPOSAL_NFT_ADDRESS = await deploymentAddress(hre, "ProposalNFT", "PROPOSAL_NFT_ADDRESS");
+  const GRANTS_DAO_ADDRESS = await deploymentAddress(hre, "GrantsDAO", "GRANTS_DAO_ADDRESS");
+  if (!GOVERNANCE_TOKEN_ADDRESS || !PROPOSAL_NFT_ADDRESS || !GRANTS_DAO_ADDRESS) {
+    throw new Error(
+      `No deployment found on network "${hre.network.name}": run scripts/deploy.js first ` +
+        "or set GOVERNANCE_TOKEN_ADDRESS, PROPOSAL_NFT_ADDRESS and GRANTS_DAO_ADDRESS"
+    );
+  }
 
   // Connect to deployed contracts
   console.log("📡 Connecting to contracts...");
@@ -70,10 +80,10 @@ async function main() {
 
   // Vote on the proposal
   console.log("\n🗳️  Casting votes...");
-  await grantsDAO.connect(voter1).castVote(proposalCount, true);
+  await grantsDAO.connect(voter1).castVote(proposalCount, VOTE_FOR);
   console.log("   ✅ Voter 1 voted FOR");
 
-  await grantsDAO.connect(voter2).castVote(proposalCount, true);
+  await grantsDAO.connect(voter2).castVote(proposalCount, VOTE_FOR);
   console.log("   ✅ Voter 2 voted FOR");
 
   // Check voting results
@@ -89,8 +99,9 @@ async function main() {
   // Example of finalizing (would need time travel in real test)
   console.log("\n📊 After voting period ends:");
   console.log("   1. Call finalizeProposal()");
-  console.log("   2. If successful, call executeProposal()");
-  console.log("   3. Funds distributed + NFT minted!");
+  console.log("   2. If successful, call queueProposal()");
+  console.log("   3. After the 2 day execution delay, call executeProposal()");
+  console.log("   4. Funds distributed + NFT minted!");
 
   console.log("\n🎉 Demo complete!");
   console.log("\n📖 Next steps:");
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("Creative Grants DAO - Complete Test Suite", function () {
   let governanceToken;
@@ -20,6 +21,8 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
   const PROPOSAL_THRESHOLD = ethers.parseEther("100");
   const VOTING_PERIOD = 7 * 24 * 60 * 60; // 7 days
   const QUORUM_PERCENTAGE = 1000; // 10%
+  const EXECUTION_DELAY = 2 * 24 * 60 * 60; // 2 days
+  const VoteType = { Against: 0, For: 1, Abstain: 2 };
 
   beforeEach(async function () {
     // Get signers
@@ -77,6 +80,7 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
       expect(await grantsDAO.proposalThreshold()).to.equal(PROPOSAL_THRESHOLD);
       expect(await grantsDAO.votingPeriod()).to.equal(VOTING_PERIOD);
       expect(await grantsDAO.quorumPercentage()).to.equal(QUORUM_PERCENTAGE);
+      expect(await grantsDAO.executionDelay()).to.equal(EXECUTION_DELAY);
     });
 
     it("Should have correct token distribution", async function () {
@@ -127,6 +131,20 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
       );
     });
 
+    it("Should record vote checkpoints on transfers", async function () {
+      const before = await ethers.provider.getBlockNumber();
+      await governanceToken.connect(voter3).transfer(voter2.address, ethers.parseEther("1000"));
+      const after = await ethers.provider.getBlockNumber();
+      await time.increase(1);
+
+      // Holders vote with their own balance without having to delegate
+      expect(await governanceToken.delegates(voter1.address)).to.equal(voter1.address);
+      expect(await governanceToken.getVotes(voter3.address)).to.equal(ethers.parseEther("4000"));
+      expect(await governanceToken.getPastVotes(voter3.address, before)).to.equal(ethers.parseEther("5000"));
+      expect(await governanceToken.getPastVotes(voter2.address, after)).to.equal(ethers.parseEther("11000"));
+      expect(await governanceToken.getPastTotalSupply(before)).to.equal(INITIAL_SUPPLY);
+    });
+
     it("Should check voting power correctly", async function () {
       expect(await governanceToken.hasVotingPower(voter1.address)).to.be.true;
       expect(await governanceToken.getVotingPower(voter1.address)).to.equal(
@@ -211,45 +229,270 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
     });
 
     it("Should allow token holders to vote", async function () {
-      await expect(grantsDAO.connect(voter1).castVote(1, true))
+      await expect(grantsDAO.connect(voter1).castVote(1, VoteType.For))
         .to.emit(grantsDAO, "VoteCast")
-        .withArgs(voter1.address, 1, true, ethers.parseEther("15000"));
+        .withArgs(voter1.address, 1, VoteType.For, ethers.parseEther("15000"), "");
 
       const proposal = await grantsDAO.getProposal(1);
       expect(proposal.forVotes).to.equal(ethers.parseEther("15000"));
     });
 
-    it("Should not allow voting twice", async function () {
-      await grantsDAO.connect(voter1).castVote(1, true);
+    it("Should let a voter change their vote while voting is open", async function () {
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
+      await grantsDAO.connect(voter2).castVote(1, VoteType.For);
+
+      await expect(grantsDAO.connect(voter1).castVote(1, VoteType.Against))
+        .to.emit(grantsDAO, "VoteCast")
+        .withArgs(voter1.address, 1, VoteType.Against, ethers.parseEther("15000"), "");
+      expect(await grantsDAO.getProposalVotes(1)).to.deep.equal([
+        ethers.parseEther("10000"),
+        ethers.parseEther("15000"),
+        0n,
+      ]);
+
+      await grantsDAO.connect(voter1).castVote(1, VoteType.Abstain);
+      expect(await grantsDAO.getProposalVotes(1)).to.deep.equal([
+        ethers.parseEther("10000"),
+        0n,
+        ethers.parseEther("15000"),
+      ]);
+      expect(await grantsDAO.getVote(1, voter1.address)).to.deep.equal([
+        BigInt(VoteType.Abstain),
+        ethers.parseEther("15000"),
+      ]);
+
+      await time.increase(VOTING_PERIOD + 1);
       await expect(
-        grantsDAO.connect(voter1).castVote(1, true)
-      ).to.be.revertedWith("Already voted");
+        grantsDAO.connect(voter1).castVote(1, VoteType.For)
+      ).to.be.revertedWith("Voting period has ended");
+    });
+
+    it("Should keep the snapshot weight when a vote changes", async function () {
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
+      await governanceToken.connect(voter1).transfer(voter2.address, ethers.parseEther("10000"));
+
+      await expect(grantsDAO.connect(voter1).castVote(1, VoteType.Against))
+        .to.emit(grantsDAO, "VoteCast")
+        .withArgs(voter1.address, 1, VoteType.Against, ethers.parseEther("15000"), "");
     });
 
-    it("Should correctly count for and against votes", async function () {
-      await grantsDAO.connect(voter1).castVote(1, true);
-      await grantsDAO.connect(voter2).castVote(1, true);
-      await grantsDAO.connect(voter3).castVote(1, false);
+    it("Should correctly count for, against and abstain votes", async function () {
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
+      await grantsDAO.connect(voter2).castVote(1, VoteType.Abstain);
+      await grantsDAO.connect(voter3).castVote(1, VoteType.Against);
 
       const proposal = await grantsDAO.getProposal(1);
-      expect(proposal.forVotes).to.equal(ethers.parseEther("25000"));
+      expect(proposal.forVotes).to.equal(ethers.parseEther("15000"));
       expect(proposal.againstVotes).to.equal(ethers.parseEther("5000"));
+      expect((await grantsDAO.getProposalVotes(1)).abstain).to.equal(ethers.parseEther("10000"));
+
+      await expect(grantsDAO.connect(voter1).castVote(1, 3)).to.be.reverted;
+    });
+
+    it("Should emit the reason given with a vote", async function () {
+      await expect(
+        grantsDAO.connect(voter2).castVoteWithReason(1, VoteType.Abstain, "I advise this project")
+      )
+        .to.emit(grantsDAO, "VoteCast")
+        .withArgs(voter2.address, 1, VoteType.Abstain, ethers.parseEther("10000"), "I advise this project");
     });
 
     it("Should not allow voting after period ends", async function () {
       await time.increase(VOTING_PERIOD + 1);
       await expect(
-        grantsDAO.connect(voter1).castVote(1, true)
+        grantsDAO.connect(voter1).castVote(1, VoteType.For)
       ).to.be.revertedWith("Voting period has ended");
     });
 
     it("Should track if an address has voted", async function () {
-      await grantsDAO.connect(voter1).castVote(1, true);
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
       expect(await grantsDAO.hasVoted(1, voter1.address)).to.be.true;
       expect(await grantsDAO.hasVoted(1, voter2.address)).to.be.false;
     });
   });
 
+  describe("📸 Voting Snapshots", function () {
+    beforeEach(async function () {
+      await grantsDAO
+        .connect(proposer)
+        .createProposal(
+          "Snapshot Proposal",
+          "Test Description",
+          "ipfs://snapshot",
+          ethers.parseEther("1")
+        );
+    });
+
+    it("Should take the snapshot at the block before the proposal", async function () {
+      const blockNumber = await ethers.provider.getBlockNumber();
+      expect(await grantsDAO.getProposalSnapshot(1)).to.equal(blockNumber - 1);
+      await expect(grantsDAO.getProposalSnapshot(2)).to.be.revertedWith("Invalid proposal ID");
+    });
+
+    it("Should not let tokens vote again after a transfer", async function () {
+      const [, , , , , recycler] = await ethers.getSigners();
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
+
+      // Move the same tokens to a fresh wallet and try to vote with them again
+      await governanceToken.connect(voter1).transfer(recycler.address, ethers.parseEther("15000"));
+      await expect(grantsDAO.connect(recycler).castVote(1, VoteType.For)).to.be.revertedWith("No voting power");
+
+      const proposal = await grantsDAO.getProposal(1);
+      expect(proposal.forVotes).to.equal(ethers.parseEther("15000"));
+    });
+
+    it("Should weigh votes by the balance at the snapshot", async function () {
+      // voter2 receives tokens after the proposal and voter3 sends some away
+      await governanceToken.connect(voter1).transfer(voter2.address, ethers.parseEther("5000"));
+      await governanceToken.connect(voter3).transfer(owner.address, ethers.parseEther("4000"));
+
+      await expect(grantsDAO.connect(voter2).castVote(1, VoteType.For))
+        .to.emit(grantsDAO, "VoteCast")
+        .withArgs(voter2.address, 1, VoteType.For, ethers.parseEther("10000"), "");
+      await expect(grantsDAO.connect(voter3).castVote(1, VoteType.Against))
+        .to.emit(grantsDAO, "VoteCast")
+        .withArgs(voter3.address, 1, VoteType.Against, ethers.parseEther("5000"), "");
+    });
+
+    it("Should measure quorum against the supply at the snapshot", async function () {
+      // 15000 of 100000 tokens meets the 10% quorum at the snapshot...
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
+      // ...and minting afterwards cannot raise the bar
+      await governanceToken.mint(owner.address, ethers.parseEther("900000"));
+      await time.increase(VOTING_PERIOD + 1);
+      await grantsDAO.finalizeProposal(1);
+
+      const proposal = await grantsDAO.getProposal(1);
+      expect(proposal.state).to.equal(3); // Succeeded
+    });
+  });
+
+  describe("🤝 Delegation", function () {
+    const createProposal = () =>
+      grantsDAO
+        .connect(proposer)
+        .createProposal("Delegation Proposal", "Test Description", "ipfs://delegate", ethers.parseEther("1"));
+
+    // EIP-712 signature for GovernanceToken.delegateBySig
+    async function signDelegation(signer, delegatee, nonce, expiry) {
+      const domain = {
+        name: TOKEN_NAME,
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await governanceToken.getAddress(),
+      };
+      const types = {
+        Delegation: [
+          { name: "delegatee", type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "expiry", type: "uint256" },
+        ],
+      };
+      const signature = await signer.signTypedData(domain, types, { delegatee, nonce, expiry });
+      return ethers.Signature.from(signature);
+    }
+
+    it("Should move voting power to the delegate", async function () {
+      await expect(governanceToken.connect(voter3).delegate(voter1.address))
+        .to.emit(governanceToken, "DelegateChanged")
+        .withArgs(voter3.address, voter3.address, voter1.address);
+
+      expect(await governanceToken.delegates(voter3.address)).to.equal(voter1.address);
+      expect(await governanceToken.getVotingPower(voter1.address)).to.equal(ethers.parseEther("20000"));
+      expect(await governanceToken.getVotingPower(voter3.address)).to.equal(0);
+      expect(await governanceToken.hasVotingPower(voter3.address)).to.be.false;
+      // Tokens stay with their holder
+      expect(await governanceToken.balanceOf(voter3.address)).to.equal(ethers.parseEther("5000"));
+
+      // Tokens received later follow the delegation
+      await governanceToken.connect(voter2).transfer(voter3.address, ethers.parseEther("1000"));
+      expect(await governanceToken.getVotingPower(voter1.address)).to.equal(ethers.parseEther("21000"));
+    });
+
+    it("Should count delegated votes once, for the delegate", async function () {
+      // Neither holder reaches the 10% quorum alone
+      const [, , , , , small1, small2] = await ethers.getSigners();
+      await governanceToken.connect(voter1).transfer(small1.address, ethers.parseEther("8000"));
+      await governanceToken.connect(voter1).transfer(small2.address, ethers.parseEther("7000"));
+      await governanceToken.connect(small2).delegate(small1.address);
+      await createProposal();
+
+      await expect(grantsDAO.connect(small2).castVote(1, VoteType.For)).to.be.revertedWith("No voting power");
+      await expect(grantsDAO.connect(small1).castVote(1, VoteType.For))
+        .to.emit(grantsDAO, "VoteCast")
+        .withArgs(small1.address, 1, VoteType.For, ethers.parseEther("15000"), "");
+
+      await time.increase(VOTING_PERIOD + 1);
+      await grantsDAO.finalizeProposal(1);
+      const proposal = await grantsDAO.getProposal(1);
+      expect(proposal.forVotes).to.equal(ethers.parseEther("15000"));
+      expect(proposal.state).to.equal(3); // Succeeded
+    });
+
+    it("Should not let a voter delegate votes already cast", async function () {
+      await createProposal();
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
+
+      // Delegating after the snapshot only affects later proposals
+      await governanceToken.connect(voter1).delegate(voter2.address);
+      await expect(grantsDAO.connect(voter2).castVote(1, VoteType.For))
+        .to.emit(grantsDAO, "VoteCast")
+        .withArgs(voter2.address, 1, VoteType.For, ethers.parseEther("10000"), "");
+
+      await createProposal();
+      await expect(grantsDAO.connect(voter1).castVote(2, VoteType.For)).to.be.revertedWith("No voting power");
+      await expect(grantsDAO.connect(voter2).castVote(2, VoteType.For))
+        .to.emit(grantsDAO, "VoteCast")
+        .withArgs(voter2.address, 2, VoteType.For, ethers.parseEther("25000"), "");
+    });
+
+    it("Should revoke a delegation", async function () {
+      await expect(governanceToken.connect(voter3).revokeDelegation()).to.be.revertedWith(
+        "No delegation to revoke"
+      );
+      await governanceToken.connect(voter3).delegate(voter1.address);
+
+      await expect(governanceToken.connect(voter3).revokeDelegation())
+        .to.emit(governanceToken, "DelegateChanged")
+        .withArgs(voter3.address, voter1.address, voter3.address);
+      expect(await governanceToken.getVotingPower(voter3.address)).to.equal(ethers.parseEther("5000"));
+      expect(await governanceToken.getVotingPower(voter1.address)).to.equal(ethers.parseEther("15000"));
+
+      // Delegating to the zero address also gives the votes back
+      await governanceToken.connect(voter3).delegate(voter1.address);
+      await governanceToken.connect(voter3).delegate(ethers.ZeroAddress);
+      expect(await governanceToken.delegates(voter3.address)).to.equal(voter3.address);
+      expect(await governanceToken.getVotingPower(voter3.address)).to.equal(ethers.parseEther("5000"));
+      await governanceToken.connect(voter3).transfer(voter2.address, ethers.parseEther("5000"));
+      expect(await governanceToken.getVotingPower(voter3.address)).to.equal(0);
+    });
+
+    it("Should delegate by signature", async function () {
+      const expiry = (await time.latest()) + 3600;
+      const { v, r, s } = await signDelegation(voter3, voter1.address, 0, expiry);
+
+      // Anyone can submit the signed delegation
+      await governanceToken.connect(owner).delegateBySig(voter1.address, 0, expiry, v, r, s);
+
+      expect(await governanceToken.delegates(voter3.address)).to.equal(voter1.address);
+      expect(await governanceToken.getVotingPower(voter1.address)).to.equal(ethers.parseEther("20000"));
+      expect(await governanceToken.nonces(voter3.address)).to.equal(1);
+      await expect(
+        governanceToken.delegateBySig(voter1.address, 0, expiry, v, r, s)
+      ).to.be.revertedWithCustomError(governanceToken, "InvalidAccountNonce");
+    });
+
+    it("Should reject expired delegation signatures", async function () {
+      const expiry = (await time.latest()) + 60;
+      const { v, r, s } = await signDelegation(voter3, voter1.address, 0, expiry);
+      await time.increase(120);
+
+      await expect(
+        governanceToken.delegateBySig(voter1.address, 0, expiry, v, r, s)
+      ).to.be.revertedWithCustomError(governanceToken, "VotesExpiredSignature");
+    });
+  });
+
   describe("✅ Proposal Finalization", function () {
     beforeEach(async function () {
       await grantsDAO
@@ -264,7 +507,7 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
 
     it("Should succeed when quorum is met and majority votes yes", async function () {
       // 15000 tokens is 15% of 100000, which exceeds 10% quorum
-      await grantsDAO.connect(voter1).castVote(1, true);
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
       await time.increase(VOTING_PERIOD + 1);
       await grantsDAO.finalizeProposal(1);
 
@@ -274,7 +517,7 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
 
     it("Should fail when quorum is not met", async function () {
       // 500 tokens is only 0.5%, below 10% quorum
-      await grantsDAO.connect(proposer).castVote(1, true);
+      await grantsDAO.connect(proposer).castVote(1, VoteType.For);
       await time.increase(VOTING_PERIOD + 1);
       await grantsDAO.finalizeProposal(1);
 
@@ -283,8 +526,37 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
     });
 
     it("Should fail when more votes against than for", async function () {
-      await grantsDAO.connect(voter1).castVote(1, false); // 15000 against
-      await grantsDAO.connect(voter2).castVote(1, true); // 10000 for
+      await grantsDAO.connect(voter1).castVote(1, VoteType.Against); // 15000 against
+      await grantsDAO.connect(voter2).castVote(1, VoteType.For); // 10000 for
+      await time.increase(VOTING_PERIOD + 1);
+      await grantsDAO.finalizeProposal(1);
+
+      const proposal = await grantsDAO.getProposal(1);
+      expect(proposal.state).to.equal(2); // Defeated
+    });
+
+    it("Should count abstentions toward quorum but not toward majority", async function () {
+      // 5000 for is below the 10000 quorum until voter2's 10000 abstain votes are added
+      await grantsDAO.connect(voter3).castVote(1, VoteType.For);
+      await grantsDAO.connect(voter2).castVote(1, VoteType.Abstain);
+
+      await grantsDAO
+        .connect(proposer)
+        .createProposal("Only Abstain", "Test", "ipfs://abstain", ethers.parseEther("1"));
+      await grantsDAO.connect(voter1).castVote(2, VoteType.Abstain);
+
+      await time.increase(VOTING_PERIOD + 1);
+      await grantsDAO.finalizeProposal(1);
+      await grantsDAO.finalizeProposal(2);
+
+      expect((await grantsDAO.getProposal(1)).state).to.equal(3); // Succeeded
+      expect((await grantsDAO.getProposal(2)).state).to.equal(2); // Defeated
+    });
+
+    it("Should finalize on revised votes", async function () {
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
+      await grantsDAO.connect(voter2).castVote(1, VoteType.For);
+      await grantsDAO.connect(voter1).castVote(1, VoteType.Against); // 15000 against, 10000 for
       await time.increase(VOTING_PERIOD + 1);
       await grantsDAO.finalizeProposal(1);
 
@@ -293,7 +565,7 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
     });
 
     it("Should not finalize before voting period ends", async function () {
-      await grantsDAO.connect(voter1).castVote(1, true);
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
       await expect(grantsDAO.finalizeProposal(1)).to.be.revertedWith(
         "Voting period not ended"
       );
@@ -310,9 +582,11 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
           "ipfs://test",
           ethers.parseEther("1")
         );
-      await grantsDAO.connect(voter1).castVote(1, true);
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
       await time.increase(VOTING_PERIOD + 1);
       await grantsDAO.finalizeProposal(1);
+      await grantsDAO.queueProposal(1);
+      await time.increase(EXECUTION_DELAY);
     });
 
     it("Should execute successful proposal and transfer funds", async function () {
@@ -339,7 +613,7 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
     it("Should not allow double execution", async function () {
       await grantsDAO.executeProposal(1);
       await expect(grantsDAO.executeProposal(1)).to.be.revertedWith(
-        "Proposal not succeeded"
+        "Proposal not queued"
       );
     });
 
@@ -353,13 +627,384 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
           "ipfs://fail",
           ethers.parseEther("0.5")
         );
-      await grantsDAO.connect(proposer).castVote(2, true); // Not enough for quorum
+      await grantsDAO.connect(proposer).castVote(2, VoteType.For); // Not enough for quorum
       await time.increase(VOTING_PERIOD + 1);
       await grantsDAO.finalizeProposal(2);
 
-      await expect(grantsDAO.executeProposal(2)).to.be.revertedWith(
+      await expect(grantsDAO.queueProposal(2)).to.be.revertedWith(
         "Proposal not succeeded"
       );
+      await expect(grantsDAO.executeProposal(2)).to.be.revertedWith(
+        "Proposal not queued"
+      );
+    });
+  });
+
+  describe("⏳ Timelock", function () {
+    const EXECUTION_WINDOW = 14 * 24 * 60 * 60;
+    let executionTime;
+
+    beforeEach(async function () {
+      await grantsDAO
+        .connect(proposer)
+        .createProposal(
+          "Timelocked Proposal",
+          "Waits before execution",
+          "ipfs://timelock",
+          ethers.parseEther("1")
+        );
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
+      await time.increase(VOTING_PERIOD + 1);
+      await grantsDAO.finalizeProposal(1);
+      await grantsDAO.queueProposal(1);
+      executionTime = (await time.latest()) + EXECUTION_DELAY;
+    });
+
+    it("Should queue a succeeded proposal with its execution time", async function () {
+      await grantsDAO
+        .connect(proposer)
+        .createProposal("Second", "Test", "ipfs://second", ethers.parseEther("1"));
+      await expect(grantsDAO.queueProposal(2)).to.be.revertedWith("Proposal not succeeded");
+      await grantsDAO.connect(voter1).castVote(2, VoteType.For);
+      await time.increase(VOTING_PERIOD + 1);
+      await grantsDAO.finalizeProposal(2);
+
+      await expect(grantsDAO.connect(voter3).queueProposal(2))
+        .to.emit(grantsDAO, "ProposalQueued")
+        .withArgs(2, (await time.latest()) + 1 + EXECUTION_DELAY);
+
+      expect((await grantsDAO.getProposal(2)).state).to.equal(6); // Queued
+      expect(await grantsDAO.getProposalExecutionTime(2)).to.equal((await time.latest()) + EXECUTION_DELAY);
+      await expect(grantsDAO.queueProposal(2)).to.be.revertedWith("Proposal not succeeded");
+    });
+
+    it("Should not execute a succeeded proposal that was not queued", async function () {
+      await grantsDAO
+        .connect(proposer)
+        .createProposal("Second", "Test", "ipfs://second", ethers.parseEther("1"));
+      await grantsDAO.connect(voter1).castVote(2, VoteType.For);
+      await time.increase(VOTING_PERIOD + 1);
+      await grantsDAO.finalizeProposal(2);
+
+      await expect(grantsDAO.executeProposal(2)).to.be.revertedWith("Proposal not queued");
+    });
+
+    it("Should not execute one second before the execution time", async function () {
+      await time.setNextBlockTimestamp(executionTime - 1);
+      await expect(grantsDAO.executeProposal(1)).to.be.revertedWith("Execution delay not passed");
+
+      await time.setNextBlockTimestamp(executionTime);
+      await expect(grantsDAO.executeProposal(1))
+        .to.emit(grantsDAO, "ProposalExecuted")
+        .withArgs(1, ethers.parseEther("1"));
+    });
+
+    it("Should execute on the last second of the execution window", async function () {
+      await time.setNextBlockTimestamp(executionTime + EXECUTION_WINDOW);
+      await grantsDAO.executeProposal(1);
+
+      expect((await grantsDAO.getProposal(1)).state).to.equal(4); // Executed
+      await expect(grantsDAO.expireProposal(1)).to.be.revertedWith("Proposal not queued");
+    });
+
+    it("Should expire once the execution window has passed", async function () {
+      await time.setNextBlockTimestamp(executionTime + EXECUTION_WINDOW);
+      await expect(grantsDAO.expireProposal(1)).to.be.revertedWith("Execution window not passed");
+
+      await time.setNextBlockTimestamp(executionTime + EXECUTION_WINDOW + 1);
+      await expect(grantsDAO.executeProposal(1)).to.be.revertedWith("Execution window has passed");
+
+      await expect(grantsDAO.connect(voter3).expireProposal(1))
+        .to.emit(grantsDAO, "ProposalExpired")
+        .withArgs(1);
+
+      expect((await grantsDAO.getProposal(1)).state).to.equal(7); // Expired
+      expect(await grantsDAO.getAvailableFunds()).to.equal(ethers.parseEther("10"));
+      await expect(grantsDAO.executeProposal(1)).to.be.revertedWith("Proposal not queued");
+    });
+
+    it("Should keep the execution time of queued proposals when the delay changes", async function () {
+      await grantsDAO.updateParameters(PROPOSAL_THRESHOLD, VOTING_PERIOD, QUORUM_PERCENTAGE, 0);
+
+      expect(await grantsDAO.getProposalExecutionTime(1)).to.equal(executionTime);
+      await expect(grantsDAO.executeProposal(1)).to.be.revertedWith("Execution delay not passed");
+
+      await grantsDAO
+        .connect(proposer)
+        .createProposal("Second", "Test", "ipfs://second", ethers.parseEther("1"));
+      await grantsDAO.connect(voter1).castVote(2, VoteType.For);
+      await time.increase(VOTING_PERIOD + 1);
+      await grantsDAO.finalizeProposal(2);
+      await grantsDAO.queueProposal(2);
+
+      // With no delay a newly queued proposal can execute in the next block
+      await expect(grantsDAO.executeProposal(2)).to.emit(grantsDAO, "ProposalExecuted");
+    });
+  });
+
+  describe("🏁 Milestones", function () {
+    const REVIEW_PERIOD = 3 * 24 * 60 * 60;
+    const DEADLINE = 90 * 24 * 60 * 60;
+    const AMOUNTS = [ethers.parseEther("1"), ethers.parseEther("2"), ethers.parseEther("3")];
+    const DESCRIPTIONS = ["Prototype", "Public beta", "Launch"];
+    const MilestoneState = { Pending: 0, Submitted: 1, Released: 2, Rejected: 3, Expired: 4 };
+
+    // Create, pass and execute a proposal paid in three tranches
+    async function executeMilestoneProposal() {
+      await grantsDAO
+        .connect(proposer)
+        .createMilestoneProposal("Staged Project", "Paid in stages", "ipfs://staged", AMOUNTS, DESCRIPTIONS);
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
+      await time.increase(VOTING_PERIOD + 1);
+      await grantsDAO.finalizeProposal(1);
+      await grantsDAO.queueProposal(1);
+      await time.increase(EXECUTION_DELAY);
+      await grantsDAO.executeProposal(1);
+    }
+
+    it("Should create a proposal with milestones", async function () {
+      await expect(
+        grantsDAO
+          .connect(proposer)
+          .createMilestoneProposal("Staged Project", "Paid in stages", "ipfs://staged", AMOUNTS, DESCRIPTIONS)
+      )
+        .to.emit(grantsDAO, "ProposalCreated")
+        .withArgs(1, proposer.address, "Staged Project", ethers.parseEther("6"), anyValue, anyValue);
+
+      expect((await grantsDAO.getProposal(1)).requestedAmount).to.equal(ethers.parseEther("6"));
+      expect(await grantsDAO.getMilestoneCount(1)).to.equal(3);
+      const milestone = await grantsDAO.getMilestone(1, 1);
+      expect(milestone.description).to.equal("Public beta");
+      expect(milestone.amount).to.equal(ethers.parseEther("2"));
+      expect(milestone.state).to.equal(MilestoneState.Pending);
+      await expect(grantsDAO.getMilestone(1, 3)).to.be.revertedWith("Invalid milestone index");
+    });
+
+    it("Should treat a plain proposal as a single milestone", async function () {
+      await grantsDAO
+        .connect(proposer)
+        .createProposal("Single Payment", "Test", "ipfs://single", ethers.parseEther("1"));
+
+      expect(await grantsDAO.getMilestoneCount(1)).to.equal(1);
+      expect((await grantsDAO.getMilestone(1, 0)).amount).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should validate milestones", async function () {
+      const create = (amounts, descriptions) =>
+        grantsDAO.connect(proposer).createMilestoneProposal("Staged", "Test", "ipfs://test", amounts, descriptions);
+
+      await expect(create([], [])).to.be.revertedWith("No milestones provided");
+      await expect(create(AMOUNTS, ["Prototype"])).to.be.revertedWith("Arrays length mismatch");
+      await expect(
+        create(Array(11).fill(ethers.parseEther("0.1")), Array(11).fill("Step"))
+      ).to.be.revertedWith("Too many milestones");
+      await expect(create([ethers.parseEther("1"), 0], ["Prototype", "Launch"])).to.be.revertedWith(
+        "Requested amount must be greater than 0"
+      );
+      await expect(
+        create([ethers.parseEther("6"), ethers.parseEther("6")], ["Prototype", "Launch"])
+      ).to.be.revertedWith("Insufficient treasury funds");
+    });
+
+    it("Should only release the first tranche at execution", async function () {
+      await grantsDAO
+        .connect(proposer)
+        .createMilestoneProposal("Staged Project", "Paid in stages", "ipfs://staged", AMOUNTS, DESCRIPTIONS);
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
+      await time.increase(VOTING_PERIOD + 1);
+      await grantsDAO.finalizeProposal(1);
+      await grantsDAO.queueProposal(1);
+      await time.increase(EXECUTION_DELAY);
+
+      const initialBalance = await ethers.provider.getBalance(proposer.address);
+      await expect(grantsDAO.executeProposal(1))
+        .to.emit(grantsDAO, "MilestoneReleased")
+        .withArgs(1, 0, ethers.parseEther("1"))
+        .and.to.emit(grantsDAO, "ProposalExecuted")
+        .withArgs(1, ethers.parseEther("1"));
+
+      expect((await ethers.provider.getBalance(proposer.address)) - initialBalance).to.equal(ethers.parseEther("1"));
+      expect(await grantsDAO.reservedFunds()).to.equal(ethers.parseEther("5"));
+      expect(await grantsDAO.getAvailableFunds()).to.equal(ethers.parseEther("4"));
+      expect((await grantsDAO.getMilestone(1, 0)).state).to.equal(MilestoneState.Released);
+      expect((await grantsDAO.getMilestone(1, 1)).deadline).to.equal((await time.latest()) + DEADLINE);
+    });
+
+    it("Should keep reserved funds out of new proposals", async function () {
+      await executeMilestoneProposal();
+
+      await expect(
+        grantsDAO.connect(proposer).createProposal("Too Much", "Test", "ipfs://test", ethers.parseEther("5"))
+      ).to.be.revertedWith("Insufficient treasury funds");
+      await grantsDAO.connect(proposer).createProposal("Fits", "Test", "ipfs://test", ethers.parseEther("4"));
+    });
+
+    it("Should release a tranche once holders approve the proof", async function () {
+      await executeMilestoneProposal();
+
+      await expect(grantsDAO.connect(proposer).submitMilestone(1, "ipfs://beta-proof"))
+        .to.emit(grantsDAO, "MilestoneSubmitted")
+        .withArgs(1, 1, "ipfs://beta-proof", (await time.latest()) + 1 + REVIEW_PERIOD);
+      await expect(grantsDAO.connect(voter2).voteOnMilestone(1, true))
+        .to.emit(grantsDAO, "MilestoneVoteCast")
+        .withArgs(voter2.address, 1, 1, true, ethers.parseEther("10000"));
+      await grantsDAO.connect(voter3).voteOnMilestone(1, false);
+      expect(await grantsDAO.hasVotedOnMilestone(1, 1, voter2.address)).to.be.true;
+
+      await expect(grantsDAO.finalizeMilestone(1)).to.be.revertedWith("Milestone review not ended");
+      await time.increase(REVIEW_PERIOD + 1);
+
+      const initialBalance = await ethers.provider.getBalance(proposer.address);
+      await expect(grantsDAO.finalizeMilestone(1))
+        .to.emit(grantsDAO, "MilestoneReleased")
+        .withArgs(1, 1, ethers.parseEther("2"));
+
+      expect((await ethers.provider.getBalance(proposer.address)) - initialBalance).to.equal(ethers.parseEther("2"));
+      expect(await grantsDAO.reservedFunds()).to.equal(ethers.parseEther("3"));
+      const milestone = await grantsDAO.getMilestone(1, 1);
+      expect(milestone.state).to.equal(MilestoneState.Released);
+      expect(milestone.proofURI).to.equal("ipfs://beta-proof");
+      expect(milestone.approveVotes).to.equal(ethers.parseEther("10000"));
+      expect(milestone.rejectVotes).to.equal(ethers.parseEther("5000"));
+      expect((await grantsDAO.getMilestone(1, 2)).deadline).to.equal((await time.latest()) + DEADLINE);
+    });
+
+    it("Should finish the grant after the last tranche", async function () {
+      await executeMilestoneProposal();
+
+      for (const proof of ["ipfs://beta", "ipfs://launch"]) {
+        await grantsDAO.connect(proposer).submitMilestone(1, proof);
+        await grantsDAO.connect(voter1).voteOnMilestone(1, true);
+        await time.increase(REVIEW_PERIOD + 1);
+        await grantsDAO.finalizeMilestone(1);
+      }
+
+      expect(await grantsDAO.reservedFunds()).to.equal(0);
+      expect(await grantsDAO.getTreasuryBalance()).to.equal(ethers.parseEther("4"));
+      await expect(grantsDAO.connect(proposer).submitMilestone(1, "ipfs://more")).to.be.revertedWith(
+        "All milestones released"
+      );
+    });
+
+    it("Should validate milestone submissions", async function () {
+      await grantsDAO
+        .connect(proposer)
+        .createMilestoneProposal("Staged Project", "Paid in stages", "ipfs://staged", AMOUNTS, DESCRIPTIONS);
+      await expect(grantsDAO.connect(proposer).submitMilestone(1, "ipfs://proof")).to.be.revertedWith(
+        "Proposal not executed"
+      );
+
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
+      await time.increase(VOTING_PERIOD + 1);
+      await grantsDAO.finalizeProposal(1);
+      await grantsDAO.queueProposal(1);
+      await time.increase(EXECUTION_DELAY);
+      await grantsDAO.executeProposal(1);
+
+      await expect(grantsDAO.connect(voter1).submitMilestone(1, "ipfs://proof")).to.be.revertedWith(
+        "Only proposer can submit milestones"
+      );
+      await expect(grantsDAO.connect(proposer).submitMilestone(1, "")).to.be.revertedWith(
+        "Proof URI cannot be empty"
+      );
+      await expect(grantsDAO.connect(voter1).voteOnMilestone(1, true)).to.be.revertedWith("Milestone not submitted");
+
+      await grantsDAO.connect(proposer).submitMilestone(1, "ipfs://proof");
+      await expect(grantsDAO.connect(proposer).submitMilestone(1, "ipfs://again")).to.be.revertedWith(
+        "Milestone already submitted"
+      );
+      await expect(grantsDAO.submitMilestone(2, "ipfs://proof")).to.be.revertedWith("Invalid proposal ID");
+    });
+
+    it("Should weigh milestone votes at the submission snapshot", async function () {
+      const [, , , , , newcomer] = await ethers.getSigners();
+      await executeMilestoneProposal();
+      await grantsDAO.connect(proposer).submitMilestone(1, "ipfs://proof");
+      await governanceToken.connect(voter2).transfer(newcomer.address, ethers.parseEther("10000"));
+
+      await expect(grantsDAO.connect(newcomer).voteOnMilestone(1, true)).to.be.revertedWith("No voting power");
+      await grantsDAO.connect(voter2).voteOnMilestone(1, true);
+      await expect(grantsDAO.connect(voter2).voteOnMilestone(1, true)).to.be.revertedWith("Already voted");
+
+      await time.increase(REVIEW_PERIOD + 1);
+      await expect(grantsDAO.connect(voter1).voteOnMilestone(1, true)).to.be.revertedWith(
+        "Milestone review has ended"
+      );
+    });
+
+    it("Should return unreleased funds when a milestone is rejected", async function () {
+      await executeMilestoneProposal();
+      await grantsDAO.connect(proposer).submitMilestone(1, "ipfs://proof");
+      await grantsDAO.connect(voter1).voteOnMilestone(1, false);
+      await grantsDAO.connect(voter2).voteOnMilestone(1, true);
+      await time.increase(REVIEW_PERIOD + 1);
+
+      await expect(grantsDAO.finalizeMilestone(1))
+        .to.emit(grantsDAO, "MilestoneRejected")
+        .withArgs(1, 1, ethers.parseEther("5"));
+
+      expect(await grantsDAO.reservedFunds()).to.equal(0);
+      expect(await grantsDAO.getAvailableFunds()).to.equal(ethers.parseEther("9"));
+      expect((await grantsDAO.getMilestone(1, 1)).state).to.equal(MilestoneState.Rejected);
+      await expect(grantsDAO.connect(proposer).submitMilestone(1, "ipfs://retry")).to.be.revertedWith(
+        "Grant has ended"
+      );
+    });
+
+    it("Should reject a milestone that misses the milestone quorum", async function () {
+      // The milestone quorum defaults to half the proposal quorum: 5% of the supply
+      await executeMilestoneProposal();
+      await grantsDAO.connect(proposer).submitMilestone(1, "ipfs://proof");
+      await grantsDAO.connect(proposer).voteOnMilestone(1, true); // 500 tokens
+      await time.increase(REVIEW_PERIOD + 1);
+
+      await expect(grantsDAO.finalizeMilestone(1)).to.emit(grantsDAO, "MilestoneRejected");
+    });
+
+    it("Should expire a milestone whose proof never came", async function () {
+      await executeMilestoneProposal();
+      await expect(grantsDAO.expireMilestone(1)).to.be.revertedWith("Milestone deadline not passed");
+
+      await time.increase(DEADLINE + 1);
+      await expect(grantsDAO.connect(proposer).submitMilestone(1, "ipfs://late")).to.be.revertedWith(
+        "Milestone deadline passed"
+      );
+      await expect(grantsDAO.connect(voter1).expireMilestone(1))
+        .to.emit(grantsDAO, "MilestoneExpired")
+        .withArgs(1, 1, ethers.parseEther("5"));
+
+      expect(await grantsDAO.reservedFunds()).to.equal(0);
+      expect((await grantsDAO.getMilestone(1, 1)).state).to.equal(MilestoneState.Expired);
+      await expect(grantsDAO.expireMilestone(1)).to.be.revertedWith("Grant has ended");
+    });
+
+    it("Should not expire a milestone under review", async function () {
+      await executeMilestoneProposal();
+      await time.increase(DEADLINE - 60);
+      await grantsDAO.connect(proposer).submitMilestone(1, "ipfs://proof");
+      await time.increase(120);
+
+      await expect(grantsDAO.expireMilestone(1)).to.be.revertedWith("Milestone already submitted");
+    });
+
+    it("Should let the owner update milestone parameters", async function () {
+      await expect(grantsDAO.updateMilestoneParameters(REVIEW_PERIOD * 2, 2000, DEADLINE * 2))
+        .to.emit(grantsDAO, "MilestoneParametersUpdated")
+        .withArgs(REVIEW_PERIOD * 2, 2000, DEADLINE * 2);
+
+      expect(await grantsDAO.milestoneReviewPeriod()).to.equal(REVIEW_PERIOD * 2);
+      expect(await grantsDAO.milestoneQuorumPercentage()).to.equal(2000);
+      expect(await grantsDAO.milestoneDeadline()).to.equal(DEADLINE * 2);
+
+      await expect(grantsDAO.updateMilestoneParameters(REVIEW_PERIOD, 10001, DEADLINE)).to.be.revertedWith(
+        "Quorum cannot exceed 100%"
+      );
+      await expect(grantsDAO.updateMilestoneParameters(REVIEW_PERIOD, 500, 0)).to.be.revertedWith(
+        "Deadline must be greater than 0"
+      );
+      await expect(
+        grantsDAO.connect(voter1).updateMilestoneParameters(REVIEW_PERIOD, 500, DEADLINE)
+      ).to.be.revertedWithCustomError(grantsDAO, "OwnableUnauthorizedAccount");
     });
   });
 
@@ -373,9 +1018,11 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
           "ipfs://nfttest",
           ethers.parseEther("1")
         );
-      await grantsDAO.connect(voter1).castVote(1, true);
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
       await time.increase(VOTING_PERIOD + 1);
       await grantsDAO.finalizeProposal(1);
+      await grantsDAO.queueProposal(1);
+      await time.increase(EXECUTION_DELAY);
       await grantsDAO.executeProposal(1);
 
       const info = await proposalNFT.getProposalInfo(1);
@@ -395,9 +1042,11 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
             `ipfs://test${i}`,
             ethers.parseEther("0.5")
           );
-        await grantsDAO.connect(voter1).castVote(i + 1, true);
+        await grantsDAO.connect(voter1).castVote(i + 1, VoteType.For);
         await time.increase(VOTING_PERIOD + 1);
         await grantsDAO.finalizeProposal(i + 1);
+        await grantsDAO.queueProposal(i + 1);
+        await time.increase(EXECUTION_DELAY);
         await grantsDAO.executeProposal(i + 1);
       }
 
@@ -418,9 +1067,11 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
           "ipfs://supply",
           ethers.parseEther("1")
         );
-      await grantsDAO.connect(voter1).castVote(1, true);
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
       await time.increase(VOTING_PERIOD + 1);
       await grantsDAO.finalizeProposal(1);
+      await grantsDAO.queueProposal(1);
+      await time.increase(EXECUTION_DELAY);
       await grantsDAO.executeProposal(1);
 
       expect(await proposalNFT.totalSupply()).to.equal(1);
@@ -455,7 +1106,7 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
     });
 
     it("Should not cancel executed proposal", async function () {
-      await grantsDAO.connect(voter1).castVote(1, true);
+      await grantsDAO.connect(voter1).castVote(1, VoteType.For);
       await time.increase(VOTING_PERIOD + 1);
       await grantsDAO.finalizeProposal(1);
 
@@ -470,16 +1121,26 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
       const newThreshold = ethers.parseEther("200");
       const newPeriod = 14 * 24 * 60 * 60;
       const newQuorum = 1500;
+      const newDelay = 3 * 24 * 60 * 60;
 
       await expect(
-        grantsDAO.updateParameters(newThreshold, newPeriod, newQuorum)
+        grantsDAO.updateParameters(newThreshold, newPeriod, newQuorum, newDelay)
       )
         .to.emit(grantsDAO, "ParametersUpdated")
-        .withArgs(newThreshold, newPeriod, newQuorum);
+        .withArgs(newThreshold, newPeriod, newQuorum, newDelay);
 
       expect(await grantsDAO.proposalThreshold()).to.equal(newThreshold);
       expect(await grantsDAO.votingPeriod()).to.equal(newPeriod);
       expect(await grantsDAO.quorumPercentage()).to.equal(newQuorum);
+      expect(await grantsDAO.executionDelay()).to.equal(newDelay);
+    });
+
+    it("Should cap the execution delay", async function () {
+      const maxDelay = await grantsDAO.MAX_EXECUTION_DELAY();
+
+      await expect(
+        grantsDAO.updateParameters(PROPOSAL_THRESHOLD, VOTING_PERIOD, QUORUM_PERCENTAGE, maxDelay + 1n)
+      ).to.be.revertedWith("Execution delay too long");
     });
 
     it("Should not allow non-owner to update parameters", async function () {
@@ -489,7 +1150,8 @@ describe("Creative Grants DAO - Complete Test Suite", function () {
           .updateParameters(
             ethers.parseEther("200"),
             14 * 24 * 60 * 60,
-            1500
+            1500,
+            EXECUTION_DELAY
           )
       ).to.be.revertedWithCustomError(grantsDAO, "OwnableUnauthorizedAccount");
     });
@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { DeploymentManifest, deploymentAddress } = require("../../shared/deployments");
+const { deploy } = require("../scripts/deploy");
+
+describe("Deployment Manifests", function () {
+  let directory;
+  let manifestPath;
+
+  const quiet = { log: () => {} };
+  const readManifest = () => JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  const deployOnce = async () => deploy(await DeploymentManifest.load(hre, { directory }), quiet);
+
+  beforeEach(function () {
+    // Each test starts from an empty manifest directory
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    manifestPath = path.join(directory, "hardhat.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("Should record addresses, constructor args, blocks and transactions", async function () {
+    const addresses = await deployOnce();
+
+    const manifest = readManifest();
+    expect(manifest).to.include({ network: "hardhat", chainId: 31337 });
+
+    const { GovernanceToken, ProposalNFT, GrantsDAO } = manifest.contracts;
+    expect(GovernanceToken.address).to.equal(addresses.governanceToken);
+    expect(GovernanceToken.args).to.deep.equal(["Creative DAO Token", "CREATE", ethers.parseEther("100000").toString()]);
+    expect(ProposalNFT.args).to.deep.equal(["Creative Grants Achievement", "CGA"]);
+    expect(GrantsDAO.args.slice(0, 2)).to.deep.equal([addresses.governanceToken, addresses.proposalNFT]);
+
+    const receipt = await ethers.provider.getTransactionReceipt(GrantsDAO.transactionHash);
+    expect(receipt.contractAddress).to.equal(addresses.grantsDAO);
+    expect(GrantsDAO.blockNumber).to.equal(receipt.blockNumber);
+
+    const proposalNFT = await ethers.getContractAt("ProposalNFT", addresses.proposalNFT);
+    expect(await proposalNFT.grantsDAO()).to.equal(addresses.grantsDAO);
+    const grantsDAO = await ethers.getContractAt("GrantsDAO", addresses.grantsDAO);
+    expect(await grantsDAO.getTreasuryBalance()).to.equal(ethers.parseEther("5"));
+  });
+
+  it("Should reuse the deployment when run again", async function () {
+    const addresses = await deployOnce();
+    const first = readManifest();
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    expect(await deployOnce()).to.deep.equal(addresses);
+
+    // Nothing is deployed, linked or funded a second time
+    expect(readManifest()).to.deep.equal(first);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    const grantsDAO = await ethers.getContractAt("GrantsDAO", addresses.grantsDAO);
+    expect(await grantsDAO.getTreasuryBalance()).to.equal(ethers.parseEther("5"));
+  });
+
+  it("Should refuse to relink a ProposalNFT that belongs to another GrantsDAO", async function () {
+    await deployOnce();
+    const manifest = readManifest();
+    delete manifest.contracts.GrantsDAO;
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+
+    await expect(deployOnce()).to.be.rejectedWith("is linked to another GrantsDAO");
+  });
+
+  it("Should refuse a manifest written for another chain", async function () {
+    fs.writeFileSync(manifestPath, JSON.stringify({ network: "hardhat", chainId: 1, contracts: {} }));
+
+    await expect(DeploymentManifest.load(hre, { directory })).to.be.rejectedWith(
+      "belongs to chain 1, connected to chain 31337"
+    );
+  });
+
+  it("Should let environment variables override manifest addresses", async function () {
+    const [, other] = await ethers.getSigners();
+    const addresses = await deployOnce();
+    const previous = { dir: process.env.DEPLOYMENTS_DIR, address: process.env.GRANTS_DAO_ADDRESS };
+    process.env.DEPLOYMENTS_DIR = directory;
+    delete process.env.GRANTS_DAO_ADDRESS;
+
+    try {
+      expect(await deploymentAddress(hre, "GrantsDAO", "GRANTS_DAO_ADDRESS")).to.equal(addresses.grantsDAO);
+
+      process.env.GRANTS_DAO_ADDRESS = other.address;
+      expect(await deploymentAddress(hre, "GrantsDAO", "GRANTS_DAO_ADDRESS")).to.equal(other.address);
+    } finally {
+      for (const [key, value] of [
+        ["DEPLOYMENTS_DIR", previous.dir],
+        ["GRANTS_DAO_ADDRESS", previous.address],
+      ]) {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,134 @@
+const fs = require("fs");
+const path = require("path");
+
+// JSON has no bigint; constructor args are recorded as decimal strings
+function serializeArgs(args) {
+  return JSON.parse(JSON.stringify(args, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+/**
+ * Per-network record of deployed contracts: deployments/<network>.json in the Hardhat project root.
+ *
+ * Each entry holds the contract name, address, constructor args, block number and
+ * transaction hash. deploy() reuses an entry while its address still has code and its
+ * args are unchanged, so re-running a deploy script only deploys what is missing.
+ *
+ * The in-process `hardhat` network starts empty on every run, so its manifest is kept
+ * in memory unless a directory is given explicitly (or through DEPLOYMENTS_DIR).
+ *
+ * Both Hardhat projects in this repository load this one module. It uses nothing but the
+ * `hre` it is given, so it needs neither project's node_modules.
+ */
+class DeploymentManifest {
+  /**
+   * @param {string | null} filePath JSON file to persist to, or null to keep it in memory
+   * @param {{ hre: import("hardhat/types").HardhatRuntimeEnvironment, network: string, chainId: number }} options
+   */
+  constructor(filePath, { hre, network, chainId }) {
+    this.hre = hre;
+    this.filePath = filePath;
+    this.state = { network, chainId, contracts: {} };
+    if (filePath && fs.existsSync(filePath)) {
+      this.state = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      if (this.state.chainId !== chainId) {
+        throw new Error(`${filePath} belongs to chain ${this.state.chainId}, connected to chain ${chainId}`);
+      }
+    }
+  }
+
+  /**
+   * Open the manifest of the network `hre` is connected to.
+   * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+   * @param {{ directory?: string }} [options]
+   */
+  static async load(hre, options = {}) {
+    const directory = options.directory || process.env.DEPLOYMENTS_DIR;
+    const network = hre.network.name;
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const filePath =
+      directory || network !== "hardhat" ? path.join(directory || path.join(hre.config.paths.root, "deployments"), `${network}.json`) : null;
+    return new DeploymentManifest(filePath, { hre, network, chainId: Number(chainId) });
+  }
+
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2) + "\n");
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * @returns {{ contract: string, address: string, args: any[], blockNumber: number, transactionHash: string } | null}
+   */
+  get(name) {
+    return this.state.contracts[name] || null;
+  }
+
+  /**
+   * Record a contract that was deployed some other way (e.g. created by another contract).
+   */
+  record(name, entry) {
+    this.state.contracts[name] = { ...entry, args: serializeArgs(entry.args || []) };
+    this.save();
+  }
+
+  /**
+   * Address of a recorded contract that still has code on the network, or null.
+   */
+  async address(name) {
+    const entry = this.get(name);
+    if (!entry || (await this.hre.ethers.provider.getCode(entry.address)) === "0x") {
+      return null;
+    }
+    return entry.address;
+  }
+
+  /**
+   * Deploy `name` unless the manifest already has it with the same constructor args.
+   * @param {string} name Manifest key
+   * @param {any[]} [args] Constructor args
+   * @param {{ contract?: string }} [options] Contract to deploy when it differs from `name`
+   * @returns {Promise<{ contract: import("ethers").Contract, reused: boolean }>}
+   */
+  async deploy(name, args = [], options = {}) {
+    const { ethers } = this.hre;
+    const contractName = options.contract || name;
+    const entry = this.get(name);
+    const sameArgs = entry && JSON.stringify(entry.args) === JSON.stringify(serializeArgs(args));
+
+    if (entry && entry.contract === contractName && sameArgs && (await this.address(name))) {
+      return { contract: await ethers.getContractAt(contractName, entry.address), reused: true };
+    }
+
+    const Factory = await ethers.getContractFactory(contractName);
+    const contract = await Factory.deploy(...args);
+    await contract.waitForDeployment();
+    const receipt = await contract.deploymentTransaction().wait();
+
+    this.record(name, {
+      contract: contractName,
+      address: await contract.getAddress(),
+      args,
+      blockNumber: receipt.blockNumber,
+      transactionHash: receipt.hash,
+    });
+    return { contract, reused: false };
+  }
+}
+
+/**
+ * Address of a deployed contract: the environment variable if set, else the network's manifest.
+ * @returns {Promise<string | null>}
+ */
+async function deploymentAddress(hre, name, envVar) {
+  if (envVar && process.env[envVar]) {
+    return process.env[envVar];
+  }
+  const manifest = await DeploymentManifest.load(hre);
+  return manifest.address(name);
+}
+
+module.exports = { DeploymentManifest, deploymentAddress };
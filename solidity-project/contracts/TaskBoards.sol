@@ -0,0 +1,439 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "./TaskManager.sol";
+
+/**
+ * @title TaskBoards
+ * @dev Groups TaskManager tasks into shared projects (boards) and lets task owners tag their tasks
+ * @notice Tasks themselves live in TaskManager; this contract only records which board a task
+ * belongs to and which tags it carries. Task ownership is always read from TaskManager.
+ * Members create tasks on a board through TaskManager.createTaskFor, so the admin must allow this
+ * contract with TaskManager.setTaskCreator. Calls relayed through TaskManager's forwarder are
+ * attributed to the user who signed them.
+ */
+contract TaskBoards is ERC2771Context {
+    // Struct to represent a project board
+    struct Project {
+        uint256 id;
+        string name;
+        address owner;
+        uint256 createdAt;
+    }
+
+    // State variables
+    TaskManager public immutable taskManager;
+    uint256 private projectCounter;
+    mapping(uint256 => Project) public projects;
+    mapping(uint256 => address[]) private projectMembers;
+    mapping(uint256 => mapping(address => bool)) private isMember;
+    mapping(uint256 => uint256[]) private projectTasks;
+    mapping(uint256 => uint256) public taskProject; // taskId => projectId, 0 if not on a board
+    mapping(address => uint256[]) private userProjects; // Projects a user owns or has joined
+    mapping(uint256 => string[]) private taskTags;
+    mapping(bytes32 => uint256[]) private tagTasks;
+
+    // Events
+    event ProjectCreated(uint256 indexed projectId, address indexed owner, string name);
+    event ProjectRenamed(uint256 indexed projectId, string name);
+    event ProjectMemberAdded(uint256 indexed projectId, address indexed member);
+    event ProjectMemberRemoved(uint256 indexed projectId, address indexed member);
+    event TaskAddedToProject(uint256 indexed projectId, uint256 indexed taskId, address indexed addedBy);
+    event TaskRemovedFromProject(uint256 indexed projectId, uint256 indexed taskId);
+    event TaskTagged(uint256 indexed taskId, bytes32 indexed tagHash, string tag);
+    event TaskUntagged(uint256 indexed taskId, bytes32 indexed tagHash, string tag);
+
+    // Modifiers
+    modifier projectExists(uint256 _projectId) {
+        require(projects[_projectId].owner != address(0), "Project does not exist");
+        _;
+    }
+
+    modifier onlyProjectOwner(uint256 _projectId) {
+        require(projects[_projectId].owner == _msgSender(), "Not the project owner");
+        _;
+    }
+
+    modifier onlyProjectMember(uint256 _projectId) {
+        require(
+            projects[_projectId].owner == _msgSender() || isMember[_projectId][_msgSender()],
+            "Not a project member"
+        );
+        _;
+    }
+
+    modifier onlyTaskOwner(uint256 _taskId) {
+        require(taskManager.getTask(_taskId).owner == _msgSender(), "Not the task owner");
+        _;
+    }
+
+    /**
+     * @dev Contract constructor
+     * @notice Trusts the forwarder TaskManager trusts at deployment
+     * @param _taskManager Address of the TaskManager contract whose tasks are organized
+     */
+    constructor(address _taskManager) ERC2771Context(_forwarderOf(_taskManager)) {
+        taskManager = TaskManager(_taskManager);
+    }
+
+    /**
+     * @dev Create a new project board owned by the caller
+     * @param _name The name of the project
+     * @return The ID of the newly created project
+     */
+    function createProject(string memory _name) external returns (uint256) {
+        require(bytes(_name).length > 0, "Name cannot be empty");
+
+        projectCounter++;
+        uint256 newProjectId = projectCounter;
+
+        address owner = _msgSender();
+        projects[newProjectId] = Project({
+            id: newProjectId,
+            name: _name,
+            owner: owner,
+            createdAt: block.timestamp
+        });
+        userProjects[owner].push(newProjectId);
+
+        emit ProjectCreated(newProjectId, owner, _name);
+        return newProjectId;
+    }
+
+    /**
+     * @dev Rename a project
+     * @param _projectId The ID of the project
+     * @param _name The new name
+     */
+    function renameProject(
+        uint256 _projectId,
+        string memory _name
+    ) external projectExists(_projectId) onlyProjectOwner(_projectId) {
+        require(bytes(_name).length > 0, "Name cannot be empty");
+
+        projects[_projectId].name = _name;
+        emit ProjectRenamed(_projectId, _name);
+    }
+
+    /**
+     * @dev Share a project with another address
+     * @param _projectId The ID of the project
+     * @param _member The address to add
+     */
+    function addMember(
+        uint256 _projectId,
+        address _member
+    ) external projectExists(_projectId) onlyProjectOwner(_projectId) {
+        require(_member != address(0), "Invalid member");
+        require(_member != projects[_projectId].owner, "Owner is already a member");
+        require(!isMember[_projectId][_member], "Already a member");
+
+        isMember[_projectId][_member] = true;
+        projectMembers[_projectId].push(_member);
+        userProjects[_member].push(_projectId);
+
+        emit ProjectMemberAdded(_projectId, _member);
+    }
+
+    /**
+     * @dev Revoke an address's membership of a project
+     * @notice Tasks the member already added stay on the board
+     * @param _projectId The ID of the project
+     * @param _member The address to remove
+     */
+    function removeMember(
+        uint256 _projectId,
+        address _member
+    ) external projectExists(_projectId) onlyProjectOwner(_projectId) {
+        require(isMember[_projectId][_member], "Not a member");
+
+        delete isMember[_projectId][_member];
+        _removeAddress(projectMembers[_projectId], _member);
+        _removeId(userProjects[_member], _projectId);
+
+        emit ProjectMemberRemoved(_projectId, _member);
+    }
+
+    /**
+     * @dev Put one of the caller's tasks on a board they own or are a member of
+     * @notice A task can be on at most one board at a time
+     * @param _projectId The ID of the project
+     * @param _taskId The ID of the TaskManager task
+     */
+    function addTaskToProject(
+        uint256 _projectId,
+        uint256 _taskId
+    ) external projectExists(_projectId) onlyProjectMember(_projectId) onlyTaskOwner(_taskId) {
+        require(taskProject[_taskId] == 0, "Task already in a project");
+
+        _attachToProject(_projectId, _taskId);
+    }
+
+    /**
+     * @dev Create a task owned by the caller directly on a board they own or are a member of
+     * @notice The task is created in TaskManager through createTaskFor
+     * @param _projectId The ID of the project
+     * @param _title The title of the task
+     * @param _description The description of the task
+     * @param _dueDate Unix timestamp the task is due by, or 0 for no due date
+     * @param _priority The priority level of the task
+     * @return The ID of the new TaskManager task
+     */
+    function createProjectTask(
+        uint256 _projectId,
+        string memory _title,
+        string memory _description,
+        uint256 _dueDate,
+        TaskManager.TaskPriority _priority
+    ) external projectExists(_projectId) onlyProjectMember(_projectId) returns (uint256) {
+        uint256 taskId = taskManager.createTaskFor(_msgSender(), _title, _description, _dueDate, _priority);
+        _attachToProject(_projectId, taskId);
+        return taskId;
+    }
+
+    /**
+     * @dev Take a task off its board
+     * @notice Callable by the task owner or the project owner
+     * @param _taskId The ID of the TaskManager task
+     */
+    function removeTaskFromProject(uint256 _taskId) external {
+        uint256 projectId = taskProject[_taskId];
+        require(projectId != 0, "Task not in a project");
+        require(
+            projects[projectId].owner == _msgSender() || taskManager.getTask(_taskId).owner == _msgSender(),
+            "Not the task or project owner"
+        );
+
+        _detachFromProject(_taskId);
+    }
+
+    /**
+     * @dev Add a free-form tag to one of the caller's tasks
+     * @param _taskId The ID of the TaskManager task
+     * @param _tag The tag to add
+     */
+    function addTag(uint256 _taskId, string memory _tag) external onlyTaskOwner(_taskId) {
+        require(bytes(_tag).length > 0, "Tag cannot be empty");
+        require(_findTag(_taskId, _tag) == type(uint256).max, "Tag already added");
+
+        bytes32 tagHash = keccak256(bytes(_tag));
+        taskTags[_taskId].push(_tag);
+        tagTasks[tagHash].push(_taskId);
+
+        emit TaskTagged(_taskId, tagHash, _tag);
+    }
+
+    /**
+     * @dev Remove a tag from one of the caller's tasks
+     * @param _taskId The ID of the TaskManager task
+     * @param _tag The tag to remove
+     */
+    function removeTag(uint256 _taskId, string memory _tag) external onlyTaskOwner(_taskId) {
+        uint256 index = _findTag(_taskId, _tag);
+        require(index != type(uint256).max, "Tag not found");
+
+        _removeTagAt(_taskId, index);
+    }
+
+    /**
+     * @dev Drop a deleted task from every board and tag index
+     * @notice Anyone may call this once the task has been deleted in TaskManager
+     * @param _taskId The ID of the deleted task
+     */
+    function pruneTask(uint256 _taskId) external {
+        require(!_taskIsLive(_taskId), "Task still exists");
+
+        if (taskProject[_taskId] != 0) {
+            _detachFromProject(_taskId);
+        }
+        while (taskTags[_taskId].length > 0) {
+            _removeTagAt(_taskId, taskTags[_taskId].length - 1);
+        }
+    }
+
+    /**
+     * @dev Get a specific project
+     * @param _projectId The ID of the project
+     * @return Project struct containing the project details
+     */
+    function getProject(uint256 _projectId) external view projectExists(_projectId) returns (Project memory) {
+        return projects[_projectId];
+    }
+
+    /**
+     * @dev Get the members of a project, not including its owner
+     * @param _projectId The ID of the project
+     * @return Array of member addresses
+     */
+    function getProjectMembers(
+        uint256 _projectId
+    ) external view projectExists(_projectId) returns (address[] memory) {
+        return projectMembers[_projectId];
+    }
+
+    /**
+     * @dev Check whether an address can add tasks to a project
+     * @param _projectId The ID of the project
+     * @param _user The address to check
+     * @return True if the address owns or is a member of the project
+     */
+    function isProjectMember(uint256 _projectId, address _user) external view returns (bool) {
+        return projects[_projectId].owner == _user || isMember[_projectId][_user];
+    }
+
+    /**
+     * @dev Get the projects a user owns or has joined
+     * @param _user The address of the user
+     * @return Array of project IDs
+     */
+    function getUserProjects(address _user) external view returns (uint256[] memory) {
+        return userProjects[_user];
+    }
+
+    /**
+     * @dev Get the tasks on a board, skipping any deleted in TaskManager
+     * @param _projectId The ID of the project
+     * @return Array of task IDs
+     */
+    function getProjectTasks(
+        uint256 _projectId
+    ) external view projectExists(_projectId) returns (uint256[] memory) {
+        return _liveTaskIds(projectTasks[_projectId]);
+    }
+
+    /**
+     * @dev Get the tags of a task
+     * @param _taskId The ID of the TaskManager task
+     * @return Array of tags in the order they were added
+     */
+    function getTaskTags(uint256 _taskId) external view returns (string[] memory) {
+        return taskTags[_taskId];
+    }
+
+    /**
+     * @dev Get the tasks carrying a tag, skipping any deleted in TaskManager
+     * @param _tag The tag to look up
+     * @return Array of task IDs
+     */
+    function getTasksByTag(string memory _tag) external view returns (uint256[] memory) {
+        return _liveTaskIds(tagTasks[keccak256(bytes(_tag))]);
+    }
+
+    /**
+     * @dev Get the total number of projects created
+     * @return The total project count
+     */
+    function getTotalProjectCount() external view returns (uint256) {
+        return projectCounter;
+    }
+
+    /**
+     * @dev Validate a TaskManager address and read the forwarder it trusts
+     */
+    function _forwarderOf(address _taskManager) private view returns (address) {
+        require(_taskManager != address(0), "Invalid TaskManager address");
+        return TaskManager(_taskManager).trustedForwarder();
+    }
+
+    /**
+     * @dev Add a task to a board's index
+     */
+    function _attachToProject(uint256 _projectId, uint256 _taskId) private {
+        taskProject[_taskId] = _projectId;
+        projectTasks[_projectId].push(_taskId);
+
+        emit TaskAddedToProject(_projectId, _taskId, _msgSender());
+    }
+
+    /**
+     * @dev Remove a task from its board's index
+     */
+    function _detachFromProject(uint256 _taskId) private {
+        uint256 projectId = taskProject[_taskId];
+        delete taskProject[_taskId];
+        _removeId(projectTasks[projectId], _taskId);
+
+        emit TaskRemovedFromProject(projectId, _taskId);
+    }
+
+    /**
+     * @dev Remove the tag at an index from a task and from the tag index
+     */
+    function _removeTagAt(uint256 _taskId, uint256 _index) private {
+        string[] storage tags = taskTags[_taskId];
+        string memory tag = tags[_index];
+        bytes32 tagHash = keccak256(bytes(tag));
+
+        tags[_index] = tags[tags.length - 1];
+        tags.pop();
+        _removeId(tagTasks[tagHash], _taskId);
+
+        emit TaskUntagged(_taskId, tagHash, tag);
+    }
+
+    /**
+     * @dev Find the index of a tag on a task, or type(uint256).max if absent
+     */
+    function _findTag(uint256 _taskId, string memory _tag) private view returns (uint256) {
+        bytes32 tagHash = keccak256(bytes(_tag));
+        string[] storage tags = taskTags[_taskId];
+        for (uint256 i = 0; i < tags.length; i++) {
+            if (keccak256(bytes(tags[i])) == tagHash) {
+                return i;
+            }
+        }
+        return type(uint256).max;
+    }
+
+    /**
+     * @dev Filter a list of task IDs down to tasks that still exist in TaskManager
+     */
+    function _liveTaskIds(uint256[] storage _taskIds) private view returns (uint256[] memory) {
+        uint256[] memory live = new uint256[](_taskIds.length);
+        uint256 count = 0;
+        for (uint256 i = 0; i < _taskIds.length; i++) {
+            if (_taskIsLive(_taskIds[i])) {
+                live[count++] = _taskIds[i];
+            }
+        }
+
+        assembly ("memory-safe") {
+            mstore(live, count)
+        }
+        return live;
+    }
+
+    /**
+     * @dev Check whether a task still exists in TaskManager
+     */
+    function _taskIsLive(uint256 _taskId) private view returns (bool) {
+        return taskManager.doesTaskExist(_taskId);
+    }
+
+    /**
+     * @dev Remove an ID from an index by swapping with the last element
+     */
+    function _removeId(uint256[] storage _list, uint256 _id) private {
+        for (uint256 i = 0; i < _list.length; i++) {
+            if (_list[i] == _id) {
+                _list[i] = _list[_list.length - 1];
+                _list.pop();
+                break;
+            }
+        }
+    }
+
+    /**
+     * @dev Remove an address from a list by swapping with the last element
+     */
+    function _removeAddress(address[] storage _list, address _account) private {
+        for (uint256 i = 0; i < _list.length; i++) {
+            if (_list[i] == _account) {
+                _list[i] = _list[_list.length - 1];
+                _list.pop();
+                break;
+            }
+        }
+    }
+}
@@ -0,0 +1,105 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "./TaskManager.sol";
+
+/**
+ * @title TaskComments
+ * @dev Discussion threads on TaskManager tasks
+ * @notice Comment bodies are only emitted in CommentAdded events; on-chain the contract keeps
+ * the number of comments per task and a pointer to the latest one, so clients can rebuild a
+ * thread from the logs. Only the task owner and its assignee may comment. Calls relayed through
+ * TaskManager's forwarder are attributed to the user who signed them.
+ */
+contract TaskComments is ERC2771Context {
+    // Struct to summarize the comments on a task
+    struct CommentThread {
+        uint256 count; // Comment IDs run from 1 to count
+        address lastAuthor;
+        uint256 lastCommentAt;
+        uint256 lastBlock; // Block holding the CommentAdded event of the latest comment
+    }
+
+    // Longest accepted comment, in bytes
+    uint256 public constant MAX_COMMENT_LENGTH = 1000;
+
+    // State variables
+    TaskManager public immutable taskManager;
+    mapping(uint256 => CommentThread) private threads;
+
+    // Events
+    event CommentAdded(uint256 indexed taskId, uint256 indexed commentId, address indexed author, string body);
+
+    /**
+     * @dev Contract constructor
+     * @notice Trusts the forwarder TaskManager trusts at deployment
+     * @param _taskManager Address of the TaskManager contract whose tasks are discussed
+     */
+    constructor(address _taskManager) ERC2771Context(_forwarderOf(_taskManager)) {
+        taskManager = TaskManager(_taskManager);
+    }
+
+    /**
+     * @dev Comment on a task
+     * @notice Callable by the owner or the assignee of the task
+     * @param _taskId The ID of the TaskManager task
+     * @param _body The text of the comment
+     * @return The ID of the comment within the task's thread
+     */
+    function addComment(uint256 _taskId, string memory _body) external returns (uint256) {
+        require(bytes(_body).length > 0, "Comment cannot be empty");
+        require(bytes(_body).length <= MAX_COMMENT_LENGTH, "Comment too long");
+        address author = _msgSender();
+        require(canComment(_taskId, author), "Not allowed to comment");
+
+        CommentThread storage thread = threads[_taskId];
+        thread.count++;
+        thread.lastAuthor = author;
+        thread.lastCommentAt = block.timestamp;
+        thread.lastBlock = block.number;
+
+        emit CommentAdded(_taskId, thread.count, author, _body);
+        return thread.count;
+    }
+
+    /**
+     * @dev Check whether an address may comment on a task
+     * @param _taskId The ID of the TaskManager task
+     * @param _user The address to check
+     * @return True if the task exists and the user is its owner or assignee
+     */
+    function canComment(uint256 _taskId, address _user) public view returns (bool) {
+        if (_user == address(0) || !taskManager.doesTaskExist(_taskId)) {
+            return false;
+        }
+        TaskManager.Task memory task = taskManager.getTask(_taskId);
+        return _user == task.owner || _user == task.assignee;
+    }
+
+    /**
+     * @dev Get the comment count and latest comment of a task
+     * @param _taskId The ID of the TaskManager task
+     * @return CommentThread struct, all zero if the task has no comments
+     */
+    function getCommentThread(uint256 _taskId) external view returns (CommentThread memory) {
+        return threads[_taskId];
+    }
+
+    /**
+     * @dev Get the number of comments on a task
+     * @param _taskId The ID of the TaskManager task
+     * @return The number of comments
+     */
+    function getCommentCount(uint256 _taskId) external view returns (uint256) {
+        return threads[_taskId].count;
+    }
+
+    /**
+     * @dev Validate a TaskManager address and read the forwarder it trusts
+     */
+    function _forwarderOf(address _taskManager) private view returns (address) {
+        require(_taskManager != address(0), "Invalid TaskManager address");
+        return TaskManager(_taskManager).trustedForwarder();
+    }
+}
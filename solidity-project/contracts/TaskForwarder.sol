@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title TaskForwarder
+ * @dev EIP-712 meta-transaction forwarder trusted by TaskManager
+ * @notice Users sign a ForwardRequest (from, to, value, gas, nonce, deadline, data) off-chain and any
+ * relayer can submit it with execute(). Each request is bound to the signer's current nonce, so it
+ * can only be executed once, and it is rejected after its deadline.
+ */
+contract TaskForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("TaskForwarder") {}
+}
@@ -1,12 +1,22 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/utils/Multicall.sol";
+import "./TaskForwarder.sol";
+import "./TaskQueries.sol";
+
 /**
  * @title TaskManager
  * @dev A decentralized task management system where users can create, update, and manage their tasks on-chain
- * @notice This contract demonstrates key Solidity concepts including structs, mappings, events, and access control
+ * @notice This contract demonstrates key Solidity concepts including structs, mappings, events, and access control.
+ * Calls relayed through the TaskForwarder created at deployment are attributed to the user who signed them.
+ * Several calls can be batched atomically through multicall, each keeping its own access checks.
+ * Views that list, filter or page through tasks are computed by the TaskQueries contract returned by queries().
+ * An admin can pause every function that changes tasks and hide abusive titles.
+ * Companion contracts the admin allows, such as TaskBoards, can create tasks on behalf of users.
  */
-contract TaskManager {
+contract TaskManager is ERC2771Context, Multicall {
     // Enum to represent task status
     enum TaskStatus {
         Pending,
@@ -15,6 +25,14 @@ contract TaskManager {
         Cancelled
     }
 
+    // Enum to represent task priority
+    enum TaskPriority {
+        Low,
+        Medium,
+        High,
+        Critical
+    }
+
     // Struct to represent a task
     struct Task {
         uint256 id;
@@ -24,59 +42,368 @@ contract TaskManager {
         uint256 createdAt;
         uint256 updatedAt;
         address owner;
+        address assignee;
+        uint256 dueDate;
+        TaskPriority priority;
+        uint256 parentId; // 0 for top-level tasks
+    }
+
+    // Struct to represent ETH held in escrow for a task
+    struct Bounty {
+        uint256 amount;
+        uint256 completedAt; // Set when the assignee completes the task, cleared on payout
+    }
+
+    // Struct to record a single status transition
+    struct StatusChange {
+        TaskStatus status;
+        address actor;
+        uint256 timestamp;
+    }
+
+    // Struct to represent a recurring task series; its ID is the ID of its first task
+    struct Series {
+        address owner;
+        uint256 interval; // Seconds between the due dates of consecutive instances
+        uint256 latestTaskId; // The instance whose completion creates the next one
+        bool active;
     }
 
+    // Time the owner has to approve a completed bounty before the assignee can claim it
+    uint256 public constant BOUNTY_APPROVAL_TIMEOUT = 7 days;
+
+    // Most dependency links addDependency follows when checking for a cycle
+    uint256 public constant MAX_DEPENDENCY_SCAN = 64;
+
+    // Stored in place of a title the admin has hidden
+    string private constant HIDDEN_TITLE = "[hidden]";
+
+    // List, filter and pagination views over this contract, created at deployment
+    TaskQueries public immutable queries;
+
     // State variables
-    uint256 private taskCounter;
+    // TaskManagerUpgradeable shares this layout behind a proxy: only append new variables
+    uint256 internal taskCounter;
+    bool private locked;
     mapping(uint256 => Task) public tasks;
-    mapping(address => uint256[]) private userTasks;
+    mapping(address => uint256[]) internal userTasks;
+    mapping(address => uint256[]) internal assignedTasks;
+    mapping(uint256 => address[]) private taskCollaborators;
+    mapping(uint256 => mapping(address => bool)) private isCollaborator;
+    mapping(uint256 => StatusChange[]) internal taskHistory;
+    mapping(uint256 => Bounty) private taskBounties;
+    mapping(uint256 => uint256[]) internal subtasks;
+    mapping(uint256 => uint256[]) private dependencies; // taskId => tasks it is blocked by
+    mapping(uint256 => uint256[]) private dependents; // taskId => tasks it blocks
+    mapping(uint256 => Series) private series;
+    mapping(uint256 => uint256) public taskSeries; // taskId => seriesId, 0 for one-off tasks
+    mapping(uint256 => uint256[]) private seriesTasks;
+    address private currentAdmin; // Read through admin(), which TaskManagerUpgradeable overrides
+    address public pendingAdmin;
+    bool public paused;
+    mapping(uint256 => string) private hiddenTitles; // taskId => original title while hidden
+    mapping(address => bool) public taskCreators; // Contracts allowed to call createTaskFor
 
     // Events
     event TaskCreated(uint256 indexed taskId, address indexed owner, string title);
     event TaskUpdated(uint256 indexed taskId, string title, TaskStatus status);
     event TaskDeleted(uint256 indexed taskId, address indexed owner);
     event TaskStatusChanged(uint256 indexed taskId, TaskStatus newStatus);
+    event TaskScheduleUpdated(uint256 indexed taskId, uint256 dueDate, TaskPriority priority);
+    event TaskAssigned(uint256 indexed taskId, address indexed previousAssignee, address indexed newAssignee);
+    event CollaboratorAdded(uint256 indexed taskId, address indexed collaborator);
+    event CollaboratorRemoved(uint256 indexed taskId, address indexed collaborator);
+    event SubtaskCreated(uint256 indexed parentId, uint256 indexed taskId);
+    event DependencyAdded(uint256 indexed taskId, uint256 indexed dependsOnId);
+    event DependencyRemoved(uint256 indexed taskId, uint256 indexed dependsOnId);
+    event BountyFunded(uint256 indexed taskId, address indexed funder, uint256 amount, uint256 total);
+    event BountyPaid(uint256 indexed taskId, address indexed recipient, uint256 amount);
+    event BountyRefunded(uint256 indexed taskId, address indexed owner, uint256 amount);
+    event SeriesCreated(uint256 indexed seriesId, address indexed owner, uint256 interval);
+    event TaskRecurred(uint256 indexed seriesId, uint256 indexed previousTaskId, uint256 indexed taskId);
+    event SeriesStopped(uint256 indexed seriesId);
+    event AdminTransferStarted(address indexed previousAdmin, address indexed newAdmin);
+    event AdminTransferred(address indexed previousAdmin, address indexed newAdmin);
+    event Paused(address indexed account);
+    event Unpaused(address indexed account);
+    event TitleHidden(uint256 indexed taskId);
+    event TitleRestored(uint256 indexed taskId);
+    event TaskCreatorSet(address indexed creator, bool allowed);
 
     // Modifiers
     modifier onlyTaskOwner(uint256 _taskId) {
-        require(tasks[_taskId].owner == msg.sender, "Not the task owner");
+        _checkTaskOwner(_taskId);
+        _;
+    }
+
+    modifier onlyTaskOwnerOrAssignee(uint256 _taskId) {
+        _checkTaskOwnerOrAssignee(_taskId);
+        _;
+    }
+
+    modifier onlyTaskOwnerOrCollaborator(uint256 _taskId) {
+        _checkTaskOwnerOrCollaborator(_taskId);
+        _;
+    }
+
+    modifier nonReentrant() {
+        require(!locked, "Reentrant call");
+        locked = true;
         _;
+        locked = false;
     }
 
     modifier taskExists(uint256 _taskId) {
-        require(tasks[_taskId].owner != address(0), "Task does not exist");
+        _checkTaskExists(_taskId);
+        _;
+    }
+
+    modifier onlyAdmin() {
+        _checkAdmin();
+        _;
+    }
+
+    modifier whenNotPaused() {
+        _checkNotPaused();
         _;
     }
 
     /**
-     * @dev Create a new task
+     * @dev Modifier checks live in functions so that each use of a modifier
+     * does not copy the check into the calling function
+     */
+    function _checkTaskOwner(uint256 _taskId) private view {
+        require(tasks[_taskId].owner == _msgSender(), "Not the task owner");
+    }
+
+    /**
+     * @dev Check for onlyTaskOwnerOrAssignee
+     */
+    function _checkTaskOwnerOrAssignee(uint256 _taskId) private view {
+        Task storage task = tasks[_taskId];
+        address sender = _msgSender();
+        require(task.owner == sender || task.assignee == sender, "Not the task owner or assignee");
+    }
+
+    /**
+     * @dev Check for onlyTaskOwnerOrCollaborator
+     */
+    function _checkTaskOwnerOrCollaborator(uint256 _taskId) private view {
+        address sender = _msgSender();
+        require(
+            tasks[_taskId].owner == sender || isCollaborator[_taskId][sender],
+            "Not the task owner or collaborator"
+        );
+    }
+
+    /**
+     * @dev Check for taskExists
+     */
+    function _checkTaskExists(uint256 _taskId) private view {
+        require(tasks[_taskId].owner != address(0), "Task does not exist");
+    }
+
+    /**
+     * @dev Check for onlyAdmin
+     */
+    function _checkAdmin() private view {
+        require(_msgSender() == admin(), "Not the admin");
+    }
+
+    /**
+     * @dev Check for whenNotPaused
+     * @notice TaskManagerUpgradeable also rejects task changes while a migration is in progress
+     */
+    function _checkNotPaused() internal view virtual {
+        require(!paused, "Contract is paused");
+    }
+
+    /**
+     * @dev Deploy the contract together with its own meta-transaction forwarder and query views
+     * @notice The forwarder address is available through trustedForwarder() and the views through
+     * queries(). The deployer becomes the admin.
+     */
+    constructor() ERC2771Context(address(new TaskForwarder())) {
+        queries = new TaskQueries();
+        _setAdmin(msg.sender);
+    }
+
+    /**
+     * @dev Resolve the Context overrides in favour of ERC2771Context, so relayed
+     * calls (including each call inside a relayed multicall) keep the signer as sender
+     */
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
+
+    /**
+     * @dev Create a new task with no due date and low priority
+     * @notice Any ETH sent is held in escrow as the task's bounty
      * @param _title The title of the task
      * @param _description The description of the task
      * @return The ID of the newly created task
      */
-    function createTask(string memory _title, string memory _description) external returns (uint256) {
-        require(bytes(_title).length > 0, "Title cannot be empty");
+    function createTask(
+        string memory _title,
+        string memory _description
+    ) external payable whenNotPaused returns (uint256) {
+        return _createTask(_title, _description, _msgSender());
+    }
 
-        taskCounter++;
-        uint256 newTaskId = taskCounter;
+    /**
+     * @dev Create a new task with a due date and priority
+     * @notice Any ETH sent is held in escrow as the task's bounty
+     * @param _title The title of the task
+     * @param _description The description of the task
+     * @param _dueDate Unix timestamp the task is due by, or 0 for no due date
+     * @param _priority The priority level of the task
+     * @return The ID of the newly created task
+     */
+    function createTask(
+        string memory _title,
+        string memory _description,
+        uint256 _dueDate,
+        TaskPriority _priority
+    ) external payable whenNotPaused returns (uint256) {
+        uint256 newTaskId = _createTask(_title, _description, _msgSender());
+        _scheduleTask(newTaskId, _dueDate, _priority);
+        return newTaskId;
+    }
 
-        Task memory newTask = Task({
-            id: newTaskId,
-            title: _title,
-            description: _description,
-            status: TaskStatus.Pending,
-            createdAt: block.timestamp,
-            updatedAt: block.timestamp,
-            owner: msg.sender
-        });
+    /**
+     * @dev Create several tasks with no due date and low priority in one transaction
+     * @notice Emits TaskCreated for every task, exactly as separate createTask calls would
+     * @param _titles The titles of the tasks
+     * @param _descriptions The descriptions of the tasks, one per title
+     * @return taskIds The IDs of the newly created tasks, in input order
+     */
+    function createTasks(
+        string[] memory _titles,
+        string[] memory _descriptions
+    ) external whenNotPaused returns (uint256[] memory taskIds) {
+        require(_titles.length > 0, "No tasks provided");
+        require(_titles.length == _descriptions.length, "Array length mismatch");
+
+        taskIds = new uint256[](_titles.length);
+        for (uint256 i = 0; i < _titles.length; i++) {
+            taskIds[i] = _createTask(_titles[i], _descriptions[i], _msgSender());
+        }
+    }
+
+    /**
+     * @dev Create a new task owned by another address, with a due date and priority
+     * @notice Only callable by contracts the admin allowed with setTaskCreator; they check
+     * their own permissions, e.g. TaskBoards lets project members create tasks on a board
+     * @param _owner The address that will own the task
+     * @param _title The title of the task
+     * @param _description The description of the task
+     * @param _dueDate Unix timestamp the task is due by, or 0 for no due date
+     * @param _priority The priority level of the task
+     * @return The ID of the newly created task
+     */
+    function createTaskFor(
+        address _owner,
+        string memory _title,
+        string memory _description,
+        uint256 _dueDate,
+        TaskPriority _priority
+    ) external whenNotPaused returns (uint256) {
+        require(taskCreators[_msgSender()], "Not a task creator");
+        require(_owner != address(0), "Invalid owner");
 
-        tasks[newTaskId] = newTask;
-        userTasks[msg.sender].push(newTaskId);
+        uint256 newTaskId = _createTask(_title, _description, _owner);
+        _scheduleTask(newTaskId, _dueDate, _priority);
+        return newTaskId;
+    }
 
-        emit TaskCreated(newTaskId, msg.sender, _title);
+    /**
+     * @dev Create a new task as a subtask of one of the caller's open tasks
+     * @notice Any ETH sent is held in escrow as the task's bounty
+     * @param _parentId The ID of the parent task
+     * @param _title The title of the task
+     * @param _description The description of the task
+     * @param _dueDate Unix timestamp the task is due by, or 0 for no due date
+     * @param _priority The priority level of the task
+     * @return The ID of the newly created task
+     */
+    function createSubtask(
+        uint256 _parentId,
+        string memory _title,
+        string memory _description,
+        uint256 _dueDate,
+        TaskPriority _priority
+    ) external payable whenNotPaused returns (uint256) {
+        Task storage parent = tasks[_parentId];
+        require(parent.owner != address(0), "Parent task does not exist");
+        require(parent.owner == _msgSender(), "Not the parent task owner");
+        require(
+            parent.status == TaskStatus.Pending || parent.status == TaskStatus.InProgress,
+            "Parent task is closed"
+        );
+        uint256 newTaskId = _createTask(_title, _description, _msgSender());
+        tasks[newTaskId].parentId = _parentId;
+        subtasks[_parentId].push(newTaskId);
+        emit SubtaskCreated(_parentId, newTaskId);
+        _scheduleTask(newTaskId, _dueDate, _priority);
         return newTaskId;
     }
 
+    /**
+     * @dev Create the first task of a recurring series
+     * @notice When the latest instance of an active series is completed, the next one is
+     * created: Pending, with the same title, description, priority and assignee, and due one
+     * interval after its predecessor (intervals that have already passed are skipped)
+     * @param _title The title of the task
+     * @param _description The description of the task
+     * @param _dueDate Unix timestamp the first instance is due by
+     * @param _priority The priority level of the task
+     * @param _interval Seconds between the due dates of consecutive instances
+     * @return The ID of the first task, which is also the ID of the series
+     */
+    function createRecurringTask(
+        string memory _title,
+        string memory _description,
+        uint256 _dueDate,
+        TaskPriority _priority,
+        uint256 _interval
+    ) external whenNotPaused returns (uint256) {
+        require(_dueDate != 0, "Recurring tasks need a due date");
+        require(_interval > 0, "Invalid interval");
+        address owner = _msgSender();
+        uint256 seriesId = _createTask(_title, _description, owner);
+        _scheduleTask(seriesId, _dueDate, _priority);
+
+        series[seriesId] = Series(owner, _interval, seriesId, true);
+        taskSeries[seriesId] = seriesId;
+        seriesTasks[seriesId].push(seriesId);
+
+        emit SeriesCreated(seriesId, owner, _interval);
+        return seriesId;
+    }
+
+    /**
+     * @dev Stop a series; completing its latest instance no longer creates a new one
+     * @notice Existing instances are kept
+     * @param _seriesId The ID of the series
+     */
+    function stopSeries(uint256 _seriesId) external whenNotPaused {
+        Series storage s = series[_seriesId];
+        require(s.owner != address(0), "Series does not exist");
+        require(s.owner == _msgSender(), "Not the series owner");
+        require(s.active, "Series already stopped");
+
+        s.active = false;
+        emit SeriesStopped(_seriesId);
+    }
+
     /**
      * @dev Update an existing task
      * @param _taskId The ID of the task to update
@@ -87,52 +414,405 @@ contract TaskManager {
         uint256 _taskId,
         string memory _title,
         string memory _description
-    ) external taskExists(_taskId) onlyTaskOwner(_taskId) {
-        require(bytes(_title).length > 0, "Title cannot be empty");
+    ) external whenNotPaused taskExists(_taskId) onlyTaskOwner(_taskId) {
+        _updateTask(_taskId, _title, _description);
+    }
+
+    /**
+     * @dev Update an existing task including its due date and priority
+     * @notice A new due date must be in the future; passing the current one keeps it, even when
+     * the task is already overdue
+     * @param _taskId The ID of the task to update
+     * @param _title The new title
+     * @param _description The new description
+     * @param _dueDate The new due date, or 0 to clear it
+     * @param _priority The new priority level
+     */
+    function updateTask(
+        uint256 _taskId,
+        string memory _title,
+        string memory _description,
+        uint256 _dueDate,
+        TaskPriority _priority
+    ) external whenNotPaused taskExists(_taskId) onlyTaskOwner(_taskId) {
+        Task storage task = tasks[_taskId];
+        if (_dueDate != task.dueDate) {
+            require(_dueDate == 0 || _dueDate > block.timestamp, "Due date must be in the future");
+        }
+
+        task.dueDate = _dueDate;
+        task.priority = _priority;
+        _updateTask(_taskId, _title, _description);
+
+        emit TaskScheduleUpdated(_taskId, _dueDate, _priority);
+    }
 
+    /**
+     * @dev Update only the description of a task
+     * @notice Callable by the owner or any collaborator of the task
+     * @param _taskId The ID of the task to update
+     * @param _description The new description
+     */
+    function updateTaskDescription(
+        uint256 _taskId,
+        string memory _description
+    ) external whenNotPaused taskExists(_taskId) onlyTaskOwnerOrCollaborator(_taskId) {
         Task storage task = tasks[_taskId];
-        task.title = _title;
         task.description = _description;
         task.updatedAt = block.timestamp;
 
-        emit TaskUpdated(_taskId, _title, task.status);
+        emit TaskUpdated(_taskId, task.title, task.status);
     }
 
     /**
      * @dev Change the status of a task
+     * @notice Callable by the owner or the assignee of the task. Only transitions
+     * allowed by isValidTransition are accepted; Completed and Cancelled are final.
+     * A task cannot be completed while any of its dependencies or subtasks are still open.
+     * For a task with a bounty, completion by the owner releases it to the assignee,
+     * completion by the assignee starts the approval window, and cancellation refunds the owner.
      * @param _taskId The ID of the task
      * @param _status The new status
      */
-    function updateTaskStatus(
-        uint256 _taskId,
-        TaskStatus _status
-    ) external taskExists(_taskId) onlyTaskOwner(_taskId) {
-        Task storage task = tasks[_taskId];
-        task.status = _status;
-        task.updatedAt = block.timestamp;
+    function updateTaskStatus(uint256 _taskId, TaskStatus _status) external whenNotPaused nonReentrant {
+        _updateTaskStatus(_taskId, _status);
+    }
 
-        emit TaskStatusChanged(_taskId, _status);
+    /**
+     * @dev Change the status of several tasks in one transaction
+     * @notice Every task is checked as in updateTaskStatus; if any of them
+     * fails, the whole batch reverts
+     * @param _taskIds The IDs of the tasks
+     * @param _status The new status for all of them
+     */
+    function updateTaskStatuses(
+        uint256[] memory _taskIds,
+        TaskStatus _status
+    ) external whenNotPaused nonReentrant {
+        require(_taskIds.length > 0, "No tasks provided");
+        for (uint256 i = 0; i < _taskIds.length; i++) {
+            _updateTaskStatus(_taskIds[i], _status);
+        }
     }
 
     /**
      * @dev Delete a task
+     * @notice Any unpaid bounty is refunded to the owner, unless the assignee has
+     * already completed the task and is waiting for payout. A task with subtasks
+     * cannot be deleted until its subtasks are deleted; deleting a task that others
+     * depend on unblocks them. Deleting the latest instance of an active series stops the series.
      * @param _taskId The ID of the task to delete
      */
-    function deleteTask(uint256 _taskId) external taskExists(_taskId) onlyTaskOwner(_taskId) {
+    function deleteTask(
+        uint256 _taskId
+    ) external whenNotPaused nonReentrant taskExists(_taskId) onlyTaskOwner(_taskId) {
+        require(taskBounties[_taskId].completedAt == 0, "Bounty awaiting payout");
+        require(subtasks[_taskId].length == 0, "Task has subtasks");
+
         address owner = tasks[_taskId].owner;
+        address assignee = tasks[_taskId].assignee;
 
         // Remove from user's task list
-        uint256[] storage userTaskList = userTasks[owner];
-        for (uint256 i = 0; i < userTaskList.length; i++) {
-            if (userTaskList[i] == _taskId) {
-                userTaskList[i] = userTaskList[userTaskList.length - 1];
-                userTaskList.pop();
-                break;
+        _removeTaskId(userTasks[owner], _taskId);
+
+        // Remove from assignee's task list
+        if (assignee != address(0)) {
+            _removeTaskId(assignedTasks[assignee], _taskId);
+        }
+
+        // Clear collaborators
+        address[] storage collaborators = taskCollaborators[_taskId];
+        for (uint256 i = 0; i < collaborators.length; i++) {
+            delete isCollaborator[_taskId][collaborators[i]];
+        }
+        delete taskCollaborators[_taskId];
+
+        // Detach from parent and dependency graph
+        uint256 parentId = tasks[_taskId].parentId;
+        if (parentId != 0) {
+            _removeTaskId(subtasks[parentId], _taskId);
+        }
+        uint256 seriesId = taskSeries[_taskId];
+        if (seriesId != 0) {
+            _removeTaskId(seriesTasks[seriesId], _taskId);
+            delete taskSeries[_taskId];
+            // Only the latest instance creates the next one, so the series cannot continue without it
+            Series storage s = series[seriesId];
+            if (s.latestTaskId == _taskId && s.active) {
+                s.active = false;
+                emit SeriesStopped(seriesId);
             }
         }
+        uint256[] storage blockers = dependencies[_taskId];
+        for (uint256 i = 0; i < blockers.length; i++) {
+            _removeTaskId(dependents[blockers[i]], _taskId);
+        }
+        uint256[] storage blocked = dependents[_taskId];
+        for (uint256 i = 0; i < blocked.length; i++) {
+            _removeTaskId(dependencies[blocked[i]], _taskId);
+        }
+        delete dependencies[_taskId];
+        delete dependents[_taskId];
 
+        delete taskHistory[_taskId];
+        delete hiddenTitles[_taskId];
         delete tasks[_taskId];
         emit TaskDeleted(_taskId, owner);
+
+        if (taskBounties[_taskId].amount > 0) {
+            _refundBounty(_taskId, owner);
+        }
+    }
+
+    /**
+     * @dev Assign a task to another address, replacing any current assignee
+     * @param _taskId The ID of the task
+     * @param _assignee The new assignee, or the zero address to unassign
+     */
+    function assignTask(
+        uint256 _taskId,
+        address _assignee
+    ) external whenNotPaused taskExists(_taskId) onlyTaskOwner(_taskId) {
+        require(tasks[_taskId].assignee != _assignee, "Already assigned to this address");
+        require(taskBounties[_taskId].completedAt == 0, "Bounty awaiting payout");
+
+        _setAssignee(_taskId, _assignee);
+    }
+
+    /**
+     * @dev Declare that a task cannot be completed before another task is closed
+     * @param _taskId The ID of the blocked task
+     * @param _dependsOnId The ID of the blocking task
+     */
+    function addDependency(
+        uint256 _taskId,
+        uint256 _dependsOnId
+    ) external whenNotPaused taskExists(_taskId) taskExists(_dependsOnId) onlyTaskOwner(_taskId) {
+        require(_taskId != _dependsOnId, "Task cannot depend on itself");
+        require(!_containsTaskId(dependencies[_taskId], _dependsOnId), "Dependency already exists");
+        require(!_dependsOn(_dependsOnId, _taskId), "Dependency cycle detected");
+
+        dependencies[_taskId].push(_dependsOnId);
+        dependents[_dependsOnId].push(_taskId);
+
+        emit DependencyAdded(_taskId, _dependsOnId);
+    }
+
+    /**
+     * @dev Remove a dependency between two tasks
+     * @param _taskId The ID of the blocked task
+     * @param _dependsOnId The ID of the blocking task
+     */
+    function removeDependency(
+        uint256 _taskId,
+        uint256 _dependsOnId
+    ) external whenNotPaused taskExists(_taskId) onlyTaskOwner(_taskId) {
+        require(_containsTaskId(dependencies[_taskId], _dependsOnId), "Dependency does not exist");
+
+        _removeTaskId(dependencies[_taskId], _dependsOnId);
+        _removeTaskId(dependents[_dependsOnId], _taskId);
+
+        emit DependencyRemoved(_taskId, _dependsOnId);
+    }
+
+    /**
+     * @dev Add ETH to the bounty held in escrow for a task
+     * @param _taskId The ID of the task
+     */
+    function fundTask(uint256 _taskId) external payable whenNotPaused taskExists(_taskId) onlyTaskOwner(_taskId) {
+        require(msg.value > 0, "No ETH sent");
+        TaskStatus status = tasks[_taskId].status;
+        require(status == TaskStatus.Pending || status == TaskStatus.InProgress, "Task is closed");
+
+        _fundBounty(_taskId);
+    }
+
+    /**
+     * @dev Claim an unassigned task that carries a bounty, becoming its assignee
+     * @param _taskId The ID of the task
+     */
+    function claimTask(uint256 _taskId) external whenNotPaused taskExists(_taskId) {
+        Task storage task = tasks[_taskId];
+        require(taskBounties[_taskId].amount > 0, "Task has no bounty");
+        require(task.owner != _msgSender(), "Owner cannot claim own task");
+        require(task.assignee == address(0), "Task already assigned");
+        require(task.status == TaskStatus.Pending || task.status == TaskStatus.InProgress, "Task is closed");
+
+        _setAssignee(_taskId, _msgSender());
+    }
+
+    /**
+     * @dev Approve a task completed by its assignee and release the bounty
+     * @param _taskId The ID of the task
+     */
+    function approveCompletion(
+        uint256 _taskId
+    ) external whenNotPaused nonReentrant taskExists(_taskId) onlyTaskOwner(_taskId) {
+        require(taskBounties[_taskId].completedAt != 0, "No completion awaiting approval");
+
+        _releaseBounty(_taskId);
+    }
+
+    /**
+     * @dev Release the bounty to the assignee once the owner's approval window has passed
+     * @param _taskId The ID of the task
+     */
+    function claimBounty(uint256 _taskId) external whenNotPaused nonReentrant taskExists(_taskId) {
+        Bounty storage bounty = taskBounties[_taskId];
+        require(tasks[_taskId].assignee == _msgSender(), "Not the task assignee");
+        require(bounty.completedAt != 0, "No completion awaiting approval");
+        require(block.timestamp >= bounty.completedAt + BOUNTY_APPROVAL_TIMEOUT, "Approval window still open");
+
+        _releaseBounty(_taskId);
+    }
+
+    /**
+     * @dev Allow an address to edit the description of a task
+     * @param _taskId The ID of the task
+     * @param _collaborator The address to add as collaborator
+     */
+    function addCollaborator(
+        uint256 _taskId,
+        address _collaborator
+    ) external whenNotPaused taskExists(_taskId) onlyTaskOwner(_taskId) {
+        require(_collaborator != address(0), "Invalid collaborator");
+        require(!isCollaborator[_taskId][_collaborator], "Already a collaborator");
+
+        isCollaborator[_taskId][_collaborator] = true;
+        taskCollaborators[_taskId].push(_collaborator);
+
+        emit CollaboratorAdded(_taskId, _collaborator);
+    }
+
+    /**
+     * @dev Revoke an address's collaborator rights on a task
+     * @param _taskId The ID of the task
+     * @param _collaborator The address to remove
+     */
+    function removeCollaborator(
+        uint256 _taskId,
+        address _collaborator
+    ) external whenNotPaused taskExists(_taskId) onlyTaskOwner(_taskId) {
+        require(isCollaborator[_taskId][_collaborator], "Not a collaborator");
+
+        address[] storage collaborators = taskCollaborators[_taskId];
+        for (uint256 i = 0; i < collaborators.length; i++) {
+            if (collaborators[i] == _collaborator) {
+                collaborators[i] = collaborators[collaborators.length - 1];
+                collaborators.pop();
+                break;
+            }
+        }
+        delete isCollaborator[_taskId][_collaborator];
+
+        emit CollaboratorRemoved(_taskId, _collaborator);
+    }
+
+    /**
+     * @dev Start handing the admin role to another address
+     * @notice The role only moves once the new admin calls acceptAdmin. Starting
+     * another transfer replaces the pending one.
+     * @param _newAdmin The proposed admin
+     */
+    function transferAdmin(address _newAdmin) external onlyAdmin {
+        require(_newAdmin != address(0), "Invalid admin");
+        pendingAdmin = _newAdmin;
+
+        emit AdminTransferStarted(admin(), _newAdmin);
+    }
+
+    /**
+     * @dev Take over the admin role offered through transferAdmin
+     */
+    function acceptAdmin() external {
+        address sender = _msgSender();
+        require(sender == pendingAdmin, "Not the pending admin");
+
+        delete pendingAdmin;
+        _setAdmin(sender);
+    }
+
+    /**
+     * @dev Stop every function that changes tasks, bounties or series
+     * @notice Views keep working while paused. Escrowed bounties stay in the contract
+     * until it is unpaused.
+     */
+    function pause() external onlyAdmin whenNotPaused {
+        paused = true;
+        emit Paused(_msgSender());
+    }
+
+    /**
+     * @dev Resume normal operation after pause
+     */
+    function unpause() external onlyAdmin {
+        require(paused, "Contract is not paused");
+        paused = false;
+        emit Unpaused(_msgSender());
+    }
+
+    /**
+     * @dev Replace a task's title with a placeholder, for titles flagged as abusive
+     * @notice The original title is kept and can be put back with restoreTitle; until then
+     * the owner cannot change the title. Events emitted before hiding still carry it.
+     * @param _taskId The ID of the task
+     */
+    function hideTitle(uint256 _taskId) external onlyAdmin taskExists(_taskId) {
+        require(!isTitleHidden(_taskId), "Title already hidden");
+        hiddenTitles[_taskId] = tasks[_taskId].title;
+
+        emit TitleHidden(_taskId);
+        _setTitle(_taskId, HIDDEN_TITLE);
+    }
+
+    /**
+     * @dev Put back a title hidden by hideTitle
+     * @param _taskId The ID of the task
+     */
+    function restoreTitle(uint256 _taskId) external onlyAdmin taskExists(_taskId) {
+        require(isTitleHidden(_taskId), "Title is not hidden");
+        string memory title = hiddenTitles[_taskId];
+        delete hiddenTitles[_taskId];
+
+        emit TitleRestored(_taskId);
+        _setTitle(_taskId, title);
+    }
+
+    /**
+     * @dev Allow or disallow a contract to create tasks on behalf of users with createTaskFor
+     * @param _creator The contract address
+     * @param _allowed True to allow, false to revoke
+     */
+    function setTaskCreator(address _creator, bool _allowed) external onlyAdmin {
+        require(_creator != address(0), "Invalid creator");
+        taskCreators[_creator] = _allowed;
+        emit TaskCreatorSet(_creator, _allowed);
+    }
+
+    /**
+     * @dev Get the address allowed to pause the contract and hide titles
+     * @return The admin address
+     */
+    function admin() public view virtual returns (address) {
+        return currentAdmin;
+    }
+
+    /**
+     * @dev Check whether the admin has hidden a task's title
+     * @param _taskId The ID of the task
+     * @return True if the task's title is replaced by a placeholder
+     */
+    function isTitleHidden(uint256 _taskId) public view returns (bool) {
+        return bytes(hiddenTitles[_taskId]).length > 0;
+    }
+
+    /**
+     * @dev Check whether a task exists
+     * @param _taskId The ID of the task
+     * @return False for deleted tasks and IDs that were never used
+     */
+    function doesTaskExist(uint256 _taskId) external view returns (bool) {
+        return tasks[_taskId].owner != address(0);
     }
 
     /**
@@ -144,6 +824,33 @@ contract TaskManager {
         return tasks[_taskId];
     }
 
+    /**
+     * @dev Get the status history of a task, starting with its creation
+     * @param _taskId The ID of the task
+     * @return Array of StatusChange records in chronological order
+     */
+    function getTaskHistory(uint256 _taskId) external view taskExists(_taskId) returns (StatusChange[] memory) {
+        return taskHistory[_taskId];
+    }
+
+    /**
+     * @dev Check whether a status transition is allowed
+     * @notice Pending -> InProgress, Completed, Cancelled;
+     * InProgress -> Pending, Completed, Cancelled; Completed and Cancelled are final
+     * @param _from The current status
+     * @param _to The requested status
+     * @return True if the transition is allowed
+     */
+    function isValidTransition(TaskStatus _from, TaskStatus _to) public pure returns (bool) {
+        if (_from == TaskStatus.Pending) {
+            return _to == TaskStatus.InProgress || _to == TaskStatus.Completed || _to == TaskStatus.Cancelled;
+        }
+        if (_from == TaskStatus.InProgress) {
+            return _to == TaskStatus.Pending || _to == TaskStatus.Completed || _to == TaskStatus.Cancelled;
+        }
+        return false;
+    }
+
     /**
      * @dev Get all task IDs for a specific user
      * @param _user The address of the user
@@ -153,20 +860,199 @@ contract TaskManager {
         return userTasks[_user];
     }
 
+    /**
+     * @dev Get the bounty held in escrow for a task
+     * @param _taskId The ID of the task
+     * @return Bounty struct with the escrowed amount and the assignee's completion time
+     */
+    function getBounty(uint256 _taskId) external view taskExists(_taskId) returns (Bounty memory) {
+        return taskBounties[_taskId];
+    }
+
+    /**
+     * @dev Get the direct subtasks of a task
+     * @param _taskId The ID of the parent task
+     * @return Array of subtask IDs
+     */
+    function getSubtasks(uint256 _taskId) external view taskExists(_taskId) returns (uint256[] memory) {
+        return subtasks[_taskId];
+    }
+
+    /**
+     * @dev Get the tasks that block a task
+     * @param _taskId The ID of the task
+     * @return Array of task IDs the task depends on
+     */
+    function getDependencies(uint256 _taskId) external view taskExists(_taskId) returns (uint256[] memory) {
+        return dependencies[_taskId];
+    }
+
+    /**
+     * @dev Get the tasks blocked by a task
+     * @param _taskId The ID of the task
+     * @return Array of task IDs that depend on the task
+     */
+    function getDependents(uint256 _taskId) external view taskExists(_taskId) returns (uint256[] memory) {
+        return dependents[_taskId];
+    }
+
+    /**
+     * @dev Get the recurrence of a series
+     * @param _seriesId The ID of the series (the ID of its first task)
+     * @return Series struct with its owner, interval, latest instance and whether it is active
+     */
+    function getSeries(uint256 _seriesId) external view returns (Series memory) {
+        require(series[_seriesId].owner != address(0), "Series does not exist");
+        return series[_seriesId];
+    }
+
+    /**
+     * @dev Get the instances of a series, oldest first
+     * @param _seriesId The ID of the series (the ID of its first task)
+     * @return Array of task IDs; deleted instances are left out
+     */
+    function getSeriesTasks(uint256 _seriesId) external view returns (uint256[] memory) {
+        return seriesTasks[_seriesId];
+    }
+
+    /**
+     * @dev Get all task IDs assigned to a specific user
+     * @param _user The address of the assignee
+     * @return Array of task IDs assigned to the user
+     */
+    function getAssignedTasks(address _user) external view returns (uint256[] memory) {
+        return assignedTasks[_user];
+    }
+
+    /**
+     * @dev Get the collaborators of a task
+     * @param _taskId The ID of the task
+     * @return Array of collaborator addresses
+     */
+    function getTaskCollaborators(uint256 _taskId) external view taskExists(_taskId) returns (address[] memory) {
+        return taskCollaborators[_taskId];
+    }
+
+    /**
+     * @dev Check whether an address is a collaborator on a task
+     * @param _taskId The ID of the task
+     * @param _user The address to check
+     * @return True if the address is a collaborator
+     */
+    function isTaskCollaborator(uint256 _taskId, address _user) external view returns (bool) {
+        return isCollaborator[_taskId][_user];
+    }
+
     /**
      * @dev Get all tasks for a specific user
      * @param _user The address of the user
      * @return Array of Task structs owned by the user
      */
     function getUserTaskDetails(address _user) external view returns (Task[] memory) {
-        uint256[] memory taskIds = userTasks[_user];
-        Task[] memory userTaskList = new Task[](taskIds.length);
+        _query(abi.encodeCall(TaskQueries.getUserTaskDetails, (this, _user)));
+    }
 
-        for (uint256 i = 0; i < taskIds.length; i++) {
-            userTaskList[i] = tasks[taskIds[i]];
-        }
+    /**
+     * @dev Get a user's tasks that are past their due date and still open
+     * @param _user The address of the user
+     * @return Array of overdue Task structs owned by the user
+     */
+    function getOverdueTasks(address _user) external view returns (Task[] memory) {
+        _query(abi.encodeCall(TaskQueries.getOverdueTasks, (this, _user)));
+    }
+
+    /**
+     * @dev Check whether a task is past its due date and still open
+     * @param _taskId The ID of the task
+     * @return True if the task is overdue
+     */
+    function isTaskOverdue(uint256 _taskId) external view returns (bool) {
+        _query(abi.encodeCall(TaskQueries.isTaskOverdue, (this, _taskId)));
+    }
+
+    /**
+     * @dev Get a user's tasks with a specific priority
+     * @param _user The address of the user
+     * @param _priority The priority level to filter by
+     * @return Array of matching Task structs owned by the user
+     */
+    function getTasksByPriority(
+        address _user,
+        TaskPriority _priority
+    ) external view returns (Task[] memory) {
+        _query(abi.encodeCall(TaskQueries.getTasksByPriority, (this, _user, _priority)));
+    }
+
+    /**
+     * @dev Get all of a user's tasks ordered from highest to lowest priority
+     * @notice Tasks with equal priority keep their order from getUserTasks
+     * @param _user The address of the user
+     * @return Array of Task structs sorted by priority
+     */
+    function getUserTasksByPriority(address _user) external view returns (Task[] memory) {
+        _query(abi.encodeCall(TaskQueries.getUserTasksByPriority, (this, _user)));
+    }
+
+    /**
+     * @dev Get a page of a user's tasks
+     * @param _user The address of the user
+     * @param _offset The index in the user's task list to start from
+     * @param _limit The maximum number of tasks to return
+     * @return Array of at most _limit Task structs owned by the user
+     */
+    function getUserTaskDetailsPaginated(
+        address _user,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (Task[] memory) {
+        _query(abi.encodeCall(TaskQueries.getUserTaskDetailsPaginated, (this, _user, _offset, _limit)));
+    }
 
-        return userTaskList;
+    /**
+     * @dev Get a page of a user's tasks that have a specific status
+     * @notice _offset counts matching tasks, so pages never overlap
+     * @param _user The address of the user
+     * @param _status The status to filter by
+     * @param _offset The number of matching tasks to skip
+     * @param _limit The maximum number of tasks to return
+     * @return Array of at most _limit matching Task structs
+     */
+    function getUserTasksByStatus(
+        address _user,
+        TaskStatus _status,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (Task[] memory) {
+        _query(abi.encodeCall(TaskQueries.getUserTasksByStatus, (this, _user, _status, _offset, _limit)));
+    }
+
+    /**
+     * @dev Get existing tasks within a window of task IDs
+     * @notice Scans IDs _offset + 1 through _offset + _limit and skips deleted ones,
+     * so a page may hold fewer than _limit tasks. Callers page through all tasks by
+     * advancing _offset by _limit until it reaches getTotalTaskCount().
+     * @param _offset The number of task IDs to skip
+     * @param _limit The number of task IDs to scan
+     * @return Array of existing Task structs in ID order
+     */
+    function getTasksPaginated(uint256 _offset, uint256 _limit) external view returns (Task[] memory) {
+        _query(abi.encodeCall(TaskQueries.getTasksPaginated, (this, _offset, _limit)));
+    }
+
+    /**
+     * @dev Get existing tasks with a specific status within a window of task IDs
+     * @notice Uses the same ID window as getTasksPaginated
+     * @param _status The status to filter by
+     * @param _offset The number of task IDs to skip
+     * @param _limit The number of task IDs to scan
+     * @return Array of matching Task structs in ID order
+     */
+    function getTasksByStatusPaginated(
+        TaskStatus _status,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (Task[] memory) {
+        _query(abi.encodeCall(TaskQueries.getTasksByStatusPaginated, (this, _status, _offset, _limit)));
     }
 
     /**
@@ -185,4 +1071,296 @@ contract TaskManager {
     function getUserTaskCount(address _user) external view returns (uint256) {
         return userTasks[_user].length;
     }
+
+    /**
+     * @dev Shared implementation of the createTask overloads, also used for recurring instances
+     * @notice Creates the task with no due date and low priority; _scheduleTask sets them
+     */
+    function _createTask(
+        string memory _title,
+        string memory _description,
+        address _owner
+    ) private returns (uint256) {
+        require(bytes(_title).length > 0, "Title cannot be empty");
+
+        taskCounter++;
+        uint256 newTaskId = taskCounter;
+
+        // Status Pending, no assignee, due date or parent, and low priority are the zero defaults
+        Task storage newTask = tasks[newTaskId];
+        newTask.id = newTaskId;
+        newTask.title = _title;
+        newTask.description = _description;
+        newTask.createdAt = block.timestamp;
+        newTask.updatedAt = block.timestamp;
+        newTask.owner = _owner;
+
+        userTasks[_owner].push(newTaskId);
+        taskHistory[newTaskId].push(StatusChange(TaskStatus.Pending, _owner, block.timestamp));
+
+        emit TaskCreated(newTaskId, _owner, _title);
+
+        if (msg.value > 0) {
+            _fundBounty(newTaskId);
+        }
+        return newTaskId;
+    }
+
+    /**
+     * @dev Set the due date and priority of a task just created by _createTask
+     */
+    function _scheduleTask(uint256 _taskId, uint256 _dueDate, TaskPriority _priority) private {
+        require(_dueDate == 0 || _dueDate > block.timestamp, "Due date must be in the future");
+        Task storage task = tasks[_taskId];
+        task.dueDate = _dueDate;
+        task.priority = _priority;
+
+        emit TaskScheduleUpdated(_taskId, _dueDate, _priority);
+    }
+
+    /**
+     * @dev Shared implementation of updateTaskStatus and updateTaskStatuses
+     */
+    function _updateTaskStatus(
+        uint256 _taskId,
+        TaskStatus _status
+    ) private taskExists(_taskId) onlyTaskOwnerOrAssignee(_taskId) {
+        Task storage task = tasks[_taskId];
+        require(isValidTransition(task.status, _status), "Invalid status transition");
+        if (_status == TaskStatus.Completed) {
+            require(!_hasOpenTask(dependencies[_taskId]), "Task has open dependencies");
+            require(!_hasOpenTask(subtasks[_taskId]), "Task has open subtasks");
+        }
+
+        task.status = _status;
+        task.updatedAt = block.timestamp;
+        taskHistory[_taskId].push(StatusChange(_status, _msgSender(), block.timestamp));
+
+        emit TaskStatusChanged(_taskId, _status);
+
+        uint256 seriesId = taskSeries[_taskId];
+        if (_status == TaskStatus.Completed && seriesId != 0) {
+            _recur(seriesId, _taskId);
+        }
+
+        Bounty storage bounty = taskBounties[_taskId];
+        if (bounty.amount == 0) {
+            return;
+        }
+        if (_status == TaskStatus.Completed) {
+            require(task.assignee != address(0), "Bounty task has no assignee");
+            if (_msgSender() == task.owner) {
+                _releaseBounty(_taskId);
+            } else {
+                bounty.completedAt = block.timestamp;
+            }
+        } else if (_status == TaskStatus.Cancelled) {
+            _refundBounty(_taskId, task.owner);
+        }
+    }
+
+    /**
+     * @dev Create the next instance of an active series after its latest instance is completed
+     */
+    function _recur(uint256 _seriesId, uint256 _taskId) private {
+        Series storage s = series[_seriesId];
+        if (!s.active) {
+            return;
+        }
+
+        Task storage task = tasks[_taskId];
+        uint256 dueDate = task.dueDate + s.interval;
+        if (dueDate <= block.timestamp) {
+            dueDate += ((block.timestamp - dueDate) / s.interval + 1) * s.interval;
+        }
+
+        uint256 nextId = _createTask(task.title, task.description, task.owner);
+        _scheduleTask(nextId, dueDate, task.priority);
+        // The next instance starts with the placeholder too and keeps the original for restoreTitle
+        if (isTitleHidden(_taskId)) {
+            hiddenTitles[nextId] = hiddenTitles[_taskId];
+            emit TitleHidden(nextId);
+        }
+        if (task.assignee != address(0)) {
+            _setAssignee(nextId, task.assignee);
+        }
+
+        s.latestTaskId = nextId;
+        taskSeries[nextId] = _seriesId;
+        seriesTasks[_seriesId].push(nextId);
+
+        emit TaskRecurred(_seriesId, _taskId, nextId);
+    }
+
+    /**
+     * @dev Shared implementation of the updateTask overloads
+     */
+    function _updateTask(uint256 _taskId, string memory _title, string memory _description) private {
+        require(bytes(_title).length > 0, "Title cannot be empty");
+        require(!isTitleHidden(_taskId), "Title is hidden");
+
+        tasks[_taskId].description = _description;
+        _setTitle(_taskId, _title);
+    }
+
+    /**
+     * @dev Change a task's title and announce it with TaskUpdated
+     */
+    function _setTitle(uint256 _taskId, string memory _title) private {
+        Task storage task = tasks[_taskId];
+        task.title = _title;
+        task.updatedAt = block.timestamp;
+
+        emit TaskUpdated(_taskId, _title, task.status);
+    }
+
+    /**
+     * @dev Store a new admin
+     * @notice TaskManagerUpgradeable overrides this and admin() to keep the admin in its own storage
+     */
+    function _setAdmin(address _newAdmin) internal virtual {
+        emit AdminTransferred(admin(), _newAdmin);
+        currentAdmin = _newAdmin;
+    }
+
+    /**
+     * @dev Replace the assignee of a task and keep the assignee indexes in sync
+     */
+    function _setAssignee(uint256 _taskId, address _assignee) private {
+        Task storage task = tasks[_taskId];
+        address previousAssignee = task.assignee;
+
+        if (previousAssignee != address(0)) {
+            _removeTaskId(assignedTasks[previousAssignee], _taskId);
+        }
+        if (_assignee != address(0)) {
+            assignedTasks[_assignee].push(_taskId);
+        }
+
+        task.assignee = _assignee;
+        task.updatedAt = block.timestamp;
+
+        emit TaskAssigned(_taskId, previousAssignee, _assignee);
+    }
+
+    /**
+     * @dev Add msg.value to a task's bounty
+     */
+    function _fundBounty(uint256 _taskId) private {
+        Bounty storage bounty = taskBounties[_taskId];
+        bounty.amount += msg.value;
+
+        emit BountyFunded(_taskId, _msgSender(), msg.value, bounty.amount);
+    }
+
+    /**
+     * @dev Pay a task's bounty to its assignee
+     */
+    function _releaseBounty(uint256 _taskId) private {
+        address recipient = tasks[_taskId].assignee;
+        uint256 amount = taskBounties[_taskId].amount;
+        delete taskBounties[_taskId];
+
+        emit BountyPaid(_taskId, recipient, amount);
+        _sendValue(recipient, amount);
+    }
+
+    /**
+     * @dev Return a task's bounty to its owner
+     * @notice The owner is passed in because deleteTask clears the task before refunding
+     */
+    function _refundBounty(uint256 _taskId, address _owner) private {
+        uint256 amount = taskBounties[_taskId].amount;
+        delete taskBounties[_taskId];
+
+        emit BountyRefunded(_taskId, _owner, amount);
+        _sendValue(_owner, amount);
+    }
+
+    /**
+     * @dev Send ETH, reverting if the recipient rejects it
+     */
+    function _sendValue(address _recipient, uint256 _amount) private {
+        (bool success, ) = payable(_recipient).call{value: _amount}("");
+        require(success, "Transfer failed");
+    }
+
+    /**
+     * @dev Run a view on the TaskQueries contract and return its result, or revert with its error, as-is
+     * @notice Ends the current call, so the views that delegate to TaskQueries pass its ABI-encoded
+     * result through without decoding it
+     */
+    function _query(bytes memory _call) private view {
+        (bool success, bytes memory result) = address(queries).staticcall(_call);
+        assembly ("memory-safe") {
+            if iszero(success) {
+                revert(add(result, 32), mload(result))
+            }
+            return(add(result, 32), mload(result))
+        }
+    }
+
+    /**
+     * @dev Check whether any task in a list is still Pending or InProgress
+     */
+    function _hasOpenTask(uint256[] storage _taskIds) private view returns (bool) {
+        for (uint256 i = 0; i < _taskIds.length; i++) {
+            TaskStatus status = tasks[_taskIds[i]].status;
+            if (status == TaskStatus.Pending || status == TaskStatus.InProgress) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Check whether _from transitively depends on _target
+     * @notice Walks the graph depth-first with a fixed-size stack and reverts once it has
+     * followed MAX_DEPENDENCY_SCAN links, so a long chain fails with a clear error instead
+     * of running out of gas
+     */
+    function _dependsOn(uint256 _from, uint256 _target) private view returns (bool) {
+        uint256[] memory stack = new uint256[](MAX_DEPENDENCY_SCAN);
+        stack[0] = _from;
+        uint256 size = 1;
+        uint256 scanned = 0;
+        while (size > 0) {
+            uint256[] storage blockers = dependencies[stack[--size]];
+            for (uint256 i = 0; i < blockers.length; i++) {
+                if (blockers[i] == _target) {
+                    return true;
+                }
+                require(++scanned < MAX_DEPENDENCY_SCAN, "Dependency graph too large");
+                stack[size++] = blockers[i];
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Check whether an index contains a task ID
+     */
+    function _containsTaskId(uint256[] storage _list, uint256 _taskId) private view returns (bool) {
+        for (uint256 i = 0; i < _list.length; i++) {
+            if (_list[i] == _taskId) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Remove a task ID from an index by swapping with the last element
+     * @param _list The storage array to remove from
+     * @param _taskId The task ID to remove
+     */
+    function _removeTaskId(uint256[] storage _list, uint256 _taskId) private {
+        for (uint256 i = 0; i < _list.length; i++) {
+            if (_list[i] == _taskId) {
+                _list[i] = _list[_list.length - 1];
+                _list.pop();
+                break;
+            }
+        }
+    }
 }
@@ -0,0 +1,197 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// ERC1967Proxy is imported so Hardhat compiles it for scripts/deployUpgradeable.js
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import "./TaskManager.sol";
+
+/**
+ * @title TaskManagerUpgradeable
+ * @dev TaskManager behind an ERC-1967 proxy (UUPS), upgradeable by an admin
+ * @notice Deploy this contract as the implementation and an ERC1967Proxy pointing at it that
+ * calls initialize. Users talk to the proxy address, which keeps its state across upgrades.
+ * TaskManager's state variables keep their slots; the admin state of this contract lives in
+ * an ERC-7201 namespace so it cannot collide with variables appended to TaskManager later.
+ * The admin is kept there across upgrades, while the pending admin and the pause flag use
+ * TaskManager's slots.
+ * A proxy initialized for a migration imports tasks from a legacy deployment with their original
+ * IDs, owners and timestamps, and rejects task changes until the admin calls finishMigration.
+ */
+contract TaskManagerUpgradeable is TaskManager, Initializable, UUPSUpgradeable {
+    /// @custom:storage-location erc7201:taskmanager.storage.TaskManagerUpgradeable
+    struct UpgradeableStorage {
+        address admin;
+        address forwarder; // Forwarder of the first implementation, kept across upgrades
+        bool migrationFinished;
+        uint256 lastImportedTaskId;
+    }
+
+    // keccak256(abi.encode(uint256(keccak256("taskmanager.storage.TaskManagerUpgradeable")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant UPGRADEABLE_STORAGE_LOCATION =
+        0x043a09010c27cf5430b6b2b588308e2664b3a1722550ea2d277b4d767e3b7c00;
+
+    // Events
+    event TaskImported(
+        uint256 indexed taskId,
+        address indexed owner,
+        string title,
+        TaskStatus status,
+        TaskPriority priority,
+        uint256 dueDate,
+        uint256 createdAt,
+        uint256 updatedAt
+    );
+    event TasksImported(uint256 firstTaskId, uint256 lastTaskId);
+    event MigrationFinished(uint256 taskCount);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initialize the proxy's state
+     * @notice Called once, by the proxy deployment. Meta-transactions go through the
+     * forwarder of this first implementation, also after later upgrades.
+     * @param _admin The address allowed to upgrade the contract and import tasks
+     * @param _migrate True to import tasks with importTasks first; task changes are rejected
+     * until finishMigration. False opens the proxy to users right away.
+     */
+    function initialize(address _admin, bool _migrate) external initializer {
+        require(_admin != address(0), "Invalid admin");
+        UpgradeableStorage storage $ = _getUpgradeableStorage();
+        $.forwarder = super.trustedForwarder();
+        $.migrationFinished = !_migrate;
+        _setAdmin(_admin);
+    }
+
+    /**
+     * @dev The admin kept in this contract's namespace, where the first implementation stored it
+     */
+    function admin() public view override returns (address) {
+        return _getUpgradeableStorage().admin;
+    }
+
+    /**
+     * @dev The forwarder recorded at initialization rather than the one deployed by the
+     * current implementation, so signed requests keep working after an upgrade
+     */
+    function trustedForwarder() public view override returns (address) {
+        return _getUpgradeableStorage().forwarder;
+    }
+
+    /**
+     * @dev Copy tasks from a legacy deployment, keeping their IDs, owners, assignees and timestamps
+     * @notice Task IDs must be increasing across all calls; gaps left by deleted tasks are kept.
+     * Subtasks must be imported after their parent. Collaborators, dependencies and bounties
+     * are not imported. Each task emits TaskImported instead of TaskCreated, carrying the
+     * status, schedule and timestamps it keeps.
+     * @param _tasks The tasks to import, as returned by the legacy getTask
+     * @param _histories The status history of each task, as returned by the legacy getTaskHistory
+     */
+    function importTasks(
+        Task[] calldata _tasks,
+        StatusChange[][] calldata _histories
+    ) external onlyAdmin {
+        UpgradeableStorage storage $ = _getUpgradeableStorage();
+        require(!$.migrationFinished, "Migration finished");
+        require(_tasks.length > 0, "No tasks provided");
+        require(_tasks.length == _histories.length, "Array length mismatch");
+
+        for (uint256 i = 0; i < _tasks.length; i++) {
+            Task calldata task = _tasks[i];
+            require(task.id > $.lastImportedTaskId, "Task IDs must increase");
+            require(task.owner != address(0), "Invalid owner");
+            require(task.parentId == 0 || tasks[task.parentId].owner != address(0), "Parent task does not exist");
+
+            $.lastImportedTaskId = task.id;
+            taskCounter = task.id;
+            tasks[task.id] = task;
+            userTasks[task.owner].push(task.id);
+            if (task.assignee != address(0)) {
+                assignedTasks[task.assignee].push(task.id);
+            }
+            if (task.parentId != 0) {
+                subtasks[task.parentId].push(task.id);
+            }
+            for (uint256 j = 0; j < _histories[i].length; j++) {
+                taskHistory[task.id].push(_histories[i][j]);
+            }
+
+            Task storage imported = tasks[task.id];
+            emit TaskImported(
+                task.id,
+                imported.owner,
+                imported.title,
+                imported.status,
+                imported.priority,
+                imported.dueDate,
+                imported.createdAt,
+                imported.updatedAt
+            );
+        }
+
+        emit TasksImported(_tasks[0].id, taskCounter);
+    }
+
+    /**
+     * @dev End the migration; importTasks is disabled afterwards
+     * @param _taskCount The legacy getTotalTaskCount, so new IDs never reuse IDs of deleted legacy tasks
+     */
+    function finishMigration(uint256 _taskCount) external onlyAdmin {
+        UpgradeableStorage storage $ = _getUpgradeableStorage();
+        require(!$.migrationFinished, "Migration finished");
+        require(_taskCount >= taskCounter, "Task count below imported IDs");
+
+        $.migrationFinished = true;
+        taskCounter = _taskCount;
+
+        emit MigrationFinished(_taskCount);
+    }
+
+    /**
+     * @dev Check whether tasks can still be imported
+     * @return True once finishMigration has been called
+     */
+    function isMigrationFinished() external view returns (bool) {
+        return _getUpgradeableStorage().migrationFinished;
+    }
+
+    /**
+     * @dev Get the ID of the last task copied by importTasks, where a migration resumes
+     * @return The highest imported task ID, or 0 before the first import
+     */
+    function getLastImportedTaskId() external view returns (uint256) {
+        return _getUpgradeableStorage().lastImportedTaskId;
+    }
+
+    /**
+     * @dev Also reject task changes until the migration is finished, so tasks created on the
+     * proxy cannot take IDs that legacy tasks still need
+     */
+    function _checkNotPaused() internal view override {
+        require(_getUpgradeableStorage().migrationFinished, "Migration in progress");
+        super._checkNotPaused();
+    }
+
+    /**
+     * @dev Store a new admin in this contract's namespace
+     */
+    function _setAdmin(address _newAdmin) internal override {
+        emit AdminTransferred(admin(), _newAdmin);
+        _getUpgradeableStorage().admin = _newAdmin;
+    }
+
+    /**
+     * @dev Only the admin may upgrade the implementation
+     */
+    function _authorizeUpgrade(address) internal override onlyAdmin {}
+
+    function _getUpgradeableStorage() private pure returns (UpgradeableStorage storage $) {
+        assembly {
+            $.slot := UPGRADEABLE_STORAGE_LOCATION
+        }
+    }
+}
@@ -0,0 +1,295 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./TaskManager.sol";
+
+/**
+ * @title TaskQueries
+ * @dev Read-only list, filter and pagination views over a TaskManager
+ * @notice Every TaskManager creates one of these at deployment, exposes it through queries() and
+ * forwards its list views to it. It holds no state and reads tasks through TaskManager's own views,
+ * so a single instance works for any TaskManager, including one behind a proxy; each view takes the
+ * TaskManager to read as its first argument.
+ */
+contract TaskQueries {
+    /**
+     * @dev Get all tasks for a specific user
+     * @param _taskManager The TaskManager to read
+     * @param _user The address of the user
+     * @return Array of Task structs owned by the user
+     */
+    function getUserTaskDetails(
+        TaskManager _taskManager,
+        address _user
+    ) external view returns (TaskManager.Task[] memory) {
+        return _getUserTasks(_taskManager, _user);
+    }
+
+    /**
+     * @dev Get a user's tasks that are past their due date and still open
+     * @param _taskManager The TaskManager to read
+     * @param _user The address of the user
+     * @return Array of overdue Task structs owned by the user
+     */
+    function getOverdueTasks(
+        TaskManager _taskManager,
+        address _user
+    ) external view returns (TaskManager.Task[] memory) {
+        TaskManager.Task[] memory userTasks = _getUserTasks(_taskManager, _user);
+        uint256 count = 0;
+        for (uint256 i = 0; i < userTasks.length; i++) {
+            if (_isOverdue(userTasks[i])) {
+                userTasks[count++] = userTasks[i];
+            }
+        }
+
+        return _truncate(userTasks, count);
+    }
+
+    /**
+     * @dev Check whether a task is past its due date and still open
+     * @param _taskManager The TaskManager to read
+     * @param _taskId The ID of the task
+     * @return True if the task is overdue
+     */
+    function isTaskOverdue(TaskManager _taskManager, uint256 _taskId) external view returns (bool) {
+        return _isOverdue(_taskManager.getTask(_taskId));
+    }
+
+    /**
+     * @dev Get a user's tasks with a specific priority
+     * @param _taskManager The TaskManager to read
+     * @param _user The address of the user
+     * @param _priority The priority level to filter by
+     * @return Array of matching Task structs owned by the user
+     */
+    function getTasksByPriority(
+        TaskManager _taskManager,
+        address _user,
+        TaskManager.TaskPriority _priority
+    ) external view returns (TaskManager.Task[] memory) {
+        TaskManager.Task[] memory userTasks = _getUserTasks(_taskManager, _user);
+        uint256 count = 0;
+        for (uint256 i = 0; i < userTasks.length; i++) {
+            if (userTasks[i].priority == _priority) {
+                userTasks[count++] = userTasks[i];
+            }
+        }
+
+        return _truncate(userTasks, count);
+    }
+
+    /**
+     * @dev Get all of a user's tasks ordered from highest to lowest priority
+     * @notice Tasks with equal priority keep their order from getUserTasks
+     * @param _taskManager The TaskManager to read
+     * @param _user The address of the user
+     * @return Array of Task structs sorted by priority
+     */
+    function getUserTasksByPriority(
+        TaskManager _taskManager,
+        address _user
+    ) external view returns (TaskManager.Task[] memory) {
+        TaskManager.Task[] memory sortedTasks = _getUserTasks(_taskManager, _user);
+
+        // Insertion sort keeps the ordering stable for equal priorities
+        for (uint256 i = 1; i < sortedTasks.length; i++) {
+            TaskManager.Task memory current = sortedTasks[i];
+            uint256 j = i;
+            while (j > 0 && sortedTasks[j - 1].priority < current.priority) {
+                sortedTasks[j] = sortedTasks[j - 1];
+                j--;
+            }
+            sortedTasks[j] = current;
+        }
+
+        return sortedTasks;
+    }
+
+    /**
+     * @dev Get a page of a user's tasks
+     * @param _taskManager The TaskManager to read
+     * @param _user The address of the user
+     * @param _offset The index in the user's task list to start from
+     * @param _limit The maximum number of tasks to return
+     * @return Array of at most _limit Task structs owned by the user
+     */
+    function getUserTaskDetailsPaginated(
+        TaskManager _taskManager,
+        address _user,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (TaskManager.Task[] memory) {
+        uint256[] memory taskIds = _taskManager.getUserTasks(_user);
+        if (_offset >= taskIds.length) {
+            return new TaskManager.Task[](0);
+        }
+
+        uint256 end = _pageEnd(_offset, _limit, taskIds.length);
+        TaskManager.Task[] memory page = new TaskManager.Task[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = _taskManager.getTask(taskIds[i]);
+        }
+
+        return page;
+    }
+
+    /**
+     * @dev Get a page of a user's tasks that have a specific status
+     * @notice _offset counts matching tasks, so pages never overlap
+     * @param _taskManager The TaskManager to read
+     * @param _user The address of the user
+     * @param _status The status to filter by
+     * @param _offset The number of matching tasks to skip
+     * @param _limit The maximum number of tasks to return
+     * @return Array of at most _limit matching Task structs
+     */
+    function getUserTasksByStatus(
+        TaskManager _taskManager,
+        address _user,
+        TaskManager.TaskStatus _status,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (TaskManager.Task[] memory) {
+        uint256[] memory taskIds = _taskManager.getUserTasks(_user);
+        if (_offset >= taskIds.length) {
+            return new TaskManager.Task[](0);
+        }
+
+        // Once _offset matches are skipped, at most taskIds.length - _offset tasks are left
+        uint256 maxCount = _pageEnd(_offset, _limit, taskIds.length) - _offset;
+        TaskManager.Task[] memory page = new TaskManager.Task[](maxCount);
+        uint256 skipped = 0;
+        uint256 count = 0;
+
+        for (uint256 i = 0; i < taskIds.length && count < maxCount; i++) {
+            TaskManager.Task memory task = _taskManager.getTask(taskIds[i]);
+            if (task.status != _status) {
+                continue;
+            }
+            if (skipped < _offset) {
+                skipped++;
+                continue;
+            }
+            page[count++] = task;
+        }
+
+        return _truncate(page, count);
+    }
+
+    /**
+     * @dev Get existing tasks within a window of task IDs
+     * @notice Scans IDs _offset + 1 through _offset + _limit and skips deleted ones,
+     * so a page may hold fewer than _limit tasks. Callers page through all tasks by
+     * advancing _offset by _limit until it reaches getTotalTaskCount().
+     * @param _taskManager The TaskManager to read
+     * @param _offset The number of task IDs to skip
+     * @param _limit The number of task IDs to scan
+     * @return Array of existing Task structs in ID order
+     */
+    function getTasksPaginated(
+        TaskManager _taskManager,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (TaskManager.Task[] memory) {
+        return _getTasksInRange(_taskManager, _offset, _limit, false, TaskManager.TaskStatus.Pending);
+    }
+
+    /**
+     * @dev Get existing tasks with a specific status within a window of task IDs
+     * @notice Uses the same ID window as getTasksPaginated
+     * @param _taskManager The TaskManager to read
+     * @param _status The status to filter by
+     * @param _offset The number of task IDs to skip
+     * @param _limit The number of task IDs to scan
+     * @return Array of matching Task structs in ID order
+     */
+    function getTasksByStatusPaginated(
+        TaskManager _taskManager,
+        TaskManager.TaskStatus _status,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (TaskManager.Task[] memory) {
+        return _getTasksInRange(_taskManager, _offset, _limit, true, _status);
+    }
+
+    /**
+     * @dev Read every task a user owns, in getUserTasks order
+     */
+    function _getUserTasks(
+        TaskManager _taskManager,
+        address _user
+    ) private view returns (TaskManager.Task[] memory userTasks) {
+        uint256[] memory taskIds = _taskManager.getUserTasks(_user);
+        userTasks = new TaskManager.Task[](taskIds.length);
+        for (uint256 i = 0; i < taskIds.length; i++) {
+            userTasks[i] = _taskManager.getTask(taskIds[i]);
+        }
+    }
+
+    /**
+     * @dev Check whether a task has a due date in the past and is neither completed nor cancelled
+     * @param _task The task to check
+     * @return True if the task is overdue
+     */
+    function _isOverdue(TaskManager.Task memory _task) private view returns (bool) {
+        return
+            _task.dueDate != 0 &&
+            _task.dueDate < block.timestamp &&
+            _task.status != TaskManager.TaskStatus.Completed &&
+            _task.status != TaskManager.TaskStatus.Cancelled;
+    }
+
+    /**
+     * @dev Collect existing tasks with IDs in (_offset, _offset + _limit], optionally filtered by status
+     */
+    function _getTasksInRange(
+        TaskManager _taskManager,
+        uint256 _offset,
+        uint256 _limit,
+        bool _filterStatus,
+        TaskManager.TaskStatus _status
+    ) private view returns (TaskManager.Task[] memory) {
+        uint256 taskCount = _taskManager.getTotalTaskCount();
+        if (_offset >= taskCount) {
+            return new TaskManager.Task[](0);
+        }
+
+        uint256 end = _pageEnd(_offset, _limit, taskCount);
+        TaskManager.Task[] memory page = new TaskManager.Task[](end - _offset);
+        uint256 count = 0;
+        for (uint256 id = _offset + 1; id <= end; id++) {
+            if (!_taskManager.doesTaskExist(id)) {
+                continue;
+            }
+            TaskManager.Task memory task = _taskManager.getTask(id);
+            if (!_filterStatus || task.status == _status) {
+                page[count++] = task;
+            }
+        }
+
+        return _truncate(page, count);
+    }
+
+    /**
+     * @dev End of a page of at most _limit items starting at _offset, capped at _length
+     * @notice Expects _offset < _length; never computes _offset + _limit when it would pass _length,
+     * so limits up to type(uint256).max do not overflow
+     */
+    function _pageEnd(uint256 _offset, uint256 _limit, uint256 _length) private pure returns (uint256) {
+        return _limit < _length - _offset ? _offset + _limit : _length;
+    }
+
+    /**
+     * @dev Shrink a memory array of tasks to its first _length elements
+     */
+    function _truncate(
+        TaskManager.Task[] memory _tasks,
+        uint256 _length
+    ) private pure returns (TaskManager.Task[] memory) {
+        assembly ("memory-safe") {
+            mstore(_tasks, _length)
+        }
+        return _tasks;
+    }
+}
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title ReentrancyAttacker
+ * @dev Test helper that forwards calls to a target and tries to call it again when it receives ETH
+ */
+contract ReentrancyAttacker {
+    address public immutable target;
+    bytes private reentryCall;
+
+    constructor(address _target) {
+        target = _target;
+    }
+
+    /**
+     * @dev Set the calldata replayed against the target from receive()
+     * @param _data Encoded call, or empty to accept ETH without reentering
+     */
+    function setReentryCall(bytes calldata _data) external {
+        reentryCall = _data;
+    }
+
+    /**
+     * @dev Call the target as this contract, bubbling up any revert
+     * @param _data Encoded call to forward
+     */
+    function execute(bytes calldata _data) external payable {
+        (bool success, bytes memory result) = target.call{value: msg.value}(_data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    receive() external payable {
+        if (reentryCall.length > 0) {
+            (bool success, bytes memory result) = target.call(reentryCall);
+            if (!success) {
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "../TaskManagerUpgradeable.sol";
+
+/**
+ * @title TaskManagerUpgradeableV2
+ * @dev Test helper standing in for a later TaskManager version: appends a state variable
+ * and sets it with a reinitializer during the upgrade
+ */
+contract TaskManagerUpgradeableV2 is TaskManagerUpgradeable {
+    uint256 public upgradedAt;
+
+    function initializeV2() external reinitializer(2) {
+        upgradedAt = block.timestamp;
+    }
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
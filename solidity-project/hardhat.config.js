@@ -1,8 +1,19 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/taskManager");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.24",
+  solidity: {
+    version: "0.8.24",
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs: 200
+      },
+      viaIR: true,
+      evmVersion: "cancun"
+    }
+  },
   networks: {
     hardhat: {
       chainId: 1337
@@ -0,0 +1,207 @@
+const fs = require("fs");
+const path = require("path");
+
+const STORE_VERSION = 1;
+
+function emptyState() {
+  return {
+    version: STORE_VERSION,
+    chainId: null,
+    address: null,
+    lastBlock: null,
+    // Highest block whose changes can no longer be undone
+    finalizedBlock: null,
+    // Recent block hashes, oldest first, used to detect reorgs
+    blocks: [],
+    tasks: {},
+    // Per-block list of { id, previous } entries needed to undo that block
+    undo: {},
+  };
+}
+
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Task store backed by a single JSON file.
+ *
+ * Every change is recorded against the block that caused it, so the changes of
+ * recent blocks can be undone when those blocks are reorganised away. The file is
+ * replaced atomically on save, so a crash never leaves a half-written store.
+ * Without a file path the store only lives in memory.
+ */
+class JsonTaskStore {
+  /**
+   * @param {string} [filePath] JSON file to persist to
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.state = emptyState();
+    if (filePath && fs.existsSync(filePath)) {
+      this.state = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      if (this.state.version !== STORE_VERSION) {
+        throw new Error(`Unsupported store version ${this.state.version} in ${filePath}`);
+      }
+    }
+  }
+
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  get lastBlock() {
+    return this.state.lastBlock;
+  }
+
+  set lastBlock(blockNumber) {
+    this.state.lastBlock = blockNumber;
+  }
+
+  get finalizedBlock() {
+    return this.state.finalizedBlock;
+  }
+
+  /**
+   * Bind the store to a chain and contract, refusing to mix data from another deployment.
+   */
+  bind(chainId, address) {
+    const { state } = this;
+    if (state.chainId === null) {
+      state.chainId = chainId;
+      state.address = address;
+      return;
+    }
+    if (state.chainId !== chainId || state.address.toLowerCase() !== address.toLowerCase()) {
+      throw new Error(
+        `Store belongs to ${state.address} on chain ${state.chainId}, not ${address} on chain ${chainId}`
+      );
+    }
+  }
+
+  getTask(id) {
+    return this.state.tasks[id] || null;
+  }
+
+  /**
+   * @returns {object[]} All indexed tasks ordered by ID
+   */
+  getTasks() {
+    return Object.values(this.state.tasks).sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Find tasks matching all the given filters, ordered by ID.
+   *
+   * `search` matches titles case-insensitively: every word in it must start a word
+   * of the title. Time bounds are unix timestamps and inclusive.
+   *
+   * @param {{ owner?: string, status?: string[], search?: string,
+   *   createdAfter?: number, createdBefore?: number, updatedAfter?: number, updatedBefore?: number,
+   *   offset?: number, limit?: number }} [filters]
+   * @returns {{ total: number, tasks: object[] }}
+   */
+  query(filters = {}) {
+    const owner = filters.owner && filters.owner.toLowerCase();
+    const terms = tokenize(filters.search || "");
+
+    const matches = this.getTasks().filter((task) => {
+      if (owner && task.owner.toLowerCase() !== owner) return false;
+      if (filters.status && !filters.status.includes(task.status)) return false;
+      if (filters.createdAfter !== undefined && task.createdAt < filters.createdAfter) return false;
+      if (filters.createdBefore !== undefined && task.createdAt > filters.createdBefore) return false;
+      if (filters.updatedAfter !== undefined && task.updatedAt < filters.updatedAfter) return false;
+      if (filters.updatedBefore !== undefined && task.updatedAt > filters.updatedBefore) return false;
+      if (terms.length > 0) {
+        const words = tokenize(task.title);
+        return terms.every((term) => words.some((word) => word.startsWith(term)));
+      }
+      return true;
+    });
+
+    const offset = filters.offset || 0;
+    const end = filters.limit === undefined ? undefined : offset + filters.limit;
+    return { total: matches.length, tasks: matches.slice(offset, end) };
+  }
+
+  /**
+   * Replace (or with null, remove) a task as part of `blockNumber`.
+   */
+  setTask(blockNumber, id, task) {
+    const journal = this.state.undo[blockNumber] || (this.state.undo[blockNumber] = []);
+    journal.push({ id, previous: this.getTask(id) });
+    if (task) {
+      this.state.tasks[id] = task;
+    } else {
+      delete this.state.tasks[id];
+    }
+  }
+
+  recordBlock(number, hash) {
+    const { blocks } = this.state;
+    if (blocks.length > 0 && blocks[blocks.length - 1].number >= number) {
+      return;
+    }
+    blocks.push({ number, hash });
+  }
+
+  /**
+   * @returns {{ number: number, hash: string }[]} Recorded blocks, newest first
+   */
+  recentBlocks() {
+    return [...this.state.blocks].reverse();
+  }
+
+  /**
+   * Undo every change made after `blockNumber` and make it the last processed block.
+   * Passing null undoes everything that is still undoable.
+   */
+  rollback(blockNumber) {
+    const after = blockNumber === null ? -1 : blockNumber;
+    const undone = Object.keys(this.state.undo)
+      .map(Number)
+      .filter((number) => number > after)
+      .sort((a, b) => b - a);
+
+    for (const number of undone) {
+      const journal = this.state.undo[number];
+      for (let i = journal.length - 1; i >= 0; i--) {
+        const { id, previous } = journal[i];
+        if (previous) {
+          this.state.tasks[id] = previous;
+        } else {
+          delete this.state.tasks[id];
+        }
+      }
+      delete this.state.undo[number];
+    }
+
+    this.state.blocks = this.state.blocks.filter((block) => block.number <= after);
+    this.state.lastBlock = blockNumber;
+  }
+
+  /**
+   * Forget undo data and block hashes older than `blockNumber`; those blocks can
+   * no longer be rolled back.
+   */
+  prune(blockNumber) {
+    if (blockNumber <= 0 || blockNumber - 1 <= (this.state.finalizedBlock ?? -1)) {
+      return;
+    }
+    for (const number of Object.keys(this.state.undo).map(Number)) {
+      if (number < blockNumber) {
+        delete this.state.undo[number];
+      }
+    }
+    this.state.blocks = this.state.blocks.filter((block) => block.number >= blockNumber);
+    this.state.finalizedBlock = blockNumber - 1;
+  }
+}
+
+module.exports = { JsonTaskStore };
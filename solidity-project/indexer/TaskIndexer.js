@@ -0,0 +1,245 @@
+const { EventEmitter } = require("events");
+const { Interface } = require("ethers");
+const { TASK_STATUS } = require("../sdk/TaskManagerClient");
+
+const TASK_EVENTS = new Interface([
+  "event TaskCreated(uint256 indexed taskId, address indexed owner, string title)",
+  "event TaskUpdated(uint256 indexed taskId, string title, uint8 status)",
+  "event TaskStatusChanged(uint256 indexed taskId, uint8 newStatus)",
+  "event TaskDeleted(uint256 indexed taskId, address indexed owner)",
+  // Emitted instead of TaskCreated by TaskManagerUpgradeable.importTasks
+  "event TaskImported(uint256 indexed taskId, address indexed owner, string title, uint8 status, uint8 priority, uint256 dueDate, uint256 createdAt, uint256 updatedAt)",
+]);
+
+const EVENT_TOPICS = ["TaskCreated", "TaskUpdated", "TaskStatusChanged", "TaskDeleted", "TaskImported"].map(
+  (name) => TASK_EVENTS.getEvent(name).topicHash
+);
+
+const DEFAULTS = {
+  startBlock: 0,
+  batchSize: 2000,
+  reorgDepth: 64,
+  confirmations: 0,
+  pollInterval: 2000,
+};
+
+/**
+ * @typedef {Object} IndexedTask
+ * @property {number} id
+ * @property {string} owner
+ * @property {string} title
+ * @property {import("../sdk/TaskManagerClient").TaskStatusName} status
+ * @property {number} createdAt     Timestamp of the block that created the task, or the legacy one of an imported task
+ * @property {number} updatedAt     Timestamp of the block of the latest change
+ * @property {number} createdBlock
+ * @property {number} updatedBlock
+ */
+
+/**
+ * Builds a local copy of TaskManager tasks from TaskCreated, TaskUpdated,
+ * TaskStatusChanged and TaskDeleted logs, and TaskImported logs of a migrated proxy.
+ *
+ * `sync()` backfills from the last processed block (or `startBlock`) to the chain head
+ * and `start()` keeps doing so on an interval. Before each sync the recorded block
+ * hashes are compared with the chain; if recent blocks were reorganised away their
+ * changes are rolled back and the blocks are indexed again.
+ *
+ * Emits "sync" ({ fromBlock, toBlock }), "reorg" ({ rolledBackTo }) and "error".
+ */
+class TaskIndexer extends EventEmitter {
+  /**
+   * @param {import("ethers").Provider} provider
+   * @param {string} address TaskManager address
+   * @param {import("./JsonTaskStore").JsonTaskStore} store
+   * @param {{ startBlock?: number, batchSize?: number, reorgDepth?: number, confirmations?: number, pollInterval?: number }} [options]
+   */
+  constructor(provider, address, store, options = {}) {
+    super();
+    this.provider = provider;
+    this.address = address;
+    this.store = store;
+    this.options = { ...DEFAULTS, ...options };
+    this._bound = false;
+    this._timer = null;
+    this._running = null;
+  }
+
+  /**
+   * Index every block up to the current head (minus `confirmations`).
+   * @returns {Promise<number | null>} The last processed block
+   */
+  async sync() {
+    if (!this._bound) {
+      const { chainId } = await this.provider.getNetwork();
+      this.store.bind(Number(chainId), this.address);
+      this._bound = true;
+    }
+
+    await this._rollbackReorgedBlocks();
+
+    const head = (await this.provider.getBlockNumber()) - this.options.confirmations;
+    const { lastBlock } = this.store;
+    let from = lastBlock === null ? this.options.startBlock : lastBlock + 1;
+    while (from <= head) {
+      const to = Math.min(from + this.options.batchSize - 1, head);
+      if (!(await this._indexRange(from, to))) {
+        // The chain changed under us; the next sync rolls it back
+        break;
+      }
+      this.emit("sync", { fromBlock: from, toBlock: to });
+      from = to + 1;
+    }
+    return this.store.lastBlock;
+  }
+
+  /**
+   * Keep syncing every `pollInterval` milliseconds until stop() is called.
+   */
+  start() {
+    if (this._timer || this._running) {
+      return;
+    }
+    const tick = async () => {
+      this._running = this.sync().catch((error) => {
+        if (this.listenerCount("error") > 0) {
+          this.emit("error", error);
+        } else {
+          console.error(error);
+        }
+      });
+      await this._running;
+      this._running = null;
+      if (this._timer) {
+        this._timer = setTimeout(tick, this.options.pollInterval);
+      }
+    };
+    this._timer = setTimeout(tick, 0);
+  }
+
+  /**
+   * Stop following and wait for a sync in progress to finish.
+   */
+  async stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this._running) {
+      await this._running;
+    }
+  }
+
+  async _rollbackReorgedBlocks() {
+    const { store } = this;
+    if (store.lastBlock === null) {
+      return;
+    }
+
+    let ancestor = store.finalizedBlock;
+    for (const block of store.recentBlocks()) {
+      const current = await this.provider.getBlock(block.number);
+      if (current && current.hash === block.hash) {
+        ancestor = block.number;
+        break;
+      }
+    }
+
+    if (ancestor !== store.lastBlock) {
+      store.rollback(ancestor);
+      store.save();
+      this.emit("reorg", { rolledBackTo: ancestor });
+    }
+  }
+
+  /**
+   * Apply the logs of blocks `from`..`to` and save. Returns false without saving
+   * if a block changed while it was being read.
+   */
+  async _indexRange(from, to) {
+    const logs = await this.provider.getLogs({
+      address: this.address,
+      topics: [EVENT_TOPICS],
+      fromBlock: from,
+      toBlock: to,
+    });
+
+    const blocks = new Map();
+    for (const number of new Set([...logs.map((log) => log.blockNumber), to])) {
+      const block = await this.provider.getBlock(number);
+      if (!block) {
+        return false;
+      }
+      blocks.set(number, block);
+    }
+    if (logs.some((log) => blocks.get(log.blockNumber).hash !== log.blockHash)) {
+      return false;
+    }
+
+    for (const log of logs) {
+      this._applyLog(log, blocks.get(log.blockNumber));
+    }
+
+    const { store } = this;
+    store.recordBlock(to, blocks.get(to).hash);
+    store.lastBlock = to;
+    store.prune(to - this.options.reorgDepth);
+    store.save();
+    return true;
+  }
+
+  _applyLog(log, block) {
+    const { store } = this;
+    const event = TASK_EVENTS.parseLog(log);
+    const id = Number(event.args.taskId);
+    const timestamp = Number(block.timestamp);
+
+    if (event.name === "TaskCreated") {
+      store.setTask(block.number, id, {
+        id,
+        owner: event.args.owner,
+        title: event.args.title,
+        status: TASK_STATUS[0],
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        createdBlock: block.number,
+        updatedBlock: block.number,
+      });
+      return;
+    }
+
+    if (event.name === "TaskImported") {
+      store.setTask(block.number, id, {
+        id,
+        owner: event.args.owner,
+        title: event.args.title,
+        status: TASK_STATUS[Number(event.args.status)],
+        createdAt: Number(event.args.createdAt),
+        updatedAt: Number(event.args.updatedAt),
+        createdBlock: block.number,
+        updatedBlock: block.number,
+      });
+      return;
+    }
+
+    const task = store.getTask(id);
+    if (!task) {
+      // Created before startBlock
+      return;
+    }
+    if (event.name === "TaskDeleted") {
+      store.setTask(block.number, id, null);
+      return;
+    }
+
+    const changes =
+      event.name === "TaskUpdated"
+        ? { title: event.args.title, status: TASK_STATUS[Number(event.args.status)] }
+        : { status: TASK_STATUS[Number(event.args.newStatus)] };
+    store.setTask(block.number, id, {
+      ...task,
+      ...changes,
+      updatedAt: timestamp,
+      updatedBlock: block.number,
+    });
+  }
+}
+
+module.exports = { TaskIndexer };
@@ -0,0 +1,174 @@
+const http = require("http");
+const path = require("path");
+const hre = require("hardhat");
+const { TASK_STATUS } = require("../sdk/TaskManagerClient");
+const { JsonTaskStore } = require("../indexer/JsonTaskStore");
+const { TaskIndexer } = require("../indexer/TaskIndexer");
+const { deploymentAddress } = require("../../shared/deployments");
+
+const DEFAULT_PORT = 3002;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const TIME_FILTERS = ["createdAfter", "createdBefore", "updatedAfter", "updatedBefore"];
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
+
+class BadRequest extends Error {}
+
+/**
+ * Parse a time filter given as a unix timestamp or an ISO date.
+ */
+function parseTime(name, value) {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new BadRequest(`Invalid ${name} "${value}"`);
+  }
+  return Math.floor(time / 1000);
+}
+
+function parseCount(name, value, fallback) {
+  if (value === null) {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new BadRequest(`Invalid ${name} "${value}"`);
+  }
+  return Number(value);
+}
+
+/**
+ * Turn /tasks query parameters into JsonTaskStore.query filters.
+ */
+function parseTaskFilters(params) {
+  const filters = {};
+
+  const owner = params.get("owner");
+  if (owner !== null) {
+    if (!hre.ethers.isAddress(owner)) {
+      throw new BadRequest(`Invalid owner "${owner}"`);
+    }
+    filters.owner = owner;
+  }
+
+  const status = params.get("status");
+  if (status !== null) {
+    filters.status = status.split(",");
+    const unknown = filters.status.find((name) => !TASK_STATUS.includes(name));
+    if (unknown !== undefined) {
+      throw new BadRequest(`Unknown status "${unknown}", expected one of ${TASK_STATUS.join(", ")}`);
+    }
+  }
+
+  for (const name of TIME_FILTERS) {
+    const value = params.get(name);
+    if (value !== null) {
+      filters[name] = parseTime(name, value);
+    }
+  }
+
+  if (params.get("q")) {
+    filters.search = params.get("q");
+  }
+
+  filters.offset = parseCount("offset", params.get("offset"), 0);
+  filters.limit = Math.min(parseCount("limit", params.get("limit"), DEFAULT_LIMIT), MAX_LIMIT);
+  return filters;
+}
+
+/**
+ * Build the HTTP server that answers task queries from an indexed store.
+ *
+ * Routes:
+ *   GET /status      -> { chainId, address, lastBlock, taskCount }
+ *   GET /tasks       -> { total, offset, limit, tasks }
+ *   GET /tasks/<id>  -> task
+ *
+ * /tasks accepts owner, status (comma-separated names), createdAfter, createdBefore,
+ * updatedAfter, updatedBefore (unix timestamps or ISO dates, inclusive), q (title
+ * search), offset and limit.
+ */
+function createApiServer(store) {
+  return http.createServer((req, res) => {
+    try {
+      const url = new URL(req.url, "http://localhost");
+      if (req.method !== "GET") {
+        return sendJson(res, 405, { error: "Method not allowed" });
+      }
+
+      if (url.pathname === "/status") {
+        const { chainId, address, lastBlock } = store.state;
+        return sendJson(res, 200, { chainId, address, lastBlock, taskCount: store.getTasks().length });
+      }
+
+      if (url.pathname === "/tasks") {
+        const filters = parseTaskFilters(url.searchParams);
+        const { total, tasks } = store.query(filters);
+        return sendJson(res, 200, { total, offset: filters.offset, limit: filters.limit, tasks });
+      }
+
+      const taskMatch = url.pathname.match(/^\/tasks\/(\d+)$/);
+      if (taskMatch) {
+        const task = store.getTask(Number(taskMatch[1]));
+        return task ? sendJson(res, 200, task) : sendJson(res, 404, { error: "Task not found" });
+      }
+
+      sendJson(res, 404, { error: "Not found" });
+    } catch (error) {
+      if (error instanceof BadRequest) {
+        return sendJson(res, 400, { error: error.message });
+      }
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+}
+
+async function main() {
+  const taskManagerAddress = await deploymentAddress(hre, "TaskManager", "TASK_MANAGER_ADDRESS");
+  if (!taskManagerAddress) {
+    throw new Error(
+      `No TaskManager on network "${hre.network.name}": run scripts/deploy.js or set TASK_MANAGER_ADDRESS`
+    );
+  }
+  const port = Number(process.env.API_PORT || DEFAULT_PORT);
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const storePath =
+    process.env.INDEXER_STORE ||
+    path.join(__dirname, "..", "indexer-data", `${chainId}-${taskManagerAddress.toLowerCase()}.json`);
+  const store = new JsonTaskStore(storePath);
+  const indexer = new TaskIndexer(hre.ethers.provider, taskManagerAddress, store, {
+    startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+  });
+  indexer.on("error", (error) => console.error(`Sync failed: ${error.message}`));
+
+  console.log(`Indexing TaskManager ${taskManagerAddress} into ${storePath}`);
+  await indexer.sync();
+  indexer.start();
+
+  const server = createApiServer(store);
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`\nTask API listening on http://localhost:${port}`);
+
+  // Keep running until interrupted
+  await new Promise((resolve) => process.on("SIGINT", resolve));
+  server.close();
+  await indexer.stop();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { createApiServer };
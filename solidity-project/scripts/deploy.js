@@ -1,41 +1,106 @@
 const hre = require("hardhat");
+const { DeploymentManifest } = require("../../shared/deployments");
 
-async function main() {
-  console.log("Deploying TaskManager contract...");
+/**
+ * Deploy TaskManager and its companion contracts, skipping those the manifest already has.
+ * @param {DeploymentManifest} manifest
+ * @param {{ log?: (message: string) => void }} [options]
+ */
+async function deploy(manifest, options = {}) {
+  const log = options.log || ((message) => console.log(message));
+  log("Deploying TaskManager contract...");
 
-  // Get the contract factory
-  const TaskManager = await hre.ethers.getContractFactory("TaskManager");
+  const { contract: taskManager, reused } = await manifest.deploy("TaskManager");
+  const address = await taskManager.getAddress();
 
-  // Deploy the contract
-  const taskManager = await TaskManager.deploy();
+  if (reused) {
+    log(`TaskManager already deployed at: ${address}`);
+  } else {
+    const { blockNumber, transactionHash } = manifest.get("TaskManager");
+    log(`TaskManager deployed to: ${address}`);
+    log(`Transaction hash: ${transactionHash}`);
 
-  await taskManager.waitForDeployment();
+    // The forwarder and the query views are created by the TaskManager constructor
+    manifest.record("TaskForwarder", {
+      contract: "TaskForwarder",
+      address: await taskManager.trustedForwarder(),
+      createdBy: "TaskManager",
+      blockNumber,
+      transactionHash,
+    });
+    manifest.record("TaskQueries", {
+      contract: "TaskQueries",
+      address: await taskManager.queries(),
+      createdBy: "TaskManager",
+      blockNumber,
+      transactionHash,
+    });
+  }
+  log(`TaskForwarder (meta-transactions): ${await taskManager.trustedForwarder()}`);
+  log(`TaskQueries (list views): ${await taskManager.queries()}`);
 
-  const address = await taskManager.getAddress();
+  // Deploy the project boards and comment threads on top of TaskManager
+  for (const name of ["TaskBoards", "TaskComments"]) {
+    log(`\nDeploying ${name} contract...`);
+    const { contract, reused: companionReused } = await manifest.deploy(name, [address]);
+    if (companionReused) {
+      log(`${name} already deployed at: ${await contract.getAddress()}`);
+    } else {
+      log(`${name} deployed to: ${await contract.getAddress()}`);
+      log(`Transaction hash: ${manifest.get(name).transactionHash}`);
+    }
+  }
 
-  console.log(`TaskManager deployed to: ${address}`);
-  console.log(`Transaction hash: ${taskManager.deploymentTransaction().hash}`);
+  // Members create tasks on a board through TaskManager.createTaskFor
+  const boardsAddress = manifest.get("TaskBoards").address;
+  if (await taskManager.taskCreators(boardsAddress)) {
+    log("\nTaskBoards may already create tasks");
+  } else if ((await taskManager.admin()) === (await taskManager.runner.getAddress())) {
+    await (await taskManager.setTaskCreator(boardsAddress, true)).wait();
+    log("\nAllowed TaskBoards to create tasks");
+  } else {
+    log(`\nThe TaskManager admin must call setTaskCreator(${boardsAddress}, true) before members can create tasks on boards`);
+  }
 
-  // Optionally create a sample task
-  console.log("\nCreating a sample task...");
-  const tx = await taskManager.createTask(
-    "Welcome to TaskManager",
-    "This is your first task on the blockchain!"
-  );
-  await tx.wait();
-  console.log("Sample task created successfully!");
+  // Create a sample task on a fresh TaskManager only
+  if (!reused) {
+    log("\nCreating a sample task...");
+    const tx = await taskManager.createTask(
+      "Welcome to TaskManager",
+      "This is your first task on the blockchain!"
+    );
+    await tx.wait();
+    log("Sample task created successfully!");
+  }
 
   const taskCount = await taskManager.getTotalTaskCount();
-  console.log(`Total tasks: ${taskCount}`);
+  log(`Total tasks: ${taskCount}`);
+}
+
+async function main() {
+  const manifest = await DeploymentManifest.load(hre);
+  await deploy(manifest);
 
   console.log("\n✅ Deployment completed successfully!");
+  if (manifest.filePath) {
+    console.log(`Addresses saved to ${manifest.filePath}`);
+  }
+
+  const taskManager = manifest.get("TaskManager");
   console.log(`\nTo verify your contract on Etherscan (if deploying to a public network):`);
-  console.log(`npx hardhat verify --network <network-name> ${address}`);
+  console.log(`npx hardhat verify --network <network-name> ${taskManager.address}`);
+  for (const name of ["TaskBoards", "TaskComments"]) {
+    console.log(`npx hardhat verify --network <network-name> ${manifest.get(name).address} ${taskManager.address}`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+module.exports = { deploy };
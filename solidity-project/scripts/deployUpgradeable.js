@@ -0,0 +1,129 @@
+const hre = require("hardhat");
+const { DeploymentManifest } = require("../../shared/deployments");
+
+/**
+ * Deploy a TaskManagerUpgradeable implementation and an ERC1967Proxy that initializes it.
+ * Both are recorded in the manifest as TaskManagerImplementation and TaskManagerProxy.
+ * @param {string} admin Address allowed to upgrade the proxy and import tasks
+ * @param {DeploymentManifest} [manifest] Defaults to the manifest of the current network
+ * @param {{ migrate?: boolean }} [options] `migrate` keeps the proxy closed to users until the
+ *   admin has imported the legacy tasks and called finishMigration
+ * @returns {Promise<import("ethers").Contract>} TaskManagerUpgradeable attached to the proxy
+ */
+async function deployTaskManagerProxy(admin, manifest, options = {}) {
+  manifest = manifest || (await DeploymentManifest.load(hre));
+  const { contract: implementation } = await manifest.deploy("TaskManagerImplementation", [], {
+    contract: "TaskManagerUpgradeable",
+  });
+
+  const initData = implementation.interface.encodeFunctionData("initialize", [admin, Boolean(options.migrate)]);
+  const { contract: proxy } = await manifest.deploy(
+    "TaskManagerProxy",
+    [await implementation.getAddress(), initData],
+    { contract: "ERC1967Proxy" }
+  );
+
+  return hre.ethers.getContractAt("TaskManagerUpgradeable", await proxy.getAddress());
+}
+
+/**
+ * Deploy a new implementation and point the proxy at it. The signer must be the proxy admin.
+ * @param {string} proxyAddress
+ * @param {string} [contractName] The new implementation, TaskManagerUpgradeable by default
+ * @param {{ call?: string, args?: any[], manifest?: DeploymentManifest }} [options] Function to call
+ *   on the proxy right after the upgrade, and the manifest to record the new implementation in
+ * @returns {Promise<import("ethers").Contract>} The new implementation attached to the proxy
+ */
+async function upgradeTaskManager(proxyAddress, contractName = "TaskManagerUpgradeable", options = {}) {
+  // Always a fresh implementation: an unchanged name does not mean unchanged code
+  const Implementation = await hre.ethers.getContractFactory(contractName);
+  const implementation = await Implementation.deploy();
+  await implementation.waitForDeployment();
+  const receipt = await implementation.deploymentTransaction().wait();
+
+  const callData = options.call
+    ? Implementation.interface.encodeFunctionData(options.call, options.args || [])
+    : "0x";
+  const proxy = Implementation.attach(proxyAddress);
+  await (await proxy.upgradeToAndCall(await implementation.getAddress(), callData)).wait();
+
+  if (options.manifest) {
+    options.manifest.record("TaskManagerImplementation", {
+      contract: contractName,
+      address: await implementation.getAddress(),
+      blockNumber: receipt.blockNumber,
+      transactionHash: receipt.hash,
+    });
+  }
+  return proxy;
+}
+
+async function implementationAddress(proxyAddress) {
+  // ERC-1967 implementation slot: bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+  const slot = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+  const value = await hre.ethers.provider.getStorage(proxyAddress, slot);
+  return hre.ethers.getAddress(hre.ethers.dataSlice(value, 12));
+}
+
+async function main() {
+  const [deployer] = await hre.ethers.getSigners();
+  const manifest = await DeploymentManifest.load(hre);
+  const knownProxy = await manifest.address("TaskManagerProxy");
+
+  // PROXY_ADDRESS upgrades that proxy; UPGRADE=true upgrades the proxy in the manifest
+  const proxyAddress = process.env.PROXY_ADDRESS || (process.env.UPGRADE === "true" ? knownProxy : null);
+  if (process.env.UPGRADE === "true" && !proxyAddress) {
+    throw new Error(`No TaskManagerProxy in the manifest for network "${hre.network.name}"`);
+  }
+
+  if (proxyAddress) {
+    const contractName = process.env.UPGRADE_CONTRACT || "TaskManagerUpgradeable";
+    console.log(`Upgrading TaskManager proxy ${proxyAddress} to ${contractName}...`);
+    console.log(`Current implementation: ${await implementationAddress(proxyAddress)}`);
+
+    const recordIn = proxyAddress === knownProxy ? manifest : undefined;
+    await upgradeTaskManager(proxyAddress, contractName, { manifest: recordIn });
+
+    console.log(`New implementation: ${await implementationAddress(proxyAddress)}`);
+    console.log("\n✅ Upgrade completed successfully!");
+    return;
+  }
+
+  if (knownProxy) {
+    console.log(`Upgradeable TaskManager already deployed at: ${knownProxy}`);
+    console.log(`Implementation: ${await implementationAddress(knownProxy)}`);
+    console.log(`\nTo upgrade it: UPGRADE=true npx hardhat run scripts/deployUpgradeable.js --network <network-name>`);
+    return;
+  }
+
+  const admin = process.env.ADMIN_ADDRESS || deployer.address;
+  // MIGRATE=true deploys a proxy that waits for scripts/migrate.js (or tasks:import --finish)
+  const migrate = process.env.MIGRATE === "true";
+  console.log(`Deploying upgradeable TaskManager${migrate ? " for a migration" : ""}...`);
+
+  const taskManager = await deployTaskManagerProxy(admin, manifest, { migrate });
+  const address = await taskManager.getAddress();
+
+  console.log(`TaskManager proxy deployed to: ${address}`);
+  console.log(`Implementation: ${await implementationAddress(address)}`);
+  console.log(`Admin: ${await taskManager.admin()}`);
+  console.log(`TaskForwarder (meta-transactions): ${await taskManager.trustedForwarder()}`);
+
+  console.log("\n✅ Deployment completed successfully!");
+  if (manifest.filePath) {
+    console.log(`Addresses saved to ${manifest.filePath}`);
+  }
+  console.log(`\nUse the proxy address for everything. To upgrade later:`);
+  console.log(`UPGRADE=true npx hardhat run scripts/deployUpgradeable.js --network <network-name>`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { deployTaskManagerProxy, upgradeTaskManager, implementationAddress };
@@ -0,0 +1,53 @@
+const path = require("path");
+const hre = require("hardhat");
+const { JsonTaskStore } = require("../indexer/JsonTaskStore");
+const { TaskIndexer } = require("../indexer/TaskIndexer");
+const { deploymentAddress } = require("../../shared/deployments");
+
+async function main() {
+  const taskManagerAddress = await deploymentAddress(hre, "TaskManager", "TASK_MANAGER_ADDRESS");
+  if (!taskManagerAddress) {
+    throw new Error(
+      `No TaskManager on network "${hre.network.name}": run scripts/deploy.js or set TASK_MANAGER_ADDRESS`
+    );
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const storePath =
+    process.env.INDEXER_STORE ||
+    path.join(__dirname, "..", "indexer-data", `${chainId}-${taskManagerAddress.toLowerCase()}.json`);
+  const store = new JsonTaskStore(storePath);
+
+  const indexer = new TaskIndexer(hre.ethers.provider, taskManagerAddress, store, {
+    startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0),
+  });
+  indexer.on("sync", ({ fromBlock, toBlock }) => {
+    console.log(`Indexed blocks ${fromBlock}-${toBlock} (${store.getTasks().length} tasks)`);
+  });
+  indexer.on("reorg", ({ rolledBackTo }) => {
+    console.log(`Reorg detected, rolled back to block ${rolledBackTo}`);
+  });
+  indexer.on("error", (error) => {
+    console.error(`Sync failed: ${error.message}`);
+  });
+
+  console.log(`Indexing TaskManager ${taskManagerAddress}`);
+  console.log(`Store: ${storePath}`);
+  if (store.lastBlock !== null) {
+    console.log(`Resuming after block ${store.lastBlock}`);
+  }
+
+  indexer.start();
+
+  // Keep running until interrupted
+  await new Promise((resolve) => process.on("SIGINT", resolve));
+  await indexer.stop();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
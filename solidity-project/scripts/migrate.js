@@ -0,0 +1,210 @@
+const hre = require("hardhat");
+const { Contract, ZeroAddress } = require("ethers");
+const { deploymentAddress } = require("../../shared/deployments");
+
+// Views of the original TaskManager, whose Task has no assignee, due date, priority or parent
+const ORIGINAL_ABI = [
+  "function getTotalTaskCount() view returns (uint256)",
+  "function tasks(uint256) view returns (uint256 id, string title, string description, uint8 status, uint256 createdAt, uint256 updatedAt, address owner)",
+];
+
+const PENDING = 0n;
+const LOW_PRIORITY = 0n;
+
+/**
+ * Copy every task of a legacy (non-proxy) TaskManager into a TaskManagerUpgradeable proxy,
+ * keeping IDs, owners, timestamps and statuses.
+ *
+ * The legacy contract may be the original TaskManager or a later plain deployment. The original
+ * has no status history: each task gets its creation and, if its status changed, its current
+ * status at its last update. Later versions also keep assignees, due dates, priorities,
+ * subtasks and histories. State importTasks cannot carry over (hidden titles, series,
+ * collaborators, dependencies and bounties) is listed in `notMigrated` and logged.
+ *
+ * Resumable: tasks up to the last one the target imported are skipped, so the migration can
+ * be re-run after a failed batch. Once all tasks are copied the migration is finished on the
+ * target, which reserves the IDs of deleted legacy tasks and opens the proxy to users.
+ *
+ * @param {import("ethers").Contract} legacy TaskManager to read from
+ * @param {import("ethers").Contract} target TaskManagerUpgradeable proxy, connected to its admin
+ * @param {{ batchSize?: number, log?: (message: string) => void }} [options]
+ * @returns {Promise<{ imported: number, taskCount: number, notMigrated: { taskId: number, reason: string }[] }>}
+ */
+async function migrateTasks(legacy, target, options = {}) {
+  const batchSize = options.batchSize || 50;
+  const log = options.log || (() => {});
+
+  if (await target.isMigrationFinished()) {
+    throw new Error("Migration already finished on the target");
+  }
+
+  const original = !(await hasStatusHistory(legacy));
+  const reader = original
+    ? new Contract(await legacy.getAddress(), ORIGINAL_ABI, legacy.runner)
+    : await hre.ethers.getContractAt("TaskManager", await legacy.getAddress(), legacy.runner);
+  const readBatch = original ? readOriginalTasks : readTasks;
+  if (original) {
+    log("Reading the original TaskManager: tasks get a history of their creation and current status");
+  }
+
+  const taskCount = Number(await reader.getTotalTaskCount());
+  let offset = Number(await target.getLastImportedTaskId());
+  if (offset > 0) {
+    log(`Resuming after task ${offset}`);
+  }
+
+  let imported = 0;
+  const notMigrated = [];
+  while (offset < taskCount) {
+    // Deleted tasks are skipped, so a window may hold fewer tasks
+    const batch = await readBatch(reader, offset, Math.min(batchSize, taskCount - offset));
+    const { tasks, histories } = batch;
+    offset += batchSize;
+    for (const entry of batch.notMigrated) {
+      log(`Task ${entry.taskId}: ${entry.reason}`);
+    }
+    notMigrated.push(...batch.notMigrated);
+    if (tasks.length === 0) {
+      continue;
+    }
+
+    const tx = await target.importTasks(tasks, histories);
+    await tx.wait();
+    imported += tasks.length;
+    log(`Imported tasks ${tasks[0][0]}-${tasks[tasks.length - 1][0]}`);
+  }
+
+  await (await target.finishMigration(taskCount)).wait();
+  log(`Migration finished: ${imported} tasks imported, next task ID is ${taskCount + 1}`);
+  if (notMigrated.length > 0) {
+    log(`${notMigrated.length} items were not migrated; see the task messages above`);
+  }
+
+  return { imported, taskCount, notMigrated };
+}
+
+/**
+ * Whether the legacy contract records status histories, which every TaskManager after the
+ * original does. The original has no fallback, so calling a function it lacks reverts without data.
+ */
+async function hasStatusHistory(legacy) {
+  const probe = new Contract(
+    await legacy.getAddress(),
+    ["function isValidTransition(uint8 from, uint8 to) pure returns (bool)"],
+    legacy.runner
+  );
+  try {
+    await probe.isValidTransition(PENDING, PENDING);
+    return true;
+  } catch (error) {
+    if (error.data === "0x") {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read `count` task IDs after `offset` from the original TaskManager, as importTasks arguments.
+ */
+async function readOriginalTasks(legacy, offset, count) {
+  const ids = Array.from({ length: count }, (_, i) => offset + i + 1);
+  const results = await Promise.all(ids.map((id) => legacy.tasks(id)));
+
+  const tasks = [];
+  const histories = [];
+  for (const task of results) {
+    // Deleted tasks read back as all zeros
+    if (task.owner === ZeroAddress) {
+      continue;
+    }
+    tasks.push([task.id, task.title, task.description, task.status, task.createdAt, task.updatedAt, task.owner,
+      ZeroAddress, 0n, LOW_PRIORITY, 0n]);
+
+    // Only the owner could change a task, and the time of its last status change is not recorded
+    const history = [[PENDING, task.owner, task.createdAt]];
+    if (task.status !== PENDING) {
+      history.push([task.status, task.owner, task.updatedAt]);
+    }
+    histories.push(history);
+  }
+  return { tasks, histories, notMigrated: [] };
+}
+
+/**
+ * Read `count` task IDs after `offset` from a TaskManager with status histories, as importTasks
+ * arguments, listing the state of each task that importTasks cannot carry over.
+ */
+async function readTasks(legacy, offset, count) {
+  const results = await legacy.getTasksPaginated(offset, count);
+
+  // Results returned by ethers are read-only; pass plain arrays back in
+  const tasks = results.toArray(true);
+  const histories = [];
+  const notMigrated = [];
+  for (const task of results) {
+    const [history, titleHidden, seriesId, collaborators, dependencies, bounty] = await Promise.all([
+      legacy.getTaskHistory(task.id),
+      legacy.isTitleHidden(task.id),
+      legacy.taskSeries(task.id),
+      legacy.getTaskCollaborators(task.id),
+      legacy.getDependencies(task.id),
+      legacy.getBounty(task.id),
+    ]);
+    histories.push(history.toArray(true));
+
+    const taskId = Number(task.id);
+    // The original of a hidden title is not readable, so the placeholder is what gets imported
+    if (titleHidden) {
+      notMigrated.push({ taskId, reason: `hidden title not migrated, imported as "${task.title}"` });
+    }
+    if (seriesId !== 0n) {
+      notMigrated.push({ taskId, reason: `series ${seriesId} not migrated, imported as a one-off task` });
+    }
+    if (collaborators.length > 0) {
+      notMigrated.push({ taskId, reason: `collaborators not migrated: ${collaborators.join(", ")}` });
+    }
+    if (dependencies.length > 0) {
+      notMigrated.push({ taskId, reason: `dependencies on tasks ${dependencies.join(", ")} not migrated` });
+    }
+    if (bounty.amount > 0n) {
+      notMigrated.push({ taskId, reason: `bounty of ${bounty.amount} wei not migrated, it stays in the legacy contract` });
+    }
+  }
+  return { tasks, histories, notMigrated };
+}
+
+async function main() {
+  // Defaults to the plain TaskManager and the proxy recorded in the network's manifest
+  const legacyAddress = await deploymentAddress(hre, "TaskManager", "LEGACY_ADDRESS");
+  const proxyAddress = await deploymentAddress(hre, "TaskManagerProxy", "PROXY_ADDRESS");
+  if (!legacyAddress || !proxyAddress) {
+    throw new Error("Set LEGACY_ADDRESS to the old TaskManager and PROXY_ADDRESS to the upgradeable proxy");
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const legacy = new Contract(legacyAddress, ORIGINAL_ABI, signer);
+  const target = await hre.ethers.getContractAt("TaskManagerUpgradeable", proxyAddress);
+
+  console.log(`Migrating tasks from ${legacyAddress} to ${proxyAddress}...`);
+  const { notMigrated } = await migrateTasks(legacy, target, {
+    batchSize: Number(process.env.BATCH_SIZE || 50),
+    log: (message) => console.log(message),
+  });
+  if (notMigrated.length > 0) {
+    console.log(`\n⚠️  Migration completed; ${notMigrated.length} items listed above were not migrated`);
+  } else {
+    console.log("\n✅ Migration completed successfully!");
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateTasks };
@@ -0,0 +1,162 @@
+const http = require("http");
+const hre = require("hardhat");
+const { deploymentAddress } = require("../../shared/deployments");
+
+const DEFAULT_PORT = 3001;
+const DEFAULT_MAX_GAS = 3_000_000n;
+
+/**
+ * Read a JSON request body.
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new Error("Body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Build the HTTP server that relays signed ForwardRequests to a TaskForwarder.
+ *
+ * Routes:
+ *   GET  /forwarder        -> { address, taskManager, domain }
+ *   GET  /nonce/<address>  -> { nonce }
+ *   POST /relay            -> { txHash, blockNumber }
+ *
+ * The POST body is a signed ForwardRequestData: { from, to, value, gas, deadline, data, signature }.
+ * Only requests targeting the TaskManager are relayed, so the relayer cannot be used to pay
+ * for arbitrary calls. Requests must not carry ETH, which would come out of the relayer's
+ * balance, and may ask for at most `maxGas`.
+ *
+ * @param {import("ethers").Contract} forwarder TaskForwarder connected to the relayer account
+ * @param {string} taskManagerAddress
+ * @param {{ maxGas?: bigint }} [options]
+ */
+function createRelayServer(forwarder, taskManagerAddress, options = {}) {
+  const maxGas = options.maxGas ?? DEFAULT_MAX_GAS;
+
+  return http.createServer(async (req, res) => {
+    try {
+      if (req.method === "GET" && req.url === "/forwarder") {
+        const domain = await forwarder.eip712Domain();
+        return sendJson(res, 200, {
+          address: await forwarder.getAddress(),
+          taskManager: taskManagerAddress,
+          domain: {
+            name: domain.name,
+            version: domain.version,
+            chainId: domain.chainId.toString(),
+            verifyingContract: domain.verifyingContract,
+          },
+        });
+      }
+
+      const nonceMatch = req.method === "GET" && req.url.match(/^\/nonce\/(0x[0-9a-fA-F]{40})$/);
+      if (nonceMatch) {
+        const nonce = await forwarder.nonces(nonceMatch[1]);
+        return sendJson(res, 200, { nonce: nonce.toString() });
+      }
+
+      if (req.method === "POST" && req.url === "/relay") {
+        const body = await readJson(req);
+        const request = {
+          from: body.from,
+          to: body.to,
+          value: BigInt(body.value || 0),
+          gas: BigInt(body.gas),
+          deadline: BigInt(body.deadline),
+          data: body.data,
+          signature: body.signature,
+        };
+
+        if (!request.to || request.to.toLowerCase() !== taskManagerAddress.toLowerCase()) {
+          return sendJson(res, 400, { error: "Request must target the TaskManager" });
+        }
+        if (request.value !== 0n) {
+          return sendJson(res, 400, { error: "Requests carrying ETH are not relayed" });
+        }
+        if (request.gas > maxGas) {
+          return sendJson(res, 400, { error: `Gas above the relayer limit of ${maxGas}` });
+        }
+        if (!(await forwarder.verify(request))) {
+          return sendJson(res, 400, { error: "Invalid signature, nonce or deadline" });
+        }
+
+        // The forwarder hides revert reasons, so simulate the call as the forwarder first,
+        // appending the signer the way ERC-2771 does, to report e.g. "Not the task owner"
+        try {
+          await forwarder.runner.provider.call({
+            from: await forwarder.getAddress(),
+            to: request.to,
+            data: hre.ethers.concat([request.data, request.from]),
+          });
+        } catch (error) {
+          return sendJson(res, 400, { error: error.reason || error.shortMessage || error.message });
+        }
+
+        const tx = await forwarder.execute(request);
+        const receipt = await tx.wait();
+        return sendJson(res, 200, { txHash: tx.hash, blockNumber: receipt.blockNumber });
+      }
+
+      sendJson(res, 404, { error: "Not found" });
+    } catch (error) {
+      sendJson(res, 400, { error: error.shortMessage || error.message });
+    }
+  });
+}
+
+async function main() {
+  const taskManagerAddress = await deploymentAddress(hre, "TaskManager", "TASK_MANAGER_ADDRESS");
+  if (!taskManagerAddress) {
+    throw new Error(
+      `No TaskManager on network "${hre.network.name}": run scripts/deploy.js or set TASK_MANAGER_ADDRESS`
+    );
+  }
+  const port = Number(process.env.RELAYER_PORT || DEFAULT_PORT);
+  const maxGas = BigInt(process.env.RELAYER_MAX_GAS || DEFAULT_MAX_GAS);
+
+  const taskManager = await hre.ethers.getContractAt("TaskManager", taskManagerAddress);
+  const forwarderAddress = await taskManager.trustedForwarder();
+  const forwarder = await hre.ethers.getContractAt("TaskForwarder", forwarderAddress);
+  const [relayer] = await hre.ethers.getSigners();
+
+  console.log(`Relaying for TaskManager ${taskManagerAddress}`);
+  console.log(`TaskForwarder: ${forwarderAddress}`);
+  console.log(`Relayer account: ${relayer.address}`);
+  console.log(`Gas limit per request: ${maxGas}`);
+
+  const server = createRelayServer(forwarder.connect(relayer), taskManagerAddress, { maxGas });
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`\nRelayer listening on http://localhost:${port}`);
+
+  // Keep running until interrupted
+  await new Promise((resolve) => process.on("SIGINT", resolve));
+  server.close();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { createRelayServer };
@@ -0,0 +1,506 @@
+const fs = require("fs");
+const path = require("path");
+const { Contract, ZeroAddress } = require("ethers");
+const { TASK_STATUS, TASK_PRIORITY, toTask } = require("../sdk/TaskManagerClient");
+
+const EXPORT_VERSION = 1;
+
+// bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// Recreated tasks drop due dates closer than this, as createTask only accepts future dates
+const DUE_DATE_MARGIN = 5 * 60;
+
+const isoDate = (timestamp) => (timestamp ? new Date(timestamp * 1000).toISOString() : "");
+
+const CSV_COLUMNS = [
+  { header: "id", value: (t) => t.id },
+  { header: "title", value: (t) => t.title },
+  { header: "description", value: (t) => t.description },
+  { header: "status", value: (t) => t.status },
+  { header: "priority", value: (t) => t.priority },
+  { header: "owner", value: (t) => t.owner },
+  { header: "assignee", value: (t) => t.assignee },
+  { header: "dueDate", value: (t) => isoDate(t.dueDate) },
+  { header: "parentId", value: (t) => t.parentId },
+  { header: "createdAt", value: (t) => isoDate(t.createdAt) },
+  { header: "updatedAt", value: (t) => isoDate(t.updatedAt) },
+];
+
+// Fields a plain TaskManager lets the importer set; IDs, owners and timestamps come from the new chain
+const RECREATED_FIELDS = ["title", "description", "status", "priority", "assignee", "dueDate", "parentId"];
+const PRESERVED_FIELDS = [...RECREATED_FIELDS, "owner", "createdAt", "updatedAt"];
+
+/**
+ * @typedef {import("../sdk/TaskManagerClient").Task & { history: import("../sdk/TaskManagerClient").StatusChange[] }} ExportedTask
+ *
+ * @typedef {Object} TaskExport
+ * @property {number} version
+ * @property {{ chainId: number, address: string, blockNumber: number, taskCount: number }} source
+ * @property {string | null} owner    Only this owner's tasks were exported, or null for all tasks
+ * @property {string} exportedAt      ISO date
+ * @property {ExportedTask[]} tasks   Ordered by ID
+ *
+ * @typedef {Object} ImportProgress
+ * @property {{ chainId: number, address: string }} source
+ * @property {{ chainId: number, address: string }} target
+ * @property {"preserve" | "recreate" | null} mode
+ * @property {Object<string, { targetId: number, settled: boolean }>} tasks  Keyed by source task ID
+ * @property {{ kind: "import" | "create" | "settle", hash: string, sourceIds: number[] } | null} pending
+ *   Transaction sent but not yet recorded, checked again when the import resumes
+ *
+ * @typedef {Object} TaskDifference
+ * @property {number} sourceId
+ * @property {number | null} targetId   null if the task was never imported
+ * @property {string} field
+ * @property {any} expected             Value in the export
+ * @property {any} actual               Value on the target
+ */
+
+function providerOf(contract) {
+  return contract.runner.provider || contract.runner;
+}
+
+function toStatusChanges(history) {
+  return history.map((change) => ({
+    status: TASK_STATUS[Number(change.status)],
+    actor: change.actor,
+    timestamp: Number(change.timestamp),
+  }));
+}
+
+// Loaded lazily: hardhat.config.js requires this module before anything is compiled
+function attachUpgradeable(target) {
+  const { abi } = require("../artifacts/contracts/TaskManagerUpgradeable.sol/TaskManagerUpgradeable.json");
+  return new Contract(target.target, abi, target.runner);
+}
+
+async function chainInfo(contract) {
+  const { chainId } = await providerOf(contract).getNetwork();
+  return { chainId: Number(chainId), address: await contract.getAddress() };
+}
+
+/**
+ * Read all tasks, or one owner's tasks, with their status histories.
+ * Every call reads the same block, so tasks changed while exporting cannot tear the export.
+ * @param {import("ethers").Contract} taskManager
+ * @param {{ owner?: string, batchSize?: number }} [options]
+ * @returns {Promise<TaskExport>}
+ */
+async function exportTasks(taskManager, options = {}) {
+  const batchSize = options.batchSize || 100;
+  const blockNumber = await providerOf(taskManager).getBlockNumber();
+  const overrides = { blockTag: blockNumber };
+  const taskCount = Number(await taskManager.getTotalTaskCount(overrides));
+
+  const results = [];
+  if (options.owner) {
+    const userTaskCount = Number(await taskManager.getUserTaskCount(options.owner, overrides));
+    for (let offset = 0; offset < userTaskCount; offset += batchSize) {
+      results.push(...(await taskManager.getUserTaskDetailsPaginated(options.owner, offset, batchSize, overrides)));
+    }
+  } else {
+    // Deleted tasks are skipped by getTasksPaginated, so a window may hold fewer tasks
+    for (let offset = 0; offset < taskCount; offset += batchSize) {
+      results.push(...(await taskManager.getTasksPaginated(offset, batchSize, overrides)));
+    }
+  }
+
+  const tasks = [];
+  for (const result of results) {
+    const history = await taskManager.getTaskHistory(result.id, overrides);
+    tasks.push({ ...toTask(result), history: toStatusChanges(history) });
+  }
+  tasks.sort((a, b) => a.id - b.id);
+
+  return {
+    version: EXPORT_VERSION,
+    source: { ...(await chainInfo(taskManager)), blockNumber, taskCount },
+    owner: options.owner || null,
+    exportedAt: new Date().toISOString(),
+    tasks,
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render an export as CSV, one row per task with ISO dates. Status histories are left out.
+ * @param {TaskExport} data
+ * @returns {string}
+ */
+function tasksToCsv(data) {
+  const rows = [
+    CSV_COLUMNS.map((column) => column.header),
+    ...data.tasks.map((t) => CSV_COLUMNS.map((column) => csvField(column.value(t)))),
+  ];
+  return rows.map((row) => row.join(",")).join("\n") + "\n";
+}
+
+/**
+ * Write an export as CSV when the file name ends in .csv, as JSON otherwise.
+ * @returns {"csv" | "json"} The format written
+ */
+function writeExport(filePath, data) {
+  const format = path.extname(filePath).toLowerCase() === ".csv" ? "csv" : "json";
+  fs.writeFileSync(filePath, format === "csv" ? tasksToCsv(data) : JSON.stringify(data, null, 2) + "\n");
+  return format;
+}
+
+/**
+ * Read a JSON export. CSV exports are meant for spreadsheets and cannot be imported.
+ * @returns {TaskExport}
+ */
+function readExport(filePath) {
+  if (path.extname(filePath).toLowerCase() === ".csv") {
+    throw new Error(`${filePath} is a CSV export; import the JSON export instead`);
+  }
+  const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (data.version !== EXPORT_VERSION || !Array.isArray(data.tasks)) {
+    throw new Error(`${filePath} is not a TaskManager export`);
+  }
+  return data;
+}
+
+/**
+ * Load the progress of an earlier import of the same export into the same target, or start afresh.
+ * @param {string | null} filePath Where to keep the progress, or null to keep it in memory
+ * @returns {ImportProgress}
+ */
+function loadProgress(filePath, source, target) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return { source, target, mode: null, tasks: {}, pending: null };
+  }
+  const progress = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const same = (a, b) => a.chainId === b.chainId && a.address.toLowerCase() === b.address.toLowerCase();
+  if (!same(progress.source, source) || !same(progress.target, target)) {
+    throw new Error(
+      `${filePath} records an import from ${progress.source.address} into ${progress.target.address} ` +
+        `on chain ${progress.target.chainId}; use another progress file`
+    );
+  }
+  return progress;
+}
+
+function saveProgress(filePath, progress) {
+  if (!filePath) {
+    return;
+  }
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(progress, null, 2) + "\n");
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * "preserve" when the target is a TaskManagerUpgradeable proxy that still accepts importTasks
+ * from the signer, "recreate" otherwise.
+ */
+async function importMode(target) {
+  // A plain TaskManager has no ERC-1967 implementation slot, nor admin() to call
+  const implementation = await providerOf(target).getStorage(target.target, IMPLEMENTATION_SLOT);
+  if (BigInt(implementation) === 0n) {
+    return "recreate";
+  }
+  const upgradeable = attachUpgradeable(target);
+  const [admin, finished] = await Promise.all([upgradeable.admin(), upgradeable.isMigrationFinished()]);
+  return !finished && admin === (await target.runner.getAddress()) ? "preserve" : "recreate";
+}
+
+/**
+ * Record a mined batch: which source task became which target task, or which tasks are settled.
+ */
+function applyBatch(progress, batch, receipt, iface) {
+  if (batch.kind === "settle") {
+    for (const sourceId of batch.sourceIds) {
+      progress.tasks[sourceId].settled = true;
+    }
+    return;
+  }
+
+  if (batch.kind === "import") {
+    // importTasks keeps the IDs and the status
+    for (const sourceId of batch.sourceIds) {
+      progress.tasks[sourceId] = { targetId: sourceId, settled: true };
+    }
+    return;
+  }
+
+  const createdIds = receipt.logs
+    .map((log) => {
+      try {
+        return iface.parseLog(log);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter((parsed) => parsed && parsed.name === "TaskCreated")
+    .map((parsed) => Number(parsed.args.taskId));
+  batch.sourceIds.forEach((sourceId, i) => {
+    // Recreated tasks start Pending and are settled afterwards
+    progress.tasks[sourceId] = { targetId: createdIds[i], settled: false };
+  });
+}
+
+/**
+ * Send a batch, recording its hash first so a crash before the receipt cannot import it twice.
+ */
+async function sendBatch(progress, save, target, kind, sourceIds, send) {
+  const tx = await send();
+  progress.pending = { kind, hash: tx.hash, sourceIds };
+  save();
+  const receipt = await tx.wait();
+  applyBatch(progress, progress.pending, receipt, target.interface);
+  progress.pending = null;
+  save();
+}
+
+/**
+ * Finish a batch left pending by an interrupted import: record it if it was mined, drop it otherwise.
+ */
+async function recoverPending(progress, save, target) {
+  const { pending } = progress;
+  if (!pending) {
+    return;
+  }
+  const provider = providerOf(target);
+  let receipt = await provider.getTransactionReceipt(pending.hash);
+  if (!receipt && (await provider.getTransaction(pending.hash))) {
+    receipt = await provider.waitForTransaction(pending.hash);
+  }
+  if (receipt && receipt.status === 1) {
+    applyBatch(progress, pending, receipt, target.interface);
+  }
+  progress.pending = null;
+  save();
+}
+
+function toTaskTuple(task) {
+  return [
+    task.id,
+    task.title,
+    task.description,
+    TASK_STATUS.indexOf(task.status),
+    task.createdAt,
+    task.updatedAt,
+    task.owner,
+    task.assignee || ZeroAddress,
+    task.dueDate || 0,
+    TASK_PRIORITY.indexOf(task.priority),
+    task.parentId || 0,
+  ];
+}
+
+async function importPreserving(target, data, progress, save, options) {
+  const remaining = data.tasks.filter((task) => !progress.tasks[task.id]);
+  const upgradeable = attachUpgradeable(target);
+  const lastImportedId = Number(await upgradeable.getLastImportedTaskId());
+  const taken = remaining.find((task) => task.id <= lastImportedId);
+  if (taken) {
+    throw new Error(`Task ${taken.id} already exists on the target; importTasks needs IDs above ${lastImportedId}`);
+  }
+
+  for (let i = 0; i < remaining.length; i += options.batchSize) {
+    const batch = remaining.slice(i, i + options.batchSize);
+    await sendBatch(progress, save, target, "import", batch.map((task) => task.id), () =>
+      upgradeable.importTasks(
+        batch.map(toTaskTuple),
+        batch.map((task) =>
+          task.history.map((change) => [TASK_STATUS.indexOf(change.status), change.actor, change.timestamp])
+        )
+      )
+    );
+    options.log(`Imported tasks ${batch[0].id}-${batch[batch.length - 1].id}`);
+  }
+
+  if (options.finish) {
+    // Reserve the IDs of source tasks that were deleted or not exported
+    const finalCount = Math.max(data.source.taskCount, Number(await target.getTotalTaskCount()));
+    await (await upgradeable.finishMigration(finalCount)).wait();
+    options.log(`Migration finished, next task ID is ${finalCount + 1}`);
+  }
+  return remaining.length;
+}
+
+async function importRecreating(target, data, progress, save, options) {
+  const exported = new Set(data.tasks.map((task) => task.id));
+  const { timestamp: now } = await providerOf(target).getBlock("latest");
+  let created = 0;
+
+  // First create every task, all Pending, so subtasks can still be added under their parents
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) {
+      return;
+    }
+    const calls = batch.map((task) => {
+      const dueDate = task.dueDate && task.dueDate > now + DUE_DATE_MARGIN ? task.dueDate : 0;
+      const priority = TASK_PRIORITY.indexOf(task.priority);
+      const parent = task.parentId && progress.tasks[task.parentId];
+      return parent
+        ? target.interface.encodeFunctionData("createSubtask", [
+            parent.targetId,
+            task.title,
+            task.description,
+            dueDate,
+            priority,
+          ])
+        : target.interface.encodeFunctionData("createTask(string,string,uint256,uint8)", [
+            task.title,
+            task.description,
+            dueDate,
+            priority,
+          ]);
+    });
+    const sourceIds = batch.map((task) => task.id);
+    await sendBatch(progress, save, target, "create", sourceIds, () => target.multicall(calls));
+    options.log(`Created tasks for ${sourceIds[0]}-${sourceIds[sourceIds.length - 1]}`);
+    created += batch.length;
+    batch = [];
+  };
+
+  for (const task of data.tasks) {
+    if (progress.tasks[task.id]) {
+      continue;
+    }
+    // A subtask needs the target ID of its parent, so the parent's batch goes first
+    if (task.parentId && exported.has(task.parentId) && !progress.tasks[task.parentId]) {
+      await flush();
+    }
+    batch.push(task);
+    if (batch.length === options.batchSize) {
+      await flush();
+    }
+  }
+  await flush();
+
+  // Then assign and move statuses, subtasks before their parents so completed parents have closed subtasks
+  const unsettled = [...data.tasks].reverse().filter((task) => !progress.tasks[task.id].settled);
+  for (let i = 0; i < unsettled.length; i += options.batchSize) {
+    const settle = unsettled.slice(i, i + options.batchSize);
+    const calls = [];
+    for (const task of settle) {
+      const { targetId } = progress.tasks[task.id];
+      if (task.assignee) {
+        calls.push(target.interface.encodeFunctionData("assignTask", [targetId, task.assignee]));
+      }
+      if (task.status !== "Pending") {
+        calls.push(
+          target.interface.encodeFunctionData("updateTaskStatus", [targetId, TASK_STATUS.indexOf(task.status)])
+        );
+      }
+    }
+
+    const sourceIds = settle.map((task) => task.id);
+    if (calls.length === 0) {
+      applyBatch(progress, { kind: "settle", sourceIds }, null, target.interface);
+      save();
+    } else {
+      await sendBatch(progress, save, target, "settle", sourceIds, () => target.multicall(calls));
+    }
+  }
+  return created;
+}
+
+/**
+ * Import an export into another deployment in batches.
+ *
+ * A TaskManagerUpgradeable proxy whose admin is the signer and whose migration is not finished
+ * receives the tasks through importTasks, keeping IDs, owners, timestamps and status histories.
+ * Any other TaskManager gets them recreated by the signer: new IDs and timestamps, the signer as
+ * owner, and due dates that have passed dropped.
+ *
+ * Progress is saved after every batch; running the import again with the same progress file
+ * resumes where it stopped.
+ *
+ * @param {import("ethers").Contract} target TaskManager connected to the importing signer
+ * @param {TaskExport} data
+ * @param {{ progressFile?: string, batchSize?: number, finish?: boolean, log?: (message: string) => void }} [options]
+ *   `finish` calls finishMigration on a proxy once every task is imported
+ * @returns {Promise<{ mode: "preserve" | "recreate", imported: number, progress: ImportProgress }>}
+ */
+async function importTasks(target, data, options = {}) {
+  const settings = { batchSize: options.batchSize || 20, finish: options.finish, log: options.log || (() => {}) };
+  const source = { chainId: data.source.chainId, address: data.source.address };
+  const progress = loadProgress(options.progressFile || null, source, await chainInfo(target));
+  const save = () => saveProgress(options.progressFile || null, progress);
+
+  if (!progress.mode) {
+    progress.mode = await importMode(target);
+    save();
+  }
+  await recoverPending(progress, save, target);
+
+  const done = Object.keys(progress.tasks).length;
+  if (done > 0) {
+    settings.log(`Resuming with ${done} of ${data.tasks.length} tasks imported`);
+  }
+  const imported =
+    progress.mode === "preserve"
+      ? await importPreserving(target, data, progress, save, settings)
+      : await importRecreating(target, data, progress, save, settings);
+
+  return { mode: progress.mode, imported, progress };
+}
+
+/**
+ * Compare every exported task with its copy on the target.
+ * Recreated tasks are compared on the fields a plain TaskManager lets the importer set.
+ * Due dates the recreating import dropped because they had passed are listed in `dropped`
+ * rather than `differences`.
+ * @param {import("ethers").Contract} target
+ * @param {TaskExport} data
+ * @param {ImportProgress} progress
+ * @returns {Promise<{ checked: number, differences: TaskDifference[], dropped: TaskDifference[] }>}
+ */
+async function verifyImport(target, data, progress) {
+  const differences = [];
+  const dropped = [];
+  const fields = progress.mode === "preserve" ? PRESERVED_FIELDS : RECREATED_FIELDS;
+
+  for (const task of data.tasks) {
+    const entry = progress.tasks[task.id];
+    const targetId = entry ? entry.targetId : null;
+    const copy = entry && (await target.tasks(targetId));
+    if (!copy || copy.owner === ZeroAddress) {
+      differences.push({ sourceId: task.id, targetId, field: "task", expected: "imported", actual: "missing" });
+      continue;
+    }
+
+    const actual = toTask(copy);
+    const expected = { ...task };
+    if (progress.mode === "recreate" && task.parentId) {
+      // Parents that were not exported are recreated as top-level tasks
+      expected.parentId = progress.tasks[task.parentId] ? progress.tasks[task.parentId].targetId : null;
+    }
+    for (const field of fields) {
+      if (expected[field] !== actual[field]) {
+        const difference = { sourceId: task.id, targetId, field, expected: expected[field], actual: actual[field] };
+        // importRecreating only ever keeps the exported due date or drops it
+        const droppedDueDate = progress.mode === "recreate" && field === "dueDate" && actual.dueDate === null;
+        (droppedDueDate ? dropped : differences).push(difference);
+      }
+    }
+
+    if (progress.mode === "preserve") {
+      const history = toStatusChanges(await target.getTaskHistory(targetId));
+      if (JSON.stringify(history) !== JSON.stringify(task.history)) {
+        differences.push({ sourceId: task.id, targetId, field: "history", expected: task.history, actual: history });
+      }
+    }
+  }
+
+  return { checked: data.tasks.length, differences, dropped };
+}
+
+module.exports = {
+  exportTasks,
+  tasksToCsv,
+  writeExport,
+  readExport,
+  loadProgress,
+  importTasks,
+  verifyImport,
+};
@@ -0,0 +1,159 @@
+const { Contract, ZeroAddress } = require("ethers");
+
+/**
+ * @typedef {Object} Comment
+ * @property {number} taskId
+ * @property {number} id               Position in the task's thread, starting at 1
+ * @property {string} author
+ * @property {string} body
+ * @property {number} timestamp        Unix timestamp of the block
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ *
+ * @typedef {Object} CommentThread
+ * @property {number} count
+ * @property {string | null} lastAuthor
+ * @property {number | null} lastCommentAt  Unix timestamp
+ * @property {number | null} lastBlock      Block of the latest comment
+ */
+
+function eventInfo(log) {
+  return { blockNumber: log.blockNumber, transactionHash: log.transactionHash };
+}
+
+function loadArtifactAbi() {
+  try {
+    return require("../artifacts/contracts/TaskComments.sol/TaskComments.json").abi;
+  } catch (error) {
+    throw new Error("TaskComments artifact not found; run `npx hardhat compile` or pass { abi }");
+  }
+}
+
+/**
+ * Client for the TaskComments contract. Comment bodies only live in event logs,
+ * so threads are rebuilt from CommentAdded events.
+ */
+class TaskCommentsClient {
+  /**
+   * @param {import("ethers").Contract} contract A TaskComments contract connected to a signer or provider
+   */
+  constructor(contract) {
+    this.contract = contract;
+  }
+
+  /**
+   * Connect to a TaskComments contract deployed at `address`.
+   * @param {string} address
+   * @param {import("ethers").ContractRunner} runner Signer for writes, or provider for read-only use
+   * @param {{ abi?: any[] }} [options] ABI to use instead of the compiled Hardhat artifact
+   */
+  static connect(address, runner, options = {}) {
+    const abi = options.abi || loadArtifactAbi();
+    return new TaskCommentsClient(new Contract(address, abi, runner));
+  }
+
+  /**
+   * Return a client for the same contract that sends transactions from `runner`.
+   */
+  connect(runner) {
+    return new TaskCommentsClient(this.contract.connect(runner));
+  }
+
+  /**
+   * Comment on a task as the owner or assignee and return the comment.
+   * @param {number} taskId
+   * @param {string} body
+   * @returns {Promise<Comment>}
+   */
+  async addComment(taskId, body) {
+    const receipt = await (await this.contract.addComment(taskId, body)).wait();
+    for (const log of receipt.logs) {
+      const parsed = this.contract.interface.parseLog(log);
+      if (parsed && parsed.name === "CommentAdded") {
+        const [comment] = await this._toComments([{ ...eventInfo(log), args: parsed.args }]);
+        return comment;
+      }
+    }
+    throw new Error("CommentAdded event not found");
+  }
+
+  /**
+   * Whether `user` may comment on a task.
+   * @returns {Promise<boolean>}
+   */
+  async canComment(taskId, user) {
+    return this.contract.canComment(taskId, user);
+  }
+
+  /**
+   * Comment count and latest comment pointer stored on-chain.
+   * @returns {Promise<CommentThread>}
+   */
+  async getThread(taskId) {
+    const thread = await this.contract.getCommentThread(taskId);
+    return {
+      count: Number(thread.count),
+      lastAuthor: thread.lastAuthor === ZeroAddress ? null : thread.lastAuthor,
+      lastCommentAt: thread.count === 0n ? null : Number(thread.lastCommentAt),
+      lastBlock: thread.count === 0n ? null : Number(thread.lastBlock),
+    };
+  }
+
+  /**
+   * Rebuild the full comment thread of a task, oldest first.
+   * Logs are read up to the block of the latest comment.
+   * @param {number} taskId
+   * @param {{ fromBlock?: number }} [options] First block to scan, e.g. the deployment block
+   * @returns {Promise<Comment[]>}
+   */
+  async getComments(taskId, options = {}) {
+    const thread = await this.getThread(taskId);
+    if (thread.count === 0) {
+      return [];
+    }
+
+    const events = await this.contract.queryFilter(
+      this.contract.filters.CommentAdded(taskId),
+      options.fromBlock || 0,
+      thread.lastBlock
+    );
+    const comments = await this._toComments(events);
+    return comments.sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Call `callback` for every new comment.
+   * @param {(comment: Comment) => void} callback
+   * @returns {Promise<() => Promise<void>>} Unsubscribe function
+   */
+  async onComment(callback) {
+    const listener = async (...params) => {
+      const { log, args } = params[params.length - 1];
+      const [comment] = await this._toComments([{ ...eventInfo(log), args }]);
+      callback(comment);
+    };
+    await this.contract.on("CommentAdded", listener);
+    return () => this.contract.off("CommentAdded", listener);
+  }
+
+  async _toComments(events) {
+    const timestamps = new Map();
+    for (const event of events) {
+      if (!timestamps.has(event.blockNumber)) {
+        const block = await this.contract.runner.provider.getBlock(event.blockNumber);
+        timestamps.set(event.blockNumber, block.timestamp);
+      }
+    }
+    return events.map((event) => ({
+      taskId: Number(event.args.taskId),
+      id: Number(event.args.commentId),
+      author: event.args.author,
+      body: event.args.body,
+      timestamp: timestamps.get(event.blockNumber),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+    }));
+  }
+}
+
+module.exports = { TaskCommentsClient };
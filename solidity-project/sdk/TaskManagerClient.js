@@ -0,0 +1,498 @@
+const { Contract, ZeroAddress } = require("ethers");
+const {
+  PRIVATE_TITLE,
+  encryptionPublicKey,
+  encryptContent,
+  decryptContent,
+  formatContentRef,
+  parseContentRef,
+} = require("./privateContent");
+const { sha256Hex } = require("./contentStores");
+
+const TASK_STATUS = ["Pending", "InProgress", "Completed", "Cancelled"];
+const TASK_PRIORITY = ["Low", "Medium", "High", "Critical"];
+
+/**
+ * @typedef {"Pending" | "InProgress" | "Completed" | "Cancelled"} TaskStatusName
+ * @typedef {"Low" | "Medium" | "High" | "Critical"} TaskPriorityName
+ *
+ * @typedef {Object} Task
+ * @property {number} id
+ * @property {string} title
+ * @property {string} description
+ * @property {TaskStatusName} status
+ * @property {TaskPriorityName} priority
+ * @property {string} owner
+ * @property {string | null} assignee
+ * @property {number | null} dueDate     Unix timestamp, or null when the task has no due date
+ * @property {number | null} parentId    Parent task ID for subtasks
+ * @property {number} createdAt          Unix timestamp
+ * @property {number} updatedAt          Unix timestamp
+ * @property {boolean} private           Whether title and description are stored encrypted off-chain
+ * @property {boolean} [decrypted]       For private tasks, whether this client could decrypt them
+ * @property {string} [contentError]     For private tasks listed with missing, tampered or undecryptable content, why it could not be read
+ *
+ * @typedef {Object} StatusChange
+ * @property {TaskStatusName} status
+ * @property {string} actor
+ * @property {number} timestamp
+ *
+ * @typedef {Object} TaskCreatedEvent
+ * @property {number} taskId
+ * @property {string} owner
+ * @property {string} title
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ *
+ * @typedef {Object} TaskStatusChangedEvent
+ * @property {number} taskId
+ * @property {TaskStatusName} status
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ */
+
+/**
+ * Convert a status name (or its numeric value) to the contract enum value.
+ */
+function toStatusValue(status) {
+  return enumValue(TASK_STATUS, status, "status");
+}
+
+/**
+ * Convert a priority name (or its numeric value) to the contract enum value.
+ */
+function toPriorityValue(priority) {
+  return enumValue(TASK_PRIORITY, priority, "priority");
+}
+
+function enumValue(names, value, label) {
+  if (typeof value === "string") {
+    const index = names.indexOf(value);
+    if (index === -1) {
+      throw new Error(`Unknown task ${label} "${value}", expected one of ${names.join(", ")}`);
+    }
+    return index;
+  }
+  const index = Number(value);
+  if (!Number.isInteger(index) || index < 0 || index >= names.length) {
+    throw new Error(`Unknown task ${label} ${value}`);
+  }
+  return index;
+}
+
+/**
+ * Convert a Task tuple returned by the contract to a plain object.
+ * @returns {Task}
+ */
+function toTask(result) {
+  return {
+    id: Number(result.id),
+    title: result.title,
+    description: result.description,
+    status: TASK_STATUS[Number(result.status)],
+    priority: TASK_PRIORITY[Number(result.priority)],
+    owner: result.owner,
+    assignee: result.assignee === ZeroAddress ? null : result.assignee,
+    dueDate: result.dueDate === 0n ? null : Number(result.dueDate),
+    parentId: result.parentId === 0n ? null : Number(result.parentId),
+    createdAt: Number(result.createdAt),
+    updatedAt: Number(result.updatedAt),
+    private: parseContentRef(result.description) !== null,
+  };
+}
+
+function toTimestamp(date) {
+  if (date === undefined || date === null) {
+    return 0;
+  }
+  return date instanceof Date ? Math.floor(date.getTime() / 1000) : Number(date);
+}
+
+function loadArtifactAbi() {
+  try {
+    return require("../artifacts/contracts/TaskManager.sol/TaskManager.json").abi;
+  } catch (error) {
+    throw new Error("TaskManager artifact not found; run `npx hardhat compile` or pass { abi }");
+  }
+}
+
+/**
+ * Thin wrapper around a deployed TaskManager that speaks plain JS objects
+ * and status/priority names instead of ethers Result tuples and enum numbers.
+ *
+ * With a content store and an encryption key it also creates and reads private
+ * tasks, whose title and description are encrypted off-chain (see privateContent.js).
+ */
+class TaskManagerClient {
+  /**
+   * @param {import("ethers").Contract} contract A TaskManager contract connected to a signer or provider
+   * @param {{ contentStore?: object, encryptionKey?: string | import("ethers").SigningKey }} [options]
+   *   Store for private task content and the secp256k1 private key used to read it
+   */
+  constructor(contract, options = {}) {
+    this.contract = contract;
+    this.contentStore = options.contentStore;
+    this.encryptionKey = options.encryptionKey;
+  }
+
+  /**
+   * Connect to a TaskManager deployed at `address`.
+   * @param {string} address
+   * @param {import("ethers").ContractRunner} runner Signer for writes, or provider for read-only use
+   * @param {{ abi?: any[], contentStore?: object, encryptionKey?: string }} [options]
+   *   ABI to use instead of the compiled Hardhat artifact, and private content settings
+   */
+  static connect(address, runner, options = {}) {
+    const abi = options.abi || loadArtifactAbi();
+    return new TaskManagerClient(new Contract(address, abi, runner), options);
+  }
+
+  /**
+   * Return a client for the same contract that sends transactions from `runner`.
+   * @param {{ contentStore?: object, encryptionKey?: string }} [options] Overrides for private content settings
+   */
+  connect(runner, options = {}) {
+    return new TaskManagerClient(this.contract.connect(runner), {
+      contentStore: this.contentStore,
+      encryptionKey: this.encryptionKey,
+      ...options,
+    });
+  }
+
+  async getAddress() {
+    return this.contract.getAddress();
+  }
+
+  /**
+   * Create a task and return it.
+   * @param {string} title
+   * @param {string} description
+   * @param {{ dueDate?: number | Date, priority?: TaskPriorityName, bounty?: bigint }} [options]
+   * @returns {Promise<Task>}
+   */
+  async createTask(title, description, options = {}) {
+    const overrides = { value: options.bounty || 0n };
+    let tx;
+    if (options.dueDate === undefined && options.priority === undefined) {
+      tx = await this.contract["createTask(string,string)"](title, description, overrides);
+    } else {
+      tx = await this.contract["createTask(string,string,uint256,uint8)"](
+        title,
+        description,
+        toTimestamp(options.dueDate),
+        toPriorityValue(options.priority || "Low"),
+        overrides
+      );
+    }
+    const [taskId] = await this._createdTaskIds(tx);
+    return this.getTask(taskId);
+  }
+
+  /**
+   * Create a task whose title and description are only readable by the given recipients.
+   * The content is encrypted for this client's key and `recipients`, put in the content
+   * store, and only its hash and content ID are stored on-chain.
+   * @param {string} title
+   * @param {string} description
+   * @param {{ recipients?: string[], dueDate?: number | Date, priority?: TaskPriorityName, bounty?: bigint }} [options]
+   *   `recipients` are public keys of collaborators, see encryptionPublicKey()
+   * @returns {Promise<Task>}
+   */
+  async createPrivateTask(title, description, options = {}) {
+    const { recipients, ...taskOptions } = options;
+    const ref = await this._storePrivateContent({ title, description }, recipients || []);
+    return this.createTask(PRIVATE_TITLE, ref, taskOptions);
+  }
+
+  /**
+   * Replace the encrypted title and description of a private task.
+   * Callable by the owner or a collaborator of the task.
+   * @param {number} taskId
+   * @param {{ title?: string, description?: string }} changes Fields left out keep their current value
+   * @param {{ recipients?: string[] }} [options] Public keys to encrypt for; defaults to the current recipients
+   * @returns {Promise<Task>}
+   */
+  async updatePrivateTask(taskId, changes, options = {}) {
+    this._requirePrivateContent();
+    const raw = toTask(await this.contract.getTask(taskId));
+    const ref = parseContentRef(raw.description);
+    if (!ref) {
+      throw new Error(`Task ${taskId} is not private`);
+    }
+    const data = await this._fetchPrivateContent(ref);
+    const current = this._decrypt(data);
+    if (!current) {
+      throw new Error(`Cannot decrypt task ${taskId} with this client's key`);
+    }
+
+    const recipients =
+      options.recipients || JSON.parse(data.toString("utf8")).recipients.map((entry) => entry.publicKey);
+    const newRef = await this._storePrivateContent(
+      { title: changes.title ?? current.title, description: changes.description ?? current.description },
+      recipients
+    );
+    const tx = await this.contract.updateTaskDescription(taskId, newRef);
+    await tx.wait();
+    return this.getTask(taskId);
+  }
+
+  /**
+   * Create several tasks in one transaction.
+   * @param {{ title: string, description?: string }[]} tasks
+   * @returns {Promise<number[]>} The new task IDs, in input order
+   */
+  async createTasks(tasks) {
+    const tx = await this.contract.createTasks(
+      tasks.map((task) => task.title),
+      tasks.map((task) => task.description || "")
+    );
+    return this._createdTaskIds(tx);
+  }
+
+  /**
+   * Update the title, description, due date or priority of a task and return it.
+   * Fields that are left out keep their current value.
+   * @param {number} taskId
+   * @param {{ title?: string, description?: string, dueDate?: number | Date | null, priority?: TaskPriorityName }} changes
+   * @returns {Promise<Task>}
+   */
+  async updateTask(taskId, changes) {
+    const current = toTask(await this.contract.getTask(taskId));
+    if (current.private && (changes.title !== undefined || changes.description !== undefined)) {
+      throw new Error(`Task ${taskId} is private; use updatePrivateTask to change its content`);
+    }
+    const title = changes.title ?? current.title;
+    const description = changes.description ?? current.description;
+
+    let tx;
+    if (changes.dueDate === undefined && changes.priority === undefined) {
+      tx = await this.contract["updateTask(uint256,string,string)"](taskId, title, description);
+    } else {
+      const dueDate = changes.dueDate === undefined ? current.dueDate : changes.dueDate;
+      tx = await this.contract["updateTask(uint256,string,string,uint256,uint8)"](
+        taskId,
+        title,
+        description,
+        toTimestamp(dueDate),
+        toPriorityValue(changes.priority || current.priority)
+      );
+    }
+    await tx.wait();
+    return this.getTask(taskId);
+  }
+
+  /**
+   * Move a task to a new status.
+   * @param {number} taskId
+   * @param {TaskStatusName} status
+   * @returns {Promise<Task>}
+   */
+  async setStatus(taskId, status) {
+    const tx = await this.contract.updateTaskStatus(taskId, toStatusValue(status));
+    await tx.wait();
+    return this.getTask(taskId);
+  }
+
+  /**
+   * Move several tasks to the same status in one transaction.
+   * @param {number[]} taskIds
+   * @param {TaskStatusName} status
+   */
+  async setStatuses(taskIds, status) {
+    const tx = await this.contract.updateTaskStatuses(taskIds, toStatusValue(status));
+    await tx.wait();
+  }
+
+  /**
+   * Assign a task, or unassign it by passing null.
+   * @param {number} taskId
+   * @param {string | null} assignee
+   */
+  async assignTask(taskId, assignee) {
+    const tx = await this.contract.assignTask(taskId, assignee || ZeroAddress);
+    await tx.wait();
+    return this.getTask(taskId);
+  }
+
+  /**
+   * Delete a task.
+   * @param {number} taskId
+   */
+  async deleteTask(taskId) {
+    const tx = await this.contract.deleteTask(taskId);
+    await tx.wait();
+  }
+
+  /**
+   * Throws if the private content of the task is missing or does not match its hash.
+   * @param {number} taskId
+   * @returns {Promise<Task>}
+   */
+  async getTask(taskId) {
+    return this._readTask(await this.contract.getTask(taskId), { strict: true });
+  }
+
+  /**
+   * @param {number} taskId
+   * @returns {Promise<StatusChange[]>}
+   */
+  async getHistory(taskId) {
+    const history = await this.contract.getTaskHistory(taskId);
+    return history.map((change) => ({
+      status: TASK_STATUS[Number(change.status)],
+      actor: change.actor,
+      timestamp: Number(change.timestamp),
+    }));
+  }
+
+  /**
+   * List a user's tasks, optionally only those with a given status. Private tasks whose
+   * content is missing, does not match its hash or cannot be decrypted are returned undecrypted
+   * with a `contentError`.
+   * @param {string} owner
+   * @param {{ status?: TaskStatusName, offset?: number, limit?: number }} [options]
+   * @returns {Promise<Task[]>}
+   */
+  async listTasks(owner, options = {}) {
+    const offset = options.offset || 0;
+    const limit = options.limit ?? Number(await this.contract.getUserTaskCount(owner));
+    if (limit === 0) {
+      return [];
+    }
+    const results =
+      options.status === undefined
+        ? await this.contract.getUserTaskDetailsPaginated(owner, offset, limit)
+        : await this.contract.getUserTasksByStatus(owner, toStatusValue(options.status), offset, limit);
+    return Promise.all(results.map((result) => this._readTask(result)));
+  }
+
+  /**
+   * List tasks with IDs in (offset, offset + limit], skipping deleted ones. Private content
+   * is read as in listTasks.
+   * @param {{ status?: TaskStatusName, offset?: number, limit?: number }} [options]
+   * @returns {Promise<Task[]>}
+   */
+  async listAllTasks(options = {}) {
+    const offset = options.offset || 0;
+    const limit = options.limit ?? Number(await this.contract.getTotalTaskCount()) - offset;
+    if (limit <= 0) {
+      return [];
+    }
+    const results =
+      options.status === undefined
+        ? await this.contract.getTasksPaginated(offset, limit)
+        : await this.contract.getTasksByStatusPaginated(toStatusValue(options.status), offset, limit);
+    return Promise.all(results.map((result) => this._readTask(result)));
+  }
+
+  /**
+   * Call `callback` for every TaskCreated event.
+   * @param {(event: TaskCreatedEvent) => void} callback
+   * @returns {Promise<() => Promise<void>>} Unsubscribe function
+   */
+  async onTaskCreated(callback) {
+    return this._subscribe("TaskCreated", callback, (args) => ({
+      taskId: Number(args.taskId),
+      owner: args.owner,
+      title: args.title,
+    }));
+  }
+
+  /**
+   * Call `callback` for every TaskStatusChanged event.
+   * @param {(event: TaskStatusChangedEvent) => void} callback
+   * @returns {Promise<() => Promise<void>>} Unsubscribe function
+   */
+  async onTaskStatusChanged(callback) {
+    return this._subscribe("TaskStatusChanged", callback, (args) => ({
+      taskId: Number(args.taskId),
+      status: TASK_STATUS[Number(args.newStatus)],
+    }));
+  }
+
+  /**
+   * Convert a Task tuple, decrypting private content when this client can. Content that cannot
+   * be fetched, fails its hash check or cannot be decrypted throws with `strict`, and is reported
+   * in `contentError` otherwise.
+   */
+  async _readTask(result, options = {}) {
+    const task = toTask(result);
+    const ref = parseContentRef(task.description);
+    if (!ref || !this.contentStore || !this.encryptionKey) {
+      return ref ? { ...task, decrypted: false } : task;
+    }
+    let content;
+    try {
+      content = this._decrypt(await this._fetchPrivateContent(ref));
+    } catch (error) {
+      if (options.strict) {
+        throw error;
+      }
+      return { ...task, decrypted: false, contentError: error.message };
+    }
+    if (!content) {
+      return { ...task, decrypted: false };
+    }
+    return { ...task, title: content.title, description: content.description, decrypted: true };
+  }
+
+  _requirePrivateContent() {
+    if (!this.contentStore || !this.encryptionKey) {
+      throw new Error("Private tasks need a contentStore and an encryptionKey");
+    }
+  }
+
+  async _storePrivateContent(content, recipients) {
+    this._requirePrivateContent();
+    const data = encryptContent(content, [encryptionPublicKey(this.encryptionKey), ...recipients]);
+    const contentId = await this.contentStore.put(data);
+    return formatContentRef(data, contentId);
+  }
+
+  async _fetchPrivateContent(ref) {
+    const data = await this.contentStore.get(ref.contentId);
+    if (sha256Hex(data) !== ref.hash) {
+      throw new Error(`Content hash mismatch for ${ref.contentId}`);
+    }
+    return data;
+  }
+
+  _decrypt(data) {
+    return decryptContent(data, this.encryptionKey);
+  }
+
+  async _subscribe(eventName, callback, decode) {
+    const listener = (...params) => {
+      const { log, args } = params[params.length - 1];
+      callback({
+        ...decode(args),
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+      });
+    };
+    await this.contract.on(eventName, listener);
+    return () => this.contract.off(eventName, listener);
+  }
+
+  async _createdTaskIds(tx) {
+    const receipt = await tx.wait();
+    const ids = [];
+    for (const log of receipt.logs) {
+      const parsed = this.contract.interface.parseLog(log);
+      if (parsed && parsed.name === "TaskCreated") {
+        ids.push(Number(parsed.args.taskId));
+      }
+    }
+    return ids;
+  }
+}
+
+module.exports = {
+  TaskManagerClient,
+  encryptionPublicKey,
+  TASK_STATUS,
+  TASK_PRIORITY,
+  toTask,
+  toStatusValue,
+  toPriorityValue,
+};
@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Content stores hold the encrypted payloads of private tasks off-chain.
+ *
+ * A store implements:
+ *   put(data: Buffer) -> Promise<string>   stores the bytes and returns their content ID
+ *   get(id: string)   -> Promise<Buffer>   returns the bytes stored under `id`
+ *
+ * IDs are opaque to the client (an IPFS store would return CIDs); integrity is checked
+ * against the SHA-256 hash recorded on-chain, not against the ID.
+ */
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Local stand-in for IPFS: content-addressed files in a directory.
+ */
+class FileContentStore {
+  /**
+   * @param {string} directory
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async put(data) {
+    const id = sha256Hex(data);
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(this._path(id), data);
+    return id;
+  }
+
+  async get(id) {
+    const file = this._path(id);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Content ${id} not found`);
+    }
+    return fs.readFileSync(file);
+  }
+
+  _path(id) {
+    if (!/^[0-9a-f]{64}$/.test(id)) {
+      throw new Error(`Invalid content ID "${id}"`);
+    }
+    return path.join(this.directory, id);
+  }
+}
+
+/**
+ * In-memory store, useful for tests and short-lived scripts.
+ */
+class MemoryContentStore {
+  constructor() {
+    this.contents = new Map();
+  }
+
+  async put(data) {
+    const id = sha256Hex(data);
+    this.contents.set(id, Buffer.from(data));
+    return id;
+  }
+
+  async get(id) {
+    if (!this.contents.has(id)) {
+      throw new Error(`Content ${id} not found`);
+    }
+    return Buffer.from(this.contents.get(id));
+  }
+}
+
+module.exports = { FileContentStore, MemoryContentStore, sha256Hex };
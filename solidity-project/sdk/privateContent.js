@@ -0,0 +1,149 @@
+const crypto = require("crypto");
+const { SigningKey, getBytes, hexlify } = require("ethers");
+const { sha256Hex } = require("./contentStores");
+
+const ENVELOPE_VERSION = 1;
+const KDF_INFO = "TaskManager private content v1";
+
+// On-chain title of private tasks; the real title is part of the encrypted content
+const PRIVATE_TITLE = "Private task";
+const CONTENT_REF_PATTERN = /^private:([0-9a-f]{64}):(.+)$/;
+
+/**
+ * Private task content is encrypted once with a random AES-256-GCM key, and that key
+ * is wrapped for each recipient with ECDH over secp256k1 (the curve of Ethereum
+ * accounts), so any account key or a dedicated key can be used to read it.
+ *
+ * Envelope (JSON):
+ *   { version, iv, tag, ciphertext,
+ *     recipients: [{ publicKey, ephemeralPublicKey, iv, tag, key }] }
+ */
+
+function toSigningKey(key) {
+  if (key instanceof SigningKey) {
+    return key;
+  }
+  if (key && key.signingKey) {
+    // ethers Wallet
+    return key.signingKey;
+  }
+  return new SigningKey(key);
+}
+
+/**
+ * Compressed secp256k1 public key that others encrypt private tasks to.
+ * @param {string | SigningKey | import("ethers").Wallet} privateKey
+ */
+function encryptionPublicKey(privateKey) {
+  return toSigningKey(privateKey).compressedPublicKey;
+}
+
+function normalizePublicKey(publicKey) {
+  return SigningKey.computePublicKey(publicKey, true);
+}
+
+function wrappingKey(sharedSecret, ephemeralPublicKey) {
+  // The shared secret is an uncompressed point; its x coordinate is the ECDH output
+  const sharedX = getBytes(sharedSecret).slice(1, 33);
+  return Buffer.from(crypto.hkdfSync("sha256", sharedX, getBytes(ephemeralPublicKey), KDF_INFO, 32));
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), ciphertext };
+}
+
+function open(key, { iv, tag }, ciphertext) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Encrypt task content for a set of recipients.
+ * @param {{ title: string, description: string }} content
+ * @param {string[]} publicKeys Recipients' public keys (compressed or uncompressed)
+ * @returns {Buffer} The serialized envelope
+ */
+function encryptContent(content, publicKeys) {
+  const recipients = [...new Set(publicKeys.map(normalizePublicKey))];
+  if (recipients.length === 0) {
+    throw new Error("Private content needs at least one recipient");
+  }
+
+  const contentKey = crypto.randomBytes(32);
+  const body = seal(contentKey, Buffer.from(JSON.stringify(content), "utf8"));
+
+  const envelope = {
+    version: ENVELOPE_VERSION,
+    iv: body.iv,
+    tag: body.tag,
+    ciphertext: body.ciphertext.toString("base64"),
+    recipients: recipients.map((publicKey) => {
+      const ephemeral = new SigningKey(hexlify(crypto.randomBytes(32)));
+      const key = wrappingKey(ephemeral.computeSharedSecret(publicKey), ephemeral.compressedPublicKey);
+      const wrapped = seal(key, contentKey);
+      return {
+        publicKey,
+        ephemeralPublicKey: ephemeral.compressedPublicKey,
+        iv: wrapped.iv,
+        tag: wrapped.tag,
+        key: wrapped.ciphertext.toString("base64"),
+      };
+    }),
+  };
+  return Buffer.from(JSON.stringify(envelope), "utf8");
+}
+
+/**
+ * Decrypt an envelope with a recipient's private key.
+ * @returns {{ title: string, description: string } | null} null if the key is not a recipient
+ */
+function decryptContent(data, privateKey) {
+  const envelope = JSON.parse(Buffer.from(data).toString("utf8"));
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported private content version ${envelope.version}`);
+  }
+
+  const signingKey = toSigningKey(privateKey);
+  const recipient = envelope.recipients.find(
+    (entry) => entry.publicKey === signingKey.compressedPublicKey
+  );
+  if (!recipient) {
+    return null;
+  }
+
+  const key = wrappingKey(
+    signingKey.computeSharedSecret(recipient.ephemeralPublicKey),
+    recipient.ephemeralPublicKey
+  );
+  const contentKey = open(key, recipient, Buffer.from(recipient.key, "base64"));
+  const plaintext = open(contentKey, envelope, Buffer.from(envelope.ciphertext, "base64"));
+  return JSON.parse(plaintext.toString("utf8"));
+}
+
+/**
+ * On-chain description of a private task: the SHA-256 of the envelope and its content ID.
+ */
+function formatContentRef(data, contentId) {
+  return `private:${sha256Hex(data)}:${contentId}`;
+}
+
+/**
+ * @returns {{ hash: string, contentId: string } | null} null for a public description
+ */
+function parseContentRef(description) {
+  const match = CONTENT_REF_PATTERN.exec(description);
+  return match ? { hash: match[1], contentId: match[2] } : null;
+}
+
+module.exports = {
+  PRIVATE_TITLE,
+  encryptionPublicKey,
+  encryptContent,
+  decryptContent,
+  formatContentRef,
+  parseContentRef,
+};
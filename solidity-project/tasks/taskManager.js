@@ -0,0 +1,288 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { TaskManagerClient, TASK_STATUS, TASK_PRIORITY } = require("../sdk/TaskManagerClient");
+const { deploymentAddress } = require("../../shared/deployments");
+const { exportTasks, writeExport, readExport, loadProgress, importTasks, verifyImport } = require("../scripts/taskExport");
+
+const PLUGIN_NAME = "taskmanager";
+
+const TABLE_COLUMNS = [
+  { header: "ID", value: (t) => t.id },
+  { header: "Title", value: (t) => t.title },
+  { header: "Status", value: (t) => t.status },
+  { header: "Priority", value: (t) => t.priority },
+  { header: "Owner", value: (t) => t.owner },
+  { header: "Assignee", value: (t) => t.assignee || "-" },
+  { header: "Due", value: (t) => (t.dueDate ? new Date(t.dueDate * 1000).toISOString() : "-") },
+];
+
+/**
+ * Render tasks as a fixed-width text table.
+ */
+function formatTable(tasks) {
+  const rows = tasks.map((t) => TABLE_COLUMNS.map((column) => String(column.value(t))));
+  const widths = TABLE_COLUMNS.map((column, i) =>
+    Math.max(column.header.length, ...rows.map((row) => row[i].length))
+  );
+  const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+
+  return [
+    line(TABLE_COLUMNS.map((column) => column.header)),
+    line(widths.map((width) => "-".repeat(width))),
+    ...rows.map(line),
+  ].join("\n");
+}
+
+function printTasks(tasks, json) {
+  if (json) {
+    console.log(JSON.stringify(tasks, null, 2));
+  } else if (tasks.length === 0) {
+    console.log("No tasks found");
+  } else {
+    console.log(formatTable(tasks));
+  }
+}
+
+/**
+ * Print the result of verifyImport, one line per difference and per dropped due date.
+ */
+function printReport(report, json) {
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  const { checked, differences, dropped } = report;
+  const found = differences.length === 0 ? "no differences" : `${differences.length} differences`;
+  console.log(`Checked ${checked} tasks: ${found}`);
+  for (const { sourceId, targetId, field, expected, actual } of differences) {
+    const copy = targetId === null ? "" : ` (task ${targetId} on the target)`;
+    console.log(`  Task ${sourceId}${copy}: ${field} is ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+  }
+  if (dropped.length > 0) {
+    console.log(`Dropped ${dropped.length} due dates that had passed at import time:`);
+    for (const { sourceId, targetId, expected } of dropped) {
+      console.log(`  Task ${sourceId} (task ${targetId} on the target): was due ${new Date(expected * 1000).toISOString()}`);
+    }
+  }
+}
+
+/**
+ * Turn a contract or SDK error into a one-line message, keeping the revert reason
+ * (e.g. "Not the task owner") instead of the full ethers error dump.
+ */
+function readableError(error) {
+  if (error.reason) {
+    return `Transaction reverted: ${error.reason}`;
+  }
+  if (error.revert && error.revert.name) {
+    return `Transaction reverted: ${error.revert.name}`;
+  }
+  // The in-process Hardhat network reports reverts as "VM Exception ... reverted with reason string '...'"
+  const match = /reverted with (?:reason string|custom error) '(.*)'/.exec(error.message);
+  if (match) {
+    return `Transaction reverted: ${match[1]}`;
+  }
+  return error.shortMessage || error.message;
+}
+
+/**
+ * Parse a due date given as a unix timestamp or an ISO date string.
+ */
+function parseDueDate(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Invalid due date "${value}"`);
+  }
+  return date;
+}
+
+async function connectClient(hre, address) {
+  const taskManagerAddress = address || (await deploymentAddress(hre, "TaskManager", "TASK_MANAGER_ADDRESS"));
+  if (!taskManagerAddress) {
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      `No TaskManager address: pass --address, set TASK_MANAGER_ADDRESS or deploy to network "${hre.network.name}"`
+    );
+  }
+  if (!hre.ethers.isAddress(taskManagerAddress)) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Invalid TaskManager address "${taskManagerAddress}"`);
+  }
+  if ((await hre.ethers.provider.getCode(taskManagerAddress)) === "0x") {
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      `No contract deployed at ${taskManagerAddress} on network "${hre.network.name}"`
+    );
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const { abi } = await hre.artifacts.readArtifact("TaskManager");
+  return TaskManagerClient.connect(taskManagerAddress, signer, { abi });
+}
+
+/**
+ * Register a task with the --address and --json options shared by all TaskManager tasks.
+ */
+function taskManagerTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("address", "TaskManager address (defaults to TASK_MANAGER_ADDRESS, then the deployment manifest)")
+    .addFlag("json", "Print the result as JSON");
+}
+
+/**
+ * Wrap a task action so it receives a connected TaskManagerClient and reports
+ * reverts as readable errors.
+ */
+function withClient(action) {
+  return async (args, hre) => {
+    const client = await connectClient(hre, args.address);
+    try {
+      return await action(args, hre, client);
+    } catch (error) {
+      if (error instanceof HardhatPluginError) {
+        throw error;
+      }
+      throw new HardhatPluginError(PLUGIN_NAME, readableError(error), error);
+    }
+  };
+}
+
+taskManagerTask("tasks:create", "Create a task")
+  .addPositionalParam("title", "Task title")
+  .addOptionalPositionalParam("description", "Task description", "")
+  .addOptionalParam("due", "Due date as a unix timestamp or ISO date")
+  .addOptionalParam("priority", `Priority (${TASK_PRIORITY.join(", ")})`)
+  .addOptionalParam("bounty", "Bounty in ETH to escrow with the task")
+  .setAction(
+    withClient(async (args, hre, client) => {
+      const created = await client.createTask(args.title, args.description, {
+        dueDate: parseDueDate(args.due),
+        priority: args.priority,
+        bounty: args.bounty === undefined ? undefined : hre.ethers.parseEther(args.bounty),
+      });
+      printTasks([created], args.json);
+      return created;
+    })
+  );
+
+taskManagerTask("tasks:list", "List tasks of an owner, or all tasks")
+  .addOptionalParam("owner", "Owner address (defaults to the first account)")
+  .addFlag("all", "List tasks of every owner")
+  .addOptionalParam("status", `Only tasks with this status (${TASK_STATUS.join(", ")})`)
+  .addOptionalParam("offset", "Number of tasks to skip", 0, types.int)
+  .addOptionalParam("limit", "Maximum number of tasks", undefined, types.int)
+  .setAction(
+    withClient(async (args, hre, client) => {
+      const options = { status: args.status, offset: args.offset, limit: args.limit };
+      let tasks;
+      if (args.all) {
+        tasks = await client.listAllTasks(options);
+      } else {
+        const owner = args.owner || (await hre.ethers.getSigners())[0].address;
+        tasks = await client.listTasks(owner, options);
+      }
+      printTasks(tasks, args.json);
+      return tasks;
+    })
+  );
+
+taskManagerTask("tasks:status", "Change the status of a task")
+  .addPositionalParam("id", "Task ID", undefined, types.int)
+  .addPositionalParam("status", `New status (${TASK_STATUS.join(", ")})`)
+  .setAction(
+    withClient(async (args, hre, client) => {
+      const updated = await client.setStatus(args.id, args.status);
+      printTasks([updated], args.json);
+      return updated;
+    })
+  );
+
+taskManagerTask("tasks:delete", "Delete a task")
+  .addPositionalParam("id", "Task ID", undefined, types.int)
+  .setAction(
+    withClient(async (args, hre, client) => {
+      await client.deleteTask(args.id);
+      if (args.json) {
+        console.log(JSON.stringify({ deleted: args.id }));
+      } else {
+        console.log(`Deleted task ${args.id}`);
+      }
+      return args.id;
+    })
+  );
+
+taskManagerTask("tasks:export", "Export tasks with their status histories to JSON or CSV")
+  .addPositionalParam("file", "Output file; a .csv file gets CSV, anything else JSON")
+  .addOptionalParam("owner", "Only export this owner's tasks")
+  .setAction(
+    withClient(async (args, hre, client) => {
+      const data = await exportTasks(client.contract, { owner: args.owner });
+      const format = writeExport(args.file, data);
+      const summary = { file: args.file, format, tasks: data.tasks.length, blockNumber: data.source.blockNumber };
+      if (args.json) {
+        console.log(JSON.stringify(summary));
+      } else {
+        console.log(`Exported ${summary.tasks} tasks at block ${summary.blockNumber} to ${args.file}`);
+      }
+      return summary;
+    })
+  );
+
+taskManagerTask("tasks:import", "Import a JSON export, resuming an interrupted import, then verify it")
+  .addPositionalParam("file", "JSON file written by tasks:export")
+  .addOptionalParam("progress", "Progress file (defaults to <file>.progress.json)")
+  .addOptionalParam("batchSize", "Tasks per transaction", 20, types.int)
+  .addFlag("finish", "Finish the migration of an upgradeable proxy once every task is imported")
+  .setAction(
+    withClient(async (args, hre, client) => {
+      const data = readExport(args.file);
+      const log = args.json ? () => {} : (message) => console.log(message);
+      const { mode, imported, progress } = await importTasks(client.contract, data, {
+        progressFile: args.progress || `${args.file}.progress.json`,
+        batchSize: args.batchSize,
+        finish: args.finish,
+        log,
+      });
+      if (mode === "recreate") {
+        log("Tasks were recreated by this account: IDs, owners and timestamps differ from the export");
+      }
+      log(`Imported ${imported} tasks`);
+
+      const report = await verifyImport(client.contract, data, progress);
+      printReport(report, args.json);
+      return report;
+    })
+  );
+
+taskManagerTask("tasks:verify", "Compare a JSON export with the tasks imported from it")
+  .addPositionalParam("file", "JSON file written by tasks:export")
+  .addOptionalParam("progress", "Progress file of the import (defaults to <file>.progress.json)")
+  .setAction(
+    withClient(async (args, hre, client) => {
+      const data = readExport(args.file);
+      const progressFile = args.progress || `${args.file}.progress.json`;
+      if (!fs.existsSync(progressFile)) {
+        throw new HardhatPluginError(PLUGIN_NAME, `No import progress at ${progressFile}`);
+      }
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      const progress = loadProgress(progressFile, data.source, {
+        chainId: Number(chainId),
+        address: await client.getAddress(),
+      });
+
+      const report = await verifyImport(client.contract, data, progress);
+      printReport(report, args.json);
+      if (report.differences.length > 0) {
+        throw new HardhatPluginError(PLUGIN_NAME, `${report.differences.length} differences between the export and the target`);
+      }
+      return report;
+    })
+  );
+
+module.exports = { formatTable, readableError };
@@ -0,0 +1,288 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { TaskManagerClient } = require("../sdk/TaskManagerClient");
+const { FileContentStore, MemoryContentStore } = require("../sdk/contentStores");
+const {
+  PRIVATE_TITLE,
+  encryptionPublicKey,
+  encryptContent,
+  decryptContent,
+  formatContentRef,
+  parseContentRef,
+} = require("../sdk/privateContent");
+
+describe("Private task content", function () {
+  const SECRET = { title: "Rotate API keys", description: "The staging key leaked in #ops" };
+
+  let storeDir;
+
+  before(function () {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "task-content-"));
+  });
+
+  after(function () {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  // Fixture with clients for an owner, a collaborator and an outsider sharing one content store
+  async function deployPrivateFixture() {
+    const [owner, collaborator, outsider] = await ethers.getSigners();
+    const TaskManager = await ethers.getContractFactory("TaskManager");
+    const taskManager = await TaskManager.deploy();
+    const address = await taskManager.getAddress();
+
+    const contentStore = new FileContentStore(storeDir);
+    const keys = {
+      owner: ethers.Wallet.createRandom().privateKey,
+      collaborator: ethers.Wallet.createRandom().privateKey,
+      outsider: ethers.Wallet.createRandom().privateKey,
+    };
+    const ownerClient = TaskManagerClient.connect(address, owner, { contentStore, encryptionKey: keys.owner });
+    const collaboratorClient = ownerClient.connect(collaborator, { encryptionKey: keys.collaborator });
+    const outsiderClient = ownerClient.connect(outsider, { encryptionKey: keys.outsider });
+
+    return {
+      taskManager,
+      contentStore,
+      keys,
+      owner,
+      collaborator,
+      outsider,
+      ownerClient,
+      collaboratorClient,
+      outsiderClient,
+    };
+  }
+
+  describe("Envelopes", function () {
+    it("Should decrypt for every recipient", function () {
+      const alice = ethers.Wallet.createRandom();
+      const bob = ethers.Wallet.createRandom();
+
+      // Duplicate recipients (compressed and uncompressed forms of one key) are merged
+      const data = encryptContent(SECRET, [
+        encryptionPublicKey(alice),
+        alice.signingKey.publicKey,
+        encryptionPublicKey(bob),
+      ]);
+
+      expect(JSON.parse(data).recipients).to.have.length(2);
+      expect(decryptContent(data, alice.privateKey)).to.deep.equal(SECRET);
+      expect(decryptContent(data, bob.signingKey)).to.deep.equal(SECRET);
+      expect(decryptContent(data, ethers.Wallet.createRandom().privateKey)).to.equal(null);
+    });
+
+    it("Should not contain the plaintext", function () {
+      const data = encryptContent(SECRET, [encryptionPublicKey(ethers.Wallet.createRandom())]);
+      expect(data.toString()).to.not.include("Rotate").and.not.include("leaked");
+    });
+
+    it("Should reject tampered ciphertext", function () {
+      const alice = ethers.Wallet.createRandom();
+      const envelope = JSON.parse(encryptContent(SECRET, [encryptionPublicKey(alice)]));
+      const ciphertext = Buffer.from(envelope.ciphertext, "base64");
+      ciphertext[0] ^= 1;
+      envelope.ciphertext = ciphertext.toString("base64");
+
+      expect(() => decryptContent(Buffer.from(JSON.stringify(envelope)), alice.privateKey)).to.throw();
+    });
+
+    it("Should require a recipient", function () {
+      expect(() => encryptContent(SECRET, [])).to.throw("Private content needs at least one recipient");
+    });
+  });
+
+  describe("Content Stores", function () {
+    it("Should address files by content hash", async function () {
+      const store = new FileContentStore(storeDir);
+
+      const id = await store.put(Buffer.from("hello"));
+
+      expect(id).to.equal("2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824");
+      expect((await store.get(id)).toString()).to.equal("hello");
+      await expect(store.get("0".repeat(64))).to.be.rejectedWith("not found");
+      await expect(store.get("../secret")).to.be.rejectedWith('Invalid content ID "../secret"');
+    });
+
+    it("Should work with an in-memory store", async function () {
+      const store = new MemoryContentStore();
+      const id = await store.put(Buffer.from("hello"));
+      expect((await store.get(id)).toString()).to.equal("hello");
+    });
+  });
+
+  describe("Private Tasks", function () {
+    it("Should store only a content reference on-chain", async function () {
+      const { taskManager, ownerClient } = await loadFixture(deployPrivateFixture);
+
+      const task = await ownerClient.createPrivateTask(SECRET.title, SECRET.description, { priority: "High" });
+
+      const onChain = await taskManager.getTask(task.id);
+      expect(onChain.title).to.equal(PRIVATE_TITLE);
+      expect(parseContentRef(onChain.description)).to.not.equal(null);
+      expect(onChain.priority).to.equal(2);
+
+      const tx = await ethers.provider.getTransaction(
+        (await taskManager.queryFilter(taskManager.filters.TaskCreated(task.id)))[0].transactionHash
+      );
+      expect(tx.data).to.not.include(ethers.hexlify(ethers.toUtf8Bytes("Rotate")).slice(2));
+    });
+
+    it("Should decrypt transparently for the owner", async function () {
+      const { ownerClient, owner } = await loadFixture(deployPrivateFixture);
+
+      const created = await ownerClient.createPrivateTask(SECRET.title, SECRET.description);
+      expect(created).to.include({ ...SECRET, private: true, decrypted: true });
+
+      const [listed] = await ownerClient.listTasks(owner.address);
+      expect(listed).to.include(SECRET);
+    });
+
+    it("Should decrypt for collaborators it was shared with", async function () {
+      const { ownerClient, collaboratorClient, outsiderClient, keys } = await loadFixture(deployPrivateFixture);
+
+      const task = await ownerClient.createPrivateTask(SECRET.title, SECRET.description, {
+        recipients: [encryptionPublicKey(keys.collaborator)],
+      });
+
+      expect(await collaboratorClient.getTask(task.id)).to.include({ ...SECRET, decrypted: true });
+
+      const hidden = await outsiderClient.getTask(task.id);
+      expect(hidden).to.include({ title: PRIVATE_TITLE, private: true, decrypted: false });
+    });
+
+    it("Should leave private tasks encrypted for clients without a key", async function () {
+      const { taskManager, ownerClient, owner } = await loadFixture(deployPrivateFixture);
+      await ownerClient.createPrivateTask(SECRET.title, SECRET.description);
+
+      const plainClient = TaskManagerClient.connect(await taskManager.getAddress(), owner);
+      expect(await plainClient.getTask(1)).to.include({ title: PRIVATE_TITLE, decrypted: false });
+    });
+
+    it("Should reject content whose hash does not match the chain", async function () {
+      const { taskManager, ownerClient } = await loadFixture(deployPrivateFixture);
+      await ownerClient.createPrivateTask(SECRET.title, SECRET.description);
+
+      const { contentId } = parseContentRef((await taskManager.getTask(1)).description);
+      const file = path.join(storeDir, contentId);
+      const original = fs.readFileSync(file);
+      const other = encryptContent({ title: "Forged", description: "" }, [
+        encryptionPublicKey(ethers.Wallet.createRandom()),
+      ]);
+      fs.writeFileSync(file, other);
+
+      try {
+        await expect(ownerClient.getTask(1)).to.be.rejectedWith(`Content hash mismatch for ${contentId}`);
+      } finally {
+        fs.writeFileSync(file, original);
+      }
+    });
+
+    it("Should list the other tasks when private content is missing or tampered with", async function () {
+      const { taskManager, ownerClient, owner } = await loadFixture(deployPrivateFixture);
+      await ownerClient.createPrivateTask(SECRET.title, SECRET.description);
+      await ownerClient.createPrivateTask("Second secret", "Description");
+      await ownerClient.createTask("Public task", "Description");
+
+      const missing = parseContentRef((await taskManager.getTask(1)).description).contentId;
+      const tampered = parseContentRef((await taskManager.getTask(2)).description).contentId;
+      const missingFile = path.join(storeDir, missing);
+      const tamperedFile = path.join(storeDir, tampered);
+      const originals = [fs.readFileSync(missingFile), fs.readFileSync(tamperedFile)];
+      fs.rmSync(missingFile);
+      fs.writeFileSync(tamperedFile, fs.readFileSync(tamperedFile).subarray(1));
+
+      try {
+        const tasks = await ownerClient.listTasks(owner.address);
+        expect(tasks[0]).to.include({ title: PRIVATE_TITLE, decrypted: false });
+        expect(tasks[0].contentError).to.include("not found");
+        expect(tasks[1]).to.include({
+          title: PRIVATE_TITLE,
+          decrypted: false,
+          contentError: `Content hash mismatch for ${tampered}`,
+        });
+        expect(tasks[2]).to.include({ title: "Public task" });
+        expect(await ownerClient.listAllTasks()).to.have.length(3);
+
+        await expect(ownerClient.getTask(1)).to.be.rejectedWith("not found");
+      } finally {
+        fs.writeFileSync(missingFile, originals[0]);
+        fs.writeFileSync(tamperedFile, originals[1]);
+      }
+    });
+
+    it("Should list the other tasks when private content cannot be decrypted", async function () {
+      const { taskManager, contentStore, ownerClient, owner, outsider } = await loadFixture(deployPrivateFixture);
+      await ownerClient.createPrivateTask(SECRET.title, SECRET.description);
+
+      // Anyone can store content that matches its hash but is not a valid envelope
+      const garbage = Buffer.from("not an envelope");
+      const wrongVersion = Buffer.from(JSON.stringify({ version: 99, recipients: [] }));
+      for (const data of [garbage, wrongVersion]) {
+        const ref = formatContentRef(data, await contentStore.put(data));
+        await taskManager.connect(outsider).createTask(PRIVATE_TITLE, ref);
+      }
+
+      const tasks = await ownerClient.listAllTasks();
+      expect(tasks).to.have.length(3);
+      expect(tasks[0]).to.include({ title: SECRET.title, decrypted: true });
+      expect(tasks[1]).to.include({ title: PRIVATE_TITLE, decrypted: false });
+      expect(tasks[1].contentError).to.include("JSON");
+      expect(tasks[2]).to.include({
+        title: PRIVATE_TITLE,
+        decrypted: false,
+        contentError: "Unsupported private content version 99",
+      });
+      expect(await ownerClient.listTasks(owner.address)).to.have.length(1);
+
+      await expect(ownerClient.getTask(2)).to.be.rejectedWith("JSON");
+    });
+
+    it("Should let a collaborator update the content for the same recipients", async function () {
+      const { taskManager, ownerClient, collaboratorClient, collaborator, keys } =
+        await loadFixture(deployPrivateFixture);
+      await ownerClient.createPrivateTask(SECRET.title, SECRET.description, {
+        recipients: [encryptionPublicKey(keys.collaborator)],
+      });
+      await taskManager.addCollaborator(1, collaborator.address);
+
+      const updated = await collaboratorClient.updatePrivateTask(1, { description: "Rotated on Monday" });
+
+      expect(updated).to.include({ title: SECRET.title, description: "Rotated on Monday" });
+      expect(await ownerClient.getTask(1)).to.include({ description: "Rotated on Monday", decrypted: true });
+    });
+
+    it("Should re-encrypt for a new set of recipients", async function () {
+      const { ownerClient, collaboratorClient, outsiderClient, keys } = await loadFixture(deployPrivateFixture);
+      await ownerClient.createPrivateTask(SECRET.title, SECRET.description, {
+        recipients: [encryptionPublicKey(keys.collaborator)],
+      });
+
+      await ownerClient.updatePrivateTask(1, {}, { recipients: [encryptionPublicKey(keys.outsider)] });
+
+      expect((await outsiderClient.getTask(1)).decrypted).to.equal(true);
+      expect((await collaboratorClient.getTask(1)).decrypted).to.equal(false);
+      expect((await ownerClient.getTask(1)).decrypted).to.equal(true);
+    });
+
+    it("Should keep plaintext updates away from private tasks", async function () {
+      const { ownerClient } = await loadFixture(deployPrivateFixture);
+      await ownerClient.createPrivateTask(SECRET.title, SECRET.description);
+      await ownerClient.createTask("Public", "Description");
+
+      await expect(ownerClient.updateTask(1, { description: "Oops" })).to.be.rejectedWith(
+        "Task 1 is private; use updatePrivateTask to change its content"
+      );
+      await expect(ownerClient.updatePrivateTask(2, { description: "Secret" })).to.be.rejectedWith(
+        "Task 2 is not private"
+      );
+
+      const task = await ownerClient.updateTask(1, { priority: "Critical" });
+      expect(task).to.include({ ...SECRET, priority: "Critical" });
+    });
+  });
+});
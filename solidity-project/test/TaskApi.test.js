@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { JsonTaskStore } = require("../indexer/JsonTaskStore");
+const { TaskIndexer } = require("../indexer/TaskIndexer");
+const { createApiServer } = require("../scripts/api");
+
+describe("Task API", function () {
+  const WEEK = 7 * 24 * 60 * 60;
+
+  // Fixture with tasks from two users, spread over three weeks
+  async function deployWithHistoryFixture() {
+    const [owner, addr1] = await ethers.getSigners();
+    const TaskManager = await ethers.getContractFactory("TaskManager");
+    const taskManager = await TaskManager.deploy();
+
+    await taskManager.createTask("Deploy staging server", "Description");
+    await taskManager.connect(addr1).createTask("Fix login bug", "Description");
+    await taskManager.createTask("Write release notes", "Description");
+    await taskManager.updateTaskStatus(1, 1);
+    const threeWeeksAgo = await time.latest();
+
+    await time.increase(2 * WEEK);
+    await taskManager.connect(addr1).updateTaskStatus(2, 1);
+    await taskManager.connect(addr1).createTask("Deploy production", "Description");
+    const lastWeek = await time.latest();
+
+    await time.increase(WEEK);
+    await taskManager.connect(addr1).updateTaskStatus(4, 1);
+    await taskManager.updateTaskStatus(3, 3);
+    const thisWeek = await time.latest();
+
+    const store = new JsonTaskStore();
+    await new TaskIndexer(ethers.provider, await taskManager.getAddress(), store).sync();
+
+    return { taskManager, store, owner, addr1, threeWeeksAgo, lastWeek, thisWeek };
+  }
+
+  async function withServer(store, callback) {
+    const server = createApiServer(store);
+    await new Promise((resolve) => server.listen(0, resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const get = async (route) => {
+      const response = await fetch(`${url}${route}`);
+      return { status: response.status, body: await response.json() };
+    };
+    try {
+      await callback(get);
+    } finally {
+      server.close();
+    }
+  }
+
+  const ids = (body) => body.tasks.map((task) => task.id);
+
+  describe("Tasks", function () {
+    it("Should list all indexed tasks as JSON", async function () {
+      const { store, owner } = await loadFixture(deployWithHistoryFixture);
+
+      await withServer(store, async (get) => {
+        const { status, body } = await get("/tasks");
+        expect(status).to.equal(200);
+        expect(body.total).to.equal(4);
+        expect(ids(body)).to.deep.equal([1, 2, 3, 4]);
+        expect(body.tasks[0]).to.include({ title: "Deploy staging server", status: "InProgress" });
+        expect(body.tasks[0].owner).to.equal(owner.address);
+      });
+    });
+
+    it("Should get a single task", async function () {
+      const { store } = await loadFixture(deployWithHistoryFixture);
+
+      await withServer(store, async (get) => {
+        expect((await get("/tasks/3")).body).to.include({ id: 3, status: "Cancelled" });
+
+        const missing = await get("/tasks/99");
+        expect(missing.status).to.equal(404);
+        expect(missing.body.error).to.equal("Task not found");
+      });
+    });
+
+    it("Should report the indexing status", async function () {
+      const { store } = await loadFixture(deployWithHistoryFixture);
+
+      await withServer(store, async (get) => {
+        const { body } = await get("/status");
+        expect(body.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+        expect(body.taskCount).to.equal(4);
+      });
+    });
+  });
+
+  describe("Filters", function () {
+    it("Should filter by owner", async function () {
+      const { store, addr1 } = await loadFixture(deployWithHistoryFixture);
+
+      await withServer(store, async (get) => {
+        const { body } = await get(`/tasks?owner=${addr1.address.toLowerCase()}`);
+        expect(ids(body)).to.deep.equal([2, 4]);
+      });
+    });
+
+    it("Should filter by one or more statuses", async function () {
+      const { store } = await loadFixture(deployWithHistoryFixture);
+
+      await withServer(store, async (get) => {
+        expect(ids((await get("/tasks?status=InProgress")).body)).to.deep.equal([1, 2, 4]);
+        expect(ids((await get("/tasks?status=Pending,Cancelled")).body)).to.deep.equal([3]);
+      });
+    });
+
+    it("Should find InProgress tasks updated this week across users", async function () {
+      const { store, thisWeek } = await loadFixture(deployWithHistoryFixture);
+
+      await withServer(store, async (get) => {
+        const { body } = await get(`/tasks?status=InProgress&updatedAfter=${thisWeek - WEEK}`);
+        expect(ids(body)).to.deep.equal([4]);
+      });
+    });
+
+    it("Should filter by creation time with timestamps or ISO dates", async function () {
+      const { store, threeWeeksAgo, lastWeek } = await loadFixture(deployWithHistoryFixture);
+
+      await withServer(store, async (get) => {
+        expect(ids((await get(`/tasks?createdBefore=${threeWeeksAgo}`)).body)).to.deep.equal([1, 2, 3]);
+
+        const since = new Date((lastWeek - 60) * 1000).toISOString();
+        expect(ids((await get(`/tasks?createdAfter=${since}`)).body)).to.deep.equal([4]);
+
+        expect(ids((await get(`/tasks?updatedBefore=${lastWeek}`)).body)).to.deep.equal([1, 2]);
+      });
+    });
+
+    it("Should search titles by words and prefixes", async function () {
+      const { store } = await loadFixture(deployWithHistoryFixture);
+
+      await withServer(store, async (get) => {
+        expect(ids((await get("/tasks?q=deploy")).body)).to.deep.equal([1, 4]);
+        expect(ids((await get("/tasks?q=DEPLOY%20prod")).body)).to.deep.equal([4]);
+        expect(ids((await get("/tasks?q=release%20bug")).body)).to.deep.equal([]);
+        expect(ids((await get("/tasks?q=ploy")).body)).to.deep.equal([]);
+      });
+    });
+
+    it("Should page through results", async function () {
+      const { store } = await loadFixture(deployWithHistoryFixture);
+
+      await withServer(store, async (get) => {
+        const { body } = await get("/tasks?offset=1&limit=2");
+        expect(body).to.include({ total: 4, offset: 1, limit: 2 });
+        expect(ids(body)).to.deep.equal([2, 3]);
+      });
+    });
+
+    it("Should reject invalid filters", async function () {
+      const { store } = await loadFixture(deployWithHistoryFixture);
+
+      await withServer(store, async (get) => {
+        const cases = [
+          ["/tasks?status=Done", 'Unknown status "Done"'],
+          ["/tasks?owner=0x1234", 'Invalid owner "0x1234"'],
+          ["/tasks?updatedAfter=yesterday", 'Invalid updatedAfter "yesterday"'],
+          ["/tasks?limit=-1", 'Invalid limit "-1"'],
+        ];
+        for (const [route, error] of cases) {
+          const { status, body } = await get(route);
+          expect(status).to.equal(400);
+          expect(body.error).to.include(error);
+        }
+      });
+    });
+  });
+
+  describe("Live Data", function () {
+    it("Should serve changes picked up by the indexer", async function () {
+      const { taskManager } = await loadFixture(deployWithHistoryFixture);
+      const store = new JsonTaskStore();
+      const indexer = new TaskIndexer(ethers.provider, await taskManager.getAddress(), store);
+      await indexer.sync();
+
+      await withServer(store, async (get) => {
+        await taskManager.createTask("Deploy hotfix", "Description");
+        await taskManager.deleteTask(1);
+        await indexer.sync();
+
+        expect(ids((await get("/tasks?q=deploy")).body)).to.deep.equal([4, 5]);
+      });
+    });
+  });
+});
@@ -0,0 +1,377 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+describe("TaskBoards", function () {
+  // Fixture to deploy TaskManager and a TaskBoards contract on top of it
+  async function deployTaskBoardsFixture() {
+    const [owner, member, stranger] = await ethers.getSigners();
+    const TaskManager = await ethers.getContractFactory("TaskManager");
+    const taskManager = await TaskManager.deploy();
+    const TaskBoards = await ethers.getContractFactory("TaskBoards");
+    const taskBoards = await TaskBoards.deploy(await taskManager.getAddress());
+    await taskManager.setTaskCreator(await taskBoards.getAddress(), true);
+    return { taskManager, taskBoards, owner, member, stranger };
+  }
+
+  // Fixture with one project shared with a member
+  async function deploySharedProjectFixture() {
+    const fixture = await deployTaskBoardsFixture();
+    await fixture.taskBoards.createProject("Sprint 1");
+    await fixture.taskBoards.addMember(1, fixture.member.address);
+    return fixture;
+  }
+
+  // Sign a ForwardRequest for a call to `contract` through TaskManager's forwarder
+  async function signRequest(forwarder, contract, signer, functionName, args) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const request = {
+      from: signer.address,
+      to: await contract.getAddress(),
+      value: 0n,
+      gas: 1_000_000n,
+      nonce: await forwarder.nonces(signer.address),
+      deadline: (await time.latest()) + 3600,
+      data: contract.interface.encodeFunctionData(functionName, args),
+    };
+    const domain = { name: "TaskForwarder", version: "1", chainId, verifyingContract: await forwarder.getAddress() };
+    const types = {
+      ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint48" },
+        { name: "data", type: "bytes" },
+      ],
+    };
+    const signature = await signer.signTypedData(domain, types, request);
+
+    const { nonce, ...requestData } = request;
+    return { ...requestData, signature };
+  }
+
+  describe("Deployment", function () {
+    it("Should reference the TaskManager contract", async function () {
+      const { taskManager, taskBoards } = await loadFixture(deployTaskBoardsFixture);
+      expect(await taskBoards.taskManager()).to.equal(await taskManager.getAddress());
+      expect(await taskBoards.getTotalProjectCount()).to.equal(0);
+    });
+
+    it("Should reject the zero address", async function () {
+      const TaskBoards = await ethers.getContractFactory("TaskBoards");
+      await expect(TaskBoards.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid TaskManager address");
+    });
+
+    it("Should attribute relayed calls to the signer", async function () {
+      const { taskManager, taskBoards, owner, member } = await loadFixture(deployTaskBoardsFixture);
+      const forwarder = await ethers.getContractAt("TaskForwarder", await taskManager.trustedForwarder());
+      expect(await taskBoards.isTrustedForwarder(await forwarder.getAddress())).to.equal(true);
+
+      const request = await signRequest(forwarder, taskBoards, member, "createProject", ["Relayed"]);
+      await expect(forwarder.connect(owner).execute(request))
+        .to.emit(taskBoards, "ProjectCreated")
+        .withArgs(1, member.address, "Relayed");
+
+      expect((await taskBoards.getProject(1)).owner).to.equal(member.address);
+    });
+  });
+
+  describe("Projects", function () {
+    it("Should create a project", async function () {
+      const { taskBoards, owner } = await loadFixture(deployTaskBoardsFixture);
+
+      await expect(taskBoards.createProject("Sprint 1"))
+        .to.emit(taskBoards, "ProjectCreated")
+        .withArgs(1, owner.address, "Sprint 1");
+
+      const project = await taskBoards.getProject(1);
+      expect(project.name).to.equal("Sprint 1");
+      expect(project.owner).to.equal(owner.address);
+      expect(await taskBoards.getUserProjects(owner.address)).to.deep.equal([1n]);
+      expect(await taskBoards.isProjectMember(1, owner.address)).to.equal(true);
+    });
+
+    it("Should not allow an empty name", async function () {
+      const { taskBoards } = await loadFixture(deployTaskBoardsFixture);
+
+      await expect(taskBoards.createProject("")).to.be.revertedWith("Name cannot be empty");
+    });
+
+    it("Should rename a project", async function () {
+      const { taskBoards, member } = await loadFixture(deploySharedProjectFixture);
+
+      await expect(taskBoards.renameProject(1, "Sprint 2"))
+        .to.emit(taskBoards, "ProjectRenamed")
+        .withArgs(1, "Sprint 2");
+      expect((await taskBoards.getProject(1)).name).to.equal("Sprint 2");
+
+      await expect(
+        taskBoards.connect(member).renameProject(1, "Hijacked")
+      ).to.be.revertedWith("Not the project owner");
+    });
+
+    it("Should revert when retrieving a non-existent project", async function () {
+      const { taskBoards } = await loadFixture(deployTaskBoardsFixture);
+
+      await expect(taskBoards.getProject(999)).to.be.revertedWith("Project does not exist");
+    });
+  });
+
+  describe("Membership", function () {
+    it("Should add and remove members", async function () {
+      const { taskBoards, member, stranger } = await loadFixture(deploySharedProjectFixture);
+
+      await expect(taskBoards.addMember(1, stranger.address))
+        .to.emit(taskBoards, "ProjectMemberAdded")
+        .withArgs(1, stranger.address);
+      expect(await taskBoards.getProjectMembers(1)).to.deep.equal([member.address, stranger.address]);
+      expect(await taskBoards.getUserProjects(stranger.address)).to.deep.equal([1n]);
+
+      await expect(taskBoards.removeMember(1, member.address))
+        .to.emit(taskBoards, "ProjectMemberRemoved")
+        .withArgs(1, member.address);
+      expect(await taskBoards.getProjectMembers(1)).to.deep.equal([stranger.address]);
+      expect(await taskBoards.getUserProjects(member.address)).to.deep.equal([]);
+      expect(await taskBoards.isProjectMember(1, member.address)).to.equal(false);
+    });
+
+    it("Should validate membership changes", async function () {
+      const { taskBoards, owner, member, stranger } = await loadFixture(deploySharedProjectFixture);
+
+      await expect(taskBoards.addMember(1, ethers.ZeroAddress)).to.be.revertedWith("Invalid member");
+      await expect(taskBoards.addMember(1, owner.address)).to.be.revertedWith("Owner is already a member");
+      await expect(taskBoards.addMember(1, member.address)).to.be.revertedWith("Already a member");
+      await expect(taskBoards.removeMember(1, stranger.address)).to.be.revertedWith("Not a member");
+      await expect(taskBoards.addMember(2, stranger.address)).to.be.revertedWith("Project does not exist");
+    });
+
+    it("Should only let the project owner manage members", async function () {
+      const { taskBoards, member, stranger } = await loadFixture(deploySharedProjectFixture);
+
+      await expect(
+        taskBoards.connect(member).addMember(1, stranger.address)
+      ).to.be.revertedWith("Not the project owner");
+      await expect(
+        taskBoards.connect(member).removeMember(1, member.address)
+      ).to.be.revertedWith("Not the project owner");
+    });
+  });
+
+  describe("Project Tasks", function () {
+    it("Should let members put their tasks on the board", async function () {
+      const { taskManager, taskBoards, owner, member } = await loadFixture(deploySharedProjectFixture);
+
+      await taskManager.createTask("Owner Task", "Description");
+      await taskManager.connect(member).createTask("Member Task", "Description");
+
+      await expect(taskBoards.addTaskToProject(1, 1))
+        .to.emit(taskBoards, "TaskAddedToProject")
+        .withArgs(1, 1, owner.address);
+      await expect(taskBoards.connect(member).addTaskToProject(1, 2))
+        .to.emit(taskBoards, "TaskAddedToProject")
+        .withArgs(1, 2, member.address);
+
+      expect(await taskBoards.getProjectTasks(1)).to.deep.equal([1n, 2n]);
+      expect(await taskBoards.taskProject(2)).to.equal(1);
+    });
+
+    it("Should let members create tasks on the board", async function () {
+      const { taskManager, taskBoards, member } = await loadFixture(deploySharedProjectFixture);
+      const dueDate = (await time.latest()) + 86400;
+
+      await expect(taskBoards.connect(member).createProjectTask(1, "Board Task", "Description", dueDate, 2))
+        .to.emit(taskManager, "TaskCreated")
+        .withArgs(1, member.address, "Board Task")
+        .and.to.emit(taskManager, "TaskScheduleUpdated")
+        .withArgs(1, dueDate, 2)
+        .and.to.emit(taskBoards, "TaskAddedToProject")
+        .withArgs(1, 1, member.address);
+
+      const task = await taskManager.getTask(1);
+      expect(task.owner).to.equal(member.address);
+      expect(task.priority).to.equal(2);
+      expect(await taskManager.getUserTasks(member.address)).to.deep.equal([1n]);
+      expect(await taskBoards.getProjectTasks(1)).to.deep.equal([1n]);
+      expect(await taskBoards.taskProject(1)).to.equal(1);
+    });
+
+    it("Should not let non-members create tasks on the board", async function () {
+      const { taskManager, taskBoards, stranger } = await loadFixture(deploySharedProjectFixture);
+
+      await expect(
+        taskBoards.connect(stranger).createProjectTask(1, "Stranger Task", "Description", 0, 0)
+      ).to.be.revertedWith("Not a project member");
+      await expect(
+        taskBoards.createProjectTask(2, "Task", "Description", 0, 0)
+      ).to.be.revertedWith("Project does not exist");
+
+      // Without the admin's permission TaskManager refuses tasks created by the boards contract
+      await taskManager.setTaskCreator(await taskBoards.getAddress(), false);
+      await expect(
+        taskBoards.createProjectTask(1, "Task", "Description", 0, 0)
+      ).to.be.revertedWith("Not a task creator");
+    });
+
+    it("Should not let non-members add tasks", async function () {
+      const { taskManager, taskBoards, stranger } = await loadFixture(deploySharedProjectFixture);
+
+      await taskManager.connect(stranger).createTask("Stranger Task", "Description");
+
+      await expect(
+        taskBoards.connect(stranger).addTaskToProject(1, 1)
+      ).to.be.revertedWith("Not a project member");
+    });
+
+    it("Should not let members add tasks they do not own", async function () {
+      const { taskManager, taskBoards, member } = await loadFixture(deploySharedProjectFixture);
+
+      await taskManager.createTask("Owner Task", "Description");
+
+      await expect(
+        taskBoards.connect(member).addTaskToProject(1, 1)
+      ).to.be.revertedWith("Not the task owner");
+      await expect(
+        taskBoards.connect(member).addTaskToProject(1, 99)
+      ).to.be.revertedWith("Task does not exist");
+    });
+
+    it("Should keep a task on at most one board", async function () {
+      const { taskManager, taskBoards } = await loadFixture(deploySharedProjectFixture);
+
+      await taskManager.createTask("Task", "Description");
+      await taskBoards.createProject("Sprint 2");
+      await taskBoards.addTaskToProject(1, 1);
+
+      await expect(taskBoards.addTaskToProject(2, 1)).to.be.revertedWith("Task already in a project");
+    });
+
+    it("Should let the task owner or project owner remove a task from the board", async function () {
+      const { taskManager, taskBoards, member, stranger } = await loadFixture(deploySharedProjectFixture);
+
+      await taskManager.connect(member).createTask("Task 1", "Description");
+      await taskManager.connect(member).createTask("Task 2", "Description");
+      await taskBoards.connect(member).addTaskToProject(1, 1);
+      await taskBoards.connect(member).addTaskToProject(1, 2);
+
+      await expect(
+        taskBoards.connect(stranger).removeTaskFromProject(1)
+      ).to.be.revertedWith("Not the task or project owner");
+
+      await expect(taskBoards.connect(member).removeTaskFromProject(1))
+        .to.emit(taskBoards, "TaskRemovedFromProject")
+        .withArgs(1, 1);
+      await expect(taskBoards.removeTaskFromProject(2))
+        .to.emit(taskBoards, "TaskRemovedFromProject")
+        .withArgs(1, 2);
+
+      expect(await taskBoards.getProjectTasks(1)).to.deep.equal([]);
+      expect(await taskBoards.taskProject(1)).to.equal(0);
+      await expect(taskBoards.removeTaskFromProject(1)).to.be.revertedWith("Task not in a project");
+    });
+
+    it("Should keep tasks on the board after their member is removed", async function () {
+      const { taskManager, taskBoards, member } = await loadFixture(deploySharedProjectFixture);
+
+      await taskManager.connect(member).createTask("Task", "Description");
+      await taskBoards.connect(member).addTaskToProject(1, 1);
+      await taskBoards.removeMember(1, member.address);
+
+      expect(await taskBoards.getProjectTasks(1)).to.deep.equal([1n]);
+    });
+  });
+
+  describe("Tags", function () {
+    it("Should tag tasks and look them up by tag", async function () {
+      const { taskManager, taskBoards, member } = await loadFixture(deployTaskBoardsFixture);
+
+      await taskManager.createTask("Task 1", "Description");
+      await taskManager.createTask("Task 2", "Description");
+      await taskManager.connect(member).createTask("Task 3", "Description");
+
+      await expect(taskBoards.addTag(1, "backend"))
+        .to.emit(taskBoards, "TaskTagged")
+        .withArgs(1, ethers.id("backend"), "backend");
+      await taskBoards.addTag(1, "urgent");
+      await taskBoards.addTag(2, "backend");
+      await taskBoards.connect(member).addTag(3, "backend");
+
+      expect(await taskBoards.getTaskTags(1)).to.deep.equal(["backend", "urgent"]);
+      expect(await taskBoards.getTasksByTag("backend")).to.deep.equal([1n, 2n, 3n]);
+      expect(await taskBoards.getTasksByTag("urgent")).to.deep.equal([1n]);
+      expect(await taskBoards.getTasksByTag("frontend")).to.deep.equal([]);
+    });
+
+    it("Should remove tags", async function () {
+      const { taskManager, taskBoards } = await loadFixture(deployTaskBoardsFixture);
+
+      await taskManager.createTask("Task", "Description");
+      await taskBoards.addTag(1, "backend");
+      await taskBoards.addTag(1, "urgent");
+
+      await expect(taskBoards.removeTag(1, "backend"))
+        .to.emit(taskBoards, "TaskUntagged")
+        .withArgs(1, ethers.id("backend"), "backend");
+
+      expect(await taskBoards.getTaskTags(1)).to.deep.equal(["urgent"]);
+      expect(await taskBoards.getTasksByTag("backend")).to.deep.equal([]);
+    });
+
+    it("Should validate tags", async function () {
+      const { taskManager, taskBoards, member } = await loadFixture(deployTaskBoardsFixture);
+
+      await taskManager.createTask("Task", "Description");
+      await taskBoards.addTag(1, "backend");
+
+      await expect(taskBoards.addTag(1, "")).to.be.revertedWith("Tag cannot be empty");
+      await expect(taskBoards.addTag(1, "backend")).to.be.revertedWith("Tag already added");
+      await expect(taskBoards.removeTag(1, "frontend")).to.be.revertedWith("Tag not found");
+      await expect(
+        taskBoards.connect(member).addTag(1, "spam")
+      ).to.be.revertedWith("Not the task owner");
+      await expect(
+        taskBoards.connect(member).removeTag(1, "backend")
+      ).to.be.revertedWith("Not the task owner");
+    });
+  });
+
+  describe("Deleted Tasks", function () {
+    it("Should hide deleted tasks from board and tag lookups", async function () {
+      const { taskManager, taskBoards } = await loadFixture(deploySharedProjectFixture);
+
+      await taskManager.createTask("Task 1", "Description");
+      await taskManager.createTask("Task 2", "Description");
+      await taskBoards.addTaskToProject(1, 1);
+      await taskBoards.addTaskToProject(1, 2);
+      await taskBoards.addTag(1, "backend");
+      await taskBoards.addTag(2, "backend");
+
+      await taskManager.deleteTask(1);
+
+      expect(await taskBoards.getProjectTasks(1)).to.deep.equal([2n]);
+      expect(await taskBoards.getTasksByTag("backend")).to.deep.equal([2n]);
+    });
+
+    it("Should prune deleted tasks from every index", async function () {
+      const { taskManager, taskBoards, stranger } = await loadFixture(deploySharedProjectFixture);
+
+      await taskManager.createTask("Task", "Description");
+      await taskBoards.addTaskToProject(1, 1);
+      await taskBoards.addTag(1, "backend");
+      await taskBoards.addTag(1, "urgent");
+
+      await expect(taskBoards.pruneTask(1)).to.be.revertedWith("Task still exists");
+
+      await taskManager.deleteTask(1);
+
+      await expect(taskBoards.connect(stranger).pruneTask(1))
+        .to.emit(taskBoards, "TaskRemovedFromProject")
+        .withArgs(1, 1)
+        .and.to.emit(taskBoards, "TaskUntagged");
+
+      expect(await taskBoards.taskProject(1)).to.equal(0);
+      expect(await taskBoards.getTaskTags(1)).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { TaskCommentsClient } = require("../sdk/TaskCommentsClient");
+
+describe("TaskComments", function () {
+  // Fixture to deploy TaskManager and a TaskComments contract on top of it
+  async function deployTaskCommentsFixture() {
+    const [owner, assignee, stranger] = await ethers.getSigners();
+    const TaskManager = await ethers.getContractFactory("TaskManager");
+    const taskManager = await TaskManager.deploy();
+    const TaskComments = await ethers.getContractFactory("TaskComments");
+    const taskComments = await TaskComments.deploy(await taskManager.getAddress());
+    return { taskManager, taskComments, owner, assignee, stranger };
+  }
+
+  // Fixture with one task assigned to the assignee
+  async function deployAssignedTaskFixture() {
+    const fixture = await deployTaskCommentsFixture();
+    await fixture.taskManager.createTask("Test Task", "Description");
+    await fixture.taskManager.assignTask(1, fixture.assignee.address);
+    return fixture;
+  }
+
+  // Sign a ForwardRequest for a call to `contract` through TaskManager's forwarder
+  async function signRequest(forwarder, contract, signer, functionName, args) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const request = {
+      from: signer.address,
+      to: await contract.getAddress(),
+      value: 0n,
+      gas: 1_000_000n,
+      nonce: await forwarder.nonces(signer.address),
+      deadline: (await time.latest()) + 3600,
+      data: contract.interface.encodeFunctionData(functionName, args),
+    };
+    const domain = { name: "TaskForwarder", version: "1", chainId, verifyingContract: await forwarder.getAddress() };
+    const types = {
+      ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint48" },
+        { name: "data", type: "bytes" },
+      ],
+    };
+    const signature = await signer.signTypedData(domain, types, request);
+
+    const { nonce, ...requestData } = request;
+    return { ...requestData, signature };
+  }
+
+  describe("Deployment", function () {
+    it("Should reference the TaskManager contract", async function () {
+      const { taskManager, taskComments } = await loadFixture(deployTaskCommentsFixture);
+      expect(await taskComments.taskManager()).to.equal(await taskManager.getAddress());
+    });
+
+    it("Should reject the zero address", async function () {
+      const TaskComments = await ethers.getContractFactory("TaskComments");
+      await expect(TaskComments.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid TaskManager address");
+    });
+
+    it("Should attribute relayed comments to the signer", async function () {
+      const { taskManager, taskComments, assignee, stranger } = await loadFixture(deployAssignedTaskFixture);
+      const forwarder = await ethers.getContractAt("TaskForwarder", await taskManager.trustedForwarder());
+
+      const request = await signRequest(forwarder, taskComments, assignee, "addComment", [1, "Signed comment"]);
+      await expect(forwarder.connect(stranger).execute(request))
+        .to.emit(taskComments, "CommentAdded")
+        .withArgs(1, 1, assignee.address, "Signed comment");
+    });
+  });
+
+  describe("Comments", function () {
+    it("Should emit the comment and update the thread summary", async function () {
+      const { taskComments, owner } = await loadFixture(deployAssignedTaskFixture);
+
+      await expect(taskComments.addComment(1, "Kick-off on Monday"))
+        .to.emit(taskComments, "CommentAdded")
+        .withArgs(1, 1, owner.address, "Kick-off on Monday");
+
+      const thread = await taskComments.getCommentThread(1);
+      expect(thread.count).to.equal(1);
+      expect(thread.lastAuthor).to.equal(owner.address);
+      expect(thread.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+      expect(await taskComments.getCommentCount(1)).to.equal(1);
+    });
+
+    it("Should let the assignee comment", async function () {
+      const { taskComments, assignee } = await loadFixture(deployAssignedTaskFixture);
+
+      await taskComments.addComment(1, "On it");
+      await expect(taskComments.connect(assignee).addComment(1, "Done by Friday"))
+        .to.emit(taskComments, "CommentAdded")
+        .withArgs(1, 2, assignee.address, "Done by Friday");
+
+      expect((await taskComments.getCommentThread(1)).lastAuthor).to.equal(assignee.address);
+    });
+
+    it("Should keep a separate thread per task", async function () {
+      const { taskManager, taskComments } = await loadFixture(deployAssignedTaskFixture);
+      await taskManager.createTask("Other Task", "Description");
+
+      await taskComments.addComment(1, "First");
+      await taskComments.addComment(2, "First on task 2");
+
+      expect(await taskComments.getCommentCount(1)).to.equal(1);
+      expect(await taskComments.getCommentCount(2)).to.equal(1);
+      expect(await taskComments.getCommentCount(3)).to.equal(0);
+    });
+
+    it("Should not allow anyone else to comment", async function () {
+      const { taskManager, taskComments, stranger } = await loadFixture(deployAssignedTaskFixture);
+      await taskManager.addCollaborator(1, stranger.address);
+
+      await expect(taskComments.connect(stranger).addComment(1, "Buy cheap tokens")).to.be.revertedWith(
+        "Not allowed to comment"
+      );
+      expect(await taskComments.canComment(1, stranger.address)).to.equal(false);
+    });
+
+    it("Should drop the permission of a former assignee", async function () {
+      const { taskManager, taskComments, assignee, stranger } = await loadFixture(deployAssignedTaskFixture);
+
+      await taskManager.assignTask(1, stranger.address);
+
+      expect(await taskComments.canComment(1, assignee.address)).to.equal(false);
+      expect(await taskComments.canComment(1, stranger.address)).to.equal(true);
+      await expect(taskComments.connect(assignee).addComment(1, "Still here")).to.be.revertedWith(
+        "Not allowed to comment"
+      );
+    });
+
+    it("Should not allow comments on missing or deleted tasks", async function () {
+      const { taskManager, taskComments, owner } = await loadFixture(deployAssignedTaskFixture);
+      await taskManager.deleteTask(1);
+
+      await expect(taskComments.addComment(1, "Hello")).to.be.revertedWith("Not allowed to comment");
+      await expect(taskComments.addComment(99, "Hello")).to.be.revertedWith("Not allowed to comment");
+      expect(await taskComments.canComment(1, owner.address)).to.equal(false);
+      expect(await taskComments.canComment(1, ethers.ZeroAddress)).to.equal(false);
+    });
+
+    it("Should reject empty and oversized comments", async function () {
+      const { taskComments } = await loadFixture(deployAssignedTaskFixture);
+      const maxLength = Number(await taskComments.MAX_COMMENT_LENGTH());
+
+      await expect(taskComments.addComment(1, "")).to.be.revertedWith("Comment cannot be empty");
+      await expect(taskComments.addComment(1, "a".repeat(maxLength + 1))).to.be.revertedWith("Comment too long");
+      await expect(taskComments.addComment(1, "a".repeat(maxLength))).to.emit(taskComments, "CommentAdded");
+    });
+  });
+
+  describe("Client", function () {
+    async function connectClients(fixture) {
+      const client = TaskCommentsClient.connect(await fixture.taskComments.getAddress(), fixture.owner);
+      return { client, assigneeClient: client.connect(fixture.assignee) };
+    }
+
+    it("Should rebuild the thread of a task in order", async function () {
+      const fixture = await loadFixture(deployAssignedTaskFixture);
+      const { client, assigneeClient } = await connectClients(fixture);
+      await fixture.taskManager.createTask("Other Task", "Description");
+
+      await client.addComment(1, "Can you take this?");
+      await client.addComment(2, "Unrelated");
+      await assigneeClient.addComment(1, "Sure");
+      await client.addComment(1, "Thanks!");
+
+      const comments = await client.getComments(1);
+
+      expect(comments.map((comment) => comment.body)).to.deep.equal(["Can you take this?", "Sure", "Thanks!"]);
+      expect(comments.map((comment) => comment.id)).to.deep.equal([1, 2, 3]);
+      expect(comments[1]).to.include({ taskId: 1, author: fixture.assignee.address });
+      expect(comments[1].timestamp).to.be.a("number");
+      expect(await client.getComments(3)).to.deep.equal([]);
+    });
+
+    it("Should return the new comment and the thread summary", async function () {
+      const fixture = await loadFixture(deployAssignedTaskFixture);
+      const { client } = await connectClients(fixture);
+
+      expect(await client.getThread(1)).to.deep.equal({
+        count: 0,
+        lastAuthor: null,
+        lastCommentAt: null,
+        lastBlock: null,
+      });
+
+      const comment = await client.addComment(1, "Blocked on review");
+      expect(comment).to.include({ taskId: 1, id: 1, body: "Blocked on review", author: fixture.owner.address });
+
+      const thread = await client.getThread(1);
+      expect(thread).to.include({ count: 1, lastAuthor: fixture.owner.address, lastBlock: comment.blockNumber });
+      expect(thread.lastCommentAt).to.equal(comment.timestamp);
+      expect(await client.canComment(1, fixture.stranger.address)).to.equal(false);
+    });
+
+    it("Should read threads with a provider-only client", async function () {
+      const fixture = await loadFixture(deployAssignedTaskFixture);
+      const { client } = await connectClients(fixture);
+      await client.addComment(1, "Read me");
+
+      const reader = client.connect(ethers.provider);
+      const [comment] = await reader.getComments(1);
+      expect(comment.body).to.equal("Read me");
+    });
+  });
+});
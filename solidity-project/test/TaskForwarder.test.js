@@ -0,0 +1,326 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { createRelayServer } = require("../scripts/relayer");
+
+describe("TaskForwarder", function () {
+  const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+      { name: "from", type: "address" },
+      { name: "to", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "gas", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint48" },
+      { name: "data", type: "bytes" },
+    ],
+  };
+
+  // Fixture to deploy TaskManager and attach to the forwarder it created
+  async function deployForwarderFixture() {
+    const [relayer, user, other] = await ethers.getSigners();
+    const TaskManager = await ethers.getContractFactory("TaskManager");
+    const taskManager = await TaskManager.deploy();
+    const forwarder = await ethers.getContractAt("TaskForwarder", await taskManager.trustedForwarder());
+    return { taskManager, forwarder, relayer, user, other };
+  }
+
+  // Sign a ForwardRequest for a TaskManager call
+  async function signRequest(forwarder, taskManager, signer, functionName, args, overrides = {}) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const request = {
+      from: signer.address,
+      to: await taskManager.getAddress(),
+      value: overrides.value ?? 0n,
+      gas: overrides.gas ?? 1_000_000n,
+      nonce: overrides.nonce ?? (await forwarder.nonces(signer.address)),
+      deadline: overrides.deadline ?? (await time.latest()) + 3600,
+      data: taskManager.interface.encodeFunctionData(functionName, args),
+    };
+    const domain = {
+      name: "TaskForwarder",
+      version: "1",
+      chainId,
+      verifyingContract: await forwarder.getAddress(),
+    };
+    const signature = await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+
+    const { nonce, ...requestData } = request;
+    return { ...requestData, signature };
+  }
+
+  describe("Deployment", function () {
+    it("Should be trusted by the TaskManager that created it", async function () {
+      const { taskManager, forwarder } = await loadFixture(deployForwarderFixture);
+
+      expect(await taskManager.isTrustedForwarder(await forwarder.getAddress())).to.equal(true);
+      expect((await forwarder.eip712Domain()).name).to.equal("TaskForwarder");
+    });
+  });
+
+  describe("Signed Calls", function () {
+    it("Should create a task owned by the signer", async function () {
+      const { taskManager, forwarder, relayer, user } = await loadFixture(deployForwarderFixture);
+
+      const request = await signRequest(forwarder, taskManager, user, "createTask(string,string)", [
+        "Signed Task",
+        "Created through a relayer",
+      ]);
+
+      await expect(forwarder.connect(relayer).execute(request))
+        .to.emit(taskManager, "TaskCreated")
+        .withArgs(1, user.address, "Signed Task");
+
+      expect((await taskManager.getTask(1)).owner).to.equal(user.address);
+      expect(await taskManager.getUserTaskCount(user.address)).to.equal(1);
+      expect(await taskManager.getUserTaskCount(relayer.address)).to.equal(0);
+      expect(await forwarder.nonces(user.address)).to.equal(1);
+    });
+
+    it("Should update task status as the signer", async function () {
+      const { taskManager, forwarder, relayer, user } = await loadFixture(deployForwarderFixture);
+
+      await taskManager.connect(user).createTask("Task", "Description");
+      const request = await signRequest(forwarder, taskManager, user, "updateTaskStatus", [1, 1]);
+
+      await expect(forwarder.connect(relayer).execute(request))
+        .to.emit(taskManager, "TaskStatusChanged")
+        .withArgs(1, 1);
+
+      const history = await taskManager.getTaskHistory(1);
+      expect(history[1].actor).to.equal(user.address);
+    });
+
+    it("Should keep ownership checks for the signer", async function () {
+      const { taskManager, forwarder, relayer, user, other } = await loadFixture(deployForwarderFixture);
+
+      await taskManager.connect(user).createTask("Task", "Description");
+      const request = await signRequest(forwarder, taskManager, other, "updateTaskStatus", [1, 1]);
+
+      // The forwarder reports failed calls without the inner reason and keeps the nonce unused
+      await expect(forwarder.connect(relayer).execute(request)).to.be.revertedWithCustomError(
+        forwarder,
+        "FailedCall"
+      );
+      expect(await forwarder.nonces(other.address)).to.equal(0);
+    });
+
+    it("Should not treat the relayer as the owner of relayed tasks", async function () {
+      const { taskManager, forwarder, relayer, user } = await loadFixture(deployForwarderFixture);
+
+      const request = await signRequest(forwarder, taskManager, user, "createTask(string,string)", [
+        "Signed Task",
+        "Description",
+      ]);
+      await forwarder.connect(relayer).execute(request);
+
+      await expect(taskManager.connect(relayer).deleteTask(1)).to.be.revertedWith("Not the task owner");
+    });
+
+    it("Should forward ETH as a bounty funded by the signer", async function () {
+      const { taskManager, forwarder, relayer, user } = await loadFixture(deployForwarderFixture);
+      const bounty = ethers.parseEther("1");
+
+      const request = await signRequest(
+        forwarder,
+        taskManager,
+        user,
+        "createTask(string,string)",
+        ["Paid Task", "Description"],
+        { value: bounty }
+      );
+
+      await expect(forwarder.connect(relayer).execute(request, { value: bounty }))
+        .to.emit(taskManager, "BountyFunded")
+        .withArgs(1, user.address, bounty, bounty);
+    });
+
+    it("Should attribute every call in a relayed multicall to the signer", async function () {
+      const { taskManager, forwarder, relayer, user } = await loadFixture(deployForwarderFixture);
+
+      const calls = [
+        taskManager.interface.encodeFunctionData("createTask(string,string)", ["Task A", "A"]),
+        taskManager.interface.encodeFunctionData("updateTaskStatus", [1, 1]),
+      ];
+      const request = await signRequest(forwarder, taskManager, user, "multicall", [calls]);
+      await forwarder.connect(relayer).execute(request);
+
+      expect((await taskManager.getTask(1)).owner).to.equal(user.address);
+      expect((await taskManager.getTaskHistory(1))[1].actor).to.equal(user.address);
+    });
+  });
+
+  describe("Replay and Expiry", function () {
+    it("Should reject a replayed request", async function () {
+      const { taskManager, forwarder, relayer, user } = await loadFixture(deployForwarderFixture);
+
+      const request = await signRequest(forwarder, taskManager, user, "createTask(string,string)", [
+        "Signed Task",
+        "Description",
+      ]);
+      await forwarder.connect(relayer).execute(request);
+
+      expect(await forwarder.verify(request)).to.equal(false);
+      await expect(forwarder.connect(relayer).execute(request)).to.be.revertedWithCustomError(
+        forwarder,
+        "ERC2771ForwarderInvalidSigner"
+      );
+      expect(await taskManager.getTotalTaskCount()).to.equal(1);
+    });
+
+    it("Should reject a request signed for a future nonce", async function () {
+      const { taskManager, forwarder, relayer, user } = await loadFixture(deployForwarderFixture);
+
+      const request = await signRequest(
+        forwarder,
+        taskManager,
+        user,
+        "createTask(string,string)",
+        ["Signed Task", "Description"],
+        { nonce: 1n }
+      );
+
+      await expect(forwarder.connect(relayer).execute(request)).to.be.revertedWithCustomError(
+        forwarder,
+        "ERC2771ForwarderInvalidSigner"
+      );
+    });
+
+    it("Should reject an expired request", async function () {
+      const { taskManager, forwarder, relayer, user } = await loadFixture(deployForwarderFixture);
+      const deadline = (await time.latest()) + 60;
+
+      const request = await signRequest(
+        forwarder,
+        taskManager,
+        user,
+        "createTask(string,string)",
+        ["Signed Task", "Description"],
+        { deadline }
+      );
+      await time.increaseTo(deadline + 1);
+
+      expect(await forwarder.verify(request)).to.equal(false);
+      await expect(forwarder.connect(relayer).execute(request))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderExpiredRequest")
+        .withArgs(deadline);
+    });
+
+    it("Should reject a request whose payload was tampered with", async function () {
+      const { taskManager, forwarder, relayer, user } = await loadFixture(deployForwarderFixture);
+
+      const request = await signRequest(forwarder, taskManager, user, "createTask(string,string)", [
+        "Signed Task",
+        "Description",
+      ]);
+      request.data = taskManager.interface.encodeFunctionData("createTask(string,string)", [
+        "Tampered",
+        "Description",
+      ]);
+
+      await expect(forwarder.connect(relayer).execute(request)).to.be.revertedWithCustomError(
+        forwarder,
+        "ERC2771ForwarderInvalidSigner"
+      );
+    });
+  });
+
+  describe("Relayer Script", function () {
+    async function startRelayer(forwarder, taskManager, relayer, options) {
+      const server = createRelayServer(forwarder.connect(relayer), await taskManager.getAddress(), options);
+      await new Promise((resolve) => server.listen(0, resolve));
+      const url = `http://127.0.0.1:${server.address().port}`;
+      return { server, url };
+    }
+
+    const toJson = (request) =>
+      JSON.stringify(request, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+
+    it("Should relay a signed request", async function () {
+      const { taskManager, forwarder, relayer, user } = await loadFixture(deployForwarderFixture);
+      const { server, url } = await startRelayer(forwarder, taskManager, relayer);
+
+      try {
+        const nonce = await (await fetch(`${url}/nonce/${user.address}`)).json();
+        expect(nonce).to.deep.equal({ nonce: "0" });
+
+        const request = await signRequest(forwarder, taskManager, user, "createTask(string,string)", [
+          "Relayed Task",
+          "Description",
+        ]);
+        const response = await fetch(`${url}/relay`, { method: "POST", body: toJson(request) });
+        const body = await response.json();
+
+        expect(response.status).to.equal(200);
+        expect(body.txHash).to.match(/^0x[0-9a-f]{64}$/);
+        expect((await taskManager.getTask(1)).owner).to.equal(user.address);
+      } finally {
+        server.close();
+      }
+    });
+
+    it("Should refuse replayed and foreign requests", async function () {
+      const { taskManager, forwarder, relayer, user } = await loadFixture(deployForwarderFixture);
+      const { server, url } = await startRelayer(forwarder, taskManager, relayer);
+
+      try {
+        const request = await signRequest(forwarder, taskManager, user, "createTask(string,string)", [
+          "Relayed Task",
+          "Description",
+        ]);
+        await fetch(`${url}/relay`, { method: "POST", body: toJson(request) });
+
+        const replay = await fetch(`${url}/relay`, { method: "POST", body: toJson(request) });
+        expect(replay.status).to.equal(400);
+        expect((await replay.json()).error).to.equal("Invalid signature, nonce or deadline");
+
+        const stranger = await signRequest(forwarder, taskManager, relayer, "deleteTask", [1]);
+        const rejected = await fetch(`${url}/relay`, { method: "POST", body: toJson(stranger) });
+        expect(rejected.status).to.equal(400);
+        expect((await rejected.json()).error).to.include("Not the task owner");
+
+        const foreign = await fetch(`${url}/relay`, {
+          method: "POST",
+          body: toJson({ ...request, to: user.address }),
+        });
+        expect(foreign.status).to.equal(400);
+        expect((await foreign.json()).error).to.equal("Request must target the TaskManager");
+      } finally {
+        server.close();
+      }
+    });
+
+    it("Should refuse requests carrying ETH or asking for too much gas", async function () {
+      const { taskManager, forwarder, relayer, user } = await loadFixture(deployForwarderFixture);
+      const { server, url } = await startRelayer(forwarder, taskManager, relayer, { maxGas: 500_000n });
+      const relayerBalance = await ethers.provider.getBalance(relayer.address);
+
+      try {
+        const funded = await signRequest(
+          forwarder,
+          taskManager,
+          user,
+          "createTask(string,string)",
+          ["Bounty", "Paid by the relayer"],
+          { value: ethers.parseEther("1"), gas: 500_000n }
+        );
+        const withValue = await fetch(`${url}/relay`, { method: "POST", body: toJson(funded) });
+        expect(withValue.status).to.equal(400);
+        expect((await withValue.json()).error).to.equal("Requests carrying ETH are not relayed");
+
+        const greedy = await signRequest(forwarder, taskManager, user, "createTask(string,string)", [
+          "Greedy",
+          "Description",
+        ]);
+        const withGas = await fetch(`${url}/relay`, { method: "POST", body: toJson(greedy) });
+        expect(withGas.status).to.equal(400);
+        expect((await withGas.json()).error).to.equal("Gas above the relayer limit of 500000");
+
+        expect(await taskManager.getTotalTaskCount()).to.equal(0);
+        expect(await ethers.provider.getBalance(relayer.address)).to.equal(relayerBalance);
+      } finally {
+        server.close();
+      }
+    });
+  });
+});
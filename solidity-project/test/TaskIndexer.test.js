@@ -0,0 +1,258 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { JsonTaskStore } = require("../indexer/JsonTaskStore");
+const { TaskIndexer } = require("../indexer/TaskIndexer");
+const { deployTaskManagerProxy } = require("../scripts/deployUpgradeable");
+const { migrateTasks } = require("../scripts/migrate");
+
+describe("TaskIndexer", function () {
+  let tmpDir;
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "task-indexer-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Fixture to deploy TaskManager with a few tasks already in flight
+  async function deployWithActivityFixture() {
+    const [owner, addr1] = await ethers.getSigners();
+    const TaskManager = await ethers.getContractFactory("TaskManager");
+    const taskManager = await TaskManager.deploy();
+    const address = await taskManager.getAddress();
+
+    await taskManager.createTask("Write spec", "Description");
+    await taskManager.connect(addr1).createTask("Review spec", "Description");
+    await taskManager.createTask("Throwaway", "Description");
+    await taskManager.updateTask(1, "Write the spec", "New description");
+    await taskManager.updateTaskStatus(1, 1);
+    await taskManager.deleteTask(3);
+
+    return { taskManager, address, owner, addr1 };
+  }
+
+  function createIndexer(address, options = {}) {
+    const store = new JsonTaskStore(path.join(tmpDir, "tasks.json"));
+    const indexer = new TaskIndexer(ethers.provider, address, store, options);
+    return { store, indexer };
+  }
+
+  async function waitFor(condition, timeout = 10000) {
+    const deadline = Date.now() + timeout;
+    while (!(await condition())) {
+      if (Date.now() > deadline) {
+        throw new Error("Timed out waiting for the indexer");
+      }
+      await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+  }
+
+  describe("Backfill", function () {
+    it("Should rebuild tasks from past logs", async function () {
+      const { address, owner, addr1 } = await loadFixture(deployWithActivityFixture);
+      const { store, indexer } = createIndexer(address);
+
+      const lastBlock = await indexer.sync();
+
+      expect(lastBlock).to.equal(await ethers.provider.getBlockNumber());
+      expect(store.getTasks().map((task) => task.id)).to.deep.equal([1, 2]);
+      expect(store.getTask(1)).to.include({
+        owner: owner.address,
+        title: "Write the spec",
+        status: "InProgress",
+      });
+      expect(store.getTask(2)).to.include({ owner: addr1.address, title: "Review spec", status: "Pending" });
+      expect(store.getTask(1).updatedBlock).to.be.greaterThan(store.getTask(1).createdBlock);
+      expect(store.getTask(3)).to.equal(null);
+    });
+
+    it("Should record block timestamps", async function () {
+      const { address } = await loadFixture(deployWithActivityFixture);
+      const { store, indexer } = createIndexer(address);
+
+      await indexer.sync();
+
+      const task = store.getTask(2);
+      const block = await ethers.provider.getBlock(task.createdBlock);
+      expect(task.createdAt).to.equal(block.timestamp);
+      expect(task.updatedAt).to.equal(block.timestamp);
+    });
+
+    it("Should index in batches", async function () {
+      const { address } = await loadFixture(deployWithActivityFixture);
+      const { store, indexer } = createIndexer(address, { batchSize: 2 });
+      const ranges = [];
+      indexer.on("sync", (range) => ranges.push(range));
+
+      const lastBlock = await indexer.sync();
+
+      expect(ranges.length).to.equal(Math.ceil((lastBlock + 1) / 2));
+      expect(ranges[1]).to.deep.equal({ fromBlock: 2, toBlock: 3 });
+      expect(store.getTasks().map((task) => task.title)).to.deep.equal(["Write the spec", "Review spec"]);
+    });
+
+    it("Should only see tasks created from the start block", async function () {
+      const { taskManager, address } = await loadFixture(deployWithActivityFixture);
+      const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+      await taskManager.createTask("Fresh", "Description");
+      // Changes to tasks created before the start block are ignored
+      await taskManager.updateTaskStatus(1, 2);
+      const { store, indexer } = createIndexer(address, { startBlock });
+
+      await indexer.sync();
+
+      expect(store.getTasks().map((task) => task.title)).to.deep.equal(["Fresh"]);
+    });
+
+    it("Should keep the status and timestamps of migrated tasks", async function () {
+      const { taskManager: legacy, owner, addr1 } = await loadFixture(deployWithActivityFixture);
+      await time.increase(24 * 60 * 60);
+      const proxy = await deployTaskManagerProxy(owner.address, undefined, { migrate: true });
+      await migrateTasks(legacy, proxy);
+      const { store, indexer } = createIndexer(await proxy.getAddress());
+
+      await indexer.sync();
+
+      const legacyTask = await legacy.getTask(1);
+      expect(store.getTasks().map((task) => task.id)).to.deep.equal([1, 2]);
+      expect(store.getTask(1)).to.include({
+        owner: owner.address,
+        title: "Write the spec",
+        status: "InProgress",
+        createdAt: Number(legacyTask.createdAt),
+        updatedAt: Number(legacyTask.updatedAt),
+      });
+      expect(store.getTask(2)).to.include({ owner: addr1.address, status: "Pending" });
+
+      // Changes after the migration apply on top of the imported task
+      await proxy.updateTaskStatus(1, 2);
+      await indexer.sync();
+      expect(store.getTask(1).status).to.equal("Completed");
+    });
+  });
+
+  describe("Following", function () {
+    it("Should pick up new blocks while running", async function () {
+      const { taskManager, address } = await loadFixture(deployWithActivityFixture);
+      const { store, indexer } = createIndexer(address, { pollInterval: 20 });
+
+      indexer.start();
+      try {
+        await waitFor(async () => store.lastBlock === (await ethers.provider.getBlockNumber()));
+        await taskManager.createTask("Live task", "Description");
+        await taskManager.updateTaskStatus(4, 2);
+
+        await waitFor(() => store.getTask(4) !== null && store.getTask(4).status === "Completed");
+      } finally {
+        await indexer.stop();
+      }
+      expect(store.getTask(4).title).to.equal("Live task");
+    });
+  });
+
+  describe("Persistence", function () {
+    it("Should resume from the last processed block after a restart", async function () {
+      const { taskManager, address } = await loadFixture(deployWithActivityFixture);
+
+      const first = createIndexer(address);
+      const stoppedAt = await first.indexer.sync();
+
+      await taskManager.createTask("After restart", "Description");
+
+      const second = createIndexer(address);
+      expect(second.store.lastBlock).to.equal(stoppedAt);
+      expect(second.store.getTask(1).status).to.equal("InProgress");
+
+      const ranges = [];
+      second.indexer.on("sync", (range) => ranges.push(range));
+      await second.indexer.sync();
+
+      expect(ranges).to.deep.equal([{ fromBlock: stoppedAt + 1, toBlock: stoppedAt + 1 }]);
+      expect(second.store.getTasks().map((task) => task.id)).to.deep.equal([1, 2, 4]);
+    });
+
+    it("Should refuse a store written for another contract", async function () {
+      const { address } = await loadFixture(deployWithActivityFixture);
+      await createIndexer(address).indexer.sync();
+
+      const { indexer } = createIndexer(ethers.Wallet.createRandom().address);
+      await expect(indexer.sync()).to.be.rejectedWith(`Store belongs to ${address}`);
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("Should roll back blocks that were reorganised away", async function () {
+      const { taskManager, address } = await loadFixture(deployWithActivityFixture);
+      const { store, indexer } = createIndexer(address);
+      await indexer.sync();
+      const forkPoint = store.lastBlock;
+
+      // Blocks mined after the snapshot are replaced by a different branch
+      const snapshot = await network.provider.send("evm_snapshot");
+      await taskManager.createTask("Orphaned", "Description");
+      await taskManager.updateTaskStatus(1, 2);
+      await indexer.sync();
+      expect(store.getTask(4).title).to.equal("Orphaned");
+      expect(store.getTask(1).status).to.equal("Completed");
+
+      await network.provider.send("evm_revert", [snapshot]);
+      await taskManager.createTask("Canonical", "Description");
+      await network.provider.send("evm_mine");
+
+      const reorgs = [];
+      indexer.on("reorg", (reorg) => reorgs.push(reorg));
+      await indexer.sync();
+
+      expect(reorgs).to.deep.equal([{ rolledBackTo: forkPoint }]);
+      expect(store.getTask(4).title).to.equal("Canonical");
+      expect(store.getTask(1).status).to.equal("InProgress");
+      expect(store.lastBlock).to.equal(forkPoint + 2);
+    });
+
+    it("Should roll back a persisted store when restarting on a new branch", async function () {
+      const { taskManager, address } = await loadFixture(deployWithActivityFixture);
+      await createIndexer(address).indexer.sync();
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      await taskManager.deleteTask(1);
+      await createIndexer(address).indexer.sync();
+      await network.provider.send("evm_revert", [snapshot]);
+      await network.provider.send("evm_mine");
+      await network.provider.send("evm_mine");
+
+      const { store, indexer } = createIndexer(address);
+      expect(store.getTask(1)).to.equal(null);
+      await indexer.sync();
+      expect(store.getTask(1).title).to.equal("Write the spec");
+    });
+
+    it("Should fall back to the finalized block when no recorded hash matches", async function () {
+      const { taskManager, address } = await loadFixture(deployWithActivityFixture);
+      const { store, indexer } = createIndexer(address, { reorgDepth: 3 });
+
+      // The only recorded block hash is on the branch that gets replaced
+      const snapshot = await network.provider.send("evm_snapshot");
+      await taskManager.createTask("Orphaned", "Description");
+      await indexer.sync();
+      const finalized = store.finalizedBlock;
+      await network.provider.send("evm_revert", [snapshot]);
+      await network.provider.send("evm_mine");
+      await network.provider.send("evm_mine");
+
+      const reorgs = [];
+      indexer.on("reorg", (reorg) => reorgs.push(reorg));
+      await indexer.sync();
+
+      expect(reorgs).to.deep.equal([{ rolledBackTo: finalized }]);
+      expect(store.getTask(4)).to.equal(null);
+      expect(store.getTasks().map((task) => task.id)).to.deep.equal([1, 2]);
+      expect(store.getTask(1)).to.include({ title: "Write the spec", status: "InProgress" });
+    });
+  });
+});
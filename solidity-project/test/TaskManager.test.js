@@ -1,6 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 
 describe("TaskManager", function () {
   // Fixture to deploy the contract
@@ -210,6 +210,1627 @@ describe("TaskManager", function () {
     });
   });
 
+  describe("Assignment and Collaboration", function () {
+    async function deployWithTeamTaskFixture() {
+      const [owner, assignee, collaborator, stranger] = await ethers.getSigners();
+      const TaskManager = await ethers.getContractFactory("TaskManager");
+      const taskManager = await TaskManager.deploy();
+
+      await taskManager.createTask("Team Task", "Shared work");
+      await taskManager.assignTask(1, assignee.address);
+      await taskManager.addCollaborator(1, collaborator.address);
+
+      return { taskManager, owner, assignee, collaborator, stranger };
+    }
+
+    it("Should assign a task and index it for the assignee", async function () {
+      const { taskManager, owner, addr1 } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Test Task", "Description");
+
+      await expect(taskManager.assignTask(1, addr1.address))
+        .to.emit(taskManager, "TaskAssigned")
+        .withArgs(1, ethers.ZeroAddress, addr1.address);
+
+      const task = await taskManager.getTask(1);
+      expect(task.assignee).to.equal(addr1.address);
+      expect(await taskManager.getAssignedTasks(addr1.address)).to.deep.equal([1n]);
+      expect(await taskManager.getUserTasks(owner.address)).to.deep.equal([1n]);
+    });
+
+    it("Should reassign a task and move it between assignee indexes", async function () {
+      const { taskManager, assignee, stranger } = await loadFixture(deployWithTeamTaskFixture);
+
+      await expect(taskManager.assignTask(1, stranger.address))
+        .to.emit(taskManager, "TaskAssigned")
+        .withArgs(1, assignee.address, stranger.address);
+
+      expect(await taskManager.getAssignedTasks(assignee.address)).to.deep.equal([]);
+      expect(await taskManager.getAssignedTasks(stranger.address)).to.deep.equal([1n]);
+    });
+
+    it("Should unassign a task when assigning the zero address", async function () {
+      const { taskManager, assignee } = await loadFixture(deployWithTeamTaskFixture);
+
+      await expect(taskManager.assignTask(1, ethers.ZeroAddress))
+        .to.emit(taskManager, "TaskAssigned")
+        .withArgs(1, assignee.address, ethers.ZeroAddress);
+
+      expect((await taskManager.getTask(1)).assignee).to.equal(ethers.ZeroAddress);
+      expect(await taskManager.getAssignedTasks(assignee.address)).to.deep.equal([]);
+    });
+
+    it("Should not allow assigning the current assignee again", async function () {
+      const { taskManager, assignee } = await loadFixture(deployWithTeamTaskFixture);
+
+      await expect(
+        taskManager.assignTask(1, assignee.address)
+      ).to.be.revertedWith("Already assigned to this address");
+    });
+
+    it("Should manage collaborators", async function () {
+      const { taskManager, collaborator, stranger } = await loadFixture(deployWithTeamTaskFixture);
+
+      await expect(taskManager.addCollaborator(1, stranger.address))
+        .to.emit(taskManager, "CollaboratorAdded")
+        .withArgs(1, stranger.address);
+      expect(await taskManager.getTaskCollaborators(1)).to.deep.equal([collaborator.address, stranger.address]);
+
+      await expect(taskManager.removeCollaborator(1, collaborator.address))
+        .to.emit(taskManager, "CollaboratorRemoved")
+        .withArgs(1, collaborator.address);
+      expect(await taskManager.getTaskCollaborators(1)).to.deep.equal([stranger.address]);
+      expect(await taskManager.isTaskCollaborator(1, collaborator.address)).to.equal(false);
+      expect(await taskManager.isTaskCollaborator(1, stranger.address)).to.equal(true);
+    });
+
+    it("Should validate collaborator changes", async function () {
+      const { taskManager, collaborator, stranger } = await loadFixture(deployWithTeamTaskFixture);
+
+      await expect(
+        taskManager.addCollaborator(1, ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid collaborator");
+      await expect(
+        taskManager.addCollaborator(1, collaborator.address)
+      ).to.be.revertedWith("Already a collaborator");
+      await expect(
+        taskManager.removeCollaborator(1, stranger.address)
+      ).to.be.revertedWith("Not a collaborator");
+    });
+
+    it("Should let owner and assignee change status", async function () {
+      const { taskManager, owner, assignee } = await loadFixture(deployWithTeamTaskFixture);
+
+      await expect(taskManager.connect(owner).updateTaskStatus(1, 1))
+        .to.emit(taskManager, "TaskStatusChanged")
+        .withArgs(1, 1);
+      await expect(taskManager.connect(assignee).updateTaskStatus(1, 2))
+        .to.emit(taskManager, "TaskStatusChanged")
+        .withArgs(1, 2);
+    });
+
+    it("Should not let collaborators or strangers change status", async function () {
+      const { taskManager, collaborator, stranger } = await loadFixture(deployWithTeamTaskFixture);
+
+      await expect(
+        taskManager.connect(collaborator).updateTaskStatus(1, 1)
+      ).to.be.revertedWith("Not the task owner or assignee");
+      await expect(
+        taskManager.connect(stranger).updateTaskStatus(1, 1)
+      ).to.be.revertedWith("Not the task owner or assignee");
+    });
+
+    it("Should let owner and collaborators edit the description", async function () {
+      const { taskManager, owner, collaborator } = await loadFixture(deployWithTeamTaskFixture);
+
+      await taskManager.connect(owner).updateTaskDescription(1, "Owner edit");
+      expect((await taskManager.getTask(1)).description).to.equal("Owner edit");
+
+      await expect(taskManager.connect(collaborator).updateTaskDescription(1, "Collaborator edit"))
+        .to.emit(taskManager, "TaskUpdated")
+        .withArgs(1, "Team Task", 0);
+      expect((await taskManager.getTask(1)).description).to.equal("Collaborator edit");
+    });
+
+    it("Should not let assignees or strangers edit the description", async function () {
+      const { taskManager, assignee, stranger } = await loadFixture(deployWithTeamTaskFixture);
+
+      await expect(
+        taskManager.connect(assignee).updateTaskDescription(1, "Edit")
+      ).to.be.revertedWith("Not the task owner or collaborator");
+      await expect(
+        taskManager.connect(stranger).updateTaskDescription(1, "Edit")
+      ).to.be.revertedWith("Not the task owner or collaborator");
+    });
+
+    it("Should reserve full updates, deletion and sharing for the owner", async function () {
+      const { taskManager, assignee, collaborator, stranger } = await loadFixture(deployWithTeamTaskFixture);
+
+      for (const signer of [assignee, collaborator, stranger]) {
+        await expect(
+          taskManager.connect(signer).updateTask(1, "Title", "Description")
+        ).to.be.revertedWith("Not the task owner");
+        await expect(
+          taskManager.connect(signer).deleteTask(1)
+        ).to.be.revertedWith("Not the task owner");
+        await expect(
+          taskManager.connect(signer).assignTask(1, signer.address)
+        ).to.be.revertedWith("Not the task owner");
+        await expect(
+          taskManager.connect(signer).addCollaborator(1, signer.address)
+        ).to.be.revertedWith("Not the task owner");
+        await expect(
+          taskManager.connect(signer).removeCollaborator(1, collaborator.address)
+        ).to.be.revertedWith("Not the task owner");
+      }
+    });
+
+    it("Should revoke permissions after unassigning and removing collaborators", async function () {
+      const { taskManager, assignee, collaborator } = await loadFixture(deployWithTeamTaskFixture);
+
+      await taskManager.assignTask(1, ethers.ZeroAddress);
+      await taskManager.removeCollaborator(1, collaborator.address);
+
+      await expect(
+        taskManager.connect(assignee).updateTaskStatus(1, 1)
+      ).to.be.revertedWith("Not the task owner or assignee");
+      await expect(
+        taskManager.connect(collaborator).updateTaskDescription(1, "Edit")
+      ).to.be.revertedWith("Not the task owner or collaborator");
+    });
+
+    it("Should clear assignment and collaborators on deletion", async function () {
+      const { taskManager, assignee, collaborator } = await loadFixture(deployWithTeamTaskFixture);
+
+      await taskManager.deleteTask(1);
+
+      expect(await taskManager.getAssignedTasks(assignee.address)).to.deep.equal([]);
+      expect(await taskManager.isTaskCollaborator(1, collaborator.address)).to.equal(false);
+      await expect(taskManager.getTaskCollaborators(1)).to.be.revertedWith("Task does not exist");
+    });
+  });
+
+  describe("Due Dates and Priorities", function () {
+    const DAY = 24 * 60 * 60;
+    const Priority = { Low: 0, Medium: 1, High: 2, Critical: 3 };
+
+    it("Should default to no due date and low priority", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Test Task", "Description");
+
+      const task = await taskManager.getTask(1);
+      expect(task.dueDate).to.equal(0);
+      expect(task.priority).to.equal(Priority.Low);
+      expect(await taskManager.isTaskOverdue(1)).to.equal(false);
+    });
+
+    it("Should create a task with a due date and priority", async function () {
+      const { taskManager, owner } = await loadFixture(deployTaskManagerFixture);
+      const dueDate = (await time.latest()) + DAY;
+
+      await expect(taskManager.createTask("Report", "Weekly report", dueDate, Priority.High))
+        .to.emit(taskManager, "TaskCreated")
+        .withArgs(1, owner.address, "Report")
+        .and.to.emit(taskManager, "TaskScheduleUpdated")
+        .withArgs(1, dueDate, Priority.High);
+
+      const task = await taskManager.getTask(1);
+      expect(task.dueDate).to.equal(dueDate);
+      expect(task.priority).to.equal(Priority.High);
+    });
+
+    it("Should not allow a due date in the past", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+      const now = await time.latest();
+
+      await expect(
+        taskManager.createTask("Late", "Description", now, Priority.Low)
+      ).to.be.revertedWith("Due date must be in the future");
+
+      await taskManager.createTask("Test Task", "Description");
+      await expect(
+        taskManager.updateTask(1, "Late", "Description", now, Priority.Low)
+      ).to.be.revertedWith("Due date must be in the future");
+    });
+
+    it("Should update due date and priority", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+      const dueDate = (await time.latest()) + DAY;
+
+      await taskManager.createTask("Test Task", "Description");
+
+      await expect(taskManager.updateTask(1, "Updated", "Updated description", dueDate, Priority.Critical))
+        .to.emit(taskManager, "TaskScheduleUpdated")
+        .withArgs(1, dueDate, Priority.Critical);
+
+      const task = await taskManager.getTask(1);
+      expect(task.title).to.equal("Updated");
+      expect(task.dueDate).to.equal(dueDate);
+      expect(task.priority).to.equal(Priority.Critical);
+    });
+
+    it("Should edit an overdue task without moving its due date", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+      const dueDate = (await time.latest()) + DAY;
+
+      await taskManager.createTask("Test Task", "Description", dueDate, Priority.Low);
+      await time.increase(2 * DAY);
+
+      await taskManager.updateTask(1, "Renamed", "Description", dueDate, Priority.Critical);
+
+      const task = await taskManager.getTask(1);
+      expect(task.title).to.equal("Renamed");
+      expect(task.dueDate).to.equal(dueDate);
+      expect(task.priority).to.equal(Priority.Critical);
+      await expect(
+        taskManager.updateTask(1, "Renamed", "Description", dueDate + 1, Priority.Critical)
+      ).to.be.revertedWith("Due date must be in the future");
+    });
+
+    it("Should keep due date and priority on a plain update", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+      const dueDate = (await time.latest()) + DAY;
+
+      await taskManager.createTask("Test Task", "Description", dueDate, Priority.Medium);
+      await taskManager.updateTask(1, "Updated", "Updated description");
+
+      const task = await taskManager.getTask(1);
+      expect(task.dueDate).to.equal(dueDate);
+      expect(task.priority).to.equal(Priority.Medium);
+    });
+
+    it("Should not allow non-owner to change due date or priority", async function () {
+      const { taskManager, addr1 } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Test Task", "Description");
+
+      await expect(
+        taskManager.connect(addr1).updateTask(1, "Title", "Description", 0, Priority.High)
+      ).to.be.revertedWith("Not the task owner");
+    });
+
+    it("Should report tasks as overdue once the due date passes", async function () {
+      const { taskManager, owner } = await loadFixture(deployTaskManagerFixture);
+      const now = await time.latest();
+
+      await taskManager.createTask("Soon", "Description", now + DAY, Priority.Low);
+      await taskManager.createTask("Later", "Description", now + 7 * DAY, Priority.Low);
+      await taskManager.createTask("No due date", "Description");
+
+      expect(await taskManager.getOverdueTasks(owner.address)).to.have.length(0);
+
+      await time.increaseTo(now + DAY + 1);
+
+      const overdue = await taskManager.getOverdueTasks(owner.address);
+      expect(overdue).to.have.length(1);
+      expect(overdue[0].title).to.equal("Soon");
+      expect(await taskManager.isTaskOverdue(1)).to.equal(true);
+      expect(await taskManager.isTaskOverdue(2)).to.equal(false);
+      expect(await taskManager.isTaskOverdue(3)).to.equal(false);
+
+      await time.increaseTo(now + 7 * DAY + 1);
+      expect(await taskManager.getOverdueTasks(owner.address)).to.have.length(2);
+    });
+
+    it("Should not report completed or cancelled tasks as overdue", async function () {
+      const { taskManager, owner } = await loadFixture(deployTaskManagerFixture);
+      const now = await time.latest();
+
+      await taskManager.createTask("Done", "Description", now + DAY, Priority.Low);
+      await taskManager.createTask("Dropped", "Description", now + DAY, Priority.Low);
+      await taskManager.createTask("Open", "Description", now + DAY, Priority.Low);
+      await taskManager.updateTaskStatus(1, 2); // Completed
+      await taskManager.updateTaskStatus(2, 3); // Cancelled
+
+      await time.increaseTo(now + DAY + 1);
+
+      const overdue = await taskManager.getOverdueTasks(owner.address);
+      expect(overdue).to.have.length(1);
+      expect(overdue[0].title).to.equal("Open");
+    });
+
+    it("Should filter tasks by priority", async function () {
+      const { taskManager, owner, addr1 } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("High 1", "Description", 0, Priority.High);
+      await taskManager.createTask("Low 1", "Description", 0, Priority.Low);
+      await taskManager.createTask("High 2", "Description", 0, Priority.High);
+      await taskManager.connect(addr1).createTask("Other High", "Description", 0, Priority.High);
+
+      const high = await taskManager.getTasksByPriority(owner.address, Priority.High);
+      expect(high.map((task) => task.title)).to.deep.equal(["High 1", "High 2"]);
+      expect(await taskManager.getTasksByPriority(owner.address, Priority.Critical)).to.have.length(0);
+    });
+
+    it("Should sort tasks from highest to lowest priority", async function () {
+      const { taskManager, owner } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Medium", "Description", 0, Priority.Medium);
+      await taskManager.createTask("Low", "Description", 0, Priority.Low);
+      await taskManager.createTask("Critical", "Description", 0, Priority.Critical);
+      await taskManager.createTask("Medium 2", "Description", 0, Priority.Medium);
+      await taskManager.createTask("High", "Description", 0, Priority.High);
+
+      const sorted = await taskManager.getUserTasksByPriority(owner.address);
+      expect(sorted.map((task) => task.title)).to.deep.equal(["Critical", "High", "Medium", "Medium 2", "Low"]);
+    });
+  });
+
+  describe("Status Transitions and History", function () {
+    const Status = { Pending: 0, InProgress: 1, Completed: 2, Cancelled: 3 };
+
+    it("Should allow the defined transitions", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      const allowed = [
+        [Status.Pending, Status.InProgress],
+        [Status.Pending, Status.Completed],
+        [Status.Pending, Status.Cancelled],
+        [Status.InProgress, Status.Pending],
+        [Status.InProgress, Status.Completed],
+        [Status.InProgress, Status.Cancelled],
+      ];
+      for (const [from, to] of allowed) {
+        expect(await taskManager.isValidTransition(from, to)).to.equal(true);
+      }
+    });
+
+    it("Should reject self transitions and transitions out of final states", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      for (const from of Object.values(Status)) {
+        expect(await taskManager.isValidTransition(from, from)).to.equal(false);
+      }
+      for (const to of Object.values(Status)) {
+        expect(await taskManager.isValidTransition(Status.Completed, to)).to.equal(false);
+        expect(await taskManager.isValidTransition(Status.Cancelled, to)).to.equal(false);
+      }
+    });
+
+    it("Should revert on an illegal status change", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Test Task", "Description");
+      await expect(
+        taskManager.updateTaskStatus(1, Status.Pending)
+      ).to.be.revertedWith("Invalid status transition");
+
+      await taskManager.updateTaskStatus(1, Status.Cancelled);
+      await expect(
+        taskManager.updateTaskStatus(1, Status.Completed)
+      ).to.be.revertedWith("Invalid status transition");
+      await expect(
+        taskManager.updateTaskStatus(1, Status.InProgress)
+      ).to.be.revertedWith("Invalid status transition");
+    });
+
+    it("Should not reopen a completed task", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Test Task", "Description");
+      await taskManager.updateTaskStatus(1, Status.Completed);
+
+      await expect(
+        taskManager.updateTaskStatus(1, Status.InProgress)
+      ).to.be.revertedWith("Invalid status transition");
+    });
+
+    it("Should record creation as the first history entry", async function () {
+      const { taskManager, owner } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Test Task", "Description");
+      const createdAt = await time.latest();
+
+      const history = await taskManager.getTaskHistory(1);
+      expect(history).to.have.length(1);
+      expect(history[0].status).to.equal(Status.Pending);
+      expect(history[0].actor).to.equal(owner.address);
+      expect(history[0].timestamp).to.equal(createdAt);
+    });
+
+    it("Should record every transition with actor and timestamp", async function () {
+      const { taskManager, owner, addr1 } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Test Task", "Description");
+      await taskManager.assignTask(1, addr1.address);
+
+      await taskManager.connect(addr1).updateTaskStatus(1, Status.InProgress);
+      const startedAt = await time.latest();
+      await time.increase(60);
+      await taskManager.updateTaskStatus(1, Status.Completed);
+      const completedAt = await time.latest();
+
+      const history = await taskManager.getTaskHistory(1);
+      expect(history.map((entry) => entry.status)).to.deep.equal([
+        BigInt(Status.Pending),
+        BigInt(Status.InProgress),
+        BigInt(Status.Completed),
+      ]);
+      expect(history[1].actor).to.equal(addr1.address);
+      expect(history[1].timestamp).to.equal(startedAt);
+      expect(history[2].actor).to.equal(owner.address);
+      expect(history[2].timestamp).to.equal(completedAt);
+    });
+
+    it("Should not record rejected transitions", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Test Task", "Description");
+      await taskManager.updateTaskStatus(1, Status.Cancelled);
+      await expect(taskManager.updateTaskStatus(1, Status.Completed)).to.be.reverted;
+
+      expect(await taskManager.getTaskHistory(1)).to.have.length(2);
+    });
+
+    it("Should revert when reading history of a non-existent task", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      await expect(taskManager.getTaskHistory(999)).to.be.revertedWith("Task does not exist");
+    });
+  });
+
+  describe("Pagination", function () {
+    async function deployWithTasksFixture() {
+      const { taskManager, owner, addr1, addr2 } = await deployTaskManagerFixture();
+
+      // IDs 1-5 belong to owner, 6-7 to addr1
+      for (let i = 1; i <= 5; i++) {
+        await taskManager.createTask(`Owner Task ${i}`, "Description");
+      }
+      await taskManager.connect(addr1).createTask("Addr1 Task 1", "Description");
+      await taskManager.connect(addr1).createTask("Addr1 Task 2", "Description");
+
+      await taskManager.updateTaskStatus(2, 1); // InProgress
+      await taskManager.updateTaskStatus(4, 1); // InProgress
+      await taskManager.updateTaskStatus(5, 1); // InProgress
+      await taskManager.connect(addr1).updateTaskStatus(7, 1); // InProgress
+
+      return { taskManager, owner, addr1, addr2 };
+    }
+
+    const titles = (tasks) => tasks.map((task) => task.title);
+
+    it("Should page through a user's tasks", async function () {
+      const { taskManager, owner } = await loadFixture(deployWithTasksFixture);
+
+      expect(titles(await taskManager.getUserTaskDetailsPaginated(owner.address, 0, 2)))
+        .to.deep.equal(["Owner Task 1", "Owner Task 2"]);
+      expect(titles(await taskManager.getUserTaskDetailsPaginated(owner.address, 2, 2)))
+        .to.deep.equal(["Owner Task 3", "Owner Task 4"]);
+      expect(titles(await taskManager.getUserTaskDetailsPaginated(owner.address, 4, 2)))
+        .to.deep.equal(["Owner Task 5"]);
+    });
+
+    it("Should return an empty page past the end of a user's tasks", async function () {
+      const { taskManager, owner, addr2 } = await loadFixture(deployWithTasksFixture);
+
+      expect(await taskManager.getUserTaskDetailsPaginated(owner.address, 5, 10)).to.have.length(0);
+      expect(await taskManager.getUserTaskDetailsPaginated(addr2.address, 0, 10)).to.have.length(0);
+      expect(await taskManager.getUserTaskDetailsPaginated(owner.address, 0, 0)).to.have.length(0);
+    });
+
+    it("Should filter a user's tasks by status with pagination", async function () {
+      const { taskManager, owner } = await loadFixture(deployWithTasksFixture);
+
+      expect(titles(await taskManager.getUserTasksByStatus(owner.address, 1, 0, 10)))
+        .to.deep.equal(["Owner Task 2", "Owner Task 4", "Owner Task 5"]);
+      expect(titles(await taskManager.getUserTasksByStatus(owner.address, 1, 0, 2)))
+        .to.deep.equal(["Owner Task 2", "Owner Task 4"]);
+      expect(titles(await taskManager.getUserTasksByStatus(owner.address, 1, 2, 2)))
+        .to.deep.equal(["Owner Task 5"]);
+      expect(titles(await taskManager.getUserTasksByStatus(owner.address, 0, 0, 10)))
+        .to.deep.equal(["Owner Task 1", "Owner Task 3"]);
+      expect(await taskManager.getUserTasksByStatus(owner.address, 2, 0, 10)).to.have.length(0);
+    });
+
+    it("Should page through all tasks by ID", async function () {
+      const { taskManager } = await loadFixture(deployWithTasksFixture);
+
+      expect(titles(await taskManager.getTasksPaginated(0, 3)))
+        .to.deep.equal(["Owner Task 1", "Owner Task 2", "Owner Task 3"]);
+      expect(titles(await taskManager.getTasksPaginated(3, 3)))
+        .to.deep.equal(["Owner Task 4", "Owner Task 5", "Addr1 Task 1"]);
+      expect(titles(await taskManager.getTasksPaginated(6, 3)))
+        .to.deep.equal(["Addr1 Task 2"]);
+      expect(await taskManager.getTasksPaginated(7, 3)).to.have.length(0);
+    });
+
+    it("Should skip deleted tasks in the global listing", async function () {
+      const { taskManager, addr1 } = await loadFixture(deployWithTasksFixture);
+
+      await taskManager.deleteTask(2);
+      await taskManager.connect(addr1).deleteTask(6);
+
+      expect(titles(await taskManager.getTasksPaginated(0, 3)))
+        .to.deep.equal(["Owner Task 1", "Owner Task 3"]);
+      expect(titles(await taskManager.getTasksPaginated(3, 10)))
+        .to.deep.equal(["Owner Task 4", "Owner Task 5", "Addr1 Task 2"]);
+    });
+
+    it("Should report whether a task exists", async function () {
+      const { taskManager } = await loadFixture(deployWithTasksFixture);
+
+      await taskManager.deleteTask(2);
+
+      expect(await taskManager.doesTaskExist(1)).to.equal(true);
+      expect(await taskManager.doesTaskExist(2)).to.equal(false);
+      expect(await taskManager.doesTaskExist(0)).to.equal(false);
+      expect(await taskManager.doesTaskExist(8)).to.equal(false);
+    });
+
+    it("Should cap pages at the available tasks for huge limits", async function () {
+      const { taskManager, owner } = await loadFixture(deployWithTasksFixture);
+      const huge = [10n ** 6n, ethers.MaxUint256];
+
+      for (const limit of huge) {
+        expect(await taskManager.getUserTaskDetailsPaginated(owner.address, 3, limit)).to.have.length(2);
+        expect(titles(await taskManager.getUserTasksByStatus(owner.address, 1, 1, limit)))
+          .to.deep.equal(["Owner Task 4", "Owner Task 5"]);
+        expect(await taskManager.getTasksPaginated(5, limit)).to.have.length(2);
+        expect(await taskManager.getTasksByStatusPaginated(0, 1, limit)).to.have.length(2);
+      }
+      expect(await taskManager.getUserTasksByStatus(owner.address, 1, 5, ethers.MaxUint256)).to.have.length(0);
+    });
+
+    it("Should filter the global listing by status", async function () {
+      const { taskManager } = await loadFixture(deployWithTasksFixture);
+
+      await taskManager.deleteTask(4);
+
+      expect(titles(await taskManager.getTasksByStatusPaginated(1, 0, 10)))
+        .to.deep.equal(["Owner Task 2", "Owner Task 5", "Addr1 Task 2"]);
+      expect(titles(await taskManager.getTasksByStatusPaginated(1, 0, 4)))
+        .to.deep.equal(["Owner Task 2"]);
+      expect(titles(await taskManager.getTasksByStatusPaginated(0, 4, 10)))
+        .to.deep.equal(["Addr1 Task 1"]);
+    });
+  });
+
+  describe("Bounty Escrow", function () {
+    const BOUNTY = ethers.parseEther("1");
+    const Status = { Pending: 0, InProgress: 1, Completed: 2, Cancelled: 3 };
+
+    async function deployWithBountyFixture() {
+      const [owner, worker, stranger] = await ethers.getSigners();
+      const TaskManager = await ethers.getContractFactory("TaskManager");
+      const taskManager = await TaskManager.deploy();
+
+      await taskManager.createTask("Paid Task", "Paid work", { value: BOUNTY });
+
+      return { taskManager, owner, worker, stranger };
+    }
+
+    async function deployWithClaimedBountyFixture() {
+      const fixture = await deployWithBountyFixture();
+      await fixture.taskManager.connect(fixture.worker).claimTask(1);
+      return fixture;
+    }
+
+    async function deployAttackerFixture() {
+      const [owner] = await ethers.getSigners();
+      const TaskManager = await ethers.getContractFactory("TaskManager");
+      const taskManager = await TaskManager.deploy();
+      const Attacker = await ethers.getContractFactory("ReentrancyAttacker");
+      const attacker = await Attacker.deploy(await taskManager.getAddress());
+      return { taskManager, attacker, owner };
+    }
+
+    it("Should escrow ETH sent with createTask", async function () {
+      const { taskManager, owner } = await loadFixture(deployTaskManagerFixture);
+
+      const tx = taskManager.createTask("Paid Task", "Paid work", { value: BOUNTY });
+      await expect(tx).to.emit(taskManager, "BountyFunded").withArgs(1, owner.address, BOUNTY, BOUNTY);
+      await expect(tx).to.changeEtherBalances([owner, taskManager], [-BOUNTY, BOUNTY]);
+
+      expect((await taskManager.getBounty(1)).amount).to.equal(BOUNTY);
+    });
+
+    it("Should escrow ETH sent with the scheduled createTask overload", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Paid Task", "Paid work", 0, 2, { value: BOUNTY });
+
+      expect((await taskManager.getBounty(1)).amount).to.equal(BOUNTY);
+    });
+
+    it("Should not create a bounty without ETH", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      await expect(taskManager.createTask("Free Task", "Description"))
+        .to.not.emit(taskManager, "BountyFunded");
+      expect((await taskManager.getBounty(1)).amount).to.equal(0);
+    });
+
+    it("Should top up a bounty", async function () {
+      const { taskManager, owner } = await loadFixture(deployWithBountyFixture);
+
+      await expect(taskManager.fundTask(1, { value: BOUNTY }))
+        .to.emit(taskManager, "BountyFunded")
+        .withArgs(1, owner.address, BOUNTY, BOUNTY * 2n);
+    });
+
+    it("Should validate bounty top ups", async function () {
+      const { taskManager, stranger } = await loadFixture(deployWithBountyFixture);
+
+      await expect(
+        taskManager.connect(stranger).fundTask(1, { value: BOUNTY })
+      ).to.be.revertedWith("Not the task owner");
+      await expect(taskManager.fundTask(1)).to.be.revertedWith("No ETH sent");
+
+      await taskManager.updateTaskStatus(1, Status.Cancelled);
+      await expect(
+        taskManager.fundTask(1, { value: BOUNTY })
+      ).to.be.revertedWith("Task is closed");
+    });
+
+    it("Should let a worker claim a bounty task", async function () {
+      const { taskManager, worker } = await loadFixture(deployWithBountyFixture);
+
+      await expect(taskManager.connect(worker).claimTask(1))
+        .to.emit(taskManager, "TaskAssigned")
+        .withArgs(1, ethers.ZeroAddress, worker.address);
+
+      expect((await taskManager.getTask(1)).assignee).to.equal(worker.address);
+      expect(await taskManager.getAssignedTasks(worker.address)).to.deep.equal([1n]);
+    });
+
+    it("Should validate claims", async function () {
+      const { taskManager, owner, worker, stranger } = await loadFixture(deployWithBountyFixture);
+
+      await taskManager.createTask("Free Task", "Description");
+      await expect(
+        taskManager.connect(worker).claimTask(2)
+      ).to.be.revertedWith("Task has no bounty");
+      await expect(
+        taskManager.connect(owner).claimTask(1)
+      ).to.be.revertedWith("Owner cannot claim own task");
+
+      await taskManager.connect(worker).claimTask(1);
+      await expect(
+        taskManager.connect(stranger).claimTask(1)
+      ).to.be.revertedWith("Task already assigned");
+    });
+
+    it("Should pay the assignee when the owner completes the task", async function () {
+      const { taskManager, worker } = await loadFixture(deployWithClaimedBountyFixture);
+
+      const tx = taskManager.updateTaskStatus(1, Status.Completed);
+      await expect(tx).to.emit(taskManager, "BountyPaid").withArgs(1, worker.address, BOUNTY);
+      await expect(tx).to.changeEtherBalances([worker, taskManager], [BOUNTY, -BOUNTY]);
+
+      expect((await taskManager.getBounty(1)).amount).to.equal(0);
+    });
+
+    it("Should hold the bounty until the owner approves the assignee's completion", async function () {
+      const { taskManager, worker } = await loadFixture(deployWithClaimedBountyFixture);
+
+      await expect(taskManager.connect(worker).updateTaskStatus(1, Status.Completed))
+        .to.not.emit(taskManager, "BountyPaid");
+      const bounty = await taskManager.getBounty(1);
+      expect(bounty.amount).to.equal(BOUNTY);
+      expect(bounty.completedAt).to.equal(await time.latest());
+
+      const tx = taskManager.approveCompletion(1);
+      await expect(tx).to.emit(taskManager, "BountyPaid").withArgs(1, worker.address, BOUNTY);
+      await expect(tx).to.changeEtherBalances([worker, taskManager], [BOUNTY, -BOUNTY]);
+
+      await expect(taskManager.approveCompletion(1)).to.be.revertedWith("No completion awaiting approval");
+    });
+
+    it("Should validate approvals", async function () {
+      const { taskManager, worker } = await loadFixture(deployWithClaimedBountyFixture);
+
+      await expect(taskManager.approveCompletion(1)).to.be.revertedWith("No completion awaiting approval");
+
+      await taskManager.connect(worker).updateTaskStatus(1, Status.Completed);
+      await expect(
+        taskManager.connect(worker).approveCompletion(1)
+      ).to.be.revertedWith("Not the task owner");
+    });
+
+    it("Should let the assignee claim the bounty after the approval timeout", async function () {
+      const { taskManager, worker, stranger } = await loadFixture(deployWithClaimedBountyFixture);
+      const timeout = await taskManager.BOUNTY_APPROVAL_TIMEOUT();
+
+      await taskManager.connect(worker).updateTaskStatus(1, Status.Completed);
+      const completedAt = await time.latest();
+
+      await expect(
+        taskManager.connect(worker).claimBounty(1)
+      ).to.be.revertedWith("Approval window still open");
+      await expect(
+        taskManager.connect(stranger).claimBounty(1)
+      ).to.be.revertedWith("Not the task assignee");
+
+      await time.setNextBlockTimestamp(completedAt + Number(timeout) - 1);
+      await expect(
+        taskManager.connect(worker).claimBounty(1)
+      ).to.be.revertedWith("Approval window still open");
+
+      await time.setNextBlockTimestamp(completedAt + Number(timeout));
+      const tx = taskManager.connect(worker).claimBounty(1);
+      await expect(tx).to.emit(taskManager, "BountyPaid").withArgs(1, worker.address, BOUNTY);
+      await expect(tx).to.changeEtherBalances([worker, taskManager], [BOUNTY, -BOUNTY]);
+    });
+
+    it("Should not let the assignee claim without completing", async function () {
+      const { taskManager, worker } = await loadFixture(deployWithClaimedBountyFixture);
+
+      await expect(
+        taskManager.connect(worker).claimBounty(1)
+      ).to.be.revertedWith("No completion awaiting approval");
+    });
+
+    it("Should not complete a bounty task without an assignee", async function () {
+      const { taskManager } = await loadFixture(deployWithBountyFixture);
+
+      await expect(
+        taskManager.updateTaskStatus(1, Status.Completed)
+      ).to.be.revertedWith("Bounty task has no assignee");
+    });
+
+    it("Should refund the owner when the owner cancels", async function () {
+      const { taskManager, owner } = await loadFixture(deployWithClaimedBountyFixture);
+
+      const tx = taskManager.updateTaskStatus(1, Status.Cancelled);
+      await expect(tx).to.emit(taskManager, "BountyRefunded").withArgs(1, owner.address, BOUNTY);
+      await expect(tx).to.changeEtherBalances([owner, taskManager], [BOUNTY, -BOUNTY]);
+    });
+
+    it("Should refund the owner when the assignee cancels", async function () {
+      const { taskManager, owner, worker } = await loadFixture(deployWithClaimedBountyFixture);
+
+      const tx = taskManager.connect(worker).updateTaskStatus(1, Status.Cancelled);
+      await expect(tx).to.emit(taskManager, "BountyRefunded").withArgs(1, owner.address, BOUNTY);
+      await expect(tx).to.changeEtherBalances([owner, worker, taskManager], [BOUNTY, 0, -BOUNTY]);
+    });
+
+    it("Should refund the owner when the task is deleted", async function () {
+      const { taskManager, owner } = await loadFixture(deployWithClaimedBountyFixture);
+
+      const tx = taskManager.deleteTask(1);
+      await expect(tx).to.emit(taskManager, "BountyRefunded").withArgs(1, owner.address, BOUNTY);
+      await expect(tx).to.changeEtherBalances([owner, taskManager], [BOUNTY, -BOUNTY]);
+    });
+
+    it("Should not let the owner delete or reassign a completed task awaiting payout", async function () {
+      const { taskManager, worker, stranger } = await loadFixture(deployWithClaimedBountyFixture);
+
+      await taskManager.connect(worker).updateTaskStatus(1, Status.Completed);
+
+      await expect(taskManager.deleteTask(1)).to.be.revertedWith("Bounty awaiting payout");
+      await expect(
+        taskManager.assignTask(1, stranger.address)
+      ).to.be.revertedWith("Bounty awaiting payout");
+    });
+
+    it("Should pay a contract assignee that accepts ETH", async function () {
+      const { taskManager, attacker } = await loadFixture(deployAttackerFixture);
+
+      await taskManager.createTask("Paid Task", "Paid work", { value: BOUNTY });
+      await attacker.execute(taskManager.interface.encodeFunctionData("claimTask", [1]));
+
+      await expect(taskManager.updateTaskStatus(1, Status.Completed))
+        .to.changeEtherBalances([attacker, taskManager], [BOUNTY, -BOUNTY]);
+    });
+
+    it("Should block reentrancy from the assignee during payout", async function () {
+      const { taskManager, attacker } = await loadFixture(deployAttackerFixture);
+
+      await taskManager.createTask("Paid Task", "Paid work", { value: BOUNTY });
+      await attacker.execute(taskManager.interface.encodeFunctionData("claimTask", [1]));
+      await attacker.execute(taskManager.interface.encodeFunctionData("updateTaskStatus", [1, Status.Completed]));
+      await attacker.setReentryCall(taskManager.interface.encodeFunctionData("claimBounty", [1]));
+
+      await expect(taskManager.approveCompletion(1)).to.be.revertedWith("Transfer failed");
+      expect((await taskManager.getBounty(1)).amount).to.equal(BOUNTY);
+    });
+
+    it("Should block reentrancy from the owner during a refund", async function () {
+      const { taskManager, attacker } = await loadFixture(deployAttackerFixture);
+      const encode = (name, args) => taskManager.interface.encodeFunctionData(name, args);
+
+      await attacker.execute(encode("createTask(string,string)", ["Paid Task", "Paid work"]), { value: BOUNTY });
+      await attacker.setReentryCall(encode("deleteTask", [1]));
+
+      await expect(
+        attacker.execute(encode("updateTaskStatus", [1, Status.Cancelled]))
+      ).to.be.revertedWith("Transfer failed");
+      expect((await taskManager.getBounty(1)).amount).to.equal(BOUNTY);
+      expect(await ethers.provider.getBalance(await taskManager.getAddress())).to.equal(BOUNTY);
+    });
+  });
+
+  describe("Subtasks and Dependencies", function () {
+    const Status = { Pending: 0, InProgress: 1, Completed: 2, Cancelled: 3 };
+
+    it("Should create a subtask under a parent", async function () {
+      const { taskManager, owner } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Parent", "Description");
+
+      await expect(taskManager.createSubtask(1, "Child", "Description", 0, 0))
+        .to.emit(taskManager, "TaskCreated")
+        .withArgs(2, owner.address, "Child")
+        .and.to.emit(taskManager, "SubtaskCreated")
+        .withArgs(1, 2);
+
+      expect((await taskManager.getTask(2)).parentId).to.equal(1);
+      expect((await taskManager.getTask(1)).parentId).to.equal(0);
+      expect(await taskManager.getSubtasks(1)).to.deep.equal([2n]);
+    });
+
+    it("Should validate the parent of a subtask", async function () {
+      const { taskManager, addr1 } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Parent", "Description");
+
+      await expect(
+        taskManager.createSubtask(0, "Child", "Description", 0, 0)
+      ).to.be.revertedWith("Parent task does not exist");
+      await expect(
+        taskManager.createSubtask(99, "Child", "Description", 0, 0)
+      ).to.be.revertedWith("Parent task does not exist");
+      await expect(
+        taskManager.connect(addr1).createSubtask(1, "Child", "Description", 0, 0)
+      ).to.be.revertedWith("Not the parent task owner");
+
+      await taskManager.updateTaskStatus(1, Status.Cancelled);
+      await expect(
+        taskManager.createSubtask(1, "Child", "Description", 0, 0)
+      ).to.be.revertedWith("Parent task is closed");
+    });
+
+    it("Should not complete a parent while subtasks are open", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Parent", "Description");
+      await taskManager.createSubtask(1, "Child 1", "Description", 0, 0);
+      await taskManager.createSubtask(1, "Child 2", "Description", 0, 0);
+
+      await expect(
+        taskManager.updateTaskStatus(1, Status.Completed)
+      ).to.be.revertedWith("Task has open subtasks");
+
+      await taskManager.updateTaskStatus(2, Status.Completed);
+      await taskManager.updateTaskStatus(3, Status.Cancelled);
+
+      await expect(taskManager.updateTaskStatus(1, Status.Completed))
+        .to.emit(taskManager, "TaskStatusChanged")
+        .withArgs(1, Status.Completed);
+    });
+
+    it("Should still allow cancelling a parent with open subtasks", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Parent", "Description");
+      await taskManager.createSubtask(1, "Child", "Description", 0, 0);
+
+      await expect(taskManager.updateTaskStatus(1, Status.Cancelled)).to.not.be.reverted;
+    });
+
+    it("Should add and remove dependencies", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Blocker", "Description");
+      await taskManager.createTask("Blocked", "Description");
+
+      await expect(taskManager.addDependency(2, 1))
+        .to.emit(taskManager, "DependencyAdded")
+        .withArgs(2, 1);
+      expect(await taskManager.getDependencies(2)).to.deep.equal([1n]);
+      expect(await taskManager.getDependents(1)).to.deep.equal([2n]);
+
+      await expect(taskManager.removeDependency(2, 1))
+        .to.emit(taskManager, "DependencyRemoved")
+        .withArgs(2, 1);
+      expect(await taskManager.getDependencies(2)).to.deep.equal([]);
+      expect(await taskManager.getDependents(1)).to.deep.equal([]);
+    });
+
+    it("Should allow depending on another user's task", async function () {
+      const { taskManager, addr1 } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.connect(addr1).createTask("Their Task", "Description");
+      await taskManager.createTask("My Task", "Description");
+
+      await taskManager.addDependency(2, 1);
+      await expect(
+        taskManager.updateTaskStatus(2, Status.Completed)
+      ).to.be.revertedWith("Task has open dependencies");
+    });
+
+    it("Should validate dependencies", async function () {
+      const { taskManager, addr1 } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Task 1", "Description");
+      await taskManager.createTask("Task 2", "Description");
+
+      await expect(taskManager.addDependency(1, 1)).to.be.revertedWith("Task cannot depend on itself");
+      await expect(taskManager.addDependency(1, 99)).to.be.revertedWith("Task does not exist");
+      await expect(
+        taskManager.connect(addr1).addDependency(1, 2)
+      ).to.be.revertedWith("Not the task owner");
+      await expect(taskManager.removeDependency(1, 2)).to.be.revertedWith("Dependency does not exist");
+
+      await taskManager.addDependency(1, 2);
+      await expect(taskManager.addDependency(1, 2)).to.be.revertedWith("Dependency already exists");
+    });
+
+    it("Should prevent dependency cycles", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      for (let i = 1; i <= 4; i++) {
+        await taskManager.createTask(`Task ${i}`, "Description");
+      }
+      // 1 -> 2 -> 3 -> 4
+      await taskManager.addDependency(1, 2);
+      await taskManager.addDependency(2, 3);
+      await taskManager.addDependency(3, 4);
+
+      await expect(taskManager.addDependency(2, 1)).to.be.revertedWith("Dependency cycle detected");
+      await expect(taskManager.addDependency(4, 1)).to.be.revertedWith("Dependency cycle detected");
+
+      // Shortcuts along the same direction are not cycles
+      await expect(taskManager.addDependency(1, 4)).to.not.be.reverted;
+    });
+
+    it("Should stop checking for cycles after MAX_DEPENDENCY_SCAN links", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+      const limit = Number(await taskManager.MAX_DEPENDENCY_SCAN());
+      const count = limit + 2;
+      await taskManager.createTasks(Array(count).fill("Step"), Array(count).fill("Description"));
+
+      // Each task depends on the one before it; the last check follows limit - 1 links
+      for (let id = 2; id < count; id++) {
+        await taskManager.addDependency(id, id - 1);
+      }
+      await expect(taskManager.addDependency(1, 3)).to.be.revertedWith("Dependency cycle detected");
+      await expect(taskManager.addDependency(count, count - 1)).to.be.revertedWith("Dependency graph too large");
+    });
+
+    it("Should not complete a task while dependencies are open", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Blocker 1", "Description");
+      await taskManager.createTask("Blocker 2", "Description");
+      await taskManager.createTask("Blocked", "Description");
+      await taskManager.addDependency(3, 1);
+      await taskManager.addDependency(3, 2);
+
+      await expect(
+        taskManager.updateTaskStatus(3, Status.Completed)
+      ).to.be.revertedWith("Task has open dependencies");
+
+      await taskManager.updateTaskStatus(1, Status.Completed);
+      await expect(
+        taskManager.updateTaskStatus(3, Status.Completed)
+      ).to.be.revertedWith("Task has open dependencies");
+
+      await taskManager.updateTaskStatus(2, Status.Cancelled);
+      await expect(taskManager.updateTaskStatus(3, Status.Completed)).to.not.be.reverted;
+    });
+
+    it("Should still allow starting a blocked task", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Blocker", "Description");
+      await taskManager.createTask("Blocked", "Description");
+      await taskManager.addDependency(2, 1);
+
+      await expect(taskManager.updateTaskStatus(2, Status.InProgress)).to.not.be.reverted;
+    });
+
+    it("Should not delete a task that has subtasks", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Parent", "Description");
+      await taskManager.createSubtask(1, "Child", "Description", 0, 0);
+
+      await expect(taskManager.deleteTask(1)).to.be.revertedWith("Task has subtasks");
+
+      await taskManager.deleteTask(2);
+      expect(await taskManager.getSubtasks(1)).to.deep.equal([]);
+      await expect(taskManager.deleteTask(1)).to.not.be.reverted;
+    });
+
+    it("Should unblock dependents when a blocker is deleted", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Blocker", "Description");
+      await taskManager.createTask("Middle", "Description");
+      await taskManager.createTask("Blocked", "Description");
+      await taskManager.addDependency(2, 1);
+      await taskManager.addDependency(3, 2);
+
+      await taskManager.deleteTask(2);
+
+      expect(await taskManager.getDependencies(3)).to.deep.equal([]);
+      expect(await taskManager.getDependents(1)).to.deep.equal([]);
+      await expect(taskManager.updateTaskStatus(3, Status.Completed)).to.not.be.reverted;
+    });
+  });
+
+  describe("Recurring Tasks", function () {
+    const Status = { Pending: 0, InProgress: 1, Completed: 2, Cancelled: 3 };
+    const Priority = { Low: 0, Medium: 1, High: 2, Critical: 3 };
+    const DAY = 24 * 60 * 60;
+    const WEEK = 7 * DAY;
+
+    // Fixture with a weekly series whose first instance is due in a day
+    async function deploySeriesFixture() {
+      const fixture = await deployTaskManagerFixture();
+      const dueDate = (await time.latest()) + DAY;
+      await fixture.taskManager.createRecurringTask("Weekly report", "Numbers for the week", dueDate, Priority.High, WEEK);
+      return { ...fixture, dueDate };
+    }
+
+    it("Should create a series identified by its first task", async function () {
+      const { taskManager, owner } = await loadFixture(deployTaskManagerFixture);
+      const dueDate = (await time.latest()) + DAY;
+
+      await expect(taskManager.createRecurringTask("Rotate keys", "Description", dueDate, Priority.Critical, 30 * DAY))
+        .to.emit(taskManager, "TaskCreated")
+        .withArgs(1, owner.address, "Rotate keys")
+        .and.to.emit(taskManager, "TaskScheduleUpdated")
+        .withArgs(1, dueDate, Priority.Critical)
+        .and.to.emit(taskManager, "SeriesCreated")
+        .withArgs(1, owner.address, 30 * DAY);
+
+      const series = await taskManager.getSeries(1);
+      expect(series.owner).to.equal(owner.address);
+      expect(series.interval).to.equal(30 * DAY);
+      expect(series.latestTaskId).to.equal(1);
+      expect(series.active).to.equal(true);
+      expect(await taskManager.getSeriesTasks(1)).to.deep.equal([1n]);
+      expect(await taskManager.taskSeries(1)).to.equal(1);
+    });
+
+    it("Should require a due date and an interval", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+      const dueDate = (await time.latest()) + DAY;
+
+      await expect(
+        taskManager.createRecurringTask("Audit", "Description", 0, Priority.Low, WEEK)
+      ).to.be.revertedWith("Recurring tasks need a due date");
+      await expect(
+        taskManager.createRecurringTask("Audit", "Description", dueDate, Priority.Low, 0)
+      ).to.be.revertedWith("Invalid interval");
+      await expect(taskManager.getSeries(1)).to.be.revertedWith("Series does not exist");
+      expect(await taskManager.taskSeries(1)).to.equal(0);
+    });
+
+    it("Should create the next instance when the current one is completed", async function () {
+      const { taskManager, owner, dueDate } = await loadFixture(deploySeriesFixture);
+
+      await expect(taskManager.updateTaskStatus(1, Status.Completed))
+        .to.emit(taskManager, "TaskCreated")
+        .withArgs(2, owner.address, "Weekly report")
+        .and.to.emit(taskManager, "TaskRecurred")
+        .withArgs(1, 1, 2);
+
+      const next = await taskManager.getTask(2);
+      expect(next.status).to.equal(Status.Pending);
+      expect(next.description).to.equal("Numbers for the week");
+      expect(next.priority).to.equal(Priority.High);
+      expect(next.dueDate).to.equal(dueDate + WEEK);
+      expect(next.owner).to.equal(owner.address);
+
+      expect(await taskManager.taskSeries(2)).to.equal(1);
+      expect(await taskManager.getSeriesTasks(1)).to.deep.equal([1n, 2n]);
+      expect((await taskManager.getSeries(1)).latestTaskId).to.equal(2);
+      expect(await taskManager.getUserTasks(owner.address)).to.deep.equal([1n, 2n]);
+    });
+
+    it("Should keep recurring as instances are completed week after week", async function () {
+      const { taskManager, dueDate } = await loadFixture(deploySeriesFixture);
+
+      for (let week = 0; week < 3; week++) {
+        await time.increaseTo(dueDate + week * WEEK - 60);
+        await taskManager.updateTaskStatus(week + 1, Status.Completed);
+      }
+
+      expect(await taskManager.getSeriesTasks(1)).to.deep.equal([1n, 2n, 3n, 4n]);
+      expect((await taskManager.getTask(4)).dueDate).to.equal(dueDate + 3 * WEEK);
+      expect(await taskManager.isTaskOverdue(4)).to.equal(false);
+    });
+
+    it("Should skip intervals that passed while an instance was open", async function () {
+      const { taskManager, dueDate } = await loadFixture(deploySeriesFixture);
+
+      // Completed two and a half weeks late
+      await time.increaseTo(dueDate + 2 * WEEK + 3 * DAY);
+      expect(await taskManager.isTaskOverdue(1)).to.equal(true);
+      await taskManager.updateTaskStatus(1, Status.Completed);
+
+      const next = await taskManager.getTask(2);
+      expect(next.dueDate).to.equal(dueDate + 3 * WEEK);
+      expect(next.dueDate).to.be.greaterThan(await time.latest());
+    });
+
+    it("Should carry the assignee over and let the assignee complete instances", async function () {
+      const { taskManager, owner, addr1 } = await loadFixture(deploySeriesFixture);
+      await taskManager.assignTask(1, addr1.address);
+
+      await expect(taskManager.connect(addr1).updateTaskStatus(1, Status.Completed))
+        .to.emit(taskManager, "TaskAssigned")
+        .withArgs(2, ethers.ZeroAddress, addr1.address);
+
+      const next = await taskManager.getTask(2);
+      expect(next.owner).to.equal(owner.address);
+      expect(next.assignee).to.equal(addr1.address);
+      expect(await taskManager.getAssignedTasks(addr1.address)).to.deep.equal([1n, 2n]);
+      expect(await taskManager.getUserTasks(addr1.address)).to.deep.equal([]);
+    });
+
+    it("Should not create an instance when one is cancelled", async function () {
+      const { taskManager } = await loadFixture(deploySeriesFixture);
+
+      await expect(taskManager.updateTaskStatus(1, Status.Cancelled)).to.not.emit(taskManager, "TaskRecurred");
+
+      expect(await taskManager.getTotalTaskCount()).to.equal(1);
+      expect((await taskManager.getSeries(1)).latestTaskId).to.equal(1);
+    });
+
+    it("Should stop a series", async function () {
+      const { taskManager, addr1 } = await loadFixture(deploySeriesFixture);
+      await taskManager.updateTaskStatus(1, Status.Completed);
+
+      await expect(taskManager.connect(addr1).stopSeries(1)).to.be.revertedWith("Not the series owner");
+      await expect(taskManager.stopSeries(2)).to.be.revertedWith("Series does not exist");
+      await expect(taskManager.stopSeries(1)).to.emit(taskManager, "SeriesStopped").withArgs(1);
+      await expect(taskManager.stopSeries(1)).to.be.revertedWith("Series already stopped");
+
+      // The open instance is kept, but completing it ends the series
+      await expect(taskManager.updateTaskStatus(2, Status.Completed)).to.not.emit(taskManager, "TaskRecurred");
+      expect(await taskManager.getTotalTaskCount()).to.equal(2);
+      expect((await taskManager.getSeries(1)).active).to.equal(false);
+      expect(await taskManager.getSeriesTasks(1)).to.deep.equal([1n, 2n]);
+    });
+
+    it("Should drop deleted instances from their series", async function () {
+      const { taskManager } = await loadFixture(deploySeriesFixture);
+      await taskManager.updateTaskStatus(1, Status.Completed);
+
+      await taskManager.deleteTask(1);
+
+      expect(await taskManager.getSeriesTasks(1)).to.deep.equal([2n]);
+      expect(await taskManager.taskSeries(1)).to.equal(0);
+      expect(await taskManager.taskSeries(2)).to.equal(1);
+      expect((await taskManager.getSeries(1)).latestTaskId).to.equal(2);
+    });
+
+    it("Should stop the series when its latest instance is deleted", async function () {
+      const { taskManager } = await loadFixture(deploySeriesFixture);
+      await taskManager.updateTaskStatus(1, Status.Completed);
+
+      await expect(taskManager.deleteTask(2)).to.emit(taskManager, "SeriesStopped").withArgs(1);
+
+      const series = await taskManager.getSeries(1);
+      expect(series.active).to.equal(false);
+      expect(await taskManager.getSeriesTasks(1)).to.deep.equal([1n]);
+      await expect(taskManager.stopSeries(1)).to.be.revertedWith("Series already stopped");
+
+      // A stopped series is left alone
+      await taskManager.createRecurringTask("Standup", "Description", (await time.latest()) + DAY, Priority.Low, DAY);
+      await taskManager.stopSeries(3);
+      await expect(taskManager.deleteTask(3)).to.not.emit(taskManager, "SeriesStopped");
+    });
+  });
+
+  describe("Admin, Pause and Moderation", function () {
+    const Status = { Pending: 0, InProgress: 1, Completed: 2, Cancelled: 3 };
+
+    // Fixture with one task per user and the contract paused by the admin
+    async function deployPausedFixture() {
+      const fixture = await deployTaskManagerFixture();
+      const { taskManager, addr1 } = fixture;
+      await taskManager.createTask("Owner's task", "Description");
+      await taskManager.connect(addr1).createTask("Their task", "Description");
+      await taskManager.pause();
+      return fixture;
+    }
+
+    it("Should make the deployer the admin", async function () {
+      const { taskManager, owner } = await loadFixture(deployTaskManagerFixture);
+
+      expect(await taskManager.admin()).to.equal(owner.address);
+      expect(await taskManager.pendingAdmin()).to.equal(ethers.ZeroAddress);
+      expect(await taskManager.paused()).to.equal(false);
+    });
+
+    it("Should transfer the admin role in two steps", async function () {
+      const { taskManager, owner, addr1 } = await loadFixture(deployTaskManagerFixture);
+
+      await expect(taskManager.transferAdmin(addr1.address))
+        .to.emit(taskManager, "AdminTransferStarted")
+        .withArgs(owner.address, addr1.address);
+      expect(await taskManager.admin()).to.equal(owner.address);
+      expect(await taskManager.pendingAdmin()).to.equal(addr1.address);
+
+      await expect(taskManager.connect(addr1).acceptAdmin())
+        .to.emit(taskManager, "AdminTransferred")
+        .withArgs(owner.address, addr1.address);
+      expect(await taskManager.admin()).to.equal(addr1.address);
+      expect(await taskManager.pendingAdmin()).to.equal(ethers.ZeroAddress);
+
+      await expect(taskManager.pause()).to.be.revertedWith("Not the admin");
+      await expect(taskManager.connect(addr1).pause()).to.emit(taskManager, "Paused").withArgs(addr1.address);
+    });
+
+    it("Should only let the pending admin accept", async function () {
+      const { taskManager, owner, addr1, addr2 } = await loadFixture(deployTaskManagerFixture);
+
+      await expect(taskManager.connect(addr1).transferAdmin(addr1.address)).to.be.revertedWith("Not the admin");
+      await expect(taskManager.transferAdmin(ethers.ZeroAddress)).to.be.revertedWith("Invalid admin");
+      await expect(taskManager.acceptAdmin()).to.be.revertedWith("Not the pending admin");
+
+      // A second transfer replaces the first
+      await taskManager.transferAdmin(addr1.address);
+      await taskManager.transferAdmin(addr2.address);
+      await expect(taskManager.connect(addr1).acceptAdmin()).to.be.revertedWith("Not the pending admin");
+
+      await taskManager.connect(addr2).acceptAdmin();
+      expect(await taskManager.admin()).to.equal(addr2.address);
+      await expect(taskManager.connect(addr2).acceptAdmin()).to.be.revertedWith("Not the pending admin");
+      expect(await taskManager.admin()).to.not.equal(owner.address);
+    });
+
+    it("Should pause and unpause", async function () {
+      const { taskManager, owner, addr1 } = await loadFixture(deployTaskManagerFixture);
+
+      await expect(taskManager.connect(addr1).pause()).to.be.revertedWith("Not the admin");
+      await expect(taskManager.unpause()).to.be.revertedWith("Contract is not paused");
+
+      await expect(taskManager.pause()).to.emit(taskManager, "Paused").withArgs(owner.address);
+      expect(await taskManager.paused()).to.equal(true);
+      await expect(taskManager.pause()).to.be.revertedWith("Contract is paused");
+      await expect(taskManager.connect(addr1).unpause()).to.be.revertedWith("Not the admin");
+
+      await expect(taskManager.unpause()).to.emit(taskManager, "Unpaused").withArgs(owner.address);
+      expect(await taskManager.paused()).to.equal(false);
+      await expect(taskManager.createTask("Task", "Description")).to.emit(taskManager, "TaskCreated");
+    });
+
+    it("Should reject task changes while paused", async function () {
+      const { taskManager, addr1 } = await loadFixture(deployPausedFixture);
+      const dueDate = (await time.latest()) + 86400;
+
+      await expect(taskManager.createTask("Task", "Description")).to.be.revertedWith("Contract is paused");
+      await expect(
+        taskManager["createTask(string,string,uint256,uint8)"]("Task", "Description", dueDate, 1)
+      ).to.be.revertedWith("Contract is paused");
+      await expect(taskManager.createTasks(["Task"], [""])).to.be.revertedWith("Contract is paused");
+      await expect(taskManager.createSubtask(1, "Subtask", "", 0, 0)).to.be.revertedWith("Contract is paused");
+      await expect(taskManager.createRecurringTask("Task", "", dueDate, 0, 86400)).to.be.revertedWith(
+        "Contract is paused"
+      );
+      await expect(taskManager.updateTask(1, "New title", "New description")).to.be.revertedWith("Contract is paused");
+      await expect(taskManager.updateTaskStatus(1, Status.InProgress)).to.be.revertedWith("Contract is paused");
+      await expect(taskManager.updateTaskStatuses([1], Status.InProgress)).to.be.revertedWith("Contract is paused");
+      await expect(taskManager.deleteTask(1)).to.be.revertedWith("Contract is paused");
+      await expect(taskManager.assignTask(1, addr1.address)).to.be.revertedWith("Contract is paused");
+      await expect(taskManager.addCollaborator(1, addr1.address)).to.be.revertedWith("Contract is paused");
+      await expect(taskManager.addDependency(1, 2)).to.be.revertedWith("Contract is paused");
+      await expect(taskManager.fundTask(1, { value: 1 })).to.be.revertedWith("Contract is paused");
+      await expect(taskManager.connect(addr1).claimTask(1)).to.be.revertedWith("Contract is paused");
+    });
+
+    it("Should pause calls made through multicall", async function () {
+      const { taskManager } = await loadFixture(deployPausedFixture);
+      const call = taskManager.interface.encodeFunctionData("updateTaskStatus", [1, Status.Completed]);
+
+      await expect(taskManager.multicall([call])).to.be.revertedWith("Contract is paused");
+    });
+
+    it("Should keep views working while paused", async function () {
+      const { taskManager, owner, addr1 } = await loadFixture(deployPausedFixture);
+
+      expect((await taskManager.getTask(1)).title).to.equal("Owner's task");
+      expect(await taskManager.getTotalTaskCount()).to.equal(2);
+      expect(await taskManager.getUserTasks(addr1.address)).to.deep.equal([2n]);
+      const pending = await taskManager.getUserTasksByStatus(owner.address, Status.Pending, 0, 10);
+      expect(pending.map((task) => task.id)).to.deep.equal([1n]);
+      expect(await taskManager.getTaskHistory(1)).to.have.lengthOf(1);
+      expect((await taskManager.getTasksPaginated(0, 10)).map((task) => task.id)).to.deep.equal([1n, 2n]);
+
+      await taskManager.unpause();
+      await taskManager.updateTaskStatus(1, Status.InProgress);
+      expect((await taskManager.getTask(1)).status).to.equal(Status.InProgress);
+    });
+
+    it("Should hide a task's title behind a placeholder", async function () {
+      const { taskManager, addr1 } = await loadFixture(deployTaskManagerFixture);
+      await taskManager.connect(addr1).createTask("Abusive title", "Description");
+
+      await expect(taskManager.hideTitle(1))
+        .to.emit(taskManager, "TitleHidden")
+        .withArgs(1)
+        .and.to.emit(taskManager, "TaskUpdated")
+        .withArgs(1, "[hidden]", Status.Pending);
+
+      expect(await taskManager.isTitleHidden(1)).to.equal(true);
+      expect((await taskManager.getTask(1)).title).to.equal("[hidden]");
+      expect((await taskManager.tasks(1)).title).to.equal("[hidden]");
+      expect((await taskManager.getTask(1)).description).to.equal("Description");
+    });
+
+    it("Should stop the owner from changing a hidden title", async function () {
+      const { taskManager, addr1 } = await loadFixture(deployTaskManagerFixture);
+      await taskManager.connect(addr1).createTask("Abusive title", "Description");
+      await taskManager.hideTitle(1);
+
+      await expect(taskManager.connect(addr1).updateTask(1, "Still abusive", "Description")).to.be.revertedWith(
+        "Title is hidden"
+      );
+
+      // Everything else about the task stays with the owner
+      await taskManager.connect(addr1).updateTaskDescription(1, "New description");
+      await taskManager.connect(addr1).updateTaskStatus(1, Status.InProgress);
+      expect((await taskManager.getTask(1)).status).to.equal(Status.InProgress);
+    });
+
+    it("Should restore a hidden title", async function () {
+      const { taskManager, addr1 } = await loadFixture(deployTaskManagerFixture);
+      await taskManager.connect(addr1).createTask("Misflagged title", "Description");
+      await taskManager.hideTitle(1);
+
+      await expect(taskManager.restoreTitle(1))
+        .to.emit(taskManager, "TitleRestored")
+        .withArgs(1)
+        .and.to.emit(taskManager, "TaskUpdated")
+        .withArgs(1, "Misflagged title", Status.Pending);
+
+      expect(await taskManager.isTitleHidden(1)).to.equal(false);
+      expect((await taskManager.getTask(1)).title).to.equal("Misflagged title");
+      await taskManager.connect(addr1).updateTask(1, "Renamed", "Description");
+      expect((await taskManager.getTask(1)).title).to.equal("Renamed");
+    });
+
+    it("Should reject invalid moderation", async function () {
+      const { taskManager, addr1 } = await loadFixture(deployTaskManagerFixture);
+      await taskManager.connect(addr1).createTask("Title", "Description");
+
+      await expect(taskManager.connect(addr1).hideTitle(1)).to.be.revertedWith("Not the admin");
+      await expect(taskManager.hideTitle(2)).to.be.revertedWith("Task does not exist");
+      await expect(taskManager.restoreTitle(1)).to.be.revertedWith("Title is not hidden");
+
+      await taskManager.hideTitle(1);
+      await expect(taskManager.hideTitle(1)).to.be.revertedWith("Title already hidden");
+      await expect(taskManager.connect(addr1).restoreTitle(1)).to.be.revertedWith("Not the admin");
+    });
+
+    it("Should let allowed creators create tasks for other users", async function () {
+      const { taskManager, owner, addr1, addr2 } = await loadFixture(deployTaskManagerFixture);
+
+      await expect(
+        taskManager.connect(addr1).createTaskFor(addr2.address, "Task", "Description", 0, 0)
+      ).to.be.revertedWith("Not a task creator");
+      await expect(taskManager.connect(addr1).setTaskCreator(addr1.address, true)).to.be.revertedWith(
+        "Not the admin"
+      );
+      await expect(taskManager.setTaskCreator(ethers.ZeroAddress, true)).to.be.revertedWith("Invalid creator");
+
+      await expect(taskManager.setTaskCreator(addr1.address, true))
+        .to.emit(taskManager, "TaskCreatorSet")
+        .withArgs(addr1.address, true);
+      await expect(taskManager.connect(addr1).createTaskFor(addr2.address, "Task", "Description", 0, 1))
+        .to.emit(taskManager, "TaskCreated")
+        .withArgs(1, addr2.address, "Task");
+      expect((await taskManager.getTask(1)).owner).to.equal(addr2.address);
+      expect(await taskManager.getUserTasks(addr2.address)).to.deep.equal([1n]);
+      await expect(
+        taskManager.connect(addr1).createTaskFor(ethers.ZeroAddress, "Task", "Description", 0, 0)
+      ).to.be.revertedWith("Invalid owner");
+
+      await taskManager.setTaskCreator(addr1.address, false);
+      expect(await taskManager.taskCreators(addr1.address)).to.equal(false);
+      await expect(
+        taskManager.connect(addr1).createTaskFor(owner.address, "Task", "Description", 0, 0)
+      ).to.be.revertedWith("Not a task creator");
+    });
+
+    it("Should let the admin moderate while paused", async function () {
+      const { taskManager } = await loadFixture(deployPausedFixture);
+
+      await taskManager.hideTitle(2);
+      await taskManager.restoreTitle(2);
+
+      expect((await taskManager.getTask(2)).title).to.equal("Their task");
+    });
+
+    it("Should forget a hidden title when the task is deleted", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+      await taskManager.createTask("Abusive title", "Description");
+      await taskManager.hideTitle(1);
+
+      await taskManager.deleteTask(1);
+
+      expect(await taskManager.isTitleHidden(1)).to.equal(false);
+    });
+
+    it("Should keep a hidden title hidden on the next instance of a series", async function () {
+      const { taskManager, addr1 } = await loadFixture(deployTaskManagerFixture);
+      const dueDate = (await time.latest()) + 86400;
+      await taskManager.connect(addr1).createRecurringTask("Abusive title", "Description", dueDate, 0, 7 * 86400);
+      await taskManager.hideTitle(1);
+
+      await expect(taskManager.connect(addr1).updateTaskStatus(1, Status.Completed))
+        .to.emit(taskManager, "TaskCreated")
+        .withArgs(2, addr1.address, "[hidden]")
+        .and.to.emit(taskManager, "TitleHidden")
+        .withArgs(2);
+
+      expect(await taskManager.isTitleHidden(2)).to.equal(true);
+      expect((await taskManager.getTask(2)).title).to.equal("[hidden]");
+      await expect(
+        taskManager.connect(addr1).updateTask(2, "Renamed", "Description")
+      ).to.be.revertedWith("Title is hidden");
+
+      await taskManager.restoreTitle(2);
+      expect((await taskManager.getTask(2)).title).to.equal("Abusive title");
+    });
+  });
+
+  describe("Batch Operations", function () {
+    const Status = { Pending: 0, InProgress: 1, Completed: 2, Cancelled: 3 };
+    const SPRINT_SIZE = 10;
+
+    const sprint = () => ({
+      titles: Array.from({ length: SPRINT_SIZE }, (_, i) => `Sprint Task ${i + 1}`),
+      descriptions: Array.from({ length: SPRINT_SIZE }, (_, i) => `Sprint description ${i + 1}`),
+    });
+
+    async function gasUsed(txPromise) {
+      const receipt = await (await txPromise).wait();
+      return receipt.gasUsed;
+    }
+
+    it("Should create several tasks at once", async function () {
+      const { taskManager, owner } = await loadFixture(deployTaskManagerFixture);
+
+      const tx = taskManager.createTasks(["Task A", "Task B", "Task C"], ["A", "B", "C"]);
+      await expect(tx).to.emit(taskManager, "TaskCreated").withArgs(1, owner.address, "Task A");
+      await expect(tx).to.emit(taskManager, "TaskCreated").withArgs(2, owner.address, "Task B");
+      await expect(tx).to.emit(taskManager, "TaskCreated").withArgs(3, owner.address, "Task C");
+
+      expect(await taskManager.getUserTasks(owner.address)).to.deep.equal([1n, 2n, 3n]);
+      expect((await taskManager.getTask(2)).description).to.equal("B");
+    });
+
+    it("Should return the new task IDs", async function () {
+      const { taskManager, addr1 } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.connect(addr1).createTask("Existing", "Description");
+      const ids = await taskManager.createTasks.staticCall(["Task A", "Task B"], ["A", "B"]);
+      expect(ids).to.deep.equal([2n, 3n]);
+    });
+
+    it("Should validate batch inputs", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      await expect(taskManager.createTasks([], [])).to.be.revertedWith("No tasks provided");
+      await expect(taskManager.createTasks(["Task A", "Task B"], ["A"])).to.be.revertedWith(
+        "Array length mismatch"
+      );
+      await expect(taskManager.createTasks(["Task A", ""], ["A", "B"])).to.be.revertedWith(
+        "Title cannot be empty"
+      );
+      expect(await taskManager.getTotalTaskCount()).to.equal(0);
+    });
+
+    it("Should update the status of several tasks at once", async function () {
+      const { taskManager } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTasks(["Task A", "Task B", "Task C"], ["A", "B", "C"]);
+      const tx = taskManager.updateTaskStatuses([1, 3], Status.InProgress);
+      await expect(tx).to.emit(taskManager, "TaskStatusChanged").withArgs(1, Status.InProgress);
+      await expect(tx).to.emit(taskManager, "TaskStatusChanged").withArgs(3, Status.InProgress);
+
+      expect((await taskManager.getTask(1)).status).to.equal(Status.InProgress);
+      expect((await taskManager.getTask(2)).status).to.equal(Status.Pending);
+      expect((await taskManager.getTask(3)).status).to.equal(Status.InProgress);
+      expect(await taskManager.getTaskHistory(3)).to.have.length(2);
+    });
+
+    it("Should check every task in a batch status update", async function () {
+      const { taskManager, addr1 } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.createTask("Mine", "Description");
+      await taskManager.connect(addr1).createTask("Theirs", "Description");
+
+      await expect(taskManager.updateTaskStatuses([1, 2], Status.InProgress)).to.be.revertedWith(
+        "Not the task owner or assignee"
+      );
+      await expect(taskManager.updateTaskStatuses([1, 3], Status.InProgress)).to.be.revertedWith(
+        "Task does not exist"
+      );
+      await expect(taskManager.updateTaskStatuses([1, 1], Status.InProgress)).to.be.revertedWith(
+        "Invalid status transition"
+      );
+      await expect(taskManager.updateTaskStatuses([], Status.InProgress)).to.be.revertedWith(
+        "No tasks provided"
+      );
+      expect((await taskManager.getTask(1)).status).to.equal(Status.Pending);
+    });
+
+    it("Should run several calls atomically through multicall", async function () {
+      const { taskManager, owner, addr1 } = await loadFixture(deployTaskManagerFixture);
+
+      const calls = [
+        taskManager.interface.encodeFunctionData("createTask(string,string)", ["Task A", "A"]),
+        taskManager.interface.encodeFunctionData("assignTask", [1, addr1.address]),
+        taskManager.interface.encodeFunctionData("updateTaskStatus", [1, Status.InProgress]),
+      ];
+      const tx = taskManager.multicall(calls);
+      await expect(tx).to.emit(taskManager, "TaskCreated").withArgs(1, owner.address, "Task A");
+      await expect(tx).to.emit(taskManager, "TaskAssigned").withArgs(1, ethers.ZeroAddress, addr1.address);
+      await expect(tx).to.emit(taskManager, "TaskStatusChanged").withArgs(1, Status.InProgress);
+
+      const task = await taskManager.getTask(1);
+      expect(task.owner).to.equal(owner.address);
+      expect(task.assignee).to.equal(addr1.address);
+      expect(task.status).to.equal(Status.InProgress);
+    });
+
+    it("Should revert the whole multicall when one call fails", async function () {
+      const { taskManager, addr1 } = await loadFixture(deployTaskManagerFixture);
+
+      await taskManager.connect(addr1).createTask("Theirs", "Description");
+      const calls = [
+        taskManager.interface.encodeFunctionData("createTask(string,string)", ["Task A", "A"]),
+        taskManager.interface.encodeFunctionData("deleteTask", [1]),
+      ];
+
+      await expect(taskManager.multicall(calls)).to.be.revertedWith("Not the task owner");
+      expect(await taskManager.getTotalTaskCount()).to.equal(1);
+    });
+
+    it("Should use less gas to create a sprint in one batch", async function () {
+      const { titles, descriptions } = sprint();
+
+      let separate = 0n;
+      const { taskManager: single } = await loadFixture(deployTaskManagerFixture);
+      for (let i = 0; i < SPRINT_SIZE; i++) {
+        separate += await gasUsed(single.createTask(titles[i], descriptions[i]));
+      }
+
+      const { taskManager: batched } = await loadFixture(deployTaskManagerFixture);
+      const batch = await gasUsed(batched.createTasks(titles, descriptions));
+
+      expect(await batched.getTotalTaskCount()).to.equal(SPRINT_SIZE);
+      // Each separate transaction pays the 21000 base cost again
+      expect(batch).to.be.lessThan(separate - BigInt(SPRINT_SIZE - 1) * 21000n);
+    });
+
+    it("Should use less gas to update statuses in one batch or multicall", async function () {
+      const { titles, descriptions } = sprint();
+      const ids = titles.map((_, i) => i + 1);
+
+      let separate = 0n;
+      const { taskManager: single } = await loadFixture(deployTaskManagerFixture);
+      await single.createTasks(titles, descriptions);
+      for (const id of ids) {
+        separate += await gasUsed(single.updateTaskStatus(id, Status.InProgress));
+      }
+
+      const { taskManager: batched } = await loadFixture(deployTaskManagerFixture);
+      await batched.createTasks(titles, descriptions);
+      const batch = await gasUsed(batched.updateTaskStatuses(ids, Status.InProgress));
+
+      const { taskManager: multi } = await loadFixture(deployTaskManagerFixture);
+      await multi.createTasks(titles, descriptions);
+      const calls = ids.map((id) =>
+        multi.interface.encodeFunctionData("updateTaskStatus", [id, Status.InProgress])
+      );
+      const multicall = await gasUsed(multi.multicall(calls));
+
+      expect(batch).to.be.lessThan(separate);
+      expect(multicall).to.be.lessThan(separate);
+    });
+  });
+
   describe("Complex Scenarios", function () {
     it("Should handle complete task lifecycle", async function () {
       const { taskManager } = await loadFixture(deployTaskManagerFixture);
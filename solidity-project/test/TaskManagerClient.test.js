@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { TaskManagerClient, toStatusValue } = require("../sdk/TaskManagerClient");
+
+describe("TaskManagerClient", function () {
+  // Fixture to deploy TaskManager and connect a client to it by address
+  async function deployClientFixture() {
+    const [owner, addr1] = await ethers.getSigners();
+    const TaskManager = await ethers.getContractFactory("TaskManager");
+    const taskManager = await TaskManager.deploy();
+    const client = TaskManagerClient.connect(await taskManager.getAddress(), owner);
+    return { taskManager, client, owner, addr1 };
+  }
+
+  // Subscribe and expose the first event passed to the callback as a promise
+  async function subscribeOnce(subscribe) {
+    let resolve;
+    const received = new Promise((r) => {
+      resolve = r;
+    });
+    const unsubscribe = await subscribe(resolve);
+    return { received, unsubscribe };
+  }
+
+  describe("Connecting", function () {
+    it("Should connect by address", async function () {
+      const { taskManager, client } = await loadFixture(deployClientFixture);
+      expect(await client.getAddress()).to.equal(await taskManager.getAddress());
+    });
+  });
+
+  describe("Creating and Updating", function () {
+    it("Should create a task and return a plain object", async function () {
+      const { client, owner } = await loadFixture(deployClientFixture);
+
+      const task = await client.createTask("SDK Task", "Created by the client");
+
+      expect(task).to.deep.include({
+        id: 1,
+        title: "SDK Task",
+        description: "Created by the client",
+        status: "Pending",
+        priority: "Low",
+        owner: owner.address,
+        assignee: null,
+        dueDate: null,
+        parentId: null,
+      });
+      expect(task.createdAt).to.equal(await time.latest());
+      expect(Array.isArray(task)).to.equal(false);
+    });
+
+    it("Should create a task with a due date, priority and bounty", async function () {
+      const { taskManager, client } = await loadFixture(deployClientFixture);
+      const dueDate = (await time.latest()) + 86400;
+
+      const task = await client.createTask("Scheduled", "Description", {
+        dueDate,
+        priority: "High",
+        bounty: ethers.parseEther("1"),
+      });
+
+      expect(task.dueDate).to.equal(dueDate);
+      expect(task.priority).to.equal("High");
+      expect((await taskManager.getBounty(task.id)).amount).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should create several tasks at once", async function () {
+      const { client, owner } = await loadFixture(deployClientFixture);
+
+      const ids = await client.createTasks([
+        { title: "Task A", description: "A" },
+        { title: "Task B" },
+      ]);
+
+      expect(ids).to.deep.equal([1, 2]);
+      const tasks = await client.listTasks(owner.address);
+      expect(tasks.map((task) => task.title)).to.deep.equal(["Task A", "Task B"]);
+      expect(tasks[1].description).to.equal("");
+    });
+
+    it("Should update only the given fields", async function () {
+      const { client } = await loadFixture(deployClientFixture);
+      const dueDate = (await time.latest()) + 86400;
+
+      await client.createTask("Original", "Original description");
+      let task = await client.updateTask(1, { description: "New description" });
+      expect(task.title).to.equal("Original");
+      expect(task.description).to.equal("New description");
+
+      task = await client.updateTask(1, { dueDate, priority: "Critical" });
+      expect(task.title).to.equal("Original");
+      expect(task.dueDate).to.equal(dueDate);
+      expect(task.priority).to.equal("Critical");
+
+      task = await client.updateTask(1, { dueDate: null });
+      expect(task.dueDate).to.equal(null);
+      expect(task.priority).to.equal("Critical");
+    });
+
+    it("Should change the priority of an overdue task", async function () {
+      const { client } = await loadFixture(deployClientFixture);
+      const dueDate = (await time.latest()) + 86400;
+
+      await client.createTask("Report", "Description", { dueDate });
+      await time.increase(2 * 86400);
+
+      const task = await client.updateTask(1, { priority: "High" });
+      expect(task.priority).to.equal("High");
+      expect(task.dueDate).to.equal(dueDate);
+    });
+
+    it("Should change status by name and expose the history", async function () {
+      const { client, owner } = await loadFixture(deployClientFixture);
+
+      await client.createTask("Task", "Description");
+      const task = await client.setStatus(1, "InProgress");
+      expect(task.status).to.equal("InProgress");
+
+      const history = await client.getHistory(1);
+      expect(history.map((change) => change.status)).to.deep.equal(["Pending", "InProgress"]);
+      expect(history[1].actor).to.equal(owner.address);
+    });
+
+    it("Should assign, unassign and delete tasks", async function () {
+      const { client, addr1 } = await loadFixture(deployClientFixture);
+
+      await client.createTask("Task", "Description");
+      expect((await client.assignTask(1, addr1.address)).assignee).to.equal(addr1.address);
+      expect((await client.assignTask(1, null)).assignee).to.equal(null);
+
+      await client.deleteTask(1);
+      await expect(client.getTask(1)).to.be.revertedWith("Task does not exist");
+    });
+
+    it("Should send transactions from another signer", async function () {
+      const { client, addr1 } = await loadFixture(deployClientFixture);
+
+      await client.createTask("Task", "Description");
+      await expect(client.connect(addr1).setStatus(1, "Completed")).to.be.revertedWith(
+        "Not the task owner or assignee"
+      );
+
+      const task = await client.connect(addr1).createTask("Theirs", "Description");
+      expect(task.owner).to.equal(addr1.address);
+    });
+
+    it("Should reject unknown status and priority names", async function () {
+      const { client } = await loadFixture(deployClientFixture);
+
+      await client.createTask("Task", "Description");
+      await expect(client.setStatus(1, "Done")).to.be.rejectedWith('Unknown task status "Done"');
+      await expect(client.createTask("Task", "Description", { priority: "Urgent" })).to.be.rejectedWith(
+        'Unknown task priority "Urgent"'
+      );
+      expect(toStatusValue("Cancelled")).to.equal(3);
+    });
+  });
+
+  describe("Listing", function () {
+    async function deployWithTasksFixture() {
+      const fixture = await deployClientFixture();
+      const { client, addr1 } = fixture;
+      await client.createTasks([{ title: "Task 1" }, { title: "Task 2" }, { title: "Task 3" }]);
+      await client.connect(addr1).createTask("Other", "Description");
+      await client.setStatus(2, "Completed");
+      return fixture;
+    }
+
+    it("Should list a user's tasks with paging", async function () {
+      const { client, owner } = await loadFixture(deployWithTasksFixture);
+
+      const all = await client.listTasks(owner.address);
+      expect(all.map((task) => task.id)).to.deep.equal([1, 2, 3]);
+
+      const page = await client.listTasks(owner.address, { offset: 1, limit: 1 });
+      expect(page.map((task) => task.id)).to.deep.equal([2]);
+    });
+
+    it("Should filter a user's tasks by status name", async function () {
+      const { client, owner } = await loadFixture(deployWithTasksFixture);
+
+      const pending = await client.listTasks(owner.address, { status: "Pending" });
+      expect(pending.map((task) => task.id)).to.deep.equal([1, 3]);
+
+      const completed = await client.listTasks(owner.address, { status: "Completed" });
+      expect(completed.map((task) => task.title)).to.deep.equal(["Task 2"]);
+    });
+
+    it("Should list all tasks across users", async function () {
+      const { client, addr1 } = await loadFixture(deployWithTasksFixture);
+
+      const all = await client.listAllTasks();
+      expect(all.map((task) => task.id)).to.deep.equal([1, 2, 3, 4]);
+      expect(all[3].owner).to.equal(addr1.address);
+
+      const pending = await client.listAllTasks({ status: "Pending", offset: 2 });
+      expect(pending.map((task) => task.id)).to.deep.equal([3, 4]);
+    });
+
+    it("Should return an empty list for a user without tasks", async function () {
+      const { client } = await loadFixture(deployWithTasksFixture);
+      expect(await client.listTasks(ethers.Wallet.createRandom().address)).to.deep.equal([]);
+    });
+  });
+
+  describe("Event Subscriptions", function () {
+    it("Should notify TaskCreated with decoded fields", async function () {
+      const { client, owner } = await loadFixture(deployClientFixture);
+
+      const { received, unsubscribe } = await subscribeOnce((callback) => client.onTaskCreated(callback));
+      await client.createTask("Watched Task", "Description");
+      const event = await received;
+      await unsubscribe();
+
+      expect(event).to.deep.include({ taskId: 1, owner: owner.address, title: "Watched Task" });
+      expect(event.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it("Should notify TaskStatusChanged with the status name", async function () {
+      const { client } = await loadFixture(deployClientFixture);
+
+      await client.createTask("Task", "Description");
+      const { received, unsubscribe } = await subscribeOnce((callback) =>
+        client.onTaskStatusChanged(callback)
+      );
+      await client.setStatus(1, "InProgress");
+      const event = await received;
+      await unsubscribe();
+
+      expect(event).to.deep.include({ taskId: 1, status: "InProgress" });
+    });
+  });
+});
@@ -0,0 +1,473 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployTaskManagerProxy, upgradeTaskManager, implementationAddress } = require("../scripts/deployUpgradeable");
+const { migrateTasks } = require("../scripts/migrate");
+
+describe("TaskManagerUpgradeable", function () {
+  const DAY = 24 * 60 * 60;
+
+  // Fixture to deploy the implementation behind an ERC1967Proxy
+  async function deployProxyFixture() {
+    const [admin, user, assignee, other] = await ethers.getSigners();
+    const taskManager = await deployTaskManagerProxy(admin.address);
+    return { taskManager, admin, user, assignee, other };
+  }
+
+  // Fixture with every kind of state TaskManager keeps
+  async function deployPopulatedProxyFixture() {
+    const fixture = await deployProxyFixture();
+    const { taskManager, user, assignee, other } = fixture;
+    const asUser = taskManager.connect(user);
+    const dueDate = (await time.latest()) + 7 * DAY;
+
+    await asUser["createTask(string,string,uint256,uint8)"]("Audit", "Yearly audit", dueDate, 2, {
+      value: ethers.parseEther("1"),
+    });
+    await asUser["createTask(string,string)"]("Report", "Weekly report");
+    await asUser.createSubtask(1, "Collect logs", "Description", 0, 1);
+    await asUser["createTask(string,string)"]("Scratch", "Deleted later");
+    await asUser.deleteTask(4);
+    await asUser.assignTask(1, assignee.address);
+    await asUser.addCollaborator(1, other.address);
+    await asUser.addDependency(1, 2);
+    await asUser.updateTaskStatus(2, 1);
+    await taskManager.connect(other).createTask("Other's task", "Description");
+
+    return fixture;
+  }
+
+  // Read everything observable about the populated state
+  async function snapshotState(taskManager, { user, assignee }) {
+    const ids = [1, 2, 3, 5];
+    return {
+      tasks: await Promise.all(ids.map((id) => taskManager.getTask(id))),
+      histories: await Promise.all(ids.map((id) => taskManager.getTaskHistory(id))),
+      userTasks: await taskManager.getUserTasks(user.address),
+      assignedTasks: await taskManager.getAssignedTasks(assignee.address),
+      collaborators: await taskManager.getTaskCollaborators(1),
+      subtasks: await taskManager.getSubtasks(1),
+      dependencies: await taskManager.getDependencies(1),
+      dependents: await taskManager.getDependents(2),
+      bounty: await taskManager.getBounty(1),
+      taskCount: await taskManager.getTotalTaskCount(),
+      balance: await ethers.provider.getBalance(await taskManager.getAddress()),
+    };
+  }
+
+  describe("Deployment", function () {
+    it("Should work as a TaskManager through the proxy", async function () {
+      const { taskManager, admin, user } = await loadFixture(deployProxyFixture);
+
+      await expect(taskManager.connect(user)["createTask(string,string)"]("Test Task", "Description"))
+        .to.emit(taskManager, "TaskCreated")
+        .withArgs(1, user.address, "Test Task");
+
+      expect((await taskManager.getTask(1)).owner).to.equal(user.address);
+      expect(await taskManager.admin()).to.equal(admin.address);
+      expect(await taskManager.isMigrationFinished()).to.equal(true);
+      expect(await taskManager.trustedForwarder()).to.not.equal(ethers.ZeroAddress);
+    });
+
+    it("Should serve the list views for the proxy", async function () {
+      const { taskManager, user } = await loadFixture(deployPopulatedProxyFixture);
+
+      const userTasks = await taskManager.getUserTaskDetails(user.address);
+      expect(userTasks.map((task) => task.title)).to.deep.equal(["Audit", "Report", "Collect logs"]);
+      // Deleted task 4 is skipped
+      const allTasks = await taskManager.getTasksPaginated(0, 10);
+      expect(allTasks.map((task) => task.id)).to.deep.equal([1n, 2n, 3n, 5n]);
+      await expect(taskManager.isTaskOverdue(4)).to.be.revertedWith("Task does not exist");
+    });
+
+    it("Should only be initialized once", async function () {
+      const { taskManager, other } = await loadFixture(deployProxyFixture);
+
+      await expect(taskManager.initialize(other.address, false)).to.be.revertedWithCustomError(
+        taskManager,
+        "InvalidInitialization"
+      );
+
+      const implementation = taskManager.attach(await implementationAddress(await taskManager.getAddress()));
+      await expect(implementation.initialize(other.address, false)).to.be.revertedWithCustomError(
+        taskManager,
+        "InvalidInitialization"
+      );
+    });
+
+    it("Should reject the zero address as admin", async function () {
+      await expect(deployTaskManagerProxy(ethers.ZeroAddress)).to.be.revertedWith("Invalid admin");
+    });
+  });
+
+  describe("Admin", function () {
+    it("Should transfer the admin role once the new admin accepts", async function () {
+      const { taskManager, admin, other } = await loadFixture(deployProxyFixture);
+
+      await taskManager.transferAdmin(other.address);
+      expect(await taskManager.admin()).to.equal(admin.address);
+
+      await expect(taskManager.connect(other).acceptAdmin())
+        .to.emit(taskManager, "AdminTransferred")
+        .withArgs(admin.address, other.address);
+
+      expect(await taskManager.admin()).to.equal(other.address);
+      await expect(taskManager.transferAdmin(admin.address)).to.be.revertedWith("Not the admin");
+    });
+
+    it("Should not transfer the admin role to the zero address", async function () {
+      const { taskManager } = await loadFixture(deployProxyFixture);
+
+      await expect(taskManager.transferAdmin(ethers.ZeroAddress)).to.be.revertedWith("Invalid admin");
+    });
+
+    it("Should let the admin pause the proxy and keep it paused across an upgrade", async function () {
+      const { taskManager, user } = await loadFixture(deployProxyFixture);
+      const proxyAddress = await taskManager.getAddress();
+
+      await expect(taskManager.connect(user).pause()).to.be.revertedWith("Not the admin");
+      await taskManager.pause();
+
+      const upgraded = await upgradeTaskManager(proxyAddress, "TaskManagerUpgradeableV2");
+      expect(await upgraded.paused()).to.equal(true);
+      await expect(upgraded.connect(user).createTask("Task", "Description")).to.be.revertedWith("Contract is paused");
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Should keep all state across an upgrade", async function () {
+      const fixture = await loadFixture(deployPopulatedProxyFixture);
+      const { taskManager } = fixture;
+      const proxyAddress = await taskManager.getAddress();
+      const before = await snapshotState(taskManager, fixture);
+      const oldImplementation = await implementationAddress(proxyAddress);
+
+      const upgraded = await upgradeTaskManager(proxyAddress, "TaskManagerUpgradeableV2", { call: "initializeV2" });
+
+      expect(await implementationAddress(proxyAddress)).to.not.equal(oldImplementation);
+      expect(await upgraded.version()).to.equal(2);
+      expect(await upgraded.upgradedAt()).to.equal(await time.latest());
+      expect(await snapshotState(upgraded, fixture)).to.deep.equal(before);
+    });
+
+    it("Should keep TaskManager variables in their original slots", async function () {
+      const { taskManager, user } = await loadFixture(deployPopulatedProxyFixture);
+      const proxyAddress = await taskManager.getAddress();
+      const upgraded = await upgradeTaskManager(proxyAddress, "TaskManagerUpgradeableV2", { call: "initializeV2" });
+      const slot = async (index) => BigInt(await ethers.provider.getStorage(proxyAddress, index));
+
+      // taskCounter is slot 0 and the tasks mapping slot 2; Task.owner is the 7th word of a task
+      expect(await slot(0)).to.equal(5n);
+      const taskBase = BigInt(ethers.solidityPackedKeccak256(["uint256", "uint256"], [1, 2]));
+      expect(await slot(taskBase)).to.equal(1n);
+      expect(await slot(taskBase + 6n)).to.equal(BigInt(user.address));
+
+      // The admin lives in the ERC-7201 namespace, the V2 variable after TaskManager's last slot
+      const namespace = "0x043a09010c27cf5430b6b2b588308e2664b3a1722550ea2d277b4d767e3b7c00";
+      expect(await slot(namespace)).to.equal(BigInt(await upgraded.admin()));
+      expect(await slot(19)).to.equal(await upgraded.upgradedAt());
+    });
+
+    it("Should keep accepting requests signed for the original forwarder", async function () {
+      const { taskManager, user, other } = await loadFixture(deployProxyFixture);
+      const proxyAddress = await taskManager.getAddress();
+      const forwarderAddress = await taskManager.trustedForwarder();
+
+      const upgraded = await upgradeTaskManager(proxyAddress, "TaskManagerUpgradeableV2");
+      expect(await upgraded.trustedForwarder()).to.equal(forwarderAddress);
+
+      const forwarder = await ethers.getContractAt("TaskForwarder", forwarderAddress);
+      const { chainId } = await ethers.provider.getNetwork();
+      const request = {
+        from: user.address,
+        to: proxyAddress,
+        value: 0n,
+        gas: 1_000_000n,
+        nonce: await forwarder.nonces(user.address),
+        deadline: (await time.latest()) + 3600,
+        data: upgraded.interface.encodeFunctionData("createTask(string,string)", ["Signed Task", "Description"]),
+      };
+      const signature = await user.signTypedData(
+        { name: "TaskForwarder", version: "1", chainId, verifyingContract: forwarderAddress },
+        {
+          ForwardRequest: [
+            { name: "from", type: "address" },
+            { name: "to", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "gas", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint48" },
+            { name: "data", type: "bytes" },
+          ],
+        },
+        request
+      );
+      const { nonce, ...requestData } = request;
+
+      await forwarder.connect(other).execute({ ...requestData, signature });
+
+      expect((await upgraded.getTask(1)).owner).to.equal(user.address);
+    });
+
+    it("Should only let the admin upgrade", async function () {
+      const { taskManager, other } = await loadFixture(deployProxyFixture);
+      const Implementation = await ethers.getContractFactory("TaskManagerUpgradeableV2");
+      const implementation = await Implementation.deploy();
+
+      await expect(
+        taskManager.connect(other).upgradeToAndCall(await implementation.getAddress(), "0x")
+      ).to.be.revertedWith("Not the admin");
+    });
+
+    it("Should reject implementations that are not upgradeable", async function () {
+      const { taskManager } = await loadFixture(deployProxyFixture);
+      const TaskManager = await ethers.getContractFactory("TaskManager");
+      const plain = await TaskManager.deploy();
+
+      await expect(taskManager.upgradeToAndCall(await plain.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(taskManager, "ERC1967InvalidImplementation")
+        .withArgs(await plain.getAddress());
+    });
+  });
+
+  describe("Migration", function () {
+    // Fixture with a legacy deployment holding tasks from two users over several days,
+    // including deleted tasks in the middle and at the end
+    async function deployLegacyFixture() {
+      const [admin, user, assignee, other] = await ethers.getSigners();
+      const taskManager = await deployTaskManagerProxy(admin.address, undefined, { migrate: true });
+      const TaskManager = await ethers.getContractFactory("TaskManager");
+      const legacy = await TaskManager.deploy();
+      const asUser = legacy.connect(user);
+
+      await asUser["createTask(string,string)"]("Audit", "Yearly audit");
+      await time.increase(DAY);
+      await legacy.connect(other)["createTask(string,string)"]("Other's task", "Description");
+      await asUser.createSubtask(1, "Collect logs", "Description", 0, 3);
+      await asUser["createTask(string,string)"]("Scratch", "Deleted");
+      await asUser.deleteTask(4);
+      await time.increase(DAY);
+      await asUser.assignTask(1, assignee.address);
+      await legacy.connect(assignee).updateTaskStatus(1, 1);
+      await asUser.updateTaskStatus(3, 2);
+      await asUser["createTask(string,string)"]("Last", "Deleted too");
+      await asUser.deleteTask(5);
+
+      return { taskManager, admin, user, assignee, other, legacy };
+    }
+
+    // A legacy task and its history as plain arrays, ready to pass to importTasks
+    async function readLegacyTask(legacy, taskId) {
+      return [(await legacy.getTask(taskId)).toArray(), (await legacy.getTaskHistory(taskId)).toArray(true)];
+    }
+
+    it("Should copy tasks with their IDs, owners, timestamps and history", async function () {
+      const { taskManager, legacy, user, assignee } = await loadFixture(deployLegacyFixture);
+
+      const result = await migrateTasks(legacy, taskManager, { batchSize: 2 });
+
+      expect(result).to.deep.equal({ imported: 3, taskCount: 5, notMigrated: [] });
+      for (const id of [1, 2, 3]) {
+        expect(await taskManager.getTask(id)).to.deep.equal(await legacy.getTask(id));
+        expect(await taskManager.getTaskHistory(id)).to.deep.equal(await legacy.getTaskHistory(id));
+      }
+      await expect(taskManager.getTask(4)).to.be.revertedWith("Task does not exist");
+      expect(await taskManager.getUserTasks(user.address)).to.deep.equal([1n, 3n]);
+      expect(await taskManager.getAssignedTasks(assignee.address)).to.deep.equal([1n]);
+      expect(await taskManager.getSubtasks(1)).to.deep.equal([3n]);
+      expect(await taskManager.isMigrationFinished()).to.equal(true);
+    });
+
+    it("Should list the state it cannot migrate", async function () {
+      const { taskManager, legacy, admin, user, other } = await loadFixture(deployLegacyFixture);
+      const asUser = legacy.connect(user);
+      await legacy.connect(admin).hideTitle(2);
+      await asUser.addCollaborator(1, other.address);
+      await asUser.addDependency(1, 2);
+      await asUser.fundTask(1, { value: 1000 });
+      await asUser.createRecurringTask("Standup", "Daily", (await time.latest()) + DAY, 0, DAY);
+
+      const messages = [];
+      const result = await migrateTasks(legacy, taskManager, { log: (m) => messages.push(m) });
+
+      expect(result.imported).to.equal(4);
+      expect(result.notMigrated).to.deep.equal([
+        { taskId: 1, reason: `collaborators not migrated: ${other.address}` },
+        { taskId: 1, reason: "dependencies on tasks 2 not migrated" },
+        { taskId: 1, reason: "bounty of 1000 wei not migrated, it stays in the legacy contract" },
+        { taskId: 2, reason: 'hidden title not migrated, imported as "[hidden]"' },
+        { taskId: 6, reason: "series 6 not migrated, imported as a one-off task" },
+      ]);
+      expect(messages).to.include('Task 2: hidden title not migrated, imported as "[hidden]"');
+      expect(messages[messages.length - 1]).to.equal("5 items were not migrated; see the task messages above");
+      expect((await taskManager.getTask(2)).title).to.equal("[hidden]");
+      expect(await taskManager.getTaskCollaborators(1)).to.deep.equal([]);
+      expect(await taskManager.taskSeries(6)).to.equal(0);
+    });
+
+    it("Should continue with new IDs after the legacy ones", async function () {
+      const { taskManager, legacy, user, assignee } = await loadFixture(deployLegacyFixture);
+      await migrateTasks(legacy, taskManager);
+
+      await expect(taskManager.connect(user)["createTask(string,string)"]("New", "Description"))
+        .to.emit(taskManager, "TaskCreated")
+        .withArgs(6, user.address, "New");
+
+      // Migrated tasks keep their permissions
+      await taskManager.connect(assignee).updateTaskStatus(1, 2);
+      expect((await taskManager.getTask(1)).status).to.equal(2);
+    });
+
+    it("Should resume after a failed batch", async function () {
+      const { taskManager, legacy } = await loadFixture(deployLegacyFixture);
+      const failAfterFirstBatch = (message) => {
+        if (message.startsWith("Imported")) {
+          throw new Error("RPC connection lost");
+        }
+      };
+
+      await expect(migrateTasks(legacy, taskManager, { batchSize: 2, log: failAfterFirstBatch })).to.be.rejectedWith(
+        "RPC connection lost"
+      );
+      expect(await taskManager.getTotalTaskCount()).to.equal(2);
+
+      const messages = [];
+      const result = await migrateTasks(legacy, taskManager, { batchSize: 2, log: (m) => messages.push(m) });
+
+      expect(result.imported).to.equal(1);
+      expect(messages[0]).to.equal("Resuming after task 2");
+      expect(await taskManager.getTask(3)).to.deep.equal(await legacy.getTask(3));
+      await expect(migrateTasks(legacy, taskManager)).to.be.rejectedWith("Migration already finished");
+    });
+
+    it("Should reject task changes until the migration is finished", async function () {
+      const { taskManager, legacy, user } = await loadFixture(deployLegacyFixture);
+      const [task, history] = await readLegacyTask(legacy, 1);
+      await taskManager.importTasks([task], [history]);
+
+      await expect(taskManager.connect(user)["createTask(string,string)"]("Too early", "Description")).to.be.revertedWith(
+        "Migration in progress"
+      );
+      await expect(taskManager.connect(user).updateTaskStatus(1, 2)).to.be.revertedWith("Migration in progress");
+
+      const messages = [];
+      await migrateTasks(legacy, taskManager, { log: (m) => messages.push(m) });
+      expect(messages[0]).to.equal("Resuming after task 1");
+      expect(await taskManager.getLastImportedTaskId()).to.equal(3);
+      await expect(taskManager.connect(user)["createTask(string,string)"]("New", "Description"))
+        .to.emit(taskManager, "TaskCreated")
+        .withArgs(6, user.address, "New");
+    });
+
+    describe("From the original TaskManager", function () {
+      // Fixture with a deployment of the original contract, before status histories, assignees,
+      // due dates and the other fields later versions added, with deleted tasks in the middle and at the end
+      async function deployOriginalFixture() {
+        const [admin, user, other] = await ethers.getSigners();
+        const taskManager = await deployTaskManagerProxy(admin.address, undefined, { migrate: true });
+        const LegacyTaskManager = await ethers.getContractFactory("LegacyTaskManager");
+        const legacy = await LegacyTaskManager.deploy();
+        const asUser = legacy.connect(user);
+
+        await asUser.createTask("Audit", "Yearly audit");
+        await time.increase(DAY);
+        await legacy.connect(other).createTask("Other's task", "Description");
+        await asUser.createTask("Scratch", "Deleted");
+        await asUser.deleteTask(3);
+        await asUser.createTask("Report", "Weekly report");
+        await time.increase(DAY);
+        await asUser.updateTaskStatus(1, 2);
+        await asUser.createTask("Last", "Deleted too");
+        await asUser.deleteTask(5);
+
+        return { taskManager, admin, user, other, legacy };
+      }
+
+      it("Should copy tasks with their IDs, owners, timestamps and statuses", async function () {
+        const { taskManager, legacy, user, other } = await loadFixture(deployOriginalFixture);
+
+        const messages = [];
+        const result = await migrateTasks(legacy, taskManager, { batchSize: 2, log: (m) => messages.push(m) });
+
+        expect(result).to.deep.equal({ imported: 3, taskCount: 5, notMigrated: [] });
+        expect(messages[0]).to.equal(
+          "Reading the original TaskManager: tasks get a history of their creation and current status"
+        );
+        for (const id of [1, 2, 4]) {
+          const original = await legacy.getTask(id);
+          const task = await taskManager.getTask(id);
+          expect(task.toArray().slice(0, 7)).to.deep.equal(original.toArray());
+          expect(task.assignee).to.equal(ethers.ZeroAddress);
+          expect(task.dueDate).to.equal(0);
+          expect(task.priority).to.equal(0);
+          expect(task.parentId).to.equal(0);
+        }
+        await expect(taskManager.getTask(3)).to.be.revertedWith("Task does not exist");
+        await expect(taskManager.getTask(5)).to.be.revertedWith("Task does not exist");
+        expect(await taskManager.getUserTasks(user.address)).to.deep.equal([1n, 4n]);
+        expect(await taskManager.getUserTasks(other.address)).to.deep.equal([2n]);
+      });
+
+      it("Should give each task a history of its creation and current status", async function () {
+        const { taskManager, legacy, user } = await loadFixture(deployOriginalFixture);
+        await migrateTasks(legacy, taskManager);
+
+        const completed = await legacy.getTask(1);
+        expect((await taskManager.getTaskHistory(1)).map((change) => change.toArray())).to.deep.equal([
+          [0n, user.address, completed.createdAt],
+          [2n, user.address, completed.updatedAt],
+        ]);
+        const pending = await legacy.getTask(4);
+        expect((await taskManager.getTaskHistory(4)).map((change) => change.toArray())).to.deep.equal([
+          [0n, user.address, pending.createdAt],
+        ]);
+      });
+
+      it("Should continue with new IDs after the legacy ones", async function () {
+        const { taskManager, legacy, user } = await loadFixture(deployOriginalFixture);
+        await migrateTasks(legacy, taskManager, { batchSize: 1 });
+
+        await expect(taskManager.connect(user)["createTask(string,string)"]("New", "Description"))
+          .to.emit(taskManager, "TaskCreated")
+          .withArgs(6, user.address, "New");
+        await taskManager.connect(user).updateTaskStatus(4, 1);
+        expect((await taskManager.getTask(4)).status).to.equal(1);
+      });
+    });
+
+    it("Should only let the admin import tasks", async function () {
+      const { taskManager, legacy, other } = await loadFixture(deployLegacyFixture);
+      const [task, history] = await readLegacyTask(legacy, 1);
+
+      await expect(taskManager.connect(other).importTasks([task], [history])).to.be.revertedWith("Not the admin");
+      await expect(taskManager.connect(other).finishMigration(5)).to.be.revertedWith("Not the admin");
+    });
+
+    it("Should validate imported tasks", async function () {
+      const { taskManager, legacy } = await loadFixture(deployLegacyFixture);
+      const [task1, history1] = await readLegacyTask(legacy, 1);
+      const [task3, history3] = await readLegacyTask(legacy, 3);
+
+      await expect(taskManager.importTasks([], [])).to.be.revertedWith("No tasks provided");
+      await expect(taskManager.importTasks([task1], [])).to.be.revertedWith("Array length mismatch");
+      await expect(taskManager.importTasks([task3], [history3])).to.be.revertedWith("Parent task does not exist");
+
+      await expect(taskManager.importTasks([task1], [history1]))
+        .to.emit(taskManager, "TasksImported")
+        .withArgs(1, 1);
+      await expect(taskManager.importTasks([task1], [history1])).to.be.revertedWith("Task IDs must increase");
+      await expect(taskManager.finishMigration(0)).to.be.revertedWith("Task count below imported IDs");
+    });
+
+    it("Should not import after the migration is finished", async function () {
+      const { taskManager, legacy } = await loadFixture(deployLegacyFixture);
+
+      const [task, history] = await readLegacyTask(legacy, 1);
+
+      await expect(taskManager.finishMigration(5)).to.emit(taskManager, "MigrationFinished").withArgs(5);
+
+      await expect(taskManager.importTasks([task], [history])).to.be.revertedWith("Migration finished");
+      await expect(taskManager.finishMigration(5)).to.be.revertedWith("Migration finished");
+    });
+  });
+});
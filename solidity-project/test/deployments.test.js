@@ -0,0 +1,182 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { DeploymentManifest, deploymentAddress } = require("../../shared/deployments");
+const { deploy } = require("../scripts/deploy");
+const { deployTaskManagerProxy, upgradeTaskManager } = require("../scripts/deployUpgradeable");
+
+const { ethers } = hre;
+
+describe("Deployment manifests", function () {
+  let directory;
+
+  // Each test gets its own manifest directory
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // Fixture that snapshots the chain before anything is deployed
+  async function emptyChainFixture() {
+    const [deployer, other] = await ethers.getSigners();
+    return { deployer, other };
+  }
+
+  const quiet = { log: () => {} };
+  const readManifest = () => JSON.parse(fs.readFileSync(path.join(directory, "hardhat.json"), "utf8"));
+
+  describe("deploy.js", function () {
+    it("Should record addresses, constructor args, blocks and transactions", async function () {
+      await loadFixture(emptyChainFixture);
+
+      await deploy(await DeploymentManifest.load(hre, { directory }), quiet);
+
+      const manifest = readManifest();
+      expect(manifest).to.include({ network: "hardhat", chainId: 1337 });
+      expect(Object.keys(manifest.contracts)).to.have.members([
+        "TaskManager",
+        "TaskForwarder",
+        "TaskQueries",
+        "TaskBoards",
+        "TaskComments",
+      ]);
+
+      const { TaskManager, TaskForwarder, TaskQueries, TaskBoards } = manifest.contracts;
+      const receipt = await ethers.provider.getTransactionReceipt(TaskManager.transactionHash);
+      expect(receipt.contractAddress).to.equal(TaskManager.address);
+      expect(TaskManager.blockNumber).to.equal(receipt.blockNumber);
+      expect(TaskBoards.args).to.deep.equal([TaskManager.address]);
+
+      const taskManager = await ethers.getContractAt("TaskManager", TaskManager.address);
+      expect(TaskForwarder.address).to.equal(await taskManager.trustedForwarder());
+      expect(TaskQueries.address).to.equal(await taskManager.queries());
+      expect(await taskManager.taskCreators(TaskBoards.address)).to.equal(true);
+    });
+
+    it("Should reuse everything on a second run", async function () {
+      await loadFixture(emptyChainFixture);
+      await deploy(await DeploymentManifest.load(hre, { directory }), quiet);
+      const first = readManifest();
+      const blockNumber = await ethers.provider.getBlockNumber();
+
+      const messages = [];
+      await deploy(await DeploymentManifest.load(hre, { directory }), { log: (m) => messages.push(m) });
+
+      expect(readManifest()).to.deep.equal(first);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+      expect(messages).to.include(`TaskManager already deployed at: ${first.contracts.TaskManager.address}`);
+
+      // The sample task is only created with a fresh TaskManager
+      const taskManager = await ethers.getContractAt("TaskManager", first.contracts.TaskManager.address);
+      expect(await taskManager.getTotalTaskCount()).to.equal(1);
+    });
+
+    it("Should redeploy contracts that are missing from the chain", async function () {
+      const { other } = await loadFixture(emptyChainFixture);
+      await deploy(await DeploymentManifest.load(hre, { directory }), quiet);
+      const stale = readManifest();
+
+      // Point TaskManager at an account without code, as after restarting a local node
+      stale.contracts.TaskManager.address = other.address;
+      fs.writeFileSync(path.join(directory, "hardhat.json"), JSON.stringify(stale));
+
+      await deploy(await DeploymentManifest.load(hre, { directory }), quiet);
+
+      const { contracts } = readManifest();
+      expect(contracts.TaskManager.address).to.not.equal(other.address);
+      // Companions built on the old address are redeployed for the new one
+      expect(contracts.TaskBoards.args).to.deep.equal([contracts.TaskManager.address]);
+      expect(contracts.TaskComments.address).to.not.equal(stale.contracts.TaskComments.address);
+    });
+  });
+
+  describe("DeploymentManifest", function () {
+    it("Should refuse a manifest written for another chain", async function () {
+      fs.writeFileSync(
+        path.join(directory, "hardhat.json"),
+        JSON.stringify({ network: "hardhat", chainId: 1, contracts: {} })
+      );
+
+      await expect(DeploymentManifest.load(hre, { directory })).to.be.rejectedWith(
+        "belongs to chain 1, connected to chain 1337"
+      );
+    });
+
+    it("Should keep the in-process network's manifest in memory by default", async function () {
+      await loadFixture(emptyChainFixture);
+      const previous = process.env.DEPLOYMENTS_DIR;
+      delete process.env.DEPLOYMENTS_DIR;
+
+      try {
+        const manifest = await DeploymentManifest.load(hre);
+        expect(manifest.filePath).to.equal(null);
+        await manifest.deploy("TaskManager");
+        expect(manifest.get("TaskManager").address).to.be.properAddress;
+      } finally {
+        if (previous !== undefined) {
+          process.env.DEPLOYMENTS_DIR = previous;
+        }
+      }
+    });
+
+    it("Should resolve addresses from the environment first, then the manifest", async function () {
+      const { other } = await loadFixture(emptyChainFixture);
+      const manifest = await DeploymentManifest.load(hre, { directory });
+      const { contract } = await manifest.deploy("TaskManager");
+      const previous = { dir: process.env.DEPLOYMENTS_DIR, address: process.env.TASK_MANAGER_ADDRESS };
+      process.env.DEPLOYMENTS_DIR = directory;
+      delete process.env.TASK_MANAGER_ADDRESS;
+
+      try {
+        expect(await deploymentAddress(hre, "TaskManager", "TASK_MANAGER_ADDRESS")).to.equal(
+          await contract.getAddress()
+        );
+        expect(await deploymentAddress(hre, "TaskBoards")).to.equal(null);
+
+        process.env.TASK_MANAGER_ADDRESS = other.address;
+        expect(await deploymentAddress(hre, "TaskManager", "TASK_MANAGER_ADDRESS")).to.equal(other.address);
+      } finally {
+        for (const [key, value] of [
+          ["DEPLOYMENTS_DIR", previous.dir],
+          ["TASK_MANAGER_ADDRESS", previous.address],
+        ]) {
+          if (value === undefined) {
+            delete process.env[key];
+          } else {
+            process.env[key] = value;
+          }
+        }
+      }
+    });
+  });
+
+  describe("deployUpgradeable.js", function () {
+    it("Should record the proxy once and track upgrades of its implementation", async function () {
+      const { deployer } = await loadFixture(emptyChainFixture);
+      const manifest = await DeploymentManifest.load(hre, { directory });
+
+      const taskManager = await deployTaskManagerProxy(deployer.address, manifest);
+      const again = await deployTaskManagerProxy(deployer.address, manifest);
+      expect(await again.getAddress()).to.equal(await taskManager.getAddress());
+
+      const { contracts } = readManifest();
+      expect(contracts.TaskManagerProxy).to.include({
+        contract: "ERC1967Proxy",
+        address: await taskManager.getAddress(),
+      });
+      expect(contracts.TaskManagerProxy.args[0]).to.equal(contracts.TaskManagerImplementation.address);
+
+      await upgradeTaskManager(await taskManager.getAddress(), "TaskManagerUpgradeableV2", { manifest });
+
+      const upgraded = readManifest().contracts.TaskManagerImplementation;
+      expect(upgraded.contract).to.equal("TaskManagerUpgradeableV2");
+      expect(upgraded.address).to.not.equal(contracts.TaskManagerImplementation.address);
+    });
+  });
+});
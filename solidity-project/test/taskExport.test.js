@@ -0,0 +1,263 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  exportTasks,
+  tasksToCsv,
+  writeExport,
+  readExport,
+  importTasks,
+  verifyImport,
+} = require("../scripts/taskExport");
+const { deployTaskManagerProxy } = require("../scripts/deployUpgradeable");
+
+describe("Task export and import", function () {
+  const PENDING = 0;
+  const IN_PROGRESS = 1;
+  const COMPLETED = 2;
+  const HIGH = 2;
+
+  let directory;
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "task-export-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  // Fixture with a source TaskManager holding tasks in every shape the export has to carry
+  async function deploySourceFixture() {
+    const [owner, addr1] = await ethers.getSigners();
+    const TaskManager = await ethers.getContractFactory("TaskManager");
+    const source = await TaskManager.deploy();
+    const target = await TaskManager.deploy();
+
+    const now = await time.latest();
+    const due = now + 30 * 86400;
+    await source["createTask(string,string,uint256,uint8)"]('Plan, then "ship"', "Line one\nLine two", due, HIGH);
+    await source.createSubtask(1, "Write tests", "", 0, PENDING);
+    await source.createTask("Renew domain", "Due tomorrow", now + 86400, PENDING);
+    await source.createTask("Scratch", "Deleted before the export");
+    await source.connect(addr1).createTask("Their task", "");
+
+    await source.updateTaskStatus(2, COMPLETED);
+    await source.assignTask(1, addr1.address);
+    await source.updateTaskStatus(1, IN_PROGRESS);
+    await source.deleteTask(4);
+
+    // Task 3's due date passes before the tasks move
+    await time.increase(2 * 86400);
+
+    const data = await exportTasks(source);
+    return { source, target, data, due, owner, addr1 };
+  }
+
+  describe("Export", function () {
+    it("Should export every task with status, timestamps and history", async function () {
+      const { source, data, due, owner, addr1 } = await loadFixture(deploySourceFixture);
+
+      expect(data.source).to.deep.equal({
+        chainId: 1337,
+        address: await source.getAddress(),
+        blockNumber: data.source.blockNumber,
+        taskCount: 5,
+      });
+      expect(data.owner).to.equal(null);
+      // The deleted task is left out
+      expect(data.tasks.map((t) => t.id)).to.deep.equal([1, 2, 3, 5]);
+
+      const [plan, subtask] = data.tasks;
+      const onChain = await source.getTask(1);
+      expect(plan).to.include({
+        title: 'Plan, then "ship"',
+        status: "InProgress",
+        priority: "High",
+        owner: owner.address,
+        assignee: addr1.address,
+        dueDate: due,
+        parentId: null,
+        createdAt: Number(onChain.createdAt),
+        updatedAt: Number(onChain.updatedAt),
+      });
+      expect(plan.history.map((change) => change.status)).to.deep.equal(["Pending", "InProgress"]);
+      expect(subtask).to.include({ parentId: 1, status: "Completed" });
+    });
+
+    it("Should export one owner's tasks", async function () {
+      const { source, addr1 } = await loadFixture(deploySourceFixture);
+
+      const data = await exportTasks(source, { owner: addr1.address, batchSize: 1 });
+
+      expect(data.owner).to.equal(addr1.address);
+      expect(data.tasks.map((t) => t.id)).to.deep.equal([5]);
+    });
+
+    it("Should write CSV with quoted fields and ISO dates", async function () {
+      const { data, due } = await loadFixture(deploySourceFixture);
+
+      const csv = tasksToCsv(data);
+      const [header, first] = csv.split("\n");
+
+      expect(header).to.equal(
+        "id,title,description,status,priority,owner,assignee,dueDate,parentId,createdAt,updatedAt"
+      );
+      expect(first).to.match(/^1,"Plan, then ""ship""","Line one$/);
+      expect(csv).to.include(new Date(due * 1000).toISOString());
+      expect(writeExport(path.join(directory, "tasks.csv"), data)).to.equal("csv");
+      expect(fs.readFileSync(path.join(directory, "tasks.csv"), "utf8")).to.equal(csv);
+    });
+
+    it("Should read back JSON exports and refuse CSV ones", async function () {
+      const { data } = await loadFixture(deploySourceFixture);
+      const jsonPath = path.join(directory, "tasks.json");
+
+      expect(writeExport(jsonPath, data)).to.equal("json");
+
+      expect(readExport(jsonPath)).to.deep.equal(data);
+      expect(() => readExport(path.join(directory, "tasks.csv"))).to.throw("import the JSON export instead");
+    });
+  });
+
+  describe("Import into a plain TaskManager", function () {
+    it("Should recreate tasks with statuses, assignees and subtasks", async function () {
+      const { target, data, addr1 } = await loadFixture(deploySourceFixture);
+
+      const { mode, imported, progress } = await importTasks(target, data, { batchSize: 2 });
+
+      expect(mode).to.equal("recreate");
+      expect(imported).to.equal(4);
+      expect(await target.getTotalTaskCount()).to.equal(4);
+
+      const plan = await target.getTask(progress.tasks[1].targetId);
+      expect(plan.status).to.equal(IN_PROGRESS);
+      expect(plan.assignee).to.equal(addr1.address);
+      expect(plan.priority).to.equal(HIGH);
+      const subtask = await target.getTask(progress.tasks[2].targetId);
+      expect(subtask.parentId).to.equal(plan.id);
+      expect(subtask.status).to.equal(COMPLETED);
+    });
+
+    it("Should report what could not be recreated", async function () {
+      const { target, data } = await loadFixture(deploySourceFixture);
+      const { progress } = await importTasks(target, data);
+
+      const report = await verifyImport(target, data, progress);
+
+      // createTask refuses due dates in the past, so those are expected to be dropped;
+      // owners and timestamps are not compared
+      expect(report.checked).to.equal(4);
+      expect(report.differences).to.deep.equal([]);
+      expect(report.dropped).to.deep.equal([
+        {
+          sourceId: 3,
+          targetId: progress.tasks[3].targetId,
+          field: "dueDate",
+          expected: data.tasks[2].dueDate,
+          actual: null,
+        },
+      ]);
+    });
+
+    it("Should resume after a failed batch without duplicating tasks", async function () {
+      const { target, data } = await loadFixture(deploySourceFixture);
+      const progressFile = path.join(directory, "progress.json");
+
+      // Stop the import right after its first batch
+      const failing = {
+        progressFile,
+        batchSize: 2,
+        log: () => {
+          throw new Error("connection lost");
+        },
+      };
+      await expect(importTasks(target, data, failing)).to.be.rejectedWith("connection lost");
+      // Task 1 went alone: its subtask needs the parent's new ID
+      expect(await target.getTotalTaskCount()).to.equal(1);
+
+      const messages = [];
+      const { imported, progress } = await importTasks(target, data, {
+        progressFile,
+        batchSize: 2,
+        log: (message) => messages.push(message),
+      });
+
+      expect(messages[0]).to.equal("Resuming with 1 of 4 tasks imported");
+      expect(imported).to.equal(3);
+      expect(await target.getTotalTaskCount()).to.equal(4);
+      const report = await verifyImport(target, data, progress);
+      expect(report.differences).to.have.lengthOf(0);
+      expect(report.dropped).to.have.lengthOf(1);
+    });
+
+    it("Should record a batch that was mined before the import stopped", async function () {
+      const { target, data } = await loadFixture(deploySourceFixture);
+      const progressFile = path.join(directory, "progress.json");
+      const stop = () => {
+        throw new Error("killed");
+      };
+      await expect(importTasks(target, data, { progressFile, batchSize: 2, log: stop })).to.be.rejectedWith("killed");
+
+      // As if the process died after sending the batch but before saving its receipt
+      const { transactions } = await ethers.provider.getBlock("latest");
+      const saved = JSON.parse(fs.readFileSync(progressFile, "utf8"));
+      saved.pending = { kind: "create", hash: transactions[0], sourceIds: Object.keys(saved.tasks).map(Number) };
+      saved.tasks = {};
+      fs.writeFileSync(progressFile, JSON.stringify(saved));
+
+      const { progress } = await importTasks(target, data, { progressFile, batchSize: 2 });
+
+      expect(await target.getTotalTaskCount()).to.equal(4);
+      expect(progress.pending).to.equal(null);
+      expect(progress.tasks[1].targetId).to.equal(1);
+    });
+
+    it("Should refuse a progress file written for another target", async function () {
+      const { source, target, data } = await loadFixture(deploySourceFixture);
+      const progressFile = path.join(directory, "progress.json");
+      await importTasks(target, data, { progressFile });
+
+      await expect(importTasks(source, data, { progressFile })).to.be.rejectedWith("use another progress file");
+    });
+  });
+
+  describe("Import into an upgradeable proxy", function () {
+    async function deployProxyFixture() {
+      const fixture = await deploySourceFixture();
+      const proxy = await deployTaskManagerProxy(fixture.owner.address, undefined, { migrate: true });
+      const target = await ethers.getContractAt("TaskManager", await proxy.getAddress());
+      return { ...fixture, proxy, target };
+    }
+
+    it("Should keep IDs, owners, timestamps and histories", async function () {
+      const { source, proxy, target, data, addr1 } = await loadFixture(deployProxyFixture);
+
+      const { mode, progress } = await importTasks(target, data, { batchSize: 3, finish: true });
+
+      expect(mode).to.equal("preserve");
+      for (const id of [1, 2, 3, 5]) {
+        expect(await target.getTask(id)).to.deep.equal(await source.getTask(id));
+        expect(await target.getTaskHistory(id)).to.deep.equal(await source.getTaskHistory(id));
+      }
+      expect(await target.getUserTasks(addr1.address)).to.deep.equal([5n]);
+      expect((await verifyImport(target, data, progress)).differences).to.deep.equal([]);
+
+      // The deleted task's ID stays reserved
+      expect(await proxy.isMigrationFinished()).to.equal(true);
+      expect(await target.getTotalTaskCount()).to.equal(5);
+    });
+
+    it("Should refuse IDs the proxy already imported", async function () {
+      const { target, data } = await loadFixture(deployProxyFixture);
+      await importTasks(target, data, { progressFile: path.join(directory, "first.progress.json") });
+
+      await expect(
+        importTasks(target, data, { progressFile: path.join(directory, "second.progress.json") })
+      ).to.be.rejectedWith("Task 1 already exists on the target; importTasks needs IDs above 5");
+    });
+  });
+});
@@ -0,0 +1,275 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { DeploymentManifest } = require("../../shared/deployments");
+
+const { ethers } = hre;
+
+describe("Hardhat tasks", function () {
+  // Fixture to deploy TaskManager for the CLI tasks to talk to
+  async function deployTaskManagerFixture() {
+    const [owner, addr1] = await ethers.getSigners();
+    const TaskManager = await ethers.getContractFactory("TaskManager");
+    const taskManager = await TaskManager.deploy();
+    const address = await taskManager.getAddress();
+    return { taskManager, address, owner, addr1 };
+  }
+
+  // Run a task and capture what it prints
+  async function run(name, args) {
+    const lines = [];
+    const log = console.log;
+    console.log = (...values) => lines.push(values.join(" "));
+    try {
+      const result = await hre.run(name, args);
+      return { result, output: lines.join("\n") };
+    } finally {
+      console.log = log;
+    }
+  }
+
+  describe("tasks:create", function () {
+    it("Should create a task and print it as a table", async function () {
+      const { taskManager, address, owner } = await loadFixture(deployTaskManagerFixture);
+
+      const { output } = await run("tasks:create", {
+        address,
+        title: "CLI Task",
+        description: "From the terminal",
+        priority: "High",
+      });
+
+      const [header, separator, row] = output.split("\n");
+      expect(header).to.match(/^ID\s+Title\s+Status\s+Priority\s+Owner\s+Assignee\s+Due$/);
+      expect(separator).to.match(/^-+(\s+-+)+$/);
+      expect(row).to.include("CLI Task").and.include("Pending").and.include("High").and.include(owner.address);
+
+      const task = await taskManager.getTask(1);
+      expect(task.description).to.equal("From the terminal");
+    });
+
+    it("Should accept an ISO due date and a bounty", async function () {
+      const { taskManager, address } = await loadFixture(deployTaskManagerFixture);
+      const due = new Date(Date.now() + 365 * 86400 * 1000);
+      due.setUTCMilliseconds(0);
+
+      const { result } = await run("tasks:create", {
+        address,
+        title: "Paid Task",
+        due: due.toISOString(),
+        bounty: "0.5",
+      });
+
+      expect(result.dueDate).to.equal(due.getTime() / 1000);
+      expect((await taskManager.getBounty(1)).amount).to.equal(ethers.parseEther("0.5"));
+    });
+  });
+
+  describe("tasks:list", function () {
+    async function deployWithTasksFixture() {
+      const fixture = await deployTaskManagerFixture();
+      const { taskManager, addr1 } = fixture;
+      await taskManager.createTasks(["Task 1", "Task 2"], ["", ""]);
+      await taskManager.connect(addr1).createTask("Other", "Description");
+      await taskManager.updateTaskStatus(2, 2);
+      return fixture;
+    }
+
+    it("Should print an owner's tasks as JSON", async function () {
+      const { address, owner } = await loadFixture(deployWithTasksFixture);
+
+      const { output } = await run("tasks:list", { address, owner: owner.address, json: true });
+      const tasks = JSON.parse(output);
+
+      expect(tasks.map((task) => task.title)).to.deep.equal(["Task 1", "Task 2"]);
+      expect(tasks[1].status).to.equal("Completed");
+    });
+
+    it("Should default to the first account and filter by status", async function () {
+      const { address } = await loadFixture(deployWithTasksFixture);
+
+      const { result } = await run("tasks:list", { address, status: "Pending" });
+      expect(result.map((task) => task.id)).to.deep.equal([1]);
+    });
+
+    it("Should list every owner's tasks with --all", async function () {
+      const { address, addr1 } = await loadFixture(deployWithTasksFixture);
+
+      const { result, output } = await run("tasks:list", { address, all: true });
+      expect(result.map((task) => task.id)).to.deep.equal([1, 2, 3]);
+      expect(output).to.include(addr1.address);
+    });
+
+    it("Should say when there are no tasks", async function () {
+      const { address, addr1 } = await loadFixture(deployTaskManagerFixture);
+
+      const { output } = await run("tasks:list", { address, owner: addr1.address });
+      expect(output).to.equal("No tasks found");
+    });
+  });
+
+  describe("tasks:status and tasks:delete", function () {
+    it("Should change the status by name", async function () {
+      const { taskManager, address } = await loadFixture(deployTaskManagerFixture);
+      await taskManager.createTask("Task", "Description");
+
+      const { result } = await run("tasks:status", { address, id: 1, status: "InProgress" });
+
+      expect(result.status).to.equal("InProgress");
+      expect((await taskManager.getTask(1)).status).to.equal(1);
+    });
+
+    it("Should delete a task", async function () {
+      const { taskManager, address } = await loadFixture(deployTaskManagerFixture);
+      await taskManager.createTask("Task", "Description");
+
+      const { output } = await run("tasks:delete", { address, id: 1, json: true });
+
+      expect(JSON.parse(output)).to.deep.equal({ deleted: 1 });
+      expect(await taskManager.getTotalTaskCount()).to.equal(1);
+      await expect(taskManager.getTask(1)).to.be.revertedWith("Task does not exist");
+    });
+  });
+
+  describe("tasks:export, tasks:import and tasks:verify", function () {
+    async function deployTwoTaskManagersFixture() {
+      const fixture = await deployTaskManagerFixture();
+      await fixture.taskManager.createTasks(["Task 1", "Task 2"], ["", ""]);
+      await fixture.taskManager.updateTaskStatus(2, 2);
+
+      const TaskManager = await ethers.getContractFactory("TaskManager");
+      const target = await TaskManager.deploy();
+      return { ...fixture, target, targetAddress: await target.getAddress() };
+    }
+
+    let directory;
+
+    beforeEach(function () {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), "task-export-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("Should export to JSON and CSV and import into another deployment", async function () {
+      const { address, target, targetAddress } = await loadFixture(deployTwoTaskManagersFixture);
+      const file = path.join(directory, "tasks.json");
+
+      const { output } = await run("tasks:export", { address, file });
+      await run("tasks:export", { address, file: path.join(directory, "tasks.csv") });
+      expect(output).to.match(/^Exported 2 tasks at block \d+ to .*tasks\.json$/);
+      const csvRows = fs.readFileSync(path.join(directory, "tasks.csv"), "utf8").split("\n");
+      expect(csvRows[2]).to.match(/^2,Task 2,,Completed,/);
+
+      const imported = await run("tasks:import", { address: targetAddress, file, batchSize: 20 });
+
+      expect(imported.output).to.include("Imported 2 tasks").and.include("Checked 2 tasks: no differences");
+      expect((await target.getTask(2)).status).to.equal(2);
+      expect(fs.existsSync(`${file}.progress.json`)).to.equal(true);
+    });
+
+    it("Should pass verification when past due dates were dropped", async function () {
+      const { taskManager, address, targetAddress } = await loadFixture(deployTwoTaskManagersFixture);
+      const dueDate = (await time.latest()) + 3600;
+      await taskManager["createTask(string,string,uint256,uint8)"]("Overdue", "", dueDate, 1);
+      await time.increaseTo(dueDate + 1);
+      const file = path.join(directory, "tasks.json");
+      await run("tasks:export", { address, file });
+
+      const imported = await run("tasks:import", { address: targetAddress, file, batchSize: 20 });
+      const { output, result } = await run("tasks:verify", { address: targetAddress, file });
+
+      expect(imported.output).to.include("Checked 3 tasks: no differences");
+      expect(output).to.include("Dropped 1 due dates that had passed at import time");
+      expect(result.dropped).to.have.length(1);
+      expect(result.dropped[0]).to.include({ sourceId: 3, field: "dueDate", expected: dueDate });
+    });
+
+    it("Should fail verification when the target no longer matches the export", async function () {
+      const { address, target, targetAddress } = await loadFixture(deployTwoTaskManagersFixture);
+      const file = path.join(directory, "tasks.json");
+      await run("tasks:export", { address, file });
+
+      await expect(run("tasks:verify", { address: targetAddress, file })).to.be.rejectedWith("No import progress");
+
+      await run("tasks:import", { address: targetAddress, file, batchSize: 20, json: true });
+      await target.updateTaskStatus(1, 3);
+
+      await expect(run("tasks:verify", { address: targetAddress, file })).to.be.rejectedWith(
+        "1 differences between the export and the target"
+      );
+    });
+  });
+
+  describe("Errors", function () {
+    it("Should report revert reasons readably", async function () {
+      const { taskManager, address, addr1 } = await loadFixture(deployTaskManagerFixture);
+      await taskManager.connect(addr1).createTask("Theirs", "Description");
+
+      await expect(run("tasks:delete", { address, id: 1 })).to.be.rejectedWith(
+        "Transaction reverted: Not the task owner"
+      );
+      await expect(run("tasks:status", { address, id: 7, status: "Completed" })).to.be.rejectedWith(
+        "Transaction reverted: Task does not exist"
+      );
+    });
+
+    it("Should reject unknown status names", async function () {
+      const { taskManager, address } = await loadFixture(deployTaskManagerFixture);
+      await taskManager.createTask("Task", "Description");
+
+      await expect(run("tasks:status", { address, id: 1, status: "Done" })).to.be.rejectedWith(
+        'Unknown task status "Done"'
+      );
+    });
+
+    it("Should require a deployed TaskManager address", async function () {
+      const { addr1 } = await loadFixture(deployTaskManagerFixture);
+      const previous = process.env.TASK_MANAGER_ADDRESS;
+      delete process.env.TASK_MANAGER_ADDRESS;
+
+      try {
+        await expect(run("tasks:list", {})).to.be.rejectedWith("pass --address, set TASK_MANAGER_ADDRESS or deploy");
+        await expect(run("tasks:list", { address: "0x1234" })).to.be.rejectedWith(
+          'Invalid TaskManager address "0x1234"'
+        );
+        await expect(run("tasks:list", { address: addr1.address })).to.be.rejectedWith(
+          `No contract deployed at ${addr1.address}`
+        );
+      } finally {
+        if (previous !== undefined) {
+          process.env.TASK_MANAGER_ADDRESS = previous;
+        }
+      }
+    });
+
+    it("Should fall back to the address in the deployment manifest", async function () {
+      const { address } = await loadFixture(deployTaskManagerFixture);
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+      const manifest = await DeploymentManifest.load(hre, { directory });
+      manifest.record("TaskManager", { contract: "TaskManager", address });
+      const previous = { dir: process.env.DEPLOYMENTS_DIR, address: process.env.TASK_MANAGER_ADDRESS };
+      process.env.DEPLOYMENTS_DIR = directory;
+      delete process.env.TASK_MANAGER_ADDRESS;
+
+      try {
+        await run("tasks:create", { title: "From manifest", json: true });
+        const { result } = await run("tasks:list", { all: true });
+        expect(result.map((task) => task.title)).to.deep.equal(["From manifest"]);
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+        delete process.env.DEPLOYMENTS_DIR;
+        if (previous.dir !== undefined) {
+          process.env.DEPLOYMENTS_DIR = previous.dir;
+        }
+        if (previous.address !== undefined) {
+          process.env.TASK_MANAGER_ADDRESS = previous.address;
+        }
+      }
+    });
+  });
+});